@@ -7,6 +7,12 @@ const swaggerSpecs = require('./src/config/swagger');
 const authRoutes = require('./src/routes/authRoutes');
 const userRoutes = require('./src/routes/userRoutes');
 const transferRoutes = require('./src/routes/transferRoutes');
+const paymentRequestRoutes = require('./src/routes/paymentRequestRoutes');
+const receiptRoutes = require('./src/routes/receiptRoutes');
+const aliasKeyRoutes = require('./src/routes/aliasKeyRoutes');
+const categoryRoutes = require('./src/routes/categoryRoutes');
+const accountRoutes = require('./src/routes/accountRoutes');
+const adminRoutes = require('./src/routes/adminRoutes');
 
 const app = express();
 
@@ -32,6 +38,12 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
 app.use('/auth', authRoutes);
 app.use('/users', userRoutes);
 app.use('/transfers', transferRoutes);
+app.use('/payment-requests', paymentRequestRoutes);
+app.use('/receipts', receiptRoutes);
+app.use('/keys', aliasKeyRoutes);
+app.use('/categories', categoryRoutes);
+app.use('/accounts', accountRoutes);
+app.use('/admin', adminRoutes);
 
 // Rota raiz
 app.get('/', (req, res) => {
@@ -42,7 +54,13 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/auth',
       users: '/users',
-      transfers: '/transfers'
+      transfers: '/transfers',
+      paymentRequests: '/payment-requests',
+      receipts: '/receipts',
+      keys: '/keys',
+      categories: '/categories',
+      accounts: '/accounts',
+      admin: '/admin'
     }
   });
 });
@@ -104,16 +104,64 @@ const createRestAppWithGraphQLInfo = () => {
         queries: [
           'me - Perfil do usuário atual',
           'users - Listar todos os usuários',  
+          'accountProducts - Produtos de conta disponíveis',
           'userBalance - Saldo do usuário atual',
-          'transfers - Transferências do usuário',
-          'favorites - Favoritos do usuário'
+          'balanceHistory - Série do saldo do usuário por dia, semana ou mês',
+          'balanceAt - Saldo do usuário em uma data',
+          'ledgerEntries - Lançamentos contábeis do usuário',
+          'limits - Limites diário e mensal de transferências',
+          'transfers - Transferências do usuário (obsoleta, use transferHistory)',
+          'transferHistory - Histórico com filtros, ordenação e paginação por cursor',
+          'scheduledTransfers - Transferências agendadas do usuário',
+          'transferBatch - Lote de transferências e resultado de cada item',
+          'recurringTransfers - Transferências recorrentes do usuário',
+          'recurringTransfer - Transferência recorrente com histórico de execuções',
+          'transferReceipt - Comprovante assinado de uma transferência',
+          'transferQuote - Cotar a tarifa de uma transferência sem enviá-la',
+          'incomingPaymentRequests - Solicitações de pagamento recebidas',
+          'outgoingPaymentRequests - Solicitações de pagamento enviadas',
+          'aliasKeys - Chaves do usuário',
+          'lookupKey - Consultar a conta de uma chave',
+          'decodePaymentCode - Decodificar o conteúdo de um QR Code de pagamento (BR Code)',
+          'categoryRules - Regras de categoria do usuário',
+          'transferCategory - Categoria de uma transferência (manual ou sugerida pelas regras)',
+          'analytics - Análise de gastos do mês ou do ano',
+          'cashOperations - Depósitos e saques do usuário',
+          'cashLimits - Limites diários de depósito e saque por canal',
+          'overdraft - Limite, uso e crédito disponível do cheque especial',
+          'interestCharges - Juros diários cobrados do cheque especial',
+          'favorites - Favoritos do usuário',
+          'fraudAlerts - Alertas da análise de risco (administradores)'
         ],
         mutations: [
           'login - Autenticação de usuário',
           'register - Registro de usuário',
-          'createTransfer - Criar nova transferência',
+          'deposit - Depositar na conta do usuário por canal',
+          'withdraw - Sacar da conta do usuário por canal',
+          'setOverdraftLimit - Definir o limite do cheque especial do usuário',
+          'createTransfer - Criar nova transferência (imediata ou agendada)',
+          'createTransferBatch - Realizar transferências em lote (all_or_nothing ou best_effort)',
+          'cancelScheduledTransfer - Cancelar transferência agendada',
+          'confirmTransfer - Confirmar transferência pendente de aprovação',
+          'cancelPendingTransfer - Cancelar transferência pendente de aprovação',
+          'refundTransfer - Estornar transferência recebida (total ou parcial)',
+          'createRecurringTransfer - Criar transferência recorrente',
+          'updateRecurringTransfer - Alterar, pausar ou retomar transferência recorrente',
+          'cancelRecurringTransfer - Cancelar transferência recorrente',
+          'createPaymentRequest - Solicitar pagamento a outra conta',
+          'acceptPaymentRequest - Aceitar (pagar) solicitação recebida',
+          'declinePaymentRequest - Recusar solicitação recebida',
+          'createAliasKey - Cadastrar chave para a conta do usuário',
+          'removeAliasKey - Remover chave',
+          'createPaymentCode - Criar QR Code de pagamento estático ou dinâmico',
+          'createCategoryRule - Criar regra de categoria',
+          'removeCategoryRule - Remover regra de categoria',
+          'categorizeTransfer - Definir a categoria de uma transferência',
+          'verifyReceipt - Verificar a assinatura de um comprovante (pública)',
           'addFavorite - Adicionar usuário favorito',
-          'removeFavorite - Remover usuário favorito'
+          'removeFavorite - Remover usuário favorito',
+          'approveFraudReview - Aprovar transferência retida (administradores)',
+          'rejectFraudReview - Rejeitar transferência retida (administradores)'
         ]
       }
     });
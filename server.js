@@ -1,9 +1,23 @@
 const { createGraphQLServer, createRestAppWithGraphQLInfo } = require('./appWithGraphQL');
 const config = require('./src/config/environment');
+const ledgerService = require('./src/services/ledgerService');
+const userService = require('./src/services/userService');
+const transferScheduler = require('./src/services/transferScheduler');
 
 // Iniciar ambos os servidores
 const startServers = async () => {
   try {
+    // Gerar saldo inicial no ledger para usuários criados antes dele (bancos persistentes)
+    ledgerService.backfillOpeningBalances();
+
+    // Conta de administrador (ADMIN_EMAIL), criada antes de o cadastro público ser aberto
+    await userService.ensureAdmin();
+
+    // Executor de transferências agendadas
+    if (config.scheduler.enabled) {
+      transferScheduler.start();
+    }
+
     // Iniciar servidor GraphQL
     const { url: graphqlUrl } = await createGraphQLServer();
     
@@ -27,18 +41,67 @@ const startServers = async () => {
       console.log('📋 Endpoints REST disponíveis:');
       console.log('   • POST /auth/login - Login de usuário');
       console.log('   • POST /users/register - Registro de usuário');
+      console.log('   • GET  /users/products - Produtos de conta');
       console.log('   • GET  /users - Listar usuários');
       console.log('   • GET  /users/profile - Perfil do usuário');
       console.log('   • GET  /users/balance - Saldo do usuário');
+      console.log('   • GET  /users/ledger - Lançamentos contábeis');
+      console.log('   • GET  /users/balance/history - Histórico de saldo');
+      console.log('   • GET  /users/balance/at - Saldo em uma data');
+      console.log('   • GET  /users/limits - Limites diário e mensal');
+      console.log('   • GET  /users/statement - Extrato (json, csv, ofx, pdf)');
+      console.log('   • POST /accounts/deposits - Depositar (agência, caixa eletrônico, boleto ou banco externo)');
+      console.log('   • POST /accounts/withdrawals - Sacar (agência, caixa eletrônico ou banco externo)');
+      console.log('   • GET  /accounts/operations - Listar depósitos e saques');
+      console.log('   • GET  /accounts/operations/:id - Detalhar depósito ou saque');
+      console.log('   • GET  /accounts/limits - Limites diários de depósito e saque');
+      console.log('   • GET  /accounts/overdraft - Cheque especial');
+      console.log('   • PUT  /accounts/overdraft - Ajustar limite do cheque especial');
+      console.log('   • GET  /accounts/overdraft/interest - Juros do cheque especial');
+      console.log('   • GET  /users/analytics - Gastos por categoria, principais destinatários e variação mensal');
       console.log('   • POST /transfers - Realizar transferência');
-      console.log('   • GET  /transfers - Listar transferências');
+      console.log('   • POST /transfers/quote - Calcular a tarifa de uma transferência');
+      console.log('   • GET  /transfers - Listar transferências (filtros e paginação por cursor)');
+      console.log('   • POST /transfers/batch - Realizar transferências em lote');
+      console.log('   • GET  /transfers/batch/:id - Consultar lote de transferências');
+      console.log('   • GET  /transfers/scheduled - Listar transferências agendadas');
+      console.log('   • DELETE /transfers/scheduled/:id - Cancelar transferência agendada');
+      console.log('   • POST /transfers/:id/confirm - Confirmar transferência pendente de aprovação');
+      console.log('   • POST /transfers/:id/cancel - Cancelar transferência pendente de aprovação');
+      console.log('   • POST /transfers/:id/refund - Estornar transferência recebida');
+      console.log('   • POST /transfers/qrcode - Gerar QR Code de pagamento (json, svg, png)');
+      console.log('   • POST /transfers/qrcode/decode - Ler QR Code e pré-preencher transferência');
+      console.log('   • GET  /transfers/:id/receipt - Comprovante da transferência (json, html, pdf)');
+      console.log('   • GET/PUT/DELETE /transfers/:id/category - Categoria e tags da transferência');
+      console.log('   • POST /receipts/verify - Conferir autenticidade de comprovante (público)');
+      console.log('   • POST /transfers/recurring - Criar transferência recorrente');
+      console.log('   • GET  /transfers/recurring - Listar transferências recorrentes');
+      console.log('   • GET  /transfers/recurring/:id - Detalhar transferência recorrente e execuções');
+      console.log('   • PUT  /transfers/recurring/:id - Alterar, pausar ou retomar transferência recorrente');
+      console.log('   • DELETE /transfers/recurring/:id - Cancelar transferência recorrente');
+      console.log('   • POST /payment-requests - Solicitar pagamento a outra conta');
+      console.log('   • GET  /payment-requests/incoming - Solicitações recebidas');
+      console.log('   • GET  /payment-requests/outgoing - Solicitações enviadas');
+      console.log('   • POST /payment-requests/:id/accept - Aceitar (pagar) solicitação');
+      console.log('   • POST /payment-requests/:id/decline - Recusar solicitação');
+      console.log('   • POST /keys - Cadastrar chave (e-mail, telefone, CPF ou aleatória)');
+      console.log('   • GET  /keys - Listar chaves');
+      console.log('   • GET  /keys/lookup - Consultar titular de uma chave');
+      console.log('   • DELETE /keys/:id - Remover chave');
+      console.log('   • POST /categories/rules - Criar regra de categoria');
+      console.log('   • GET  /categories/rules - Listar regras de categoria');
+      console.log('   • DELETE /categories/rules/:id - Remover regra de categoria');
       console.log('   • POST /transfers/favorites - Adicionar favorito');
       console.log('   • GET  /transfers/favorites - Listar favoritos');
       console.log('   • DELETE /transfers/favorites/:id - Remover favorito');
+      console.log('   • GET  /admin/fraud/alerts - Alertas da análise de risco (administradores)');
+      console.log('   • POST /admin/fraud/alerts/:id/approve - Aprovar transferência retida (administradores)');
+      console.log('   • POST /admin/fraud/alerts/:id/reject - Rejeitar transferência retida (administradores)');
+      console.log('   • PUT  /admin/users/:id/rule-settings - Ajustar regras de transferência de um usuário (administradores)');
       console.log('');
       console.log('📋 Operações GraphQL disponíveis:');
-      console.log('   Queries: me, users, userBalance, transfers, favorites');
-      console.log('   Mutations: login, register, createTransfer, addFavorite, removeFavorite');
+      console.log('   Queries: me, users, accountProducts, userBalance, balanceHistory, balanceAt, ledgerEntries, limits, transfers, transferHistory, scheduledTransfers, transferBatch, recurringTransfers, recurringTransfer, transferReceipt, transferQuote, incomingPaymentRequests, outgoingPaymentRequests, aliasKeys, lookupKey, decodePaymentCode, categoryRules, transferCategory, analytics, cashOperations, cashLimits, overdraft, interestCharges, favorites, fraudAlerts');
+      console.log('   Mutations: login, register, deposit, withdraw, setOverdraftLimit, createTransfer, createTransferBatch, cancelScheduledTransfer, confirmTransfer, cancelPendingTransfer, refundTransfer, createRecurringTransfer, updateRecurringTransfer, cancelRecurringTransfer, createPaymentRequest, acceptPaymentRequest, declinePaymentRequest, createAliasKey, removeAliasKey, createPaymentCode, createCategoryRule, removeCategoryRule, categorizeTransfer, verifyReceipt, addFavorite, removeFavorite, approveFraudReview, rejectFraudReview');
       console.log('');
       console.log('💡 Para testar:');
       console.log('   • REST: Use Swagger UI ou Postman');
@@ -62,6 +62,132 @@ const config = {
         maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
     },
 
+    // 🔁 Idempotency Configuration
+    idempotency: {
+        windowMs: parseInt(process.env.IDEMPOTENCY_WINDOW_HOURS) * 60 * 60 * 1000 || 24 * 60 * 60 * 1000 // 24 hours
+    },
+
+    // ⏱️ Scheduler Configuration
+    scheduler: {
+        enabled: process.env.SCHEDULER_ENABLED !== 'false',
+        intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_SECONDS) * 1000 || 60 * 1000 // 1 minute
+    },
+
+    // 📏 Transfer Rules Configuration (valores em reais)
+    transferRules: {
+        highAmountLimit: parseFloat(process.env.HIGH_AMOUNT_LIMIT) || 5000,
+        nightTime: {
+            enabled: process.env.NIGHT_TIME_LIMIT_ENABLED === 'true',
+            limit: parseFloat(process.env.NIGHT_TIME_LIMIT) || 1000,
+            startHour: parseInt(process.env.NIGHT_TIME_START_HOUR ?? 20),
+            endHour: parseInt(process.env.NIGHT_TIME_END_HOUR ?? 6),
+            timeZone: process.env.RULES_TIME_ZONE || 'America/Sao_Paulo'
+        }
+    },
+
+    // 📊 Transfer Limits Configuration (valores em reais, renovados no início do dia/mês no fuso)
+    transferLimits: {
+        daily: parseFloat(process.env.DAILY_TRANSFER_LIMIT) || 20000,
+        monthly: parseFloat(process.env.MONTHLY_TRANSFER_LIMIT) || 100000,
+        timeZone: process.env.LIMITS_TIME_ZONE || 'America/Sao_Paulo'
+    },
+
+    // 🏷️ Account Products Configuration (saldo inicial, cheque especial, limites e tarifas de cada produto, em reais)
+    // `ruleSettings` sobrescreve as opções das regras de transferência para os clientes do produto;
+    // ACCOUNT_PRODUCTS (JSON) substitui o catálogo inteiro
+    accountProducts: {
+        default: process.env.DEFAULT_ACCOUNT_PRODUCT || 'basic',
+        catalog: process.env.ACCOUNT_PRODUCTS ? JSON.parse(process.env.ACCOUNT_PRODUCTS) : {
+            basic: {
+                name: 'Conta Básica',
+                initialBalance: parseFloat(process.env.INITIAL_BALANCE) || 1000,
+                overdraftLimit: 0,
+                ruleSettings: {},
+                fees: { transfer: { type: 'flat', amount: 0 } }
+            },
+            premium: {
+                name: 'Conta Premium',
+                initialBalance: 5000,
+                overdraftLimit: 2000,
+                ruleSettings: {
+                    highAmountNonFavorite: { limit: 20000 },
+                    dailyLimit: { limit: 50000 },
+                    monthlyLimit: { limit: 250000 }
+                },
+                fees: { transfer: { type: 'flat', amount: 0 } }
+            }
+        }
+    },
+
+    // 🏧 Deposits and Withdrawals Configuration (valores em reais; limites diários renovados à meia-noite no fuso)
+    cashOperations: {
+        dailyLimits: {
+            deposit: parseFloat(process.env.DAILY_DEPOSIT_LIMIT) || 50000,
+            withdrawal: parseFloat(process.env.DAILY_WITHDRAWAL_LIMIT) || 5000
+        },
+        atmWithdrawalLimit: parseFloat(process.env.ATM_WITHDRAWAL_LIMIT) || 1000,
+        timeZone: process.env.LIMITS_TIME_ZONE || 'America/Sao_Paulo'
+    },
+
+    // 💳 Overdraft Configuration (cheque especial: juros mensais sobre o saldo negativo, lançados uma vez por dia no fuso)
+    overdraft: {
+        monthlyInterestRate: parseFloat(process.env.OVERDRAFT_MONTHLY_INTEREST_RATE ?? 0.08),
+        timeZone: process.env.OVERDRAFT_TIME_ZONE || 'America/Sao_Paulo',
+        catchUpDays: parseInt(process.env.OVERDRAFT_CATCH_UP_DAYS ?? 31) // dias perdidos lançados retroativamente
+    },
+
+    // 🚨 Fraud Detection Configuration (desligada por padrão; pontos somados por sinal, valores em reais)
+    // Pontuação >= reviewScore retém a transferência para análise; >= blockScore bloqueia
+    fraud: {
+        enabled: process.env.FRAUD_DETECTION_ENABLED === 'true',
+        reviewScore: parseInt(process.env.FRAUD_REVIEW_SCORE) || 50,
+        blockScore: parseInt(process.env.FRAUD_BLOCK_SCORE) || 80,
+        signals: {
+            velocity: { points: 40, windowMinutes: 10, maxTransfers: 5 },
+            newRecipientSpike: { points: 35, multiplier: 5, minHistory: 3 },
+            newAccountRecipient: { points: 30, maxAgeHours: 24 },
+            unusualHour: {
+                points: 20,
+                startHour: parseInt(process.env.FRAUD_UNUSUAL_START_HOUR ?? 0),
+                endHour: parseInt(process.env.FRAUD_UNUSUAL_END_HOUR ?? 6),
+                timeZone: process.env.RULES_TIME_ZONE || 'America/Sao_Paulo'
+            }
+        }
+    },
+
+    // 🛡️ Admin Configuration (conta criada na inicialização com acesso às rotas /admin; sem e-mail, não há administrador)
+    admin: {
+        name: process.env.ADMIN_NAME || 'Administrador',
+        email: process.env.ADMIN_EMAIL || null,
+        password: process.env.ADMIN_PASSWORD || null
+    },
+
+    // ✋ Pending Approval Configuration
+    approval: {
+        expiryMs: parseInt(process.env.APPROVAL_EXPIRY_MINUTES) * 60 * 1000 || 30 * 60 * 1000 // 30 minutes
+    },
+
+    // 📄 Statement Configuration (datas sem horário e pontos do histórico de saldo usam este fuso)
+    statements: {
+        timeZone: process.env.STATEMENT_TIME_ZONE || 'America/Sao_Paulo'
+    },
+
+    // 🔏 Receipt Configuration (chave HMAC dos códigos de autenticação dos comprovantes)
+    receipts: {
+        signingKey: process.env.RECEIPT_SIGNING_KEY || 'pgats-receipt-key-development'
+    },
+
+    // 🧾 Payment Request Configuration
+    paymentRequests: {
+        expiryMs: parseInt(process.env.PAYMENT_REQUEST_EXPIRY_HOURS) * 60 * 60 * 1000 || 72 * 60 * 60 * 1000 // 72 hours
+    },
+
+    // 🔳 QR Code Configuration (cidade do recebedor no BR Code e validade dos QR Codes dinâmicos)
+    paymentCodes: {
+        merchantCity: process.env.QR_CODE_MERCHANT_CITY || 'SAO PAULO',
+        expiryMs: parseInt(process.env.QR_CODE_EXPIRY_MINUTES) * 60 * 1000 || 30 * 60 * 1000 // 30 minutes
+    },
+
     // 📧 Email Configuration (Future Implementation)
     email: {
         service: process.env.EMAIL_SERVICE || 'gmail',
@@ -69,10 +195,10 @@ const config = {
         password: process.env.EMAIL_PASS || ''
     },
 
-    // 🗄️ External Services Configuration (Future Implementation)
+    // 🗄️ External Services Configuration
     external: {
-        redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
-        databaseUrl: process.env.DATABASE_URL || ''
+        redisUrl: process.env.REDIS_URL || 'redis://localhost:6379', // Future Implementation
+        databaseUrl: process.env.DATABASE_URL || '' // '' = memória, 'sqlite:./data/pgats.db' = arquivo
     }
 };
 
@@ -83,6 +209,7 @@ const validateConfig = () => {
     const required = [];
     const insecureDefaults = [
         'pgats-api-secret-key-2024-development',
+        'pgats-receipt-key-development',
         'dev-secret-key',
         'test-secret-key'
     ];
@@ -92,6 +219,9 @@ const validateConfig = () => {
         if (!process.env.JWT_SECRET || insecureDefaults.includes(process.env.JWT_SECRET)) {
             required.push('JWT_SECRET (must use a secure custom value in production)');
         }
+        if (!process.env.RECEIPT_SIGNING_KEY || insecureDefaults.includes(process.env.RECEIPT_SIGNING_KEY)) {
+            required.push('RECEIPT_SIGNING_KEY (must use a secure custom value in production)');
+        }
     }
 
     // ⚠️ WARN: Recommend custom secrets even in non-production
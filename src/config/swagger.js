@@ -51,17 +51,733 @@ const options = {
               type: 'number',
               example: 1000.00
             },
+            product: {
+              type: 'string',
+              example: 'basic'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Transfer: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            fromAccount: {
+              type: 'string',
+              example: '123456'
+            },
+            toAccount: {
+              type: 'string',
+              example: '654321'
+            },
+            amount: {
+              type: 'number',
+              example: 100.50
+            },
+            description: {
+              type: 'string',
+              example: 'Transferência PIX'
+            },
+            isFavorite: {
+              type: 'boolean',
+              example: false
+            },
+            fee: {
+              type: 'number',
+              description: 'Tarifa debitada do remetente além do valor, em lançamento separado',
+              example: 1.50
+            },
+            feeWaiver: {
+              type: 'string',
+              nullable: true,
+              enum: ['favorite', 'free_quota'],
+              description: 'Motivo da isenção da tarifa: favorecido ou franquia mensal'
+            },
+            status: {
+              type: 'string',
+              enum: ['completed', 'scheduled', 'failed', 'cancelled', 'refunded', 'partially_refunded', 'pending_approval', 'expired', 'under_review', 'rejected'],
+              example: 'completed'
+            },
+            scheduledFor: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Presente apenas em transferências agendadas'
+            },
+            executedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            cancelledAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Presente apenas em transferências pendentes de aprovação: prazo para confirmação'
+            },
+            needsConfirmation: {
+              type: 'boolean',
+              description: 'Presente em transferências retidas (under_review) com requestApproval: aprovadas pelo administrador, seguem para pending_approval'
+            },
+            failureReason: {
+              type: 'string',
+              example: 'Saldo insuficiente'
+            },
+            refundedAmount: {
+              type: 'number',
+              description: 'Total já estornado; presente apenas em transferências estornadas',
+              example: 50.00
+            },
+            refundOf: {
+              type: 'integer',
+              description: 'Presente apenas em estornos: ID da transferência original'
+            },
+            recurringTransferId: {
+              type: 'integer',
+              description: 'Presente apenas em execuções de transferências recorrentes'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        AliasKey: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            userId: {
+              type: 'integer',
+              example: 1
+            },
+            account: {
+              type: 'string',
+              example: '123456'
+            },
+            type: {
+              type: 'string',
+              enum: ['email', 'phone', 'cpf', 'random'],
+              example: 'email'
+            },
+            value: {
+              type: 'string',
+              description: 'Valor normalizado (e-mail em minúsculas, telefone +55..., CPF só com dígitos)',
+              example: 'joao@email.com'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        AliasKeyLookup: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              example: 'cpf'
+            },
+            key: {
+              type: 'string',
+              description: 'Chave mascarada',
+              example: '***.456.789-**'
+            },
+            ownerName: {
+              type: 'string',
+              description: 'Nome do titular mascarado',
+              example: 'João S****'
+            },
+            account: {
+              type: 'string',
+              example: '123456'
+            }
+          }
+        },
+        PaymentCode: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['static', 'dynamic']
+            },
+            payload: {
+              type: 'string',
+              description: 'BR Code (EMV) para copia e cola ou para gerar a imagem',
+              example: '00020101021126400012br.com.pgats03061234560210Pedido 123520400005303986540525.905802BR5910Joao Silva6009SAO PAULO62070503***6304DA64'
+            },
+            txid: {
+              type: 'string',
+              nullable: true,
+              description: 'Identificador da cobrança (somente QR Code dinâmico)'
+            },
+            account: {
+              type: 'string',
+              example: '123456'
+            },
+            key: {
+              type: 'string',
+              nullable: true
+            },
+            amount: {
+              type: 'number',
+              nullable: true,
+              example: 25.9
+            },
+            description: {
+              type: 'string',
+              nullable: true
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        DecodedPaymentCode: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['static', 'dynamic']
+            },
+            txid: {
+              type: 'string',
+              nullable: true
+            },
+            account: {
+              type: 'string',
+              example: '123456'
+            },
+            key: {
+              type: 'string',
+              nullable: true
+            },
+            recipientName: {
+              type: 'string',
+              description: 'Nome do recebedor mascarado',
+              example: 'João S****'
+            },
+            amount: {
+              type: 'number',
+              nullable: true,
+              description: 'Valor fixo; null quando o pagador informa o valor'
+            },
+            description: {
+              type: 'string',
+              nullable: true
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            transfer: {
+              type: 'object',
+              description: 'Corpo pronto para POST /transfers',
+              properties: {
+                qrCode: { type: 'string' },
+                amount: { type: 'number', nullable: true },
+                description: { type: 'string', nullable: true }
+              }
+            }
+          }
+        },
+        CashOperation: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            userId: {
+              type: 'integer',
+              example: 1
+            },
+            account: {
+              type: 'string',
+              example: '123456'
+            },
+            type: {
+              type: 'string',
+              enum: ['deposit', 'withdrawal']
+            },
+            channel: {
+              type: 'string',
+              enum: ['branch', 'atm', 'boleto', 'external_bank']
+            },
+            amount: {
+              type: 'number',
+              example: 200.00
+            },
+            description: {
+              type: 'string',
+              example: 'Saque - caixa eletrônico'
+            },
+            status: {
+              type: 'string',
+              example: 'completed'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        CashLimit: {
+          type: 'object',
+          properties: {
+            limit: { type: 'number', example: 5000.00 },
+            used: { type: 'number', example: 200.00 },
+            remaining: { type: 'number', example: 4800.00 },
+            resetsAt: { type: 'string', format: 'date-time' },
+            timeZone: { type: 'string', example: 'America/Sao_Paulo' }
+          }
+        },
+        AccountProduct: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'premium' },
+            name: { type: 'string', example: 'Conta Premium' },
+            initialBalance: { type: 'number', example: 5000.00 },
+            overdraftLimit: { type: 'number', example: 2000.00 },
+            default: { type: 'boolean', example: false },
+            limits: {
+              type: 'object',
+              description: 'Limites efetivos do produto (null quando a regra está desligada)',
+              properties: {
+                highAmountLimit: { type: 'number', nullable: true, example: 20000.00 },
+                dailyLimit: { type: 'number', nullable: true, example: 50000.00 },
+                monthlyLimit: { type: 'number', nullable: true, example: 250000.00 }
+              }
+            },
+            fees: {
+              type: 'object',
+              description: 'Tabela de tarifas do produto: flat (amount), percentage (rate, min, max) ou tiered (tiers com upTo), com freePerMonth e waivedForFavorites opcionais',
+              example: { transfer: { type: 'percentage', rate: 0.01, min: 1, max: 10, freePerMonth: 5, waivedForFavorites: true } }
+            }
+          }
+        },
+        TransferQuote: {
+          type: 'object',
+          properties: {
+            toAccount: { type: 'string', example: '654321' },
+            amount: { type: 'number', example: 250.00 },
+            fee: { type: 'number', description: 'Tarifa que será cobrada', example: 2.50 },
+            total: { type: 'number', description: 'Valor mais a tarifa, debitado do remetente', example: 252.50 },
+            feeWaiver: { type: 'string', nullable: true, enum: ['favorite', 'free_quota'] },
+            fullFee: { type: 'number', description: 'Tarifa da tabela, antes das isenções', example: 2.50 },
+            feeType: { type: 'string', nullable: true, example: 'percentage' },
+            freeQuota: {
+              type: 'object',
+              nullable: true,
+              description: 'Franquia mensal de transferências isentas (null quando o produto não tem franquia)',
+              properties: {
+                limit: { type: 'integer', example: 5 },
+                used: { type: 'integer', example: 5 },
+                remaining: { type: 'integer', example: 0 },
+                resetsAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        },
+        Overdraft: {
+          type: 'object',
+          properties: {
+            limit: { type: 'number', description: 'Limite atual do cheque especial', example: 2000.00 },
+            maxLimit: { type: 'number', description: 'Limite concedido pelo produto da conta', example: 2000.00 },
+            used: { type: 'number', description: 'Parte negativa do saldo', example: 350.00 },
+            availableCredit: { type: 'number', example: 1650.00 },
+            availableBalance: { type: 'number', description: 'Saldo positivo mais o crédito disponível', example: 1650.00 },
+            monthlyInterestRate: { type: 'number', example: 0.08 },
+            dailyInterestRate: { type: 'number', example: 0.0026666666666666666 }
+          }
+        },
+        InterestCharge: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            userId: { type: 'integer', example: 1 },
+            account: { type: 'string', example: '123456' },
+            date: { type: 'string', format: 'date', example: '2026-10-19' },
+            balance: { type: 'number', description: 'Saldo negativo sobre o qual os juros incidiram', example: -350.00 },
+            rate: { type: 'number', description: 'Taxa diária', example: 0.0026666666666666666 },
+            amount: { type: 'number', example: 0.93 },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        FraudAlert: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 1 },
+            userId: { type: 'integer', example: 1 },
+            fromAccount: { type: 'string', example: '123456' },
+            toAccount: { type: 'string', example: '654321' },
+            amount: { type: 'number', example: 4800.00 },
+            score: { type: 'integer', description: 'Soma dos pontos dos motivos', example: 65 },
+            decision: { type: 'string', enum: ['review', 'block'] },
+            reasonCode: { type: 'string', description: 'Motivo de maior peso', example: 'NEW_RECIPIENT_SPIKE' },
+            reasons: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  code: { type: 'string', enum: ['VELOCITY', 'NEW_RECIPIENT_SPIKE', 'NEW_ACCOUNT_RECIPIENT', 'UNUSUAL_HOUR'] },
+                  points: { type: 'integer', example: 35 },
+                  message: { type: 'string' }
+                }
+              }
+            },
+            transferId: { type: 'integer', nullable: true, description: 'Transferência retida (under_review); null quando bloqueada' },
+            status: { type: 'string', enum: ['pending_review', 'approved', 'rejected', 'blocked'] },
+            reviewedBy: { type: 'integer', nullable: true },
+            reviewedAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        CategoryRule: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            userId: {
+              type: 'integer',
+              example: 1
+            },
+            category: {
+              type: 'string',
+              example: 'Mercado'
+            },
+            descriptionContains: {
+              type: 'string',
+              nullable: true,
+              example: 'supermercado'
+            },
+            counterparty: {
+              type: 'string',
+              nullable: true,
+              example: '654321'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        TransferCategory: {
+          type: 'object',
+          properties: {
+            transferId: {
+              type: 'integer',
+              example: 1
+            },
+            category: {
+              type: 'string',
+              nullable: true,
+              example: 'Mercado'
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['casa']
+            },
+            source: {
+              type: 'string',
+              enum: ['manual', 'rule'],
+              nullable: true,
+              description: 'manual quando definida pelo usuário; rule quando sugerida por uma regra'
+            },
+            ruleId: {
+              type: 'integer',
+              nullable: true
+            }
+          }
+        },
+        SpendingAnalytics: {
+          type: 'object',
+          properties: {
+            account: { type: 'string', example: '123456' },
+            period: { type: 'string', enum: ['month', 'year'] },
+            timeZone: { type: 'string', example: 'America/Sao_Paulo' },
+            from: { type: 'string', format: 'date-time' },
+            to: { type: 'string', format: 'date-time' },
+            currency: { type: 'string', example: 'BRL' },
+            inflow: { type: 'number', example: 1200.00 },
+            outflow: { type: 'number', example: 850.00 },
+            net: { type: 'number', example: 350.00 },
+            byCategory: {
+              type: 'array',
+              description: 'Saídas agrupadas por categoria, da maior para a menor',
+              items: {
+                type: 'object',
+                properties: {
+                  category: { type: 'string', example: 'Mercado' },
+                  total: { type: 'number', example: 500.00 },
+                  count: { type: 'integer', example: 4 },
+                  share: { type: 'number', description: 'Percentual das saídas do período', example: 58.8 },
+                  previousTotal: { type: 'number', example: 400.00 },
+                  change: { type: 'number', nullable: true, description: 'Variação percentual; null sem gastos no período anterior', example: 25 }
+                }
+              }
+            },
+            topCounterparties: {
+              type: 'array',
+              description: 'Os 5 destinatários que mais receberam',
+              items: {
+                type: 'object',
+                properties: {
+                  account: { type: 'string', example: '654321' },
+                  name: { type: 'string', nullable: true },
+                  total: { type: 'number', example: 300.00 },
+                  count: { type: 'integer', example: 2 }
+                }
+              }
+            },
+            previous: {
+              type: 'object',
+              properties: {
+                from: { type: 'string', format: 'date-time' },
+                to: { type: 'string', format: 'date-time' },
+                inflow: { type: 'number' },
+                outflow: { type: 'number' },
+                net: { type: 'number' }
+              }
+            },
+            change: {
+              type: 'object',
+              description: 'Variação percentual em relação ao período anterior',
+              properties: {
+                inflow: { type: 'number', nullable: true },
+                outflow: { type: 'number', nullable: true }
+              }
+            }
+          }
+        },
+        ReceiptParty: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              example: 'João Silva'
+            },
+            account: {
+              type: 'string',
+              example: '123456'
+            }
+          }
+        },
+        Receipt: {
+          type: 'object',
+          properties: {
+            version: {
+              type: 'integer',
+              example: 1
+            },
+            transferId: {
+              type: 'integer',
+              example: 1
+            },
+            payer: {
+              $ref: '#/components/schemas/ReceiptParty'
+            },
+            payee: {
+              $ref: '#/components/schemas/ReceiptParty'
+            },
+            amount: {
+              type: 'number',
+              example: 150.00
+            },
+            currency: {
+              type: 'string',
+              example: 'BRL'
+            },
+            description: {
+              type: 'string',
+              example: 'Pagamento de serviços'
+            },
+            executedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            issuedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Momento da emissão (não faz parte da assinatura)'
+            },
+            authenticationCode: {
+              type: 'string',
+              description: 'HMAC-SHA256 dos dados do comprovante, em blocos de 8 caracteres',
+              example: '3F2A9C1B-...'
+            }
+          }
+        },
+        PaymentRequest: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            requesterId: {
+              type: 'integer',
+              example: 1
+            },
+            requesterAccount: {
+              type: 'string',
+              example: '123456'
+            },
+            payerAccount: {
+              type: 'string',
+              example: '654321'
+            },
+            amount: {
+              type: 'number',
+              example: 85.90
+            },
+            description: {
+              type: 'string',
+              example: 'Divisão do jantar'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'under_review', 'accepted', 'declined', 'expired']
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            transferId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Transferência gerada quando a solicitação é aceita'
+            },
+            respondedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
+            }
+          }
+        },
+        PageInfo: {
+          type: 'object',
+          properties: {
+            totalCount: {
+              type: 'integer',
+              description: 'Total de transferências que atendem aos filtros',
+              example: 57
             },
-            updatedAt: {
+            hasNextPage: {
+              type: 'boolean',
+              example: true
+            },
+            hasPreviousPage: {
+              type: 'boolean',
+              example: false
+            },
+            startCursor: {
+              type: 'string',
+              nullable: true
+            },
+            endCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Valor para o parâmetro cursor da próxima página'
+            }
+          }
+        },
+        TransferBatch: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            userId: {
+              type: 'integer',
+              example: 1
+            },
+            mode: {
+              type: 'string',
+              enum: ['all_or_nothing', 'best_effort']
+            },
+            status: {
+              type: 'string',
+              enum: ['completed', 'partially_completed', 'failed']
+            },
+            totalItems: {
+              type: 'integer',
+              example: 3
+            },
+            succeeded: {
+              type: 'integer',
+              example: 2
+            },
+            held: {
+              type: 'integer',
+              description: 'Itens retidos pela análise de risco (under_review), fora de succeeded',
+              example: 0
+            },
+            failed: {
+              type: 'integer',
+              example: 1
+            },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  index: {
+                    type: 'integer',
+                    description: 'Posição do item na lista enviada'
+                  },
+                  status: {
+                    type: 'string',
+                    enum: ['completed', 'under_review', 'failed', 'rolled_back']
+                  },
+                  transferId: {
+                    type: 'integer'
+                  },
+                  transfer: {
+                    $ref: '#/components/schemas/Transfer'
+                  },
+                  error: {
+                    type: 'string',
+                    example: 'Saldo insuficiente'
+                  },
+                  code: {
+                    type: 'string',
+                    example: 'INSUFFICIENT_BALANCE'
+                  }
+                }
+              }
+            },
+            createdAt: {
               type: 'string',
               format: 'date-time'
             }
           }
         },
-        Transfer: {
+        RecurringTransfer: {
           type: 'object',
           properties: {
             id: {
@@ -78,19 +794,50 @@ const options = {
             },
             amount: {
               type: 'number',
-              example: 100.50
+              example: 300.00
             },
             description: {
               type: 'string',
-              example: 'Transferência PIX'
+              example: 'Aluguel'
             },
-            isFavorite: {
-              type: 'boolean',
-              example: false
+            frequency: {
+              type: 'string',
+              enum: ['daily', 'weekly', 'monthly'],
+              example: 'monthly'
+            },
+            startDate: {
+              type: 'string',
+              format: 'date-time'
+            },
+            endDate: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            maxOccurrences: {
+              type: 'integer',
+              nullable: true,
+              example: 12
             },
             status: {
               type: 'string',
-              example: 'completed'
+              enum: ['active', 'paused', 'completed', 'cancelled'],
+              example: 'active'
+            },
+            occurrences: {
+              type: 'integer',
+              description: 'Execuções já realizadas, com sucesso ou falha',
+              example: 0
+            },
+            nextRunAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            lastRunAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
             },
             createdAt: {
               type: 'string',
@@ -98,6 +845,209 @@ const options = {
             }
           }
         },
+        TransferLimit: {
+          type: 'object',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              example: true
+            },
+            limit: {
+              type: 'number',
+              example: 20000
+            },
+            used: {
+              type: 'number',
+              example: 1500.50
+            },
+            remaining: {
+              type: 'number',
+              example: 18499.50
+            },
+            resetsAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Início do próximo dia/mês no fuso configurado'
+            },
+            timeZone: {
+              type: 'string',
+              example: 'America/Sao_Paulo'
+            }
+          }
+        },
+        BalancePoint: {
+          type: 'object',
+          properties: {
+            periodStart: {
+              type: 'string',
+              format: 'date-time'
+            },
+            periodEnd: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Fim do dia/mês (exclusivo), ou o fim do período consultado'
+            },
+            balance: {
+              type: 'number',
+              description: 'Saldo ao fim do intervalo',
+              example: 850.00
+            },
+            change: {
+              type: 'number',
+              description: 'Variação do saldo no intervalo',
+              example: -150.00
+            }
+          }
+        },
+        BalanceHistory: {
+          type: 'object',
+          properties: {
+            account: {
+              type: 'string',
+              example: '123456'
+            },
+            currency: {
+              type: 'string',
+              example: 'BRL'
+            },
+            interval: {
+              type: 'string',
+              enum: ['day', 'month'],
+              example: 'day'
+            },
+            timeZone: {
+              type: 'string',
+              example: 'America/Sao_Paulo'
+            },
+            from: {
+              type: 'string',
+              format: 'date-time'
+            },
+            to: {
+              type: 'string',
+              format: 'date-time'
+            },
+            openingBalance: {
+              type: 'number',
+              example: 1000.00
+            },
+            points: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/BalancePoint'
+              }
+            }
+          }
+        },
+        StatementEntry: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Id do lançamento no ledger',
+              example: 12
+            },
+            date: {
+              type: 'string',
+              format: 'date-time'
+            },
+            description: {
+              type: 'string',
+              example: 'Pagamento de serviços'
+            },
+            type: {
+              type: 'string',
+              enum: ['credit', 'debit'],
+              example: 'debit'
+            },
+            amount: {
+              type: 'number',
+              description: 'Valor com sinal (negativo para débitos)',
+              example: -150.00
+            },
+            transferId: {
+              type: 'integer',
+              nullable: true,
+              example: 3
+            },
+            counterparty: {
+              type: 'string',
+              nullable: true,
+              example: '654321'
+            },
+            operationId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Id do depósito ou saque'
+            },
+            channel: {
+              type: 'string',
+              nullable: true,
+              enum: ['branch', 'atm', 'boleto', 'external_bank']
+            },
+            balance: {
+              type: 'number',
+              description: 'Saldo após o lançamento',
+              example: 850.00
+            }
+          }
+        },
+        Statement: {
+          type: 'object',
+          properties: {
+            account: {
+              type: 'string',
+              example: '123456'
+            },
+            holder: {
+              type: 'string',
+              example: 'João Silva'
+            },
+            currency: {
+              type: 'string',
+              example: 'BRL'
+            },
+            timeZone: {
+              type: 'string',
+              example: 'America/Sao_Paulo'
+            },
+            from: {
+              type: 'string',
+              format: 'date-time'
+            },
+            to: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Fim do período (exclusivo)'
+            },
+            openingBalance: {
+              type: 'number',
+              example: 1000.00
+            },
+            totalCredits: {
+              type: 'number',
+              example: 0
+            },
+            totalDebits: {
+              type: 'number',
+              example: 150.00
+            },
+            closingBalance: {
+              type: 'number',
+              example: 850.00
+            },
+            generatedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            entries: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/StatementEntry'
+              }
+            }
+          }
+        },
         Favorite: {
           type: 'object',
           properties: {
@@ -119,6 +1069,48 @@ const options = {
             }
           }
         },
+        LedgerEntry: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 1
+            },
+            journalId: {
+              type: 'integer',
+              example: 1
+            },
+            account: {
+              type: 'string',
+              example: '123456'
+            },
+            type: {
+              type: 'string',
+              enum: ['debit', 'credit'],
+              example: 'debit'
+            },
+            amount: {
+              type: 'number',
+              example: 100.50
+            },
+            description: {
+              type: 'string',
+              example: 'Transferência PIX'
+            },
+            referenceType: {
+              type: 'string',
+              example: 'transfer'
+            },
+            referenceId: {
+              type: 'integer',
+              example: 1
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -131,6 +1123,23 @@ const options = {
               items: {
                 type: 'string'
               }
+            },
+            code: {
+              type: 'string',
+              description: 'Código da primeira regra violada (rules engine)',
+              example: 'HIGH_AMOUNT_NON_FAVORITE'
+            },
+            violations: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  rule: { type: 'string', example: 'highAmountNonFavorite' },
+                  code: { type: 'string', example: 'HIGH_AMOUNT_NON_FAVORITE' },
+                  message: { type: 'string' },
+                  approvable: { type: 'boolean', description: 'Pode ser liberada com requestApproval' }
+                }
+              }
             }
           }
         }
@@ -149,9 +1158,37 @@ const options = {
         name: 'Transferências',
         description: 'Endpoints relacionados às transferências'
       },
+      {
+        name: 'Solicitações de Pagamento',
+        description: 'Endpoints para solicitar dinheiro a outra conta e responder às solicitações'
+      },
+      {
+        name: 'Chaves',
+        description: 'Chaves (e-mail, telefone, CPF ou aleatória) usadas como destino de transferências'
+      },
+      {
+        name: 'Contas',
+        description: 'Depósitos e saques por canal (agência, caixa eletrônico, boleto ou banco externo)'
+      },
+      {
+        name: 'Categorias',
+        description: 'Categorias e tags das transferências e regras que sugerem a categoria'
+      },
+      {
+        name: 'Comprovantes',
+        description: 'Conferência pública da autenticidade de comprovantes de transferência'
+      },
+      {
+        name: 'Transferências Recorrentes',
+        description: 'Endpoints relacionados às ordens permanentes de transferência'
+      },
       {
         name: 'Favoritos',
         description: 'Endpoints relacionados aos favoritos'
+      },
+      {
+        name: 'Administração',
+        description: 'Análise de risco das transferências e ajustes de regras por usuário (restrito à conta de administrador de ADMIN_EMAIL)'
       }
     ]
   },
@@ -0,0 +1,88 @@
+const aliasKeyService = require('../services/aliasKeyService');
+
+class AliasKeyController {
+  async createAliasKey(req, res) {
+    try {
+      const key = aliasKeyService.createAliasKey(req.user.userId, req.body);
+      
+      res.status(201).json({
+        message: 'Chave cadastrada com sucesso',
+        data: key
+      });
+    } catch (error) {
+      if (error.message.includes('já cadastrada') || error.message.includes('já possui') || error.message.includes('Limite de')) {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('não encontrado')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getAliasKeys(req, res) {
+    try {
+      const keys = aliasKeyService.getAliasKeys(req.user.userId);
+      
+      res.status(200).json({
+        message: 'Chaves recuperadas com sucesso',
+        data: keys
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
+  async lookupKey(req, res) {
+    try {
+      const result = aliasKeyService.lookupKey(req.query.key);
+      
+      res.status(200).json({
+        message: 'Chave encontrada',
+        data: result
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async removeAliasKey(req, res) {
+    try {
+      const result = aliasKeyService.removeAliasKey(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: result.message
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AliasKeyController();
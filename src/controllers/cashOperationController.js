@@ -0,0 +1,93 @@
+const cashOperationService = require('../services/cashOperationService');
+
+const CREATE_MESSAGES = {
+  deposit: 'Depósito realizado com sucesso',
+  withdrawal: 'Saque realizado com sucesso'
+};
+
+// Depósito e saque respondem da mesma forma; limites diários e por saque respondem 403
+const executeOperation = (req, res, type) => {
+  try {
+    const operation = type === 'deposit'
+      ? cashOperationService.deposit(req.user.userId, req.body)
+      : cashOperationService.withdraw(req.user.userId, req.body);
+    
+    res.status(201).json({
+      message: CREATE_MESSAGES[type],
+      data: operation
+    });
+  } catch (error) {
+    if (error.message.includes('Limite')) {
+      return res.status(403).json({
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('não encontrado')) {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+    
+    res.status(400).json({
+      error: error.message
+    });
+  }
+};
+
+class CashOperationController {
+  async createDeposit(req, res) {
+    return executeOperation(req, res, 'deposit');
+  }
+
+  async createWithdrawal(req, res) {
+    return executeOperation(req, res, 'withdrawal');
+  }
+
+  async getOperations(req, res) {
+    try {
+      const operations = cashOperationService.getOperations(req.user.userId, { type: req.query.type });
+      
+      res.status(200).json({
+        message: 'Operações recuperadas com sucesso',
+        data: operations
+      });
+    } catch (error) {
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getOperation(req, res) {
+    try {
+      const operation = cashOperationService.getOperation(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: 'Operação recuperada com sucesso',
+        data: operation
+      });
+    } catch (error) {
+      res.status(404).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getLimits(req, res) {
+    try {
+      const limits = cashOperationService.getLimits(req.user.userId);
+      
+      res.status(200).json({
+        message: 'Limites recuperados com sucesso',
+        data: limits
+      });
+    } catch (error) {
+      res.status(404).json({
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CashOperationController();
@@ -0,0 +1,67 @@
+const categoryService = require('../services/categoryService');
+
+class CategoryController {
+  async createRule(req, res) {
+    try {
+      const rule = categoryService.createRule(req.user.userId, req.body);
+      
+      res.status(201).json({
+        message: 'Regra criada com sucesso',
+        data: rule
+      });
+    } catch (error) {
+      if (error.message.includes('Limite de')) {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('não encontrado')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getRules(req, res) {
+    try {
+      const rules = categoryService.getRules(req.user.userId);
+      
+      res.status(200).json({
+        message: 'Regras recuperadas com sucesso',
+        data: rules
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
+  async removeRule(req, res) {
+    try {
+      const result = categoryService.removeRule(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: result.message
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CategoryController();
@@ -0,0 +1,66 @@
+const fraudService = require('../services/fraudService');
+const transferService = require('../services/transferService');
+
+// Alerta inexistente responde 404; já resolvido ou bloqueado, 409
+const sendResolveError = (error, res) => {
+  if (error.message.includes('não encontrad')) {
+    return res.status(404).json({
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('Somente')) {
+    return res.status(409).json({
+      error: error.message
+    });
+  }
+  
+  res.status(400).json({
+    error: error.message
+  });
+};
+
+class FraudController {
+  async getAlerts(req, res) {
+    try {
+      const alerts = fraudService.getAlerts(req.query);
+      
+      res.status(200).json({
+        message: 'Alertas recuperados com sucesso',
+        data: alerts
+      });
+    } catch (error) {
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async approveAlert(req, res) {
+    try {
+      const alert = transferService.approveFraudReview(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: 'Transferência aprovada com sucesso',
+        data: alert
+      });
+    } catch (error) {
+      sendResolveError(error, res);
+    }
+  }
+
+  async rejectAlert(req, res) {
+    try {
+      const alert = transferService.rejectFraudReview(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: 'Transferência rejeitada; o valor foi devolvido ao remetente',
+        data: alert
+      });
+    } catch (error) {
+      sendResolveError(error, res);
+    }
+  }
+}
+
+module.exports = new FraudController();
@@ -0,0 +1,56 @@
+const overdraftService = require('../services/overdraftService');
+
+class OverdraftController {
+  async getOverdraft(req, res) {
+    try {
+      const overdraft = overdraftService.getOverdraft(req.user.userId);
+      
+      res.status(200).json({
+        message: 'Cheque especial recuperado com sucesso',
+        data: overdraft
+      });
+    } catch (error) {
+      res.status(404).json({
+        error: error.message
+      });
+    }
+  }
+
+  async updateOverdraft(req, res) {
+    try {
+      const overdraft = overdraftService.setLimit(req.user.userId, req.body.limit);
+      
+      res.status(200).json({
+        message: 'Limite do cheque especial atualizado com sucesso',
+        data: overdraft
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrado')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getInterestCharges(req, res) {
+    try {
+      const charges = overdraftService.getInterestCharges(req.user.userId);
+      
+      res.status(200).json({
+        message: 'Juros recuperados com sucesso',
+        data: charges
+      });
+    } catch (error) {
+      res.status(404).json({
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new OverdraftController();
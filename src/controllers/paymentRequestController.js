@@ -0,0 +1,120 @@
+const paymentRequestService = require('../services/paymentRequestService');
+
+// Aceitar uma solicitação é uma transferência: os mesmos códigos de limite (e o bloqueio por risco) respondem 403
+const LIMIT_RULE_CODES = ['NIGHT_TIME_LIMIT', 'DAILY_LIMIT_EXCEEDED', 'MONTHLY_LIMIT_EXCEEDED', 'FRAUD_BLOCKED'];
+
+const ACCEPT_MESSAGES = {
+  accepted: 'Solicitação de pagamento paga com sucesso',
+  under_review: 'Pagamento retido para análise de segurança'
+};
+
+// Violações do rules engine incluem o código e a lista completa de regras violadas; o bloqueio, só o código
+const errorBody = (error) => {
+  if (error.violations) {
+    return { error: error.message, code: error.code, violations: error.violations };
+  }
+  return error.code === 'FRAUD_BLOCKED' ? { error: error.message, code: error.code } : { error: error.message };
+};
+
+class PaymentRequestController {
+  async createPaymentRequest(req, res) {
+    try {
+      const request = paymentRequestService.createPaymentRequest(req.user.userId, req.body);
+      
+      res.status(201).json({
+        message: 'Solicitação de pagamento criada com sucesso',
+        data: request
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrad')) {
+        return res.status(404).json(errorBody(error));
+      }
+      
+      res.status(400).json(errorBody(error));
+    }
+  }
+
+  async getIncomingPaymentRequests(req, res) {
+    try {
+      const requests = paymentRequestService.getIncomingPaymentRequests(req.user.userId);
+      
+      res.status(200).json({
+        message: 'Solicitações recebidas recuperadas com sucesso',
+        data: requests
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrado')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getOutgoingPaymentRequests(req, res) {
+    try {
+      const requests = paymentRequestService.getOutgoingPaymentRequests(req.user.userId);
+      
+      res.status(200).json({
+        message: 'Solicitações enviadas recuperadas com sucesso',
+        data: requests
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
+  async acceptPaymentRequest(req, res) {
+    try {
+      const request = paymentRequestService.acceptPaymentRequest(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: ACCEPT_MESSAGES[request.status],
+        data: request
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json(errorBody(error));
+      }
+
+      if (error.message.includes('expirada') || error.message.includes('Somente solicitações pendentes')) {
+        return res.status(409).json(errorBody(error));
+      }
+
+      if (error.message.includes('favorecidos') || LIMIT_RULE_CODES.includes(error.code)) {
+        return res.status(403).json(errorBody(error));
+      }
+      
+      res.status(400).json(errorBody(error));
+    }
+  }
+
+  async declinePaymentRequest(req, res) {
+    try {
+      const request = paymentRequestService.declinePaymentRequest(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: 'Solicitação de pagamento recusada',
+        data: request
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      
+      res.status(409).json({
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PaymentRequestController();
@@ -0,0 +1,20 @@
+const receiptService = require('../services/receiptService');
+
+class ReceiptController {
+  async verifyReceipt(req, res) {
+    try {
+      const result = receiptService.verifyReceipt(req.body);
+      
+      res.status(200).json({
+        message: result.message,
+        data: result
+      });
+    } catch (error) {
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ReceiptController();
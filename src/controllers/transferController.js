@@ -1,4 +1,38 @@
 const transferService = require('../services/transferService');
+const recurringTransferService = require('../services/recurringTransferService');
+const transferBatchService = require('../services/transferBatchService');
+const transferHistoryService = require('../services/transferHistoryService');
+const receiptService = require('../services/receiptService');
+const paymentCodeService = require('../services/paymentCodeService');
+const categoryService = require('../services/categoryService');
+const config = require('../config/environment');
+const { FORMATS: RECEIPT_FORMATS } = require('../utils/receiptFormats');
+const { FORMATS: QR_CODE_FORMATS } = require('../utils/qrcode');
+
+const CREATE_MESSAGES = {
+  completed: 'Transferência realizada com sucesso',
+  scheduled: 'Transferência agendada com sucesso',
+  pending_approval: 'Transferência aguardando confirmação',
+  under_review: 'Transferência retida para análise de segurança'
+};
+
+const BATCH_MESSAGES = {
+  completed: 'Lote processado com sucesso',
+  partially_completed: 'Lote processado parcialmente',
+  failed: 'Nenhuma transferência do lote foi realizada'
+};
+
+// Regras de limite e o bloqueio da análise de risco respondem 403, como a de valor alto para não favorecidos
+const LIMIT_RULE_CODES = ['NIGHT_TIME_LIMIT', 'DAILY_LIMIT_EXCEEDED', 'MONTHLY_LIMIT_EXCEEDED', 'FRAUD_BLOCKED'];
+
+// Violações do rules engine incluem o código e a lista completa de regras violadas;
+// o bloqueio por risco traz só o código (os motivos ficam no alerta, para os administradores)
+const errorBody = (error) => {
+  if (error.violations) {
+    return { error: error.message, code: error.code, violations: error.violations };
+  }
+  return error.code === 'FRAUD_BLOCKED' ? { error: error.message, code: error.code } : { error: error.message };
+};
 
 class TransferController {
   async createTransfer(req, res) {
@@ -6,23 +40,123 @@ class TransferController {
       const transfer = await transferService.createTransfer(req.user.userId, req.body);
       
       res.status(201).json({
-        message: 'Transferência realizada com sucesso',
+        message: CREATE_MESSAGES[transfer.status] || CREATE_MESSAGES.completed,
         data: transfer
       });
     } catch (error) {
       if (error.message.includes('Saldo insuficiente')) {
-        return res.status(400).json({
+        return res.status(400).json(errorBody(error));
+      }
+      
+      if (error.message.includes('favorecidos') || LIMIT_RULE_CODES.includes(error.code)) {
+        return res.status(403).json(errorBody(error));
+      }
+
+      if (error.message.includes('não encontrada') || error.message.includes('QR Code não encontrado')) {
+        return res.status(404).json(errorBody(error));
+      }
+
+      if (error.message.includes('QR Code expirado') || error.message.includes('QR Code já foi pago')) {
+        return res.status(409).json(errorBody(error));
+      }
+      
+      res.status(400).json(errorBody(error));
+    }
+  }
+
+  // Prévia da tarifa e do total debitado, sem realizar a transferência
+  async quoteTransfer(req, res) {
+    try {
+      const quote = transferService.quoteTransfer(req.user.userId, req.body);
+
+      res.status(200).json({
+        message: 'Tarifa calculada com sucesso',
+        data: quote
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrad')) {
+        return res.status(404).json(errorBody(error));
+      }
+
+      res.status(400).json(errorBody(error));
+    }
+  }
+
+  // JSON traz o payload (copia e cola); svg e png devolvem a imagem do QR Code
+  async createPaymentCode(req, res) {
+    const { format = 'json' } = req.query;
+    const formats = ['json', ...Object.keys(QR_CODE_FORMATS)];
+
+    if (!formats.includes(format)) {
+      return res.status(400).json({
+        error: `Formato inválido. Use um de: ${formats.join(', ')}`
+      });
+    }
+
+    try {
+      const paymentCode = paymentCodeService.createPaymentCode(req.user.userId, req.body);
+
+      if (format === 'json') {
+        return res.status(201).json({
+          message: 'QR Code gerado com sucesso',
+          data: paymentCode
+        });
+      }
+
+      const { contentType, render } = QR_CODE_FORMATS[format];
+      res.set('Content-Type', contentType);
+      res.status(201).send(render(paymentCode.payload));
+    } catch (error) {
+      if (error.message.includes('não encontrad')) {
+        return res.status(404).json({
           error: error.message
         });
       }
-      
-      if (error.message.includes('favorecidos')) {
-        return res.status(403).json({
+
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async decodePaymentCode(req, res) {
+    try {
+      const paymentCode = paymentCodeService.decodePaymentCode(req.body.payload);
+
+      res.status(200).json({
+        message: 'QR Code lido com sucesso',
+        data: paymentCode
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrad')) {
+        return res.status(404).json({
           error: error.message
         });
       }
 
-      if (error.message.includes('não encontrada')) {
+      if (error.message.includes('expirado') || error.message.includes('já foi pago')) {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  // O lote é registrado mesmo quando itens falham; o resultado de cada item vem em `items`
+  async createTransferBatch(req, res) {
+    try {
+      const batch = transferBatchService.createTransferBatch(req.user.userId, req.body);
+      
+      res.status(201).json({
+        message: BATCH_MESSAGES[batch.status],
+        data: batch
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrado')) {
         return res.status(404).json({
           error: error.message
         });
@@ -34,12 +168,56 @@ class TransferController {
     }
   }
 
+  async getTransferBatch(req, res) {
+    try {
+      const batch = transferBatchService.getTransferBatch(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: 'Lote recuperado com sucesso',
+        data: batch
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrado')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
+  // Filtros, ordenação e cursor vêm da query string; a próxima página é pedida com cursor=pageInfo.endCursor
   async getTransfers(req, res) {
     try {
-      const transfers = transferService.getTransfersByUserId(req.user.userId);
+      const { edges, pageInfo } = transferHistoryService.searchTransfers(req.user.userId, req.query);
       
       res.status(200).json({
         message: 'Transferências recuperadas com sucesso',
+        data: edges.map(edge => edge.node),
+        pageInfo
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrado')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getScheduledTransfers(req, res) {
+    try {
+      const transfers = transferService.getScheduledTransfers(req.user.userId);
+      
+      res.status(200).json({
+        message: 'Transferências agendadas recuperadas com sucesso',
         data: transfers
       });
     } catch (error) {
@@ -49,6 +227,234 @@ class TransferController {
     }
   }
 
+  async cancelScheduledTransfer(req, res) {
+    try {
+      const transfer = transferService.cancelScheduledTransfer(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: 'Transferência agendada cancelada com sucesso',
+        data: transfer
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('Somente')) {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+      
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async confirmTransfer(req, res) {
+    try {
+      const transfer = await transferService.confirmTransfer(req.user.userId, req.params.id, req.body.password);
+      
+      res.status(200).json({
+        message: 'Transferência confirmada com sucesso',
+        data: transfer
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('Senha inválida')) {
+        return res.status(403).json({
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('Somente') || error.message.includes('expirada')) {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+      
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async cancelPendingTransfer(req, res) {
+    try {
+      const transfer = transferService.cancelPendingTransfer(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: 'Transferência cancelada com sucesso',
+        data: transfer
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('Somente') || error.message.includes('expirada')) {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+      
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async refundTransfer(req, res) {
+    try {
+      const refund = transferService.refundTransfer(req.user.userId, req.params.id, req.body);
+      
+      res.status(201).json({
+        message: 'Estorno realizado com sucesso',
+        data: refund
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('Somente') || error.message.includes('estornar um estorno')) {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+      
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async createRecurringTransfer(req, res) {
+    try {
+      const recurring = recurringTransferService.createRecurringTransfer(req.user.userId, req.body);
+      
+      res.status(201).json({
+        message: 'Transferência recorrente criada com sucesso',
+        data: recurring
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getRecurringTransfers(req, res) {
+    try {
+      const recurring = recurringTransferService.getRecurringTransfers(req.user.userId);
+      
+      res.status(200).json({
+        message: 'Transferências recorrentes recuperadas com sucesso',
+        data: recurring
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getRecurringTransfer(req, res) {
+    try {
+      const recurring = recurringTransferService.getRecurringTransfer(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: 'Transferência recorrente recuperada com sucesso',
+        data: {
+          ...recurring,
+          executions: recurringTransferService.getExecutions(recurring.id)
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
+  async updateRecurringTransfer(req, res) {
+    try {
+      const recurring = recurringTransferService.updateRecurringTransfer(req.user.userId, req.params.id, req.body);
+      
+      res.status(200).json({
+        message: 'Transferência recorrente atualizada com sucesso',
+        data: recurring
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('Somente')) {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+      
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async cancelRecurringTransfer(req, res) {
+    try {
+      const recurring = recurringTransferService.cancelRecurringTransfer(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: 'Transferência recorrente cancelada com sucesso',
+        data: recurring
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('Somente')) {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+      
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
   async addFavorite(req, res) {
     try {
       const { account } = req.body;
@@ -92,6 +498,114 @@ class TransferController {
     }
   }
 
+  async getTransferReceipt(req, res) {
+    const { format = 'json' } = req.query;
+    const formats = ['json', ...Object.keys(RECEIPT_FORMATS)];
+
+    if (!formats.includes(format)) {
+      return res.status(400).json({
+        error: `Formato inválido. Use um de: ${formats.join(', ')}`
+      });
+    }
+
+    try {
+      const receipt = receiptService.getReceipt(req.user.userId, req.params.id);
+
+      if (format === 'json') {
+        return res.status(200).json({
+          message: 'Comprovante gerado com sucesso',
+          data: receipt
+        });
+      }
+
+      const { contentType, render } = RECEIPT_FORMATS[format];
+      res.set('Content-Type', contentType);
+      if (format === 'pdf') {
+        res.set('Content-Disposition', `attachment; filename="comprovante-${receipt.transferId}.pdf"`);
+      }
+      res.status(200).send(render(receipt, config.statements.timeZone));
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('apenas para transferências concluídas')) {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getTransferCategory(req, res) {
+    try {
+      const category = categoryService.getTransferCategory(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: 'Categoria recuperada com sucesso',
+        data: category
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async categorizeTransfer(req, res) {
+    try {
+      const category = categoryService.categorizeTransfer(req.user.userId, req.params.id, req.body);
+      
+      res.status(200).json({
+        message: 'Transferência categorizada com sucesso',
+        data: category
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async clearTransferCategory(req, res) {
+    try {
+      const category = categoryService.clearTransferCategory(req.user.userId, req.params.id);
+      
+      res.status(200).json({
+        message: 'Categoria removida com sucesso',
+        data: category
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
   async removeFavorite(req, res) {
     try {
       const { id } = req.params;
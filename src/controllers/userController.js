@@ -1,4 +1,11 @@
 const userService = require('../services/userService');
+const statementService = require('../services/statementService');
+const balanceHistoryService = require('../services/balanceHistoryService');
+const analyticsService = require('../services/analyticsService');
+const productService = require('../services/productService');
+const { FORMATS, fileName } = require('../utils/statementFormats');
+
+const STATEMENT_FORMATS = ['json', ...Object.keys(FORMATS)];
 
 class UserController {
   async register(req, res) {
@@ -22,6 +29,19 @@ class UserController {
     }
   }
 
+  async getProducts(req, res) {
+    try {
+      res.status(200).json({
+        message: 'Produtos recuperados com sucesso',
+        data: productService.getProducts()
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  }
+
   async getUsers(req, res) {
     try {
       const users = userService.getAllUsers();
@@ -66,6 +86,154 @@ class UserController {
       });
     }
   }
+
+  async getBalanceHistory(req, res) {
+    try {
+      const { from, to, interval } = req.query;
+      const history = balanceHistoryService.getBalanceHistory(req.user.userId, { from, to, interval });
+      
+      res.status(200).json({
+        message: 'Histórico de saldo recuperado com sucesso',
+        data: history
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrado')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getBalanceAt(req, res) {
+    try {
+      const balance = balanceHistoryService.getBalanceAt(req.user.userId, req.query.date);
+      
+      res.status(200).json({
+        message: 'Saldo recuperado com sucesso',
+        data: balance
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrado')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getAnalytics(req, res) {
+    try {
+      const { period, date } = req.query;
+      const analytics = analyticsService.getAnalytics(req.user.userId, { period, date });
+      
+      res.status(200).json({
+        message: 'Análise de gastos recuperada com sucesso',
+        data: analytics
+      });
+    } catch (error) {
+      if (error.message.includes('não encontrado')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getLimits(req, res) {
+    try {
+      const limits = userService.getUserLimits(req.user.userId);
+      
+      res.status(200).json({
+        message: 'Limites recuperados com sucesso',
+        data: limits
+      });
+    } catch (error) {
+      res.status(404).json({
+        error: error.message
+      });
+    }
+  }
+
+  // Administrador ajusta as regras de transferência de um usuário
+  async updateRuleSettings(req, res) {
+    try {
+      const result = userService.updateRuleSettings(req.params.id, req.body.ruleSettings);
+      
+      res.status(200).json({
+        message: 'Ajustes de regras atualizados com sucesso',
+        data: result
+      });
+    } catch (error) {
+      const status = error.message.includes('não encontrado') ? 404 : 400;
+      res.status(status).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getLedger(req, res) {
+    try {
+      const entries = userService.getLedgerEntries(req.user.userId);
+      
+      res.status(200).json({
+        message: 'Lançamentos recuperados com sucesso',
+        data: entries
+      });
+    } catch (error) {
+      res.status(404).json({
+        error: error.message
+      });
+    }
+  }
+
+  async getStatement(req, res) {
+    const { from, to, format = 'json' } = req.query;
+
+    if (!STATEMENT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Formato inválido. Use um de: ${STATEMENT_FORMATS.join(', ')}`
+      });
+    }
+
+    try {
+      const statement = statementService.getStatement(req.user.userId, { from, to });
+
+      if (format === 'json') {
+        return res.status(200).json({
+          message: 'Extrato gerado com sucesso',
+          data: statement
+        });
+      }
+
+      const { contentType, render } = FORMATS[format];
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', `attachment; filename="${fileName(statement, format)}"`);
+      res.status(200).send(render(statement));
+    } catch (error) {
+      if (error.message.includes('não encontrado')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+
+      res.status(400).json({
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = new UserController();
@@ -0,0 +1,112 @@
+const User = require('../models/User');
+const Transfer = require('../models/Transfer');
+const Favorite = require('../models/Favorite');
+const LedgerEntry = require('../models/LedgerEntry');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+const RecurringTransfer = require('../models/RecurringTransfer');
+const TransferBatch = require('../models/TransferBatch');
+const PaymentRequest = require('../models/PaymentRequest');
+const AliasKey = require('../models/AliasKey');
+const PaymentCode = require('../models/PaymentCode');
+const CategoryRule = require('../models/CategoryRule');
+const TransferCategory = require('../models/TransferCategory');
+const CashOperation = require('../models/CashOperation');
+const InterestCharge = require('../models/InterestCharge');
+const FraudAlert = require('../models/FraudAlert');
+const Money = require('../models/Money');
+
+/**
+ * 📚 Registro de coleções persistidas
+ * Define, para cada coleção, o model usado para reidratar os registros,
+ * quais campos são datas (serializados como ISO string) e quais são
+ * valores monetários (serializados como { cents, currency }).
+ * `indexes` lista os campos buscados por igualdade com frequência (índices no SQLite).
+ */
+const collections = {
+  users: { model: User, dates: ['createdAt', 'updatedAt'], money: ['balance', 'overdraftLimit'] },
+  transfers: {
+    model: Transfer,
+    dates: ['createdAt', 'scheduledFor', 'executedAt', 'cancelledAt', 'expiresAt'],
+    money: ['amount', 'refundedAmount', 'fee'],
+    indexes: ['fromAccount', 'toAccount']
+  },
+  favorites: { model: Favorite, dates: ['createdAt'], money: [] },
+  ledgerEntries: { model: LedgerEntry, dates: ['createdAt'], money: ['amount'] },
+  idempotencyKeys: { model: IdempotencyRecord, dates: ['createdAt', 'expiresAt'], money: [] },
+  recurringTransfers: {
+    model: RecurringTransfer,
+    dates: ['startDate', 'endDate', 'nextRunAt', 'lastRunAt', 'createdAt', 'updatedAt'],
+    money: ['amount']
+  },
+  transferBatches: { model: TransferBatch, dates: ['createdAt'], money: [] },
+  paymentRequests: {
+    model: PaymentRequest,
+    dates: ['expiresAt', 'respondedAt', 'createdAt'],
+    money: ['amount']
+  },
+  aliasKeys: { model: AliasKey, dates: ['createdAt'], money: [] },
+  paymentCodes: {
+    model: PaymentCode,
+    dates: ['expiresAt', 'paidAt', 'createdAt'],
+    money: ['amount']
+  },
+  categoryRules: { model: CategoryRule, dates: ['createdAt'], money: [] },
+  transferCategories: { model: TransferCategory, dates: ['createdAt', 'updatedAt'], money: [] },
+  cashOperations: { model: CashOperation, dates: ['createdAt'], money: ['amount'] },
+  interestCharges: { model: InterestCharge, dates: ['createdAt'], money: ['balance', 'amount'] },
+  fraudAlerts: { model: FraudAlert, dates: ['createdAt', 'reviewedAt'], money: ['amount'] }
+};
+
+const getCollection = (name) => {
+  const collection = collections[name];
+  if (!collection) {
+    throw new Error(`Coleção desconhecida: ${name}`);
+  }
+  return collection;
+};
+
+// Converte um registro em objeto simples, pronto para JSON.stringify
+// (o spread ignora toJSON, então campos como password são preservados)
+const serialize = (name, record) => {
+  const { money } = getCollection(name);
+  const data = { ...record };
+
+  money.forEach(field => {
+    if (data[field] instanceof Money) {
+      data[field] = { cents: data[field].cents, currency: data[field].currency };
+    }
+  });
+
+  return JSON.stringify(data);
+};
+
+// Reconstrói a instância do model a partir do JSON armazenado
+const deserialize = (name, data) => {
+  const { model, dates, money } = getCollection(name);
+  const record = Object.assign(Object.create(model.prototype), JSON.parse(data));
+
+  dates.forEach(field => {
+    if (record[field]) {
+      record[field] = new Date(record[field]);
+    }
+  });
+
+  // Registros antigos guardavam o valor decimal como número
+  money.forEach(field => {
+    const value = record[field];
+    if (value && typeof value === 'object') {
+      record[field] = new Money(value.cents, value.currency);
+    } else if (typeof value === 'number') {
+      record[field] = Money.fromDecimal(Math.round(value * 100) / 100);
+    }
+  });
+
+  return record;
+};
+
+module.exports = {
+  collections,
+  getCollection,
+  serialize,
+  deserialize
+};
@@ -1,77 +1,358 @@
-// Banco de dados em memória
-const database = {
-  users: [],
-  transfers: [],
-  favorites: [],
-  nextUserId: 1,
-  nextTransferId: 1,
-  nextFavoriteId: 1
+const config = require('../config/environment');
+const MemoryStore = require('./stores/memoryStore');
+
+/**
+ * 🗄️ Seleção do store de persistência
+ * - DATABASE_URL vazio: banco em memória (padrão)
+ * - DATABASE_URL=sqlite:./data/pgats.db: banco SQLite em arquivo
+ */
+const createStore = (databaseUrl = '') => {
+  if (!databaseUrl) {
+    return new MemoryStore();
+  }
+
+  if (databaseUrl.startsWith('sqlite:')) {
+    const SqliteStore = require('./stores/sqliteStore');
+    return new SqliteStore(databaseUrl.slice('sqlite:'.length) || ':memory:');
+  }
+
+  throw new Error(`DATABASE_URL não suportada: ${databaseUrl}`);
 };
 
+const store = createStore(config.external.databaseUrl);
+
 // Helper functions
 const generateAccount = () => {
   return Math.floor(Math.random() * 1000000).toString().padStart(6, '0');
 };
 
+// Unit of work: todas as alterações feitas em `work` são aplicadas
+// juntas ou desfeitas se qualquer passo lançar erro
+const runInTransaction = (work) => {
+  return store.transaction(work);
+};
+
+const nextId = (sequence) => {
+  return store.nextId(sequence);
+};
+
 const findUserByEmail = (email) => {
-  return database.users.find(user => user.email === email);
+  return store.findOne('users', { email });
 };
 
 const findUserById = (id) => {
-  return database.users.find(user => user.id === parseInt(id));
+  return store.findById('users', parseInt(id));
 };
 
 const findUserByAccount = (account) => {
-  return database.users.find(user => user.account === account);
+  return store.findOne('users', { account });
 };
 
 const addUser = (user) => {
-  database.users.push(user);
-  return user;
+  return store.insert('users', user);
+};
+
+const updateUser = (user) => {
+  return store.update('users', user);
 };
 
 const addTransfer = (transfer) => {
-  database.transfers.push(transfer);
-  return transfer;
+  return store.insert('transfers', transfer);
+};
+
+const updateTransfer = (transfer) => {
+  return store.update('transfers', transfer);
+};
+
+const findTransferById = (id) => {
+  return store.findById('transfers', parseInt(id));
+};
+
+const findTransfers = (criteria) => {
+  return store.find('transfers', criteria);
 };
 
 const addFavorite = (favorite) => {
-  database.favorites.push(favorite);
-  return favorite;
+  return store.insert('favorites', favorite);
+};
+
+const findFavoriteById = (id) => {
+  return store.findById('favorites', parseInt(id));
+};
+
+const removeFavorite = (id) => {
+  return store.remove('favorites', parseInt(id));
 };
 
 const isFavorite = (userId, toAccount) => {
-  return database.favorites.some(fav => 
-    fav.userId === parseInt(userId) && fav.account === toAccount
-  );
+  return Boolean(store.findOne('favorites', { userId: parseInt(userId), account: toAccount }));
 };
 
 const getAllUsers = () => {
-  return database.users.map(user => user.toJSON());
+  return store.find('users').map(user => user.toJSON());
+};
+
+// Transferências enviadas ou recebidas pela conta, em ordem de id. As buscas por igualdade
+// usam os índices de fromAccount/toAccount no SQLite, sem ler a tabela inteira
+const findTransfersByAccount = (account) => {
+  if (!account) {
+    return [];
+  }
+  const sent = store.find('transfers', { fromAccount: account });
+  const received = store.find('transfers', { toAccount: account })
+    .filter(transfer => transfer.fromAccount !== account);
+  return [...sent, ...received].sort((a, b) => a.id - b.id);
 };
 
 const getTransfersByUserId = (userId) => {
-  return database.transfers.filter(transfer => 
-    transfer.fromAccount === findUserById(userId)?.account || 
-    transfer.toAccount === findUserById(userId)?.account
-  );
+  return findTransfersByAccount(findUserById(userId)?.account);
 };
 
 const getFavoritesByUserId = (userId) => {
-  return database.favorites.filter(fav => fav.userId === parseInt(userId));
+  return store.find('favorites', { userId: parseInt(userId) });
+};
+
+const addLedgerEntry = (entry) => {
+  return store.insert('ledgerEntries', entry);
+};
+
+const getLedgerEntriesByAccount = (account) => {
+  return store.find('ledgerEntries', { account });
+};
+
+const findIdempotencyRecord = (userId, scope, key) => {
+  return store.findOne('idempotencyKeys', { userId: parseInt(userId), scope, key });
+};
+
+const addIdempotencyRecord = (record) => {
+  return store.insert('idempotencyKeys', record);
+};
+
+const updateIdempotencyRecord = (record) => {
+  return store.update('idempotencyKeys', record);
+};
+
+const removeIdempotencyRecord = (id) => {
+  return store.remove('idempotencyKeys', id);
+};
+
+const addRecurringTransfer = (recurringTransfer) => {
+  return store.insert('recurringTransfers', recurringTransfer);
+};
+
+const updateRecurringTransfer = (recurringTransfer) => {
+  return store.update('recurringTransfers', recurringTransfer);
+};
+
+const findRecurringTransferById = (id) => {
+  return store.findById('recurringTransfers', parseInt(id));
+};
+
+const findRecurringTransfers = (criteria) => {
+  return store.find('recurringTransfers', criteria);
+};
+
+const addTransferBatch = (batch) => {
+  return store.insert('transferBatches', batch);
+};
+
+const findTransferBatchById = (id) => {
+  return store.findById('transferBatches', parseInt(id));
+};
+
+const addPaymentRequest = (paymentRequest) => {
+  return store.insert('paymentRequests', paymentRequest);
+};
+
+const updatePaymentRequest = (paymentRequest) => {
+  return store.update('paymentRequests', paymentRequest);
+};
+
+const findPaymentRequestById = (id) => {
+  return store.findById('paymentRequests', parseInt(id));
+};
+
+const findPaymentRequests = (criteria) => {
+  return store.find('paymentRequests', criteria);
+};
+
+const addAliasKey = (aliasKey) => {
+  return store.insert('aliasKeys', aliasKey);
+};
+
+const findAliasKeyById = (id) => {
+  return store.findById('aliasKeys', parseInt(id));
+};
+
+const findAliasKeyByValue = (type, value) => {
+  return store.findOne('aliasKeys', { type, value });
+};
+
+const getAliasKeysByUserId = (userId) => {
+  return store.find('aliasKeys', { userId: parseInt(userId) });
+};
+
+const removeAliasKey = (id) => {
+  return store.remove('aliasKeys', parseInt(id));
+};
+
+const addPaymentCode = (paymentCode) => {
+  return store.insert('paymentCodes', paymentCode);
+};
+
+const updatePaymentCode = (paymentCode) => {
+  return store.update('paymentCodes', paymentCode);
+};
+
+const findPaymentCodeByTxid = (txid) => {
+  return store.findOne('paymentCodes', { txid });
+};
+
+const findPaymentCodeByTransferId = (transferId) => {
+  return store.findOne('paymentCodes', { transferId: parseInt(transferId) });
+};
+
+const addCategoryRule = (rule) => {
+  return store.insert('categoryRules', rule);
+};
+
+const findCategoryRuleById = (id) => {
+  return store.findById('categoryRules', parseInt(id));
+};
+
+const getCategoryRulesByUserId = (userId) => {
+  return store.find('categoryRules', { userId: parseInt(userId) });
+};
+
+const removeCategoryRule = (id) => {
+  return store.remove('categoryRules', parseInt(id));
+};
+
+const addTransferCategory = (transferCategory) => {
+  return store.insert('transferCategories', transferCategory);
+};
+
+const updateTransferCategory = (transferCategory) => {
+  return store.update('transferCategories', transferCategory);
+};
+
+const findTransferCategory = (userId, transferId) => {
+  return store.findOne('transferCategories', { userId: parseInt(userId), transferId: parseInt(transferId) });
+};
+
+const getTransferCategoriesByUserId = (userId) => {
+  return store.find('transferCategories', { userId: parseInt(userId) });
+};
+
+const removeTransferCategory = (id) => {
+  return store.remove('transferCategories', parseInt(id));
+};
+
+const addCashOperation = (operation) => {
+  return store.insert('cashOperations', operation);
+};
+
+const findCashOperationById = (id) => {
+  return store.findById('cashOperations', parseInt(id));
+};
+
+const findCashOperations = (criteria) => {
+  return store.find('cashOperations', criteria);
+};
+
+const addInterestCharge = (charge) => {
+  return store.insert('interestCharges', charge);
+};
+
+const findInterestCharges = (criteria) => {
+  return store.find('interestCharges', criteria);
+};
+
+const addFraudAlert = (alert) => {
+  return store.insert('fraudAlerts', alert);
+};
+
+const updateFraudAlert = (alert) => {
+  return store.update('fraudAlerts', alert);
+};
+
+const findFraudAlertById = (id) => {
+  return store.findById('fraudAlerts', parseInt(id));
+};
+
+const findFraudAlerts = (criteria) => {
+  return store.find('fraudAlerts', criteria);
+};
+
+const resetDatabase = () => {
+  store.reset();
 };
 
 module.exports = {
-  database,
+  store,
+  createStore,
   generateAccount,
+  runInTransaction,
+  nextId,
   findUserByEmail,
   findUserById,
   findUserByAccount,
   addUser,
+  updateUser,
   addTransfer,
+  updateTransfer,
+  findTransferById,
+  findTransfers,
+  findTransfersByAccount,
   addFavorite,
+  findFavoriteById,
+  removeFavorite,
   isFavorite,
   getAllUsers,
   getTransfersByUserId,
-  getFavoritesByUserId
+  getFavoritesByUserId,
+  addLedgerEntry,
+  getLedgerEntriesByAccount,
+  findIdempotencyRecord,
+  addIdempotencyRecord,
+  updateIdempotencyRecord,
+  removeIdempotencyRecord,
+  addRecurringTransfer,
+  updateRecurringTransfer,
+  findRecurringTransferById,
+  findRecurringTransfers,
+  addTransferBatch,
+  findTransferBatchById,
+  addPaymentRequest,
+  updatePaymentRequest,
+  findPaymentRequestById,
+  findPaymentRequests,
+  addAliasKey,
+  findAliasKeyById,
+  findAliasKeyByValue,
+  getAliasKeysByUserId,
+  removeAliasKey,
+  addPaymentCode,
+  updatePaymentCode,
+  findPaymentCodeByTxid,
+  findPaymentCodeByTransferId,
+  addCategoryRule,
+  findCategoryRuleById,
+  getCategoryRulesByUserId,
+  removeCategoryRule,
+  addTransferCategory,
+  updateTransferCategory,
+  findTransferCategory,
+  getTransferCategoriesByUserId,
+  removeTransferCategory,
+  addCashOperation,
+  findCashOperationById,
+  findCashOperations,
+  addInterestCharge,
+  findInterestCharges,
+  addFraudAlert,
+  updateFraudAlert,
+  findFraudAlertById,
+  findFraudAlerts,
+  resetDatabase
 };
@@ -0,0 +1,142 @@
+const { getCollection } = require('../collections');
+
+/**
+ * 🧠 Memory Store
+ * Implementação em memória da interface de persistência.
+ * Os dados são perdidos quando a aplicação reinicia.
+ *
+ * Interface comum a todos os stores:
+ * - insert(collection, record) / update(collection, record) / remove(collection, id)
+ * - findById(collection, id) / findOne(collection, criteria) / find(collection, criteria)
+ * - nextId(sequence) / currentId(sequence)
+ * - transaction(work): executa `work` (síncrona) de forma atômica
+ * - reset()
+ *
+ * `criteria` pode ser um objeto (igualdade campo a campo) ou uma função predicado.
+ */
+class MemoryStore {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.collections = {};
+    this.sequences = {};
+    this.inTransaction = false;
+  }
+
+  transaction(work) {
+    // Transações aninhadas participam da transação externa
+    if (this.inTransaction) {
+      return work();
+    }
+
+    const snapshot = this.snapshot();
+    this.inTransaction = true;
+
+    try {
+      const result = work();
+      if (result && typeof result.then === 'function') {
+        throw new TypeError('Transaction function cannot return a promise');
+      }
+      return result;
+    } catch (error) {
+      this.restore(snapshot);
+      throw error;
+    } finally {
+      this.inTransaction = false;
+    }
+  }
+
+  // Guarda a composição das coleções e o estado de cada registro,
+  // já que os models são alterados in-place (ex.: user.updateBalance)
+  snapshot() {
+    return {
+      sequences: { ...this.sequences },
+      collections: Object.entries(this.collections).map(([name, records]) => [
+        name,
+        records.map(record => [record, { ...record }])
+      ])
+    };
+  }
+
+  restore(snapshot) {
+    this.sequences = snapshot.sequences;
+    this.collections = {};
+
+    snapshot.collections.forEach(([name, entries]) => {
+      this.collections[name] = entries.map(([record, state]) => {
+        Object.keys(record).forEach(field => delete record[field]);
+        return Object.assign(record, state);
+      });
+    });
+  }
+
+  getRecords(collection) {
+    getCollection(collection);
+    if (!this.collections[collection]) {
+      this.collections[collection] = [];
+    }
+    return this.collections[collection];
+  }
+
+  insert(collection, record) {
+    this.getRecords(collection).push(record);
+    return record;
+  }
+
+  update(collection, record) {
+    const records = this.getRecords(collection);
+    const index = records.findIndex(item => item.id === record.id);
+    if (index === -1) {
+      throw new Error(`Registro ${record.id} não encontrado em ${collection}`);
+    }
+    records[index] = record;
+    return record;
+  }
+
+  remove(collection, id) {
+    const records = this.getRecords(collection);
+    const index = records.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+    records.splice(index, 1);
+    return true;
+  }
+
+  findById(collection, id) {
+    return this.getRecords(collection).find(item => item.id === id);
+  }
+
+  findOne(collection, criteria) {
+    return this.getRecords(collection).find(toPredicate(criteria));
+  }
+
+  find(collection, criteria) {
+    return this.getRecords(collection).filter(toPredicate(criteria));
+  }
+
+  nextId(sequence) {
+    this.sequences[sequence] = this.currentId(sequence) + 1;
+    return this.sequences[sequence];
+  }
+
+  currentId(sequence) {
+    return this.sequences[sequence] || 0;
+  }
+}
+
+// Converte critérios de busca em uma função predicado
+const toPredicate = (criteria) => {
+  if (!criteria) {
+    return () => true;
+  }
+  if (typeof criteria === 'function') {
+    return criteria;
+  }
+  return (record) => Object.entries(criteria).every(([field, value]) => record[field] === value);
+};
+
+module.exports = MemoryStore;
+module.exports.toPredicate = toPredicate;
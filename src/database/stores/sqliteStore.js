@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getCollection, serialize, deserialize } = require('../collections');
+const { toPredicate } = require('./memoryStore');
+
+/**
+ * 💾 SQLite Store
+ * Implementação persistente (arquivo) da mesma interface do MemoryStore.
+ * Cada coleção vira uma tabela `(id, data)` com o registro em JSON;
+ * as sequências de ids ficam na tabela `sequences`.
+ */
+class SqliteStore {
+  constructor(filename) {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec('CREATE TABLE IF NOT EXISTS sequences (name TEXT PRIMARY KEY, value INTEGER NOT NULL)');
+    this.tables = new Set();
+  }
+
+  // Cria a tabela da coleção (e os índices dos campos consultados) na primeira utilização
+  table(collection) {
+    const { indexes = [] } = getCollection(collection);
+    if (!this.tables.has(collection)) {
+      this.db.exec(`CREATE TABLE IF NOT EXISTS "${collection}" (id INTEGER PRIMARY KEY, data TEXT NOT NULL)`);
+      indexes.forEach(field => this.db.exec(
+        `CREATE INDEX IF NOT EXISTS "${collection}_${field}" ON "${collection}" (json_extract(data, '$.${field}'))`
+      ));
+      this.tables.add(collection);
+    }
+    return `"${collection}"`;
+  }
+
+  reset() {
+    const tables = this.db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name != 'sequences'")
+      .all();
+
+    tables.forEach(({ name }) => this.db.exec(`DELETE FROM "${name}"`));
+    this.db.exec('DELETE FROM sequences');
+  }
+
+  insert(collection, record) {
+    this.db
+      .prepare(`INSERT INTO ${this.table(collection)} (id, data) VALUES (?, ?)`)
+      .run(record.id, serialize(collection, record));
+    return record;
+  }
+
+  update(collection, record) {
+    const { changes } = this.db
+      .prepare(`UPDATE ${this.table(collection)} SET data = ? WHERE id = ?`)
+      .run(serialize(collection, record), record.id);
+
+    if (changes === 0) {
+      throw new Error(`Registro ${record.id} não encontrado em ${collection}`);
+    }
+    return record;
+  }
+
+  remove(collection, id) {
+    const { changes } = this.db
+      .prepare(`DELETE FROM ${this.table(collection)} WHERE id = ?`)
+      .run(id);
+    return changes > 0;
+  }
+
+  findById(collection, id) {
+    const row = this.db
+      .prepare(`SELECT data FROM ${this.table(collection)} WHERE id = ?`)
+      .get(id);
+    return row ? deserialize(collection, row.data) : undefined;
+  }
+
+  findOne(collection, criteria) {
+    return this.find(collection, criteria)[0];
+  }
+
+  find(collection, criteria) {
+    const table = this.table(collection);
+
+    // Critérios por igualdade são resolvidos no próprio SQLite
+    if (criteria && typeof criteria === 'object') {
+      const fields = Object.keys(criteria);
+      const where = fields.map(field => `json_extract(data, '$.${field}') IS ?`).join(' AND ');
+      const values = fields.map(field => toSqlValue(criteria[field]));
+
+      return this.db
+        .prepare(`SELECT data FROM ${table}${where ? ` WHERE ${where}` : ''} ORDER BY id`)
+        .all(...values)
+        .map(row => deserialize(collection, row.data));
+    }
+
+    return this.db
+      .prepare(`SELECT data FROM ${table} ORDER BY id`)
+      .all()
+      .map(row => deserialize(collection, row.data))
+      .filter(toPredicate(criteria));
+  }
+
+  nextId(sequence) {
+    return this.db
+      .prepare(`INSERT INTO sequences (name, value) VALUES (?, 1)
+                ON CONFLICT(name) DO UPDATE SET value = value + 1
+                RETURNING value`)
+      .get(sequence).value;
+  }
+
+  currentId(sequence) {
+    const row = this.db.prepare('SELECT value FROM sequences WHERE name = ?').get(sequence);
+    return row ? row.value : 0;
+  }
+
+  // Transações aninhadas viram savepoints (comportamento do better-sqlite3)
+  transaction(work) {
+    return this.db.transaction(work)();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// better-sqlite3 não aceita booleanos como parâmetro
+const toSqlValue = (value) => {
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value === undefined ? null : value;
+};
+
+module.exports = SqliteStore;
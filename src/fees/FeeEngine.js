@@ -0,0 +1,57 @@
+const Money = require('../models/Money');
+
+/**
+ * 💸 Fee Engine
+ * Calcula a tarifa de uma operação a partir de uma tabela configurável (`schedule`).
+ *
+ * Cada tipo de tarifa é um módulo com:
+ * - type: identificador usado em `schedule.type` (ex.: 'flat', 'percentage')
+ * - calculate(schedule, amount, engine): retorna a tarifa (Money) para o valor informado;
+ *   tipos compostos, como o escalonado, usam o engine para calcular as faixas
+ *
+ * Novos tipos podem ser adicionados com `feeEngine.register(calculator)`, sem mudar os serviços.
+ */
+class FeeEngine {
+  constructor(calculators = []) {
+    this.calculators = {};
+    calculators.forEach(calculator => this.register(calculator));
+  }
+
+  register(calculator) {
+    if (!calculator || !calculator.type || typeof calculator.calculate !== 'function') {
+      throw new Error('Tipo de tarifa deve ter type e calculate');
+    }
+    if (this.calculators[calculator.type]) {
+      throw new Error(`Tipo de tarifa já registrado: ${calculator.type}`);
+    }
+
+    this.calculators[calculator.type] = calculator;
+    return this;
+  }
+
+  unregister(type) {
+    delete this.calculators[type];
+    return this;
+  }
+
+  getTypes() {
+    return Object.keys(this.calculators);
+  }
+
+  // Sem tabela, a operação é gratuita; a tarifa nunca é negativa
+  calculate(schedule, amount) {
+    if (!schedule) {
+      return Money.zero();
+    }
+
+    const calculator = this.calculators[schedule.type];
+    if (!calculator) {
+      throw new Error(`Tipo de tarifa desconhecido: ${schedule.type}. Use um de: ${this.getTypes().join(', ')}`);
+    }
+
+    const fee = calculator.calculate(schedule, Money.of(amount), this);
+    return fee.isPositive() ? fee : Money.zero();
+  }
+}
+
+module.exports = FeeEngine;
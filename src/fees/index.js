@@ -0,0 +1,10 @@
+const FeeEngine = require('./FeeEngine');
+const flat = require('./types/flat');
+const percentage = require('./types/percentage');
+const tiered = require('./types/tiered');
+
+/**
+ * 💸 Tipos de tarifa disponíveis para as tabelas dos produtos
+ * Novos tipos podem ser adicionados com `feeEngine.register(calculator)`.
+ */
+module.exports = new FeeEngine([flat, percentage, tiered]);
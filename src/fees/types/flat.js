@@ -0,0 +1,7 @@
+const Money = require('../../models/Money');
+
+// Valor fixo por operação, em reais (ex.: { type: 'flat', amount: 2.5 })
+module.exports = {
+  type: 'flat',
+  calculate: ({ amount = 0 }) => Money.of(amount)
+};
@@ -0,0 +1,18 @@
+const Money = require('../../models/Money');
+
+// Percentual do valor, arredondado ao centavo, com mínimo e máximo opcionais
+// (ex.: { type: 'percentage', rate: 0.01, min: 1, max: 10 } = 1%, entre R$ 1,00 e R$ 10,00)
+module.exports = {
+  type: 'percentage',
+  calculate: ({ rate = 0, min, max }, amount) => {
+    const fee = new Money(Math.round(amount.cents * rate));
+
+    if (min !== undefined && min !== null && fee.lessThan(Money.of(min))) {
+      return Money.of(min);
+    }
+    if (max !== undefined && max !== null && fee.greaterThan(Money.of(max))) {
+      return Money.of(max);
+    }
+    return fee;
+  }
+};
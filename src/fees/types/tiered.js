@@ -0,0 +1,18 @@
+const Money = require('../../models/Money');
+
+// A faixa é a primeira cujo `upTo` cobre o valor; a última faixa vale acima de todas.
+// Cada faixa é uma tabela de qualquer tipo, ex.:
+// { type: 'tiered', tiers: [{ upTo: 1000, type: 'flat', amount: 0 }, { type: 'percentage', rate: 0.005 }] }
+const findTier = (tiers, amount) => tiers.find(tier =>
+  tier.upTo === undefined || tier.upTo === null || !amount.greaterThan(Money.of(tier.upTo))
+) || tiers[tiers.length - 1];
+
+module.exports = {
+  type: 'tiered',
+  calculate: ({ tiers = [] }, amount, engine) => {
+    if (tiers.length === 0) {
+      return Money.zero();
+    }
+    return engine.calculate(findTier(tiers, amount), amount);
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Erro lançado quando a análise de risco bloqueia uma transferência.
+ * Os motivos ficam no alerta (visível aos administradores), não na resposta ao cliente.
+ */
+class FraudBlockedError extends Error {
+  constructor(alert) {
+    super('Transferência bloqueada pela análise de risco');
+    this.name = 'FraudBlockedError';
+    this.code = 'FRAUD_BLOCKED';
+    this.alertId = alert.id;
+    this.alert = alert;
+  }
+}
+
+module.exports = FraudBlockedError;
@@ -0,0 +1,77 @@
+const config = require('../config/environment');
+
+const DECISIONS = ['allow', 'review', 'block'];
+
+/**
+ * 🚨 Fraud Scorer
+ * Soma os pontos dos sinais de risco de uma transferência e decide entre liberar,
+ * reter para análise ou bloquear.
+ *
+ * Cada sinal é um módulo com:
+ * - name: identificador usado nas configurações (`fraud.signals[name]`)
+ * - code: código do motivo registrado no alerta (ex.: 'VELOCITY')
+ * - check(context, options): retorna a mensagem do motivo ou null
+ * Os pontos de cada sinal vêm de `options.points`.
+ *
+ * O contexto é montado pelo fraudService, mas pode ser sintético (útil em testes):
+ * - amount: valor da transferência (Money)
+ * - now: instante da transferência
+ * - recipient: { account, createdAt } da conta de destino
+ * - history: transferências enviadas antes pelo remetente ({ toAccount, amount, sentAt })
+ */
+class FraudScorer {
+  constructor(signals = []) {
+    this.signals = [];
+    signals.forEach(signal => this.register(signal));
+  }
+
+  register(signal) {
+    if (!signal || !signal.name || !signal.code || typeof signal.check !== 'function') {
+      throw new Error('Sinal deve ter name, code e check');
+    }
+    if (this.signals.some(existing => existing.name === signal.name)) {
+      throw new Error(`Sinal já registrado: ${signal.name}`);
+    }
+
+    this.signals = [...this.signals, signal];
+    return this;
+  }
+
+  unregister(name) {
+    this.signals = this.signals.filter(signal => signal.name !== name);
+    return this;
+  }
+
+  getSignals() {
+    return [...this.signals];
+  }
+
+  // Motivos em ordem decrescente de pontos; o primeiro é o código principal do alerta
+  score(context, settings = config.fraud) {
+    const reasons = this.signals
+      .map(signal => {
+        const options = { points: 0, ...settings.signals?.[signal.name] };
+        if (options.enabled === false) {
+          return null;
+        }
+
+        const message = signal.check(context, options);
+        return message ? { code: signal.code, points: options.points, message } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.points - a.points);
+
+    const score = reasons.reduce((total, reason) => total + reason.points, 0);
+    return { score, decision: this.decide(score, settings), reasons };
+  }
+
+  decide(score, { reviewScore, blockScore }) {
+    if (score >= blockScore) {
+      return 'block';
+    }
+    return score >= reviewScore ? 'review' : 'allow';
+  }
+}
+
+module.exports = FraudScorer;
+module.exports.DECISIONS = DECISIONS;
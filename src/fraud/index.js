@@ -0,0 +1,16 @@
+const FraudScorer = require('./FraudScorer');
+const velocity = require('./signals/velocity');
+const newRecipientSpike = require('./signals/newRecipientSpike');
+const newAccountRecipient = require('./signals/newAccountRecipient');
+const unusualHour = require('./signals/unusualHour');
+
+/**
+ * 🚨 Sinais de risco avaliados nas transferências enviadas
+ * Novos sinais podem ser adicionados com `fraudScorer.register(signal)`.
+ */
+module.exports = new FraudScorer([
+  velocity,
+  newRecipientSpike,
+  newAccountRecipient,
+  unusualHour
+]);
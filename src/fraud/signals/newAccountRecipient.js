@@ -0,0 +1,16 @@
+const HOUR = 60 * 60 * 1000;
+
+// Sinal: primeira transferência para uma conta aberta há pouco tempo
+module.exports = {
+  name: 'newAccountRecipient',
+  code: 'NEW_ACCOUNT_RECIPIENT',
+  check: ({ history, recipient, now }, { maxAgeHours }) => {
+    const isNewAccount = now.getTime() - recipient.createdAt.getTime() < maxAgeHours * HOUR;
+    const knownRecipient = history.some(transfer => transfer.toAccount === recipient.account);
+
+    if (!isNewAccount || knownRecipient) {
+      return null;
+    }
+    return `Primeira transferência para uma conta aberta há menos de ${maxAgeHours}h`;
+  }
+};
@@ -0,0 +1,20 @@
+const Money = require('../../models/Money');
+
+// Sinal: valor muito acima da média do remetente, para um destinatário que nunca recebeu dele
+module.exports = {
+  name: 'newRecipientSpike',
+  code: 'NEW_RECIPIENT_SPIKE',
+  check: ({ history, recipient, amount }, { multiplier, minHistory }) => {
+    const knownRecipient = history.some(transfer => transfer.toAccount === recipient.account);
+    if (knownRecipient || history.length < minHistory) {
+      return null;
+    }
+
+    const total = history.reduce((sum, transfer) => sum + transfer.amount.cents, 0);
+    const average = new Money(Math.round(total / history.length));
+    if (amount.cents <= average.cents * multiplier) {
+      return null;
+    }
+    return `Valor mais de ${multiplier}x a média enviada (${average.format()}) para um destinatário novo`;
+  }
+};
@@ -0,0 +1,15 @@
+const { localParts, isWithinHours } = require('../../utils/calendar');
+
+// Sinal: transferência de madrugada (horário local entre startHour e endHour)
+module.exports = {
+  name: 'unusualHour',
+  code: 'UNUSUAL_HOUR',
+  check: ({ now }, { startHour, endHour, timeZone }) => {
+    if (!isWithinHours(now, startHour, endHour, timeZone)) {
+      return null;
+    }
+
+    const { hour } = localParts(now, timeZone);
+    return `Transferência às ${hour}h, fora do horário habitual (${startHour}h às ${endHour}h)`;
+  }
+};
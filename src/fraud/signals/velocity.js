@@ -0,0 +1,16 @@
+const MINUTE = 60 * 1000;
+
+// Sinal: muitas transferências enviadas em poucos minutos
+module.exports = {
+  name: 'velocity',
+  code: 'VELOCITY',
+  check: ({ history, now }, { windowMinutes, maxTransfers }) => {
+    const since = now.getTime() - windowMinutes * MINUTE;
+    const recent = history.filter(transfer => transfer.sentAt.getTime() > since).length;
+
+    if (recent < maxTransfers) {
+      return null;
+    }
+    return `${recent} transferências nos últimos ${windowMinutes} minutos`;
+  }
+};
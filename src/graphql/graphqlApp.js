@@ -79,16 +79,64 @@ const createGraphQLApp = async () => {
         queries: [
           'me - Get current user profile',
           'users - List all users',
+          'accountProducts - List the account products',
           'userBalance - Get current user balance',
-          'transfers - Get user transfers',
-          'favorites - Get user favorites'
+          'balanceHistory - Get the balance series of the current user by day, week or month',
+          'balanceAt - Get the balance of the current user at a date',
+          'ledgerEntries - Get ledger entries of the current user',
+          'limits - Get daily and monthly transfer limits of the current user',
+          'transfers - Get user transfers (deprecated, use transferHistory)',
+          'transferHistory - Get user transfers with filters, sorting and cursor pagination',
+          'scheduledTransfers - Get scheduled transfers of the current user',
+          'transferBatch - Get a transfer batch with per-item results',
+          'recurringTransfers - Get recurring transfers (standing orders) of the current user',
+          'recurringTransfer - Get a recurring transfer with its execution history',
+          'transferReceipt - Get the signed receipt of a transfer',
+          'transferQuote - Quote the fee of a transfer without sending it',
+          'incomingPaymentRequests - Get payment requests addressed to the current user',
+          'outgoingPaymentRequests - Get payment requests sent by the current user',
+          'aliasKeys - Get the alias keys of the current user',
+          'lookupKey - Find the account of an alias key',
+          'decodePaymentCode - Decode a payment QR Code (BR Code) payload',
+          'categoryRules - Get the category rules of the current user',
+          'transferCategory - Get the category of a transfer (manual or suggested by the rules)',
+          'analytics - Get spending analytics for a month or year',
+          'cashOperations - Get deposits and withdrawals of the current user',
+          'cashLimits - Get daily deposit and withdrawal limits by channel',
+          'overdraft - Get the overdraft limit, usage and available credit',
+          'interestCharges - Get the daily overdraft interest charges',
+          'favorites - Get user favorites',
+          'fraudAlerts - List fraud alerts (admins)'
         ],
         mutations: [
           'login - User authentication',
           'register - User registration',
-          'createTransfer - Create new transfer',
+          'deposit - Deposit into the current account by channel',
+          'withdraw - Withdraw from the current account by channel',
+          'setOverdraftLimit - Set the overdraft limit of the current user',
+          'createTransfer - Create new transfer (optionally scheduled)',
+          'createTransferBatch - Create several transfers at once (all_or_nothing or best_effort)',
+          'cancelScheduledTransfer - Cancel a pending scheduled transfer',
+          'confirmTransfer - Confirm a pending approval transfer with the password',
+          'cancelPendingTransfer - Cancel a pending approval transfer and release the hold',
+          'refundTransfer - Refund all or part of a received transfer',
+          'createRecurringTransfer - Create a recurring transfer',
+          'updateRecurringTransfer - Change, pause or resume a recurring transfer',
+          'cancelRecurringTransfer - Cancel a recurring transfer',
+          'createPaymentRequest - Request money from another account',
+          'acceptPaymentRequest - Pay a received payment request',
+          'declinePaymentRequest - Decline a received payment request',
+          'createAliasKey - Register an alias key for the current account',
+          'removeAliasKey - Remove an alias key',
+          'createPaymentCode - Create a static or dynamic payment QR Code',
+          'createCategoryRule - Create a category rule',
+          'removeCategoryRule - Remove a category rule',
+          'categorizeTransfer - Set the category of a transfer',
+          'verifyReceipt - Verify the signature of a receipt (public)',
           'addFavorite - Add favorite user',
-          'removeFavorite - Remove favorite user'
+          'removeFavorite - Remove favorite user',
+          'approveFraudReview - Approve a transfer held by fraud scoring (admins)',
+          'rejectFraudReview - Reject a transfer held by fraud scoring (admins)'
         ]
       }
     });
@@ -1,7 +1,24 @@
 const authService = require('../services/authService');
 const userService = require('../services/userService');
 const transferService = require('../services/transferService');
-const { GraphQLScalarType } = require('graphql');
+const recurringTransferService = require('../services/recurringTransferService');
+const transferBatchService = require('../services/transferBatchService');
+const paymentRequestService = require('../services/paymentRequestService');
+const transferHistoryService = require('../services/transferHistoryService');
+const balanceHistoryService = require('../services/balanceHistoryService');
+const receiptService = require('../services/receiptService');
+const aliasKeyService = require('../services/aliasKeyService');
+const paymentCodeService = require('../services/paymentCodeService');
+const categoryService = require('../services/categoryService');
+const analyticsService = require('../services/analyticsService');
+const cashOperationService = require('../services/cashOperationService');
+const productService = require('../services/productService');
+const overdraftService = require('../services/overdraftService');
+const fraudService = require('../services/fraudService');
+const idempotencyService = require('../services/idempotencyService');
+const Money = require('../models/Money');
+const { FORMATS: QR_CODE_FORMATS } = require('../utils/qrcode');
+const { GraphQLScalarType, GraphQLError } = require('graphql');
 const { Kind } = require('graphql/language');
 
 // Custom Date scalar type
@@ -22,6 +39,46 @@ const DateType = new GraphQLScalarType({
   },
 });
 
+// Custom Money scalar type: valores decimais com no máximo 2 casas,
+// convertidos para Money (centavos inteiros) na entrada
+const toMoney = (value) => {
+  try {
+    return Money.of(value);
+  } catch (error) {
+    throw new GraphQLError(`Valor monetário inválido: ${error.message}`);
+  }
+};
+
+const MoneyType = new GraphQLScalarType({
+  name: 'Money',
+  description: 'Monetary amount with up to 2 decimal places (stored as integer cents)',
+  serialize(value) {
+    return toMoney(value).toDecimal();
+  },
+  parseValue(value) {
+    return toMoney(value);
+  },
+  parseLiteral(ast) {
+    if (ast.kind === Kind.INT || ast.kind === Kind.FLOAT || ast.kind === Kind.STRING) {
+      return toMoney(ast.kind === Kind.STRING ? ast.value : Number(ast.value));
+    }
+    throw new GraphQLError('Valor monetário inválido');
+  },
+});
+
+// Violações do rules engine seguem em extensions (code e violations)
+const toGraphQLError = (error) => (error.violations
+  ? new GraphQLError(error.message, { extensions: { code: error.code, violations: error.violations } })
+  : new Error(error.message));
+
+// Enum TransferSort -> ordenação do transferHistoryService
+const TRANSFER_SORTS = {
+  CREATED_AT_DESC: '-createdAt',
+  CREATED_AT_ASC: 'createdAt',
+  AMOUNT_DESC: '-amount',
+  AMOUNT_ASC: 'amount'
+};
+
 // Helper function to get user from context
 const getAuthenticatedUser = (context) => {
   if (!context.user) {
@@ -30,8 +87,18 @@ const getAuthenticatedUser = (context) => {
   return context.user;
 };
 
+// Operações restritas à conta de administrador (ADMIN_EMAIL)
+const getAdminUser = (context) => {
+  const user = getAuthenticatedUser(context);
+  if (!authService.isAdmin(user)) {
+    throw new Error('Acesso restrito a administradores');
+  }
+  return user;
+};
+
 const resolvers = {
   Date: DateType,
+  Money: MoneyType,
 
   Query: {
     // User queries
@@ -45,15 +112,145 @@ const resolvers = {
       return userService.getAllUsers();
     },
 
+    accountProducts: async () => {
+      return productService.getProducts();
+    },
+
     userBalance: async (parent, args, context) => {
       const user = getAuthenticatedUser(context);
       return userService.getUserBalance(user.userId);
     },
 
+    balanceHistory: async (parent, { from, to, interval = 'DAY' }, context) => {
+      const user = getAuthenticatedUser(context);
+      return balanceHistoryService.getBalanceHistory(user.userId, { from, to, interval: interval.toLowerCase() });
+    },
+
+    balanceAt: async (parent, { date }, context) => {
+      const user = getAuthenticatedUser(context);
+      return balanceHistoryService.getBalanceAt(user.userId, date);
+    },
+
+    analytics: async (parent, { period = 'MONTH', date }, context) => {
+      const user = getAuthenticatedUser(context);
+      return analyticsService.getAnalytics(user.userId, { period: period.toLowerCase(), date });
+    },
+
+    // Deposit and withdrawal queries
+    cashOperations: async (parent, { type }, context) => {
+      const user = getAuthenticatedUser(context);
+      return cashOperationService.getOperations(user.userId, { type });
+    },
+
+    cashLimits: async (parent, args, context) => {
+      const user = getAuthenticatedUser(context);
+      return cashOperationService.getLimits(user.userId);
+    },
+
+    overdraft: async (parent, args, context) => {
+      const user = getAuthenticatedUser(context);
+      return overdraftService.getOverdraft(user.userId);
+    },
+
+    interestCharges: async (parent, args, context) => {
+      const user = getAuthenticatedUser(context);
+      return overdraftService.getInterestCharges(user.userId);
+    },
+
+    ledgerEntries: async (parent, args, context) => {
+      const user = getAuthenticatedUser(context);
+      return userService.getLedgerEntries(user.userId);
+    },
+
+    limits: async (parent, args, context) => {
+      const user = getAuthenticatedUser(context);
+      return userService.getUserLimits(user.userId);
+    },
+
     // Transfer queries
-    transfers: async (parent, args, context) => {
+    transfers: async (parent, { status } = {}, context) => {
+      const user = getAuthenticatedUser(context);
+      return transferService.getTransfersByUserId(user.userId, { status });
+    },
+
+    transferHistory: async (parent, { filter = {}, sort = 'CREATED_AT_DESC', first, after }, context) => {
+      const user = getAuthenticatedUser(context);
+      return transferHistoryService.searchTransfers(user.userId, {
+        ...filter,
+        direction: filter?.direction?.toLowerCase(),
+        sort: TRANSFER_SORTS[sort],
+        limit: first,
+        cursor: after
+      });
+    },
+
+    scheduledTransfers: async (parent, args, context) => {
+      const user = getAuthenticatedUser(context);
+      return transferService.getScheduledTransfers(user.userId);
+    },
+
+    recurringTransfers: async (parent, args, context) => {
+      const user = getAuthenticatedUser(context);
+      return recurringTransferService.getRecurringTransfers(user.userId);
+    },
+
+    transferBatch: async (parent, { id }, context) => {
+      const user = getAuthenticatedUser(context);
+      return transferBatchService.getTransferBatch(user.userId, id);
+    },
+
+    recurringTransfer: async (parent, { id }, context) => {
+      const user = getAuthenticatedUser(context);
+      return recurringTransferService.getRecurringTransfer(user.userId, id);
+    },
+
+    transferReceipt: async (parent, { transferId }, context) => {
+      const user = getAuthenticatedUser(context);
+      return receiptService.getReceipt(user.userId, transferId);
+    },
+
+    transferQuote: async (parent, { input }, context) => {
       const user = getAuthenticatedUser(context);
-      return transferService.getTransfersByUserId(user.userId);
+      return transferService.quoteTransfer(user.userId, input);
+    },
+
+    // Payment request queries
+    incomingPaymentRequests: async (parent, args, context) => {
+      const user = getAuthenticatedUser(context);
+      return paymentRequestService.getIncomingPaymentRequests(user.userId);
+    },
+
+    outgoingPaymentRequests: async (parent, args, context) => {
+      const user = getAuthenticatedUser(context);
+      return paymentRequestService.getOutgoingPaymentRequests(user.userId);
+    },
+
+    // Alias key queries
+    aliasKeys: async (parent, args, context) => {
+      const user = getAuthenticatedUser(context);
+      return aliasKeyService.getAliasKeys(user.userId);
+    },
+
+    lookupKey: async (parent, { key }, context) => {
+      getAuthenticatedUser(context);
+      return aliasKeyService.lookupKey(key);
+    },
+
+    // QR Code queries
+    decodePaymentCode: async (parent, { payload }, context) => {
+      getAuthenticatedUser(context);
+      return paymentCodeService.decodePaymentCode(payload);
+    },
+
+    // Category queries
+    categoryRules: async (parent, args, context) => {
+      const user = getAuthenticatedUser(context);
+      return categoryService.getRules(user.userId);
+    },
+
+    transferCategory: async (parent, { transferId }, context) => {
+      const user = getAuthenticatedUser(context);
+      return categoryService.getTransferCategory(user.userId, transferId);
     },
 
     // Favorite queries
@@ -61,6 +258,12 @@ const resolvers = {
       const user = getAuthenticatedUser(context);
       return transferService.getFavoritesByUserId(user.userId);
     },
+
+    // Admin queries
+    fraudAlerts: async (parent, { decision, status }, context) => {
+      getAdminUser(context);
+      return fraudService.getAlerts({ decision, status });
+    },
   },
 
   Mutation: {
@@ -78,8 +281,8 @@ const resolvers = {
     // User mutations
     register: async (parent, { input }) => {
       try {
-        const { name, email, password } = input;
-        const user = await userService.createUser({ name, email, password });
+        const { email, password } = input;
+        const user = await userService.createUser(input);
         
         // Auto-login after registration
         const loginResult = await authService.login(email, password);
@@ -89,24 +292,238 @@ const resolvers = {
       }
     },
 
+    // Deposit and withdrawal mutations
+    deposit: async (parent, { input }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        const { idempotencyKey, ...data } = input;
+        return await idempotencyService.execute(user.userId, 'accounts.deposit.graphql', idempotencyKey, data,
+          () => cashOperationService.deposit(user.userId, data));
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    withdraw: async (parent, { input }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        const { idempotencyKey, ...data } = input;
+        return await idempotencyService.execute(user.userId, 'accounts.withdrawal.graphql', idempotencyKey, data,
+          () => cashOperationService.withdraw(user.userId, data));
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    // Overdraft mutations
+    setOverdraftLimit: async (parent, { limit }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return overdraftService.setLimit(user.userId, limit);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
     // Transfer mutations
     createTransfer: async (parent, { input }, context) => {
       try {
         const user = getAuthenticatedUser(context);
-        const { toAccount, amount, description } = input;
+        const { toAccount, toKey, qrCode, amount, description, idempotencyKey, scheduledFor, requestApproval } = input;
+        const transferData = { toAccount, amount, description };
+        if (toKey) {
+          transferData.toKey = toKey;
+        }
+        if (qrCode) {
+          transferData.qrCode = qrCode;
+        }
+        if (scheduledFor) {
+          transferData.scheduledFor = scheduledFor;
+        }
+        if (requestApproval) {
+          transferData.requestApproval = requestApproval;
+        }
         
-        const transfer = await transferService.createTransfer(user.userId, {
-          toAccount,
-          amount,
-          description
-        });
+        // Retentativas com o mesmo idempotencyKey recebem a primeira resposta
+        const transfer = await idempotencyService.execute(
+          user.userId,
+          'transfers.create.graphql',
+          idempotencyKey,
+          transferData,
+          () => transferService.createTransfer(user.userId, transferData)
+        );
         
         return transfer;
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+
+    // Falhas de itens vêm no resultado do lote; só erros do lote como um todo são lançados
+    createTransferBatch: async (parent, { input }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return transferBatchService.createTransferBatch(user.userId, input);
       } catch (error) {
         throw new Error(error.message);
       }
     },
 
+    cancelScheduledTransfer: async (parent, { id }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return transferService.cancelScheduledTransfer(user.userId, id);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    confirmTransfer: async (parent, { id, password }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return await transferService.confirmTransfer(user.userId, id, password);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    cancelPendingTransfer: async (parent, { id }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return transferService.cancelPendingTransfer(user.userId, id);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    refundTransfer: async (parent, { id, input }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return transferService.refundTransfer(user.userId, id, input || {});
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    createRecurringTransfer: async (parent, { input }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return recurringTransferService.createRecurringTransfer(user.userId, input);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    updateRecurringTransfer: async (parent, { id, input }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return recurringTransferService.updateRecurringTransfer(user.userId, id, input);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    cancelRecurringTransfer: async (parent, { id }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return recurringTransferService.cancelRecurringTransfer(user.userId, id);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    // Payment request mutations
+    createPaymentRequest: async (parent, { input }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return paymentRequestService.createPaymentRequest(user.userId, input);
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+
+    acceptPaymentRequest: async (parent, { id }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return paymentRequestService.acceptPaymentRequest(user.userId, id);
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+
+    declinePaymentRequest: async (parent, { id }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return paymentRequestService.declinePaymentRequest(user.userId, id);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    // Alias key mutations
+    createAliasKey: async (parent, { input }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return aliasKeyService.createAliasKey(user.userId, input);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    removeAliasKey: async (parent, { id }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        aliasKeyService.removeAliasKey(user.userId, id);
+        return true;
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    // QR Code mutations
+    createPaymentCode: async (parent, { input }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return paymentCodeService.createPaymentCode(user.userId, input || {});
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    // Category mutations
+    createCategoryRule: async (parent, { input }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return categoryService.createRule(user.userId, input);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    removeCategoryRule: async (parent, { id }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        categoryService.removeRule(user.userId, id);
+        return true;
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    categorizeTransfer: async (parent, { transferId, input }, context) => {
+      try {
+        const user = getAuthenticatedUser(context);
+        return categoryService.categorizeTransfer(user.userId, transferId, input);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    // Receipt mutations
+    verifyReceipt: async (parent, { input }) => {
+      return receiptService.verifyReceipt(input);
+    },
+
     // Favorite mutations
     addFavorite: async (parent, { input }, context) => {
       try {
@@ -136,26 +553,101 @@ const resolvers = {
         throw new Error(error.message);
       }
     },
+
+    // Admin mutations
+    approveFraudReview: async (parent, { alertId }, context) => {
+      try {
+        const admin = getAdminUser(context);
+        return transferService.approveFraudReview(admin.userId, alertId);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    rejectFraudReview: async (parent, { alertId }, context) => {
+      try {
+        const admin = getAdminUser(context);
+        return transferService.rejectFraudReview(admin.userId, alertId);
+      } catch (error) {
+        throw new Error(error.message);
+      }
+    },
   },
 
   // Field resolvers for custom formatting
   User: {
     id: (parent) => parent.id.toString(),
-    balance: (parent) => parseFloat(parent.balance),
+    balance: (parent) => Money.of(parent.balance),
+    product: (parent) => productService.getUserProduct(parent).id,
     createdAt: (parent) => parent.createdAt,
     updatedAt: (parent) => parent.updatedAt,
   },
 
   Transfer: {
     id: (parent) => parent.id.toString(),
-    amount: (parent) => parseFloat(parent.amount),
+    amount: (parent) => Money.of(parent.amount),
+    // Transferências anteriores às tarifas não têm o campo
+    fee: (parent) => (parent.fee ? Money.of(parent.fee) : Money.zero()),
+    recurringTransferId: (parent) => parent.recurringTransferId?.toString() ?? null,
+    refundOf: (parent) => parent.refundOf?.toString() ?? null,
     createdAt: (parent) => parent.createdAt,
   },
 
+  TransferBatch: {
+    id: (parent) => parent.id.toString(),
+    held: (parent) => parent.held ?? 0,
+  },
+
+  PaymentRequest: {
+    id: (parent) => parent.id.toString(),
+    amount: (parent) => Money.of(parent.amount),
+    transferId: (parent) => parent.transferId?.toString() ?? null,
+    transfer: (parent) => parent.transfer ?? paymentRequestService.getTransfer(parent),
+  },
+
+  AliasKey: {
+    id: (parent) => parent.id.toString(),
+  },
+
+  PaymentCode: {
+    svg: (parent) => QR_CODE_FORMATS.svg.render(parent.payload),
+  },
+
+  TransferReceipt: {
+    transferId: (parent) => parent.transferId.toString(),
+  },
+
+  ReceiptVerification: {
+    transferId: (parent) => parent.transferId?.toString() ?? null,
+  },
+
+  TransferBatchItem: {
+    transferId: (parent) => parent.transferId?.toString() ?? null,
+  },
+
+  RecurringTransfer: {
+    id: (parent) => parent.id.toString(),
+    amount: (parent) => Money.of(parent.amount),
+    executions: (parent) => recurringTransferService.getExecutions(parent.id),
+  },
+
+  LedgerEntry: {
+    id: (parent) => parent.id.toString(),
+    journalId: (parent) => parent.journalId.toString(),
+    referenceId: (parent) => parent.referenceId?.toString() ?? null,
+  },
+
   Favorite: {
     id: (parent) => parent.id.toString(),
     createdAt: (parent) => parent.createdAt,
   },
+
+  FraudAlert: {
+    id: (parent) => parent.id.toString(),
+    userId: (parent) => parent.userId.toString(),
+    transferId: (parent) => parent.transferId?.toString() ?? null,
+    reviewedBy: (parent) => parent.reviewedBy?.toString() ?? null,
+  },
 };
 
 module.exports = resolvers;
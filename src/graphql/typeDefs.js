@@ -1,6 +1,7 @@
 const typeDefs = `
   # Scalar types
   scalar Date
+  scalar Money
 
   # Authentication types
   type AuthPayload {
@@ -14,13 +15,159 @@ const typeDefs = `
     name: String!
     email: String!
     account: String!
-    balance: Float!
+    balance: Money!
+    product: String!
     createdAt: Date!
     updatedAt: Date!
   }
 
+  # Account product types
+  type ProductLimits {
+    highAmountLimit: Money
+    dailyLimit: Money
+    monthlyLimit: Money
+  }
+
+  # flat (amount), percentage (rate, min, max) ou tiered (tiers, cada faixa com upTo)
+  type FeeSchedule {
+    type: String!
+    amount: Money
+    rate: Float
+    min: Money
+    max: Money
+    upTo: Money
+    tiers: [FeeSchedule!]
+    freePerMonth: Int
+    waivedForFavorites: Boolean
+  }
+
+  type ProductFees {
+    transfer: FeeSchedule
+  }
+
+  type AccountProduct {
+    id: ID!
+    name: String!
+    initialBalance: Money!
+    overdraftLimit: Money!
+    default: Boolean!
+    limits: ProductLimits!
+    fees: ProductFees!
+  }
+
   type UserBalance {
-    balance: Float!
+    balance: Money!
+    currency: String!
+    formatted: String!
+    reconciled: Boolean!
+    overdraftLimit: Money!
+    availableCredit: Money!
+    availableBalance: Money!
+  }
+
+  # Overdraft types
+  type Overdraft {
+    limit: Money!
+    maxLimit: Money!
+    used: Money!
+    availableCredit: Money!
+    availableBalance: Money!
+    monthlyInterestRate: Float!
+    dailyInterestRate: Float!
+  }
+
+  type InterestCharge {
+    id: ID!
+    account: String!
+    date: String!
+    balance: Money!
+    rate: Float!
+    amount: Money!
+    createdAt: Date!
+  }
+
+  # Fraud alert types (admin)
+  type FraudReason {
+    code: String!
+    points: Int!
+    message: String!
+  }
+
+  type FraudAlert {
+    id: ID!
+    userId: ID!
+    fromAccount: String!
+    toAccount: String!
+    amount: Money!
+    score: Int!
+    decision: String!
+    reasonCode: String
+    reasons: [FraudReason!]!
+    transferId: ID
+    status: String!
+    reviewedBy: ID
+    reviewedAt: Date
+    createdAt: Date!
+  }
+
+  enum BalanceInterval {
+    DAY
+    MONTH
+  }
+
+  type BalancePoint {
+    periodStart: Date!
+    periodEnd: Date!
+    balance: Money!
+    change: Money!
+  }
+
+  type BalanceHistory {
+    account: String!
+    currency: String!
+    interval: String!
+    timeZone: String!
+    from: Date!
+    to: Date!
+    openingBalance: Money!
+    points: [BalancePoint!]!
+  }
+
+  type BalanceSnapshot {
+    account: String!
+    at: Date!
+    balance: Money!
+    currency: String!
+    formatted: String!
+  }
+
+  # Limit types
+  type TransferLimit {
+    enabled: Boolean!
+    limit: Money!
+    used: Money!
+    remaining: Money!
+    resetsAt: Date!
+    timeZone: String!
+  }
+
+  type UserLimits {
+    currency: String!
+    daily: TransferLimit!
+    monthly: TransferLimit!
+  }
+
+  # Ledger types
+  type LedgerEntry {
+    id: ID!
+    journalId: ID!
+    account: String!
+    type: String!
+    amount: Money!
+    description: String!
+    referenceType: String
+    referenceId: ID
+    createdAt: Date!
   }
 
   # Transfer types
@@ -28,13 +175,279 @@ const typeDefs = `
     id: ID!
     fromAccount: String!
     toAccount: String!
-    amount: Float!
+    amount: Money!
     description: String!
     isFavorite: Boolean!
+    fee: Money!
+    feeWaiver: String
+    status: String!
+    scheduledFor: Date
+    executedAt: Date
+    cancelledAt: Date
+    expiresAt: Date
+    failureReason: String
+    recurringTransferId: ID
+    refundedAmount: Money
+    refundOf: ID
+    createdAt: Date!
+  }
+
+  # Relay-style connection for the transfer history
+  type TransferEdge {
+    cursor: String!
+    node: Transfer!
+  }
+
+  type PageInfo {
+    totalCount: Int!
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  type TransferConnection {
+    edges: [TransferEdge!]!
+    pageInfo: PageInfo!
+  }
+
+  enum TransferDirection {
+    SENT
+    RECEIVED
+  }
+
+  enum TransferSort {
+    CREATED_AT_DESC
+    CREATED_AT_ASC
+    AMOUNT_DESC
+    AMOUNT_ASC
+  }
+
+  type TransferBatchItem {
+    index: Int!
+    status: String!
+    transferId: ID
+    transfer: Transfer
+    error: String
+    code: String
+  }
+
+  type TransferBatch {
+    id: ID!
+    mode: String!
+    status: String!
+    totalItems: Int!
+    succeeded: Int!
+    held: Int!
+    failed: Int!
+    items: [TransferBatchItem!]!
+    createdAt: Date!
+  }
+
+  type RecurringTransfer {
+    id: ID!
+    fromAccount: String!
+    toAccount: String!
+    amount: Money!
+    description: String!
+    frequency: String!
+    startDate: Date!
+    endDate: Date
+    maxOccurrences: Int
+    status: String!
+    occurrences: Int!
+    nextRunAt: Date
+    lastRunAt: Date
+    executions: [Transfer!]!
+    createdAt: Date!
+  }
+
+  # Payment request types
+  type PaymentRequest {
+    id: ID!
+    requesterAccount: String!
+    payerAccount: String!
+    amount: Money!
+    description: String!
+    status: String!
+    expiresAt: Date!
+    transferId: ID
+    transfer: Transfer
+    respondedAt: Date
+    createdAt: Date!
+  }
+
+  # Alias key types
+  type AliasKey {
+    id: ID!
+    type: String!
+    value: String!
+    account: String!
+    createdAt: Date!
+  }
+
+  type AliasKeyLookup {
+    type: String!
+    key: String!
+    ownerName: String!
+    account: String!
+  }
+
+  # QR Code types (BR Code)
+  type PaymentCode {
+    type: String!
+    payload: String!
+    txid: String
+    account: String!
+    key: String
+    amount: Money
+    description: String
+    expiresAt: Date
+    svg: String!
+  }
+
+  type PaymentCodeTransfer {
+    qrCode: String!
+    amount: Money
+    description: String
+  }
+
+  type DecodedPaymentCode {
+    type: String!
+    txid: String
+    account: String!
+    key: String
+    recipientName: String!
+    amount: Money
+    description: String
+    expiresAt: Date
+    transfer: PaymentCodeTransfer!
+  }
+
+  # Deposit and withdrawal types
+  type CashOperation {
+    id: ID!
+    account: String!
+    # deposit ou withdrawal
+    type: String!
+    # branch, atm, boleto ou external_bank
+    channel: String!
+    amount: Money!
+    description: String!
     status: String!
     createdAt: Date!
   }
 
+  type CashLimit {
+    limit: Money!
+    used: Money!
+    remaining: Money!
+    resetsAt: Date!
+    timeZone: String!
+  }
+
+  type CashLimits {
+    currency: String!
+    deposit: CashLimit!
+    withdrawal: CashLimit!
+    atmWithdrawalLimit: Money!
+  }
+
+  # Category types
+  type CategoryRule {
+    id: ID!
+    category: String!
+    descriptionContains: String
+    counterparty: String
+    createdAt: Date!
+  }
+
+  type TransferCategory {
+    transferId: ID!
+    category: String
+    tags: [String!]!
+    # manual ou rule; null quando a transferência não tem categoria
+    source: String
+    ruleId: ID
+  }
+
+  # Analytics types
+  enum AnalyticsPeriod {
+    MONTH
+    YEAR
+  }
+
+  type CategorySpending {
+    category: String!
+    total: Money!
+    count: Int!
+    share: Float!
+    previousTotal: Money!
+    change: Float
+  }
+
+  type CounterpartySpending {
+    account: String!
+    name: String
+    total: Money!
+    count: Int!
+  }
+
+  type AnalyticsPeriodSummary {
+    from: Date!
+    to: Date!
+    inflow: Money!
+    outflow: Money!
+    net: Money!
+  }
+
+  type AnalyticsChange {
+    inflow: Float
+    outflow: Float
+  }
+
+  type SpendingAnalytics {
+    account: String!
+    period: String!
+    timeZone: String!
+    from: Date!
+    to: Date!
+    currency: String!
+    inflow: Money!
+    outflow: Money!
+    net: Money!
+    byCategory: [CategorySpending!]!
+    topCounterparties: [CounterpartySpending!]!
+    previous: AnalyticsPeriodSummary!
+    change: AnalyticsChange!
+  }
+
+  # Receipt types
+  type ReceiptParty {
+    name: String!
+    account: String!
+  }
+
+  type TransferReceipt {
+    version: Int!
+    transferId: ID!
+    payer: ReceiptParty!
+    payee: ReceiptParty!
+    amount: Money!
+    currency: String!
+    description: String!
+    executedAt: Date!
+    issuedAt: Date!
+    authenticationCode: String!
+  }
+
+  type ReceiptVerification {
+    valid: Boolean!
+    message: String!
+    transferId: ID
+    transferStatus: String
+  }
+
   # Favorite types
   type Favorite {
     id: ID!
@@ -53,12 +466,147 @@ const typeDefs = `
     name: String!
     email: String!
     password: String!
+    product: String
   }
 
   input TransferInput {
+    # Informe toAccount, toKey (chave de e-mail, telefone, CPF ou aleatória) ou qrCode
+    toAccount: String
+    toKey: String
+    qrCode: String
+    # Opcional apenas com QR Code de valor fixo
+    amount: Money
+    description: String
+    idempotencyKey: String
+    scheduledFor: Date
+    requestApproval: Boolean
+  }
+
+  # Mesmo destino e valor de TransferInput, para a prévia da tarifa
+  input TransferQuoteInput {
+    toAccount: String
+    toKey: String
+    qrCode: String
+    amount: Money
+  }
+
+  type FreeQuota {
+    limit: Int!
+    used: Int!
+    remaining: Int!
+    resetsAt: Date!
+  }
+
+  type TransferQuote {
     toAccount: String!
-    amount: Float!
+    amount: Money!
+    fee: Money!
+    total: Money!
+    feeWaiver: String
+    fullFee: Money!
+    feeType: String
+    freeQuota: FreeQuota
+  }
+
+  input TransferFilter {
+    direction: TransferDirection
+    status: String
+    counterparty: String
     description: String
+    startDate: Date
+    endDate: Date
+    minAmount: Money
+    maxAmount: Money
+  }
+
+  input TransferBatchItemInput {
+    toAccount: String
+    toKey: String
+    qrCode: String
+    amount: Money
+    description: String
+  }
+
+  input TransferBatchInput {
+    mode: String
+    transfers: [TransferBatchItemInput!]!
+  }
+
+  input RefundInput {
+    amount: Money
+    description: String
+  }
+
+  input RecurringTransferInput {
+    toAccount: String!
+    amount: Money!
+    description: String
+    frequency: String!
+    startDate: Date!
+    endDate: Date
+    maxOccurrences: Int
+  }
+
+  input RecurringTransferUpdateInput {
+    amount: Money
+    description: String
+    endDate: Date
+    maxOccurrences: Int
+    status: String
+  }
+
+  input PaymentRequestInput {
+    payerAccount: String!
+    amount: Money!
+    description: String
+  }
+
+  input AliasKeyInput {
+    type: String!
+    value: String
+  }
+
+  input PaymentCodeInput {
+    # static (padrão) ou dynamic
+    type: String
+    key: String
+    amount: Money
+    description: String
+  }
+
+  input CashOperationInput {
+    amount: Money!
+    channel: String!
+    description: String
+    idempotencyKey: String
+  }
+
+  input CategoryRuleInput {
+    category: String!
+    descriptionContains: String
+    counterparty: String
+  }
+
+  input TransferCategoryInput {
+    category: String!
+    tags: [String!]
+  }
+
+  input ReceiptPartyInput {
+    name: String!
+    account: String!
+  }
+
+  input ReceiptInput {
+    version: Int
+    transferId: ID!
+    payer: ReceiptPartyInput!
+    payee: ReceiptPartyInput!
+    amount: Money!
+    currency: String
+    description: String
+    executedAt: Date!
+    authenticationCode: String!
   }
 
   input FavoriteInput {
@@ -70,13 +618,50 @@ const typeDefs = `
     # User queries
     me: User
     users: [User!]!
+    accountProducts: [AccountProduct!]!
     userBalance: UserBalance
+    balanceHistory(from: String, to: String, interval: BalanceInterval = DAY): BalanceHistory!
+    balanceAt(date: String!): BalanceSnapshot!
+    ledgerEntries: [LedgerEntry!]!
+    limits: UserLimits
+    analytics(period: AnalyticsPeriod = MONTH, date: String): SpendingAnalytics!
+    
+    # Deposit and withdrawal queries
+    cashOperations(type: String): [CashOperation!]!
+    cashLimits: CashLimits!
+    overdraft: Overdraft!
+    interestCharges: [InterestCharge!]!
     
     # Transfer queries
-    transfers: [Transfer!]!
+    transfers(status: String): [Transfer!]! @deprecated(reason: "Use transferHistory, which supports filters and pagination")
+    transferHistory(filter: TransferFilter, sort: TransferSort = CREATED_AT_DESC, first: Int = 20, after: String): TransferConnection!
+    scheduledTransfers: [Transfer!]!
+    transferBatch(id: ID!): TransferBatch
+    recurringTransfers: [RecurringTransfer!]!
+    recurringTransfer(id: ID!): RecurringTransfer
+    transferReceipt(transferId: ID!): TransferReceipt!
+    transferQuote(input: TransferQuoteInput!): TransferQuote!
+    
+    # Payment request queries
+    incomingPaymentRequests: [PaymentRequest!]!
+    outgoingPaymentRequests: [PaymentRequest!]!
+    
+    # Alias key queries
+    aliasKeys: [AliasKey!]!
+    lookupKey(key: String!): AliasKeyLookup!
+    
+    # QR Code queries
+    decodePaymentCode(payload: String!): DecodedPaymentCode!
+    
+    # Category queries
+    categoryRules: [CategoryRule!]!
+    transferCategory(transferId: ID!): TransferCategory!
     
     # Favorite queries
     favorites: [Favorite!]!
+    
+    # Admin queries (ADMIN_EMAIL account)
+    fraudAlerts(decision: String, status: String): [FraudAlert!]!
   }
 
   # Mutations
@@ -87,12 +672,51 @@ const typeDefs = `
     # User mutations
     register(input: RegisterInput!): AuthPayload!
     
+    # Deposit and withdrawal mutations
+    deposit(input: CashOperationInput!): CashOperation!
+    withdraw(input: CashOperationInput!): CashOperation!
+    
+    # Overdraft mutations
+    setOverdraftLimit(limit: Money!): Overdraft!
+    
     # Transfer mutations
     createTransfer(input: TransferInput!): Transfer!
+    createTransferBatch(input: TransferBatchInput!): TransferBatch!
+    cancelScheduledTransfer(id: ID!): Transfer!
+    confirmTransfer(id: ID!, password: String!): Transfer!
+    cancelPendingTransfer(id: ID!): Transfer!
+    refundTransfer(id: ID!, input: RefundInput): Transfer!
+    createRecurringTransfer(input: RecurringTransferInput!): RecurringTransfer!
+    updateRecurringTransfer(id: ID!, input: RecurringTransferUpdateInput!): RecurringTransfer!
+    cancelRecurringTransfer(id: ID!): RecurringTransfer!
+    
+    # Payment request mutations
+    createPaymentRequest(input: PaymentRequestInput!): PaymentRequest!
+    acceptPaymentRequest(id: ID!): PaymentRequest!
+    declinePaymentRequest(id: ID!): PaymentRequest!
+    
+    # Alias key mutations
+    createAliasKey(input: AliasKeyInput!): AliasKey!
+    removeAliasKey(id: ID!): Boolean!
+    
+    # QR Code mutations
+    createPaymentCode(input: PaymentCodeInput): PaymentCode!
+    
+    # Category mutations
+    createCategoryRule(input: CategoryRuleInput!): CategoryRule!
+    removeCategoryRule(id: ID!): Boolean!
+    categorizeTransfer(transferId: ID!, input: TransferCategoryInput!): TransferCategory!
+    
+    # Receipt mutations (public: no authentication required)
+    verifyReceipt(input: ReceiptInput!): ReceiptVerification!
     
     # Favorite mutations
     addFavorite(input: FavoriteInput!): Favorite!
     removeFavorite(id: ID!): Boolean!
+    
+    # Admin mutations (ADMIN_EMAIL account)
+    approveFraudReview(alertId: ID!): FraudAlert!
+    rejectFraudReview(alertId: ID!): FraudAlert!
   }
 `;
 
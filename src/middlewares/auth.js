@@ -21,4 +21,14 @@ const authenticateToken = (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken };
+// Usar depois de authenticateToken
+const requireAdmin = (req, res, next) => {
+  if (!authService.isAdmin(req.user)) {
+    return res.status(403).json({ 
+      error: 'Acesso restrito a administradores' 
+    });
+  }
+  next();
+};
+
+module.exports = { authenticateToken, requireAdmin };
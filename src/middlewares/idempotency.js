@@ -0,0 +1,48 @@
+const idempotencyService = require('../services/idempotencyService');
+
+/**
+ * 🔁 Idempotency-Key
+ * Armazena a primeira resposta por usuário + chave e a repete nas retentativas.
+ * Requisições sem o header seguem o fluxo normal.
+ */
+const idempotency = (scope) => {
+  return (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+
+    let outcome;
+    try {
+      outcome = idempotencyService.begin(req.user.userId, scope, key, req.body);
+    } catch (error) {
+      if (error.message.includes('em processamento')) {
+        return res.status(409).json({ error: error.message });
+      }
+      if (error.message.includes('outra requisição')) {
+        return res.status(422).json({ error: error.message });
+      }
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (outcome.replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(outcome.response.status).json(outcome.response.body);
+    }
+
+    // Captura a resposta do controller para armazená-la junto da chave
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 500) {
+        idempotencyService.release(outcome.record);
+      } else {
+        idempotencyService.complete(outcome.record, { status: res.statusCode, body });
+      }
+      return json(body);
+    };
+
+    next();
+  };
+};
+
+module.exports = { idempotency };
@@ -1,4 +1,12 @@
 const Joi = require('joi');
+const Money = require('../models/Money');
+const { MODES: BATCH_MODES, MAX_ITEMS: MAX_BATCH_ITEMS } = require('../models/TransferBatch');
+const { TYPES: ALIAS_KEY_TYPES } = require('../models/AliasKey');
+const { TYPES: PAYMENT_CODE_TYPES } = require('../models/PaymentCode');
+const { CHANNELS: CASH_CHANNELS } = require('../models/CashOperation');
+const config = require('../config/environment');
+
+const ACCOUNT_PRODUCTS = Object.keys(config.accountProducts.catalog);
 
 const validateRequest = (schema) => {
   return (req, res, next) => {
@@ -13,6 +21,16 @@ const validateRequest = (schema) => {
   };
 };
 
+// Valor monetário: positivo (ou zero, com allowZero) e representável em centavos inteiros
+const moneyAmount = ({ allowZero = false } = {}) => (allowZero ? Joi.number().min(0) : Joi.number().positive()).custom((value, helpers) => {
+  try {
+    Money.fromDecimal(value);
+  } catch (error) {
+    return helpers.error('money.cents');
+  }
+  return value;
+});
+
 // Schemas de validação
 const loginSchema = Joi.object({
   email: Joi.string().email().required().messages({
@@ -38,17 +56,154 @@ const registerSchema = Joi.object({
   password: Joi.string().min(6).required().messages({
     'string.min': 'Senha deve ter pelo menos 6 caracteres',
     'any.required': 'Senha é obrigatória'
+  }),
+  product: Joi.string().valid(...ACCOUNT_PRODUCTS).optional().messages({
+    'any.only': `Produto inválido. Use um de: ${ACCOUNT_PRODUCTS.join(', ')}`
   })
 });
 
 const transferSchema = Joi.object({
+  // Destino: conta de 6 dígitos, uma chave (e-mail, telefone, CPF ou aleatória) ou um QR Code
+  toAccount: Joi.string().length(6).pattern(/^\d+$/)
+    .when('toKey', {
+      is: Joi.exist(),
+      then: Joi.forbidden(),
+      otherwise: Joi.when('qrCode', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+    })
+    .messages({
+      'string.length': 'Conta deve ter exatamente 6 dígitos',
+      'string.pattern.base': 'Conta deve conter apenas números',
+      'any.required': 'Conta de destino é obrigatória',
+      'any.unknown': 'Informe a conta ou a chave de destino, não ambas'
+    }),
+  toKey: Joi.string().trim().min(1).max(77).optional().messages({
+    'string.empty': 'Chave de destino não pode ser vazia',
+    'string.max': 'Chave de destino deve ter no máximo 77 caracteres'
+  }),
+  qrCode: Joi.string().trim().min(1).max(512).optional().messages({
+    'string.empty': 'QR Code não pode ser vazio',
+    'string.max': 'QR Code deve ter no máximo 512 caracteres'
+  }),
+  // Com QR Code de valor fixo, o valor pode ser omitido
+  amount: moneyAmount().when('qrCode', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }).messages({
+    'number.positive': 'Valor deve ser maior que zero',
+    'money.cents': 'Valor deve ter no máximo 2 casas decimais',
+    'any.required': 'Valor é obrigatório'
+  }),
+  description: Joi.string().max(255).optional().messages({
+    'string.max': 'Descrição deve ter no máximo 255 caracteres'
+  }),
+  scheduledFor: Joi.date().iso().greater('now').optional().messages({
+    'date.format': 'Data de agendamento deve estar no formato ISO 8601',
+    'date.greater': 'Data de agendamento deve ser futura'
+  }),
+  requestApproval: Joi.boolean().optional().messages({
+    'boolean.base': 'requestApproval deve ser verdadeiro ou falso'
+  })
+}).oxor('qrCode', 'toAccount').oxor('qrCode', 'toKey').messages({
+  'object.oxor': 'QR Code já define o destino; não informe conta ou chave'
+});
+
+// Cada item do lote segue as mesmas regras de formato de uma transferência individual,
+// sem agendamento nem aprovação por senha: o lote executa tudo na hora
+const transferBatchItemSchema = transferSchema.fork(['scheduledFor', 'requestApproval'], schema => schema.forbidden().messages({
+  'any.unknown': 'Itens do lote não aceitam scheduledFor nem requestApproval'
+}));
+
+const transferBatchSchema = Joi.object({
+  mode: Joi.string().valid(...BATCH_MODES).optional().messages({
+    'any.only': `Modo deve ser ${BATCH_MODES.join(' ou ')}`
+  }),
+  transfers: Joi.array().items(transferBatchItemSchema).min(1).max(MAX_BATCH_ITEMS).required().messages({
+    'array.base': 'transfers deve ser uma lista de transferências',
+    'array.min': 'Lote deve ter ao menos uma transferência',
+    'array.max': `Lote deve ter no máximo ${MAX_BATCH_ITEMS} transferências`,
+    'any.required': 'Lista de transferências é obrigatória'
+  })
+});
+
+const confirmTransferSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'any.required': 'Senha é obrigatória'
+  })
+});
+
+const recurringTransferSchema = Joi.object({
   toAccount: Joi.string().length(6).pattern(/^\d+$/).required().messages({
     'string.length': 'Conta deve ter exatamente 6 dígitos',
     'string.pattern.base': 'Conta deve conter apenas números',
     'any.required': 'Conta de destino é obrigatória'
   }),
-  amount: Joi.number().positive().precision(2).required().messages({
+  amount: moneyAmount().required().messages({
+    'number.positive': 'Valor deve ser maior que zero',
+    'money.cents': 'Valor deve ter no máximo 2 casas decimais',
+    'any.required': 'Valor é obrigatório'
+  }),
+  description: Joi.string().max(255).optional().messages({
+    'string.max': 'Descrição deve ter no máximo 255 caracteres'
+  }),
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly').required().messages({
+    'any.only': 'Frequência deve ser daily, weekly ou monthly',
+    'any.required': 'Frequência é obrigatória'
+  }),
+  startDate: Joi.date().iso().greater('now').required().messages({
+    'date.format': 'Data de início deve estar no formato ISO 8601',
+    'date.greater': 'Data de início deve ser futura',
+    'any.required': 'Data de início é obrigatória'
+  }),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).optional().messages({
+    'date.format': 'Data de término deve estar no formato ISO 8601',
+    'date.min': 'Data de término deve ser posterior à data de início'
+  }),
+  maxOccurrences: Joi.number().integer().min(1).optional().messages({
+    'number.base': 'Quantidade de ocorrências deve ser um número',
+    'number.integer': 'Quantidade de ocorrências deve ser um inteiro',
+    'number.min': 'Quantidade de ocorrências deve ser maior que zero'
+  })
+});
+
+const recurringTransferUpdateSchema = Joi.object({
+  amount: moneyAmount().optional().messages({
+    'number.positive': 'Valor deve ser maior que zero',
+    'money.cents': 'Valor deve ter no máximo 2 casas decimais'
+  }),
+  description: Joi.string().max(255).optional().messages({
+    'string.max': 'Descrição deve ter no máximo 255 caracteres'
+  }),
+  endDate: Joi.date().iso().allow(null).optional().messages({
+    'date.format': 'Data de término deve estar no formato ISO 8601'
+  }),
+  maxOccurrences: Joi.number().integer().min(1).allow(null).optional().messages({
+    'number.base': 'Quantidade de ocorrências deve ser um número',
+    'number.integer': 'Quantidade de ocorrências deve ser um inteiro',
+    'number.min': 'Quantidade de ocorrências deve ser maior que zero'
+  }),
+  status: Joi.string().valid('active', 'paused').optional().messages({
+    'any.only': 'Status deve ser active ou paused'
+  })
+}).min(1).messages({
+  'object.min': 'Informe ao menos um campo para alterar'
+});
+
+const refundSchema = Joi.object({
+  amount: moneyAmount().optional().messages({
+    'number.positive': 'Valor deve ser maior que zero',
+    'money.cents': 'Valor deve ter no máximo 2 casas decimais'
+  }),
+  description: Joi.string().max(255).optional().messages({
+    'string.max': 'Descrição deve ter no máximo 255 caracteres'
+  })
+});
+
+const paymentRequestSchema = Joi.object({
+  payerAccount: Joi.string().length(6).pattern(/^\d+$/).required().messages({
+    'string.length': 'Conta deve ter exatamente 6 dígitos',
+    'string.pattern.base': 'Conta deve conter apenas números',
+    'any.required': 'Conta do pagador é obrigatória'
+  }),
+  amount: moneyAmount().required().messages({
     'number.positive': 'Valor deve ser maior que zero',
+    'money.cents': 'Valor deve ter no máximo 2 casas decimais',
     'any.required': 'Valor é obrigatório'
   }),
   description: Joi.string().max(255).optional().messages({
@@ -64,10 +219,171 @@ const favoriteSchema = Joi.object({
   })
 });
 
+// Dados do comprovante a conferir; campos extras do documento (ex.: issuedAt) são aceitos
+const receiptParty = (label) => Joi.object({
+  name: Joi.string().allow('').required().messages({
+    'any.required': `Nome do ${label} é obrigatório`
+  }),
+  account: Joi.string().required().messages({
+    'any.required': `Conta do ${label} é obrigatória`
+  })
+}).unknown(true).required().messages({
+  'any.required': `${label.charAt(0).toUpperCase()}${label.slice(1)} é obrigatório`
+});
+
+const receiptVerificationSchema = Joi.object({
+  transferId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Id da transferência deve ser um número',
+    'any.required': 'Id da transferência é obrigatório'
+  }),
+  payer: receiptParty('pagador'),
+  payee: receiptParty('recebedor'),
+  amount: moneyAmount().required().messages({
+    'number.positive': 'Valor deve ser maior que zero',
+    'money.cents': 'Valor deve ter no máximo 2 casas decimais',
+    'any.required': 'Valor é obrigatório'
+  }),
+  currency: Joi.string().length(3).optional(),
+  description: Joi.string().allow('', null).max(255).optional(),
+  executedAt: Joi.date().iso().required().messages({
+    'date.format': 'Data da transferência deve estar no formato ISO 8601',
+    'any.required': 'Data da transferência é obrigatória'
+  }),
+  authenticationCode: Joi.string().required().messages({
+    'any.required': 'Código de autenticação é obrigatório'
+  })
+}).unknown(true);
+
+const aliasKeySchema = Joi.object({
+  type: Joi.string().valid(...ALIAS_KEY_TYPES).required().messages({
+    'any.only': `Tipo de chave deve ser um de: ${ALIAS_KEY_TYPES.join(', ')}`,
+    'any.required': 'Tipo de chave é obrigatório'
+  }),
+  value: Joi.string().max(77).when('type', { is: 'random', then: Joi.forbidden(), otherwise: Joi.required() }).messages({
+    'any.required': 'Valor da chave é obrigatório',
+    'any.unknown': 'Chave aleatória é gerada automaticamente; não informe o valor',
+    'string.max': 'Valor da chave deve ter no máximo 77 caracteres'
+  })
+});
+
+const paymentCodeSchema = Joi.object({
+  type: Joi.string().valid(...PAYMENT_CODE_TYPES).optional().messages({
+    'any.only': `Tipo de QR Code deve ser um de: ${PAYMENT_CODE_TYPES.join(', ')}`
+  }),
+  key: Joi.string().trim().min(1).max(77).optional().messages({
+    'string.empty': 'Chave não pode ser vazia',
+    'string.max': 'Chave deve ter no máximo 77 caracteres'
+  }),
+  amount: moneyAmount().when('type', { is: 'dynamic', then: Joi.required() }).messages({
+    'number.positive': 'Valor deve ser maior que zero',
+    'money.cents': 'Valor deve ter no máximo 2 casas decimais',
+    'any.required': 'QR Code dinâmico exige valor'
+  }),
+  // O template de conta do BR Code tem até 99 caracteres, somando chave e descrição
+  description: Joi.string().max(60).optional().messages({
+    'string.max': 'Descrição deve ter no máximo 60 caracteres'
+  })
+});
+
+const paymentCodeDecodeSchema = Joi.object({
+  payload: Joi.string().trim().min(1).max(512).required().messages({
+    'string.empty': 'Payload do QR Code é obrigatório',
+    'string.max': 'Payload do QR Code deve ter no máximo 512 caracteres',
+    'any.required': 'Payload do QR Code é obrigatório'
+  })
+});
+
+// Depósito e saque: o canal boleto só é aceito em depósitos
+const cashOperationSchema = (channels) => Joi.object({
+  amount: moneyAmount().required().messages({
+    'number.positive': 'Valor deve ser maior que zero',
+    'money.cents': 'Valor deve ter no máximo 2 casas decimais',
+    'any.required': 'Valor é obrigatório'
+  }),
+  channel: Joi.string().valid(...channels).required().messages({
+    'any.only': `Canal deve ser um de: ${channels.join(', ')}`,
+    'any.required': 'Canal é obrigatório'
+  }),
+  description: Joi.string().max(255).optional().messages({
+    'string.max': 'Descrição deve ter no máximo 255 caracteres'
+  })
+});
+
+const depositSchema = cashOperationSchema(CASH_CHANNELS);
+const withdrawalSchema = cashOperationSchema(CASH_CHANNELS.filter(channel => channel !== 'boleto'));
+
+const overdraftSchema = Joi.object({
+  limit: moneyAmount({ allowZero: true }).required().messages({
+    'number.base': 'Limite deve ser um número',
+    'number.min': 'Limite não pode ser negativo',
+    'money.cents': 'Valor deve ter no máximo 2 casas decimais',
+    'any.required': 'Limite é obrigatório'
+  })
+});
+
+// Opções por nome de regra (ex.: { dailyLimit: { limit: 5000 } }); null remove o ajuste
+const ruleSettingsSchema = Joi.object({
+  ruleSettings: Joi.object().pattern(Joi.string(), Joi.object({
+    enabled: Joi.boolean().messages({
+      'boolean.base': 'enabled deve ser true ou false'
+    })
+  }).unknown(true).allow(null)).min(1).required().messages({
+    'object.base': 'Ajustes devem ser um objeto por nome de regra',
+    'object.min': 'Informe ao menos uma regra',
+    'any.required': 'Ajustes são obrigatórios'
+  })
+});
+
+const categoryName = () => Joi.string().trim().min(1).max(40).required().messages({
+  'string.empty': 'Categoria é obrigatória',
+  'string.max': 'Categoria deve ter no máximo 40 caracteres',
+  'any.required': 'Categoria é obrigatória'
+});
+
+const categoryRuleSchema = Joi.object({
+  category: categoryName(),
+  descriptionContains: Joi.string().trim().min(1).max(100).optional().messages({
+    'string.empty': 'Trecho da descrição não pode ser vazio',
+    'string.max': 'Trecho da descrição deve ter no máximo 100 caracteres'
+  }),
+  counterparty: Joi.string().length(6).pattern(/^\d+$/).optional().messages({
+    'string.length': 'Conta deve ter exatamente 6 dígitos',
+    'string.pattern.base': 'Conta deve conter apenas números'
+  })
+}).or('descriptionContains', 'counterparty').messages({
+  'object.missing': 'Informe o trecho da descrição e/ou a conta da contraparte'
+});
+
+const transferCategorySchema = Joi.object({
+  category: categoryName(),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(30)).max(10).optional().messages({
+    'array.max': 'Máximo de 10 tags por transferência',
+    'string.empty': 'Tags devem ter entre 1 e 30 caracteres',
+    'string.max': 'Tags devem ter entre 1 e 30 caracteres'
+  })
+});
+
 module.exports = {
   validateRequest,
+  moneyAmount,
   loginSchema,
   registerSchema,
   transferSchema,
-  favoriteSchema
+  transferBatchSchema,
+  confirmTransferSchema,
+  recurringTransferSchema,
+  recurringTransferUpdateSchema,
+  refundSchema,
+  paymentRequestSchema,
+  favoriteSchema,
+  receiptVerificationSchema,
+  aliasKeySchema,
+  paymentCodeSchema,
+  paymentCodeDecodeSchema,
+  categoryRuleSchema,
+  transferCategorySchema,
+  depositSchema,
+  withdrawalSchema,
+  overdraftSchema,
+  ruleSettingsSchema
 };
@@ -0,0 +1,16 @@
+const TYPES = ['email', 'phone', 'cpf', 'random'];
+
+// Chave de endereçamento (como as chaves Pix) que aponta para a conta do usuário
+class AliasKey {
+  constructor(id, userId, account, type, value) {
+    this.id = id;
+    this.userId = userId;
+    this.account = account;
+    this.type = type; // 'email' | 'phone' | 'cpf' | 'random'
+    this.value = value; // valor normalizado (e-mail minúsculo, telefone +55..., CPF só dígitos)
+    this.createdAt = new Date();
+  }
+}
+
+module.exports = AliasKey;
+module.exports.TYPES = TYPES;
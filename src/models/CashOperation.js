@@ -0,0 +1,25 @@
+const Money = require('./Money');
+
+const TYPES = ['deposit', 'withdrawal'];
+
+// Canais de entrada e saída de dinheiro; boleto só recebe (depósito)
+const CHANNELS = ['branch', 'atm', 'boleto', 'external_bank'];
+
+// Depósito ou saque: movimenta o saldo da conta contra uma conta interna do canal
+class CashOperation {
+  constructor(id, userId, account, type, channel, amount, description) {
+    this.id = id;
+    this.userId = userId;
+    this.account = account;
+    this.type = type; // 'deposit' | 'withdrawal'
+    this.channel = channel;
+    this.amount = Money.of(amount);
+    this.description = description;
+    this.status = 'completed';
+    this.createdAt = new Date();
+  }
+}
+
+module.exports = CashOperation;
+module.exports.TYPES = TYPES;
+module.exports.CHANNELS = CHANNELS;
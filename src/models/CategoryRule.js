@@ -0,0 +1,13 @@
+// Regra do usuário que sugere a categoria de transferências pela descrição e/ou pela contraparte
+class CategoryRule {
+  constructor(id, userId, category, descriptionContains, counterparty) {
+    this.id = id;
+    this.userId = userId;
+    this.category = category;
+    this.descriptionContains = descriptionContains; // trecho da descrição (sem diferenciar maiúsculas e acentos)
+    this.counterparty = counterparty; // conta do outro lado da transferência
+    this.createdAt = new Date();
+  }
+}
+
+module.exports = CategoryRule;
@@ -0,0 +1,26 @@
+const Money = require('./Money');
+
+const STATUSES = ['pending_review', 'approved', 'rejected', 'blocked'];
+
+// Transferência sinalizada pela análise de risco: retida para análise (review) ou bloqueada (block)
+class FraudAlert {
+  constructor(id, userId, fromAccount, toAccount, amount, score, decision, reasons, transferId = null) {
+    this.id = id;
+    this.userId = userId;
+    this.fromAccount = fromAccount;
+    this.toAccount = toAccount;
+    this.amount = Money.of(amount);
+    this.score = score;
+    this.decision = decision; // review | block
+    this.reasons = reasons; // [{ code, points, message }], do maior para o menor peso
+    this.reasonCode = reasons[0]?.code ?? null;
+    this.transferId = transferId; // transferência retida; null quando bloqueada
+    this.status = decision === 'block' ? 'blocked' : 'pending_review';
+    this.reviewedBy = null;
+    this.reviewedAt = null;
+    this.createdAt = new Date();
+  }
+}
+
+module.exports = FraudAlert;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,19 @@
+class IdempotencyRecord {
+  constructor(id, userId, scope, key, requestHash, expiresAt) {
+    this.id = id;
+    this.userId = userId;
+    this.scope = scope;
+    this.key = key;
+    this.requestHash = requestHash;
+    this.status = 'processing'; // 'processing' | 'completed'
+    this.response = null;
+    this.createdAt = new Date();
+    this.expiresAt = expiresAt;
+  }
+
+  isExpired(now = new Date()) {
+    return this.expiresAt <= now;
+  }
+}
+
+module.exports = IdempotencyRecord;
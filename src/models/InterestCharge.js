@@ -0,0 +1,17 @@
+const Money = require('./Money');
+
+// Juros do cheque especial lançados em um dia sobre o saldo negativo da conta
+class InterestCharge {
+  constructor(id, userId, account, date, balance, rate, amount) {
+    this.id = id;
+    this.userId = userId;
+    this.account = account;
+    this.date = date; // dia local (YYYY-MM-DD) em que os juros foram lançados
+    this.balance = Money.of(balance); // saldo negativo sobre o qual os juros incidiram
+    this.rate = rate; // taxa diária
+    this.amount = Money.of(amount);
+    this.createdAt = new Date();
+  }
+}
+
+module.exports = InterestCharge;
@@ -0,0 +1,22 @@
+const Money = require('./Money');
+
+class LedgerEntry {
+  constructor(id, journalId, account, type, amount, description, referenceType = null, referenceId = null) {
+    this.id = id;
+    this.journalId = journalId;
+    this.account = account;
+    this.type = type; // 'debit' | 'credit'
+    this.amount = Money.of(amount);
+    this.description = description;
+    this.referenceType = referenceType;
+    this.referenceId = referenceId;
+    this.createdAt = new Date();
+  }
+
+  // Efeito do lançamento no saldo da conta (crédito soma, débito subtrai)
+  signedAmount() {
+    return this.type === 'credit' ? this.amount : this.amount.negate();
+  }
+}
+
+module.exports = LedgerEntry;
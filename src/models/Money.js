@@ -0,0 +1,125 @@
+const DEFAULT_CURRENCY = 'BRL';
+
+/**
+ * 💰 Money
+ * Valor monetário imutável armazenado em centavos inteiros com moeda explícita.
+ * Evita o acúmulo de erros de ponto flutuante (ex.: 0.1 + 0.2).
+ */
+class Money {
+  constructor(cents, currency = DEFAULT_CURRENCY) {
+    if (!Number.isSafeInteger(cents)) {
+      throw new Error('Valor em centavos deve ser um número inteiro');
+    }
+    this.cents = cents;
+    this.currency = currency;
+    Object.freeze(this);
+  }
+
+  static zero(currency = DEFAULT_CURRENCY) {
+    return new Money(0, currency);
+  }
+
+  // Converte um valor decimal (ex.: 100.5) em centavos, sem arredondar frações de centavo
+  static fromDecimal(value, currency = DEFAULT_CURRENCY) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error('Valor deve ser um número válido');
+    }
+
+    const cents = Number((value * 100).toPrecision(15));
+    if (!Number.isInteger(cents)) {
+      throw new Error('Valor deve ter no máximo 2 casas decimais');
+    }
+
+    return new Money(cents, currency);
+  }
+
+  // Aceita Money, número ou string numérica (ex.: '250.50')
+  static of(value, currency = DEFAULT_CURRENCY) {
+    if (value instanceof Money) {
+      return value;
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+      return Money.fromDecimal(Number(value), currency);
+    }
+    return Money.fromDecimal(value, currency);
+  }
+
+  add(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.cents + other.cents, this.currency);
+  }
+
+  subtract(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.cents - other.cents, this.currency);
+  }
+
+  negate() {
+    return new Money(-this.cents, this.currency);
+  }
+
+  compare(other) {
+    this.assertSameCurrency(other);
+    return Math.sign(this.cents - other.cents);
+  }
+
+  equals(other) {
+    return other instanceof Money && this.currency === other.currency && this.cents === other.cents;
+  }
+
+  greaterThan(other) {
+    return this.compare(other) > 0;
+  }
+
+  lessThan(other) {
+    return this.compare(other) < 0;
+  }
+
+  isPositive() {
+    return this.cents > 0;
+  }
+
+  isNegative() {
+    return this.cents < 0;
+  }
+
+  isZero() {
+    return this.cents === 0;
+  }
+
+  toDecimal() {
+    return this.cents / 100;
+  }
+
+  // Ex.: R$ 1.234,56
+  format(locale = 'pt-BR') {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: this.currency })
+      .format(this.toDecimal())
+      .replace(/\u00a0/g, ' ');
+  }
+
+  // Respostas JSON continuam expondo o valor decimal
+  toJSON() {
+    return this.toDecimal();
+  }
+
+  toString() {
+    return this.format();
+  }
+
+  assertSameCurrency(other) {
+    if (!(other instanceof Money)) {
+      throw new Error('Operação monetária exige um valor Money');
+    }
+    if (other.currency !== this.currency) {
+      throw new Error(`Moedas diferentes: ${this.currency} e ${other.currency}`);
+    }
+  }
+}
+
+// Helper de formatação para valores em reais
+const formatBRL = (value) => Money.of(value, 'BRL').format('pt-BR');
+
+module.exports = Money;
+module.exports.DEFAULT_CURRENCY = DEFAULT_CURRENCY;
+module.exports.formatBRL = formatBRL;
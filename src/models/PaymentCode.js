@@ -0,0 +1,29 @@
+// Estáticos são reutilizáveis e não ficam armazenados; só os dinâmicos viram PaymentCode
+const TYPES = ['static', 'dynamic'];
+const STATUSES = ['active', 'paid', 'expired'];
+
+// QR Code dinâmico: cobrança de uso único, com valor fixo e prazo de validade
+class PaymentCode {
+  constructor(id, txid, userId, account, key, amount, description, expiresAt) {
+    this.id = id;
+    this.txid = txid; // identificador gravado no payload (campo 62-05)
+    this.userId = userId;
+    this.account = account;
+    this.key = key; // chave de destino, quando o QR Code foi gerado para uma chave
+    this.amount = amount;
+    this.description = description;
+    this.status = 'active'; // 'active' | 'paid' | 'expired'
+    this.expiresAt = new Date(expiresAt);
+    this.transferId = null; // transferência que pagou o QR Code
+    this.paidAt = null;
+    this.createdAt = new Date();
+  }
+
+  isExpired(now = new Date()) {
+    return this.status === 'active' && this.expiresAt <= now;
+  }
+}
+
+module.exports = PaymentCode;
+module.exports.TYPES = TYPES;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,26 @@
+const Money = require('./Money');
+
+const STATUSES = ['pending', 'under_review', 'accepted', 'declined', 'expired'];
+
+class PaymentRequest {
+  constructor(id, requesterId, requesterAccount, payerAccount, amount, description, expiresAt) {
+    this.id = id;
+    this.requesterId = requesterId;
+    this.requesterAccount = requesterAccount;
+    this.payerAccount = payerAccount;
+    this.amount = Money.of(amount);
+    this.description = description;
+    this.status = 'pending'; // 'pending' | 'under_review' | 'accepted' | 'declined' | 'expired'
+    this.expiresAt = new Date(expiresAt);
+    this.transferId = null; // transferência gerada ao aceitar
+    this.respondedAt = null;
+    this.createdAt = new Date();
+  }
+
+  isExpired(now = new Date()) {
+    return this.status === 'pending' && this.expiresAt <= now;
+  }
+}
+
+module.exports = PaymentRequest;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,85 @@
+const Money = require('./Money');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+class RecurringTransfer {
+  constructor(id, userId, fromAccount, toAccount, amount, description, frequency, startDate, endDate = null, maxOccurrences = null) {
+    this.id = id;
+    this.userId = userId;
+    this.fromAccount = fromAccount;
+    this.toAccount = toAccount;
+    this.amount = Money.of(amount);
+    this.description = description;
+    this.frequency = frequency; // 'daily' | 'weekly' | 'monthly'
+    this.startDate = new Date(startDate);
+    this.endDate = endDate ? new Date(endDate) : null;
+    this.maxOccurrences = maxOccurrences;
+    this.status = 'active'; // 'active' | 'paused' | 'completed' | 'cancelled'
+    this.cycle = 0;
+    this.occurrences = 0;
+    this.nextRunAt = new Date(startDate);
+    this.lastRunAt = null;
+    this.createdAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  // Data da execução de número `index`, calculada a partir do início para não acumular desvios
+  // (ordens mensais no dia 31 ocorrem no último dia dos meses mais curtos)
+  occurrenceDate(index) {
+    if (this.frequency === 'daily') {
+      return new Date(this.startDate.getTime() + index * DAY_MS);
+    }
+    if (this.frequency === 'weekly') {
+      return new Date(this.startDate.getTime() + index * 7 * DAY_MS);
+    }
+
+    const date = new Date(this.startDate);
+    const month = this.startDate.getUTCMonth() + index;
+    const year = this.startDate.getUTCFullYear() + Math.floor(month / 12);
+    date.setUTCDate(1);
+    date.setUTCFullYear(year, month % 12, Math.min(this.startDate.getUTCDate(), daysInMonth(year, month % 12)));
+    return date;
+  }
+
+  hasEnded(nextDate) {
+    if (this.maxOccurrences && this.occurrences >= this.maxOccurrences) {
+      return true;
+    }
+    return Boolean(this.endDate && nextDate > this.endDate);
+  }
+
+  // Avança para o próximo ciclo; sem próximo ciclo a ordem é concluída
+  advance(now = new Date()) {
+    this.occurrences += 1;
+    this.lastRunAt = now;
+    this.moveTo(this.cycle + 1);
+  }
+
+  // Pula os ciclos que venceram enquanto a ordem estava pausada
+  skipUntil(now) {
+    let cycle = this.cycle;
+    while (this.occurrenceDate(cycle) < now) {
+      cycle += 1;
+    }
+    this.moveTo(cycle);
+  }
+
+  moveTo(cycle) {
+    this.cycle = cycle;
+    const next = this.occurrenceDate(cycle);
+
+    if (this.hasEnded(next)) {
+      this.status = 'completed';
+      this.nextRunAt = null;
+    } else {
+      this.nextRunAt = next;
+    }
+  }
+}
+
+module.exports = RecurringTransfer;
+module.exports.FREQUENCIES = FREQUENCIES;
@@ -1,14 +1,33 @@
+const Money = require('./Money');
+
+const STATUSES = [
+  'completed',
+  'scheduled',
+  'failed',
+  'cancelled',
+  'refunded',
+  'partially_refunded',
+  'pending_approval',
+  'expired',
+  'under_review',
+  'rejected'
+];
+
 class Transfer {
   constructor(id, fromAccount, toAccount, amount, description, isFavorite = false) {
     this.id = id;
     this.fromAccount = fromAccount;
     this.toAccount = toAccount;
-    this.amount = amount;
+    this.amount = Money.of(amount);
     this.description = description;
     this.isFavorite = isFavorite;
+    // Tarifa cobrada do remetente, além do valor (definida pelo feeService na execução)
+    this.fee = Money.zero();
+    this.feeWaiver = null;
     this.status = 'completed';
     this.createdAt = new Date();
   }
 }
 
 module.exports = Transfer;
+module.exports.STATUSES = STATUSES;
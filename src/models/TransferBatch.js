@@ -0,0 +1,32 @@
+const MODES = ['all_or_nothing', 'best_effort'];
+
+const MAX_ITEMS = 100;
+
+class TransferBatch {
+  constructor(id, userId, mode, items) {
+    this.id = id;
+    this.userId = userId;
+    this.mode = mode; // 'all_or_nothing' | 'best_effort'
+    // Resultado por item, na ordem enviada: { index, status, transferId, error, code }
+    // status: 'completed' | 'under_review' (retido pela análise de risco) | 'failed'
+    //         | 'rolled_back' (itens válidos desfeitos em lote all_or_nothing)
+    this.items = items;
+    this.totalItems = items.length;
+    this.succeeded = items.filter(item => item.status === 'completed').length;
+    this.held = items.filter(item => item.status === 'under_review').length;
+    this.failed = items.filter(item => item.status === 'failed').length;
+    this.status = this.summarize(); // 'completed' | 'partially_completed' | 'failed'
+    this.createdAt = new Date();
+  }
+
+  summarize() {
+    if (this.succeeded === this.totalItems) {
+      return 'completed';
+    }
+    return this.succeeded > 0 || this.held > 0 ? 'partially_completed' : 'failed';
+  }
+}
+
+module.exports = TransferBatch;
+module.exports.MODES = MODES;
+module.exports.MAX_ITEMS = MAX_ITEMS;
@@ -0,0 +1,15 @@
+// Categoria e tags escolhidas por um dos participantes da transferência;
+// remetente e destinatário classificam a mesma transferência de forma independente
+class TransferCategory {
+  constructor(id, userId, transferId, category, tags = []) {
+    this.id = id;
+    this.userId = userId;
+    this.transferId = transferId;
+    this.category = category;
+    this.tags = tags;
+    this.createdAt = new Date();
+    this.updatedAt = new Date();
+  }
+}
+
+module.exports = TransferCategory;
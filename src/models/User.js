@@ -1,11 +1,17 @@
+const Money = require('./Money');
+
 class User {
-  constructor(id, name, email, password, account, balance = 0) {
+  constructor(id, name, email, password, account, balance = Money.zero(), product = null) {
     this.id = id;
     this.name = name;
     this.email = email;
     this.password = password;
     this.account = account;
-    this.balance = balance;
+    this.balance = Money.of(balance);
+    this.product = product;
+    this.overdraftLimit = null; // null = limite do cheque especial do produto
+    this.ruleSettings = {}; // ajustes das regras de transferência só deste usuário, acima do produto
+    this.isAdmin = false; // concedido só pela conta de ADMIN_EMAIL (userService.ensureAdmin), nunca pelo cadastro
     this.createdAt = new Date();
     this.updatedAt = new Date();
   }
@@ -16,7 +22,7 @@ class User {
   }
 
   updateBalance(amount) {
-    this.balance += amount;
+    this.balance = this.balance.add(Money.of(amount));
     this.updatedAt = new Date();
   }
 }
@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+const cashOperationController = require('../controllers/cashOperationController');
+const overdraftController = require('../controllers/overdraftController');
+const { authenticateToken } = require('../middlewares/auth');
+const { idempotency } = require('../middlewares/idempotency');
+const { validateRequest, depositSchema, withdrawalSchema, overdraftSchema } = require('../middlewares/validation');
+
+/**
+ * @swagger
+ * /accounts/deposits:
+ *   post:
+ *     summary: Deposita na conta do usuário logado
+ *     description: O valor entra imediatamente pelo canal informado. O total depositado por dia tem limite próprio (DAILY_DEPOSIT_LIMIT), renovado à meia-noite no fuso LIMITS_TIME_ZONE. Aceita o header Idempotency-Key.
+ *     tags: [Contas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Retentativas com a mesma chave repetem a primeira resposta
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - channel
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 500.00
+ *               channel:
+ *                 type: string
+ *                 enum: [branch, atm, boleto, external_bank]
+ *                 example: boleto
+ *               description:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: Salário
+ *     responses:
+ *       201:
+ *         description: Depósito realizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CashOperation'
+ *       400:
+ *         description: Valor ou canal inválido
+ *       401:
+ *         description: Token não informado
+ *       403:
+ *         description: Limite diário de depósitos excedido
+ */
+router.post('/deposits', authenticateToken, validateRequest(depositSchema), idempotency('accounts.deposit.rest'), cashOperationController.createDeposit);
+
+/**
+ * @swagger
+ * /accounts/withdrawals:
+ *   post:
+ *     summary: Saca da conta do usuário logado
+ *     description: O boleto não é aceito como canal de saque. No caixa eletrônico, o valor deve ser múltiplo de R$ 10,00 e respeitar o limite por saque (ATM_WITHDRAWAL_LIMIT). O total sacado por dia tem limite próprio (DAILY_WITHDRAWAL_LIMIT). Aceita o header Idempotency-Key.
+ *     tags: [Contas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Retentativas com a mesma chave repetem a primeira resposta
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - channel
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 200.00
+ *               channel:
+ *                 type: string
+ *                 enum: [branch, atm, external_bank]
+ *                 example: atm
+ *               description:
+ *                 type: string
+ *                 maxLength: 255
+ *     responses:
+ *       201:
+ *         description: Saque realizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CashOperation'
+ *       400:
+ *         description: Valor ou canal inválido, valor não múltiplo de R$ 10,00 no caixa eletrônico ou saldo insuficiente
+ *       401:
+ *         description: Token não informado
+ *       403:
+ *         description: Limite diário de saques ou limite por saque no caixa eletrônico excedido
+ */
+router.post('/withdrawals', authenticateToken, validateRequest(withdrawalSchema), idempotency('accounts.withdrawal.rest'), cashOperationController.createWithdrawal);
+
+/**
+ * @swagger
+ * /accounts/operations:
+ *   get:
+ *     summary: Lista os depósitos e saques do usuário logado, dos mais recentes para os mais antigos
+ *     tags: [Contas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [deposit, withdrawal]
+ *     responses:
+ *       200:
+ *         description: Operações da conta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CashOperation'
+ *       400:
+ *         description: Tipo inválido
+ *       401:
+ *         description: Token não informado
+ */
+router.get('/operations', authenticateToken, cashOperationController.getOperations);
+
+/**
+ * @swagger
+ * /accounts/operations/{id}:
+ *   get:
+ *     summary: Detalha um depósito ou saque do usuário logado
+ *     tags: [Contas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da operação
+ *     responses:
+ *       200:
+ *         description: Operação encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CashOperation'
+ *       401:
+ *         description: Token não informado
+ *       404:
+ *         description: Operação não encontrada
+ */
+router.get('/operations/:id', authenticateToken, cashOperationController.getOperation);
+
+/**
+ * @swagger
+ * /accounts/limits:
+ *   get:
+ *     summary: Limites diários de depósito e saque do usuário logado e quanto resta de cada um
+ *     tags: [Contas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Limites de depósito e saque
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currency:
+ *                       type: string
+ *                       example: BRL
+ *                     deposit:
+ *                       $ref: '#/components/schemas/CashLimit'
+ *                     withdrawal:
+ *                       $ref: '#/components/schemas/CashLimit'
+ *                     atmWithdrawalLimit:
+ *                       type: number
+ *                       description: Valor máximo por saque no caixa eletrônico
+ *                       example: 1000.00
+ *       401:
+ *         description: Token não informado
+ */
+router.get('/limits', authenticateToken, cashOperationController.getLimits);
+
+/**
+ * @swagger
+ * /accounts/overdraft:
+ *   get:
+ *     summary: Cheque especial do usuário logado (limite, uso, crédito disponível e taxa de juros)
+ *     tags: [Contas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cheque especial
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Overdraft'
+ *       401:
+ *         description: Token não informado
+ */
+router.get('/overdraft', authenticateToken, overdraftController.getOverdraft);
+
+/**
+ * @swagger
+ * /accounts/overdraft:
+ *   put:
+ *     summary: Ajusta o limite do cheque especial
+ *     description: O limite vai de zero (cheque especial desligado) até o concedido pelo produto da conta e não pode ficar abaixo do valor em uso.
+ *     tags: [Contas]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - limit
+ *             properties:
+ *               limit:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 1000.00
+ *     responses:
+ *       200:
+ *         description: Limite atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Overdraft'
+ *       400:
+ *         description: Limite acima do concedido pelo produto ou abaixo do valor em uso
+ *       401:
+ *         description: Token não informado
+ */
+router.put('/overdraft', authenticateToken, validateRequest(overdraftSchema), overdraftController.updateOverdraft);
+
+/**
+ * @swagger
+ * /accounts/overdraft/interest:
+ *   get:
+ *     summary: Juros do cheque especial lançados na conta, mais recentes primeiro
+ *     tags: [Contas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Juros lançados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InterestCharge'
+ *       401:
+ *         description: Token não informado
+ */
+router.get('/overdraft/interest', authenticateToken, overdraftController.getInterestCharges);
+
+module.exports = router;
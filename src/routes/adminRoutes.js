@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const fraudController = require('../controllers/fraudController');
+const userController = require('../controllers/userController');
+const { authenticateToken, requireAdmin } = require('../middlewares/auth');
+const { validateRequest, ruleSettingsSchema } = require('../middlewares/validation');
+
+/**
+ * @swagger
+ * /admin/fraud/alerts:
+ *   get:
+ *     summary: Lista as transferências sinalizadas pela análise de risco, mais recentes primeiro
+ *     description: Restrito à conta de administrador (ADMIN_EMAIL). Cada alerta traz a pontuação, a decisão (review retém a transferência, block a impede) e os motivos.
+ *     tags: [Administração]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: decision
+ *         schema:
+ *           type: string
+ *           enum: [review, block]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_review, approved, rejected, blocked]
+ *     responses:
+ *       200:
+ *         description: Alertas encontrados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FraudAlert'
+ *       400:
+ *         description: Filtro inválido
+ *       401:
+ *         description: Token não informado
+ *       403:
+ *         description: Usuário não é administrador
+ */
+router.get('/fraud/alerts', authenticateToken, requireAdmin, fraudController.getAlerts);
+
+/**
+ * @swagger
+ * /admin/fraud/alerts/{id}/approve:
+ *   post:
+ *     summary: Aprova a transferência retida para análise; o valor reservado segue para o destinatário
+ *     tags: [Administração]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transferência aprovada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/FraudAlert'
+ *       403:
+ *         description: Usuário não é administrador
+ *       404:
+ *         description: Alerta não encontrado
+ *       409:
+ *         description: Alerta já resolvido ou de transferência bloqueada
+ */
+router.post('/fraud/alerts/:id/approve', authenticateToken, requireAdmin, fraudController.approveAlert);
+
+/**
+ * @swagger
+ * /admin/fraud/alerts/{id}/reject:
+ *   post:
+ *     summary: Rejeita a transferência retida para análise; o valor reservado volta ao remetente
+ *     tags: [Administração]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transferência rejeitada
+ *       403:
+ *         description: Usuário não é administrador
+ *       404:
+ *         description: Alerta não encontrado
+ *       409:
+ *         description: Alerta já resolvido ou de transferência bloqueada
+ */
+router.post('/fraud/alerts/:id/reject', authenticateToken, requireAdmin, fraudController.rejectAlert);
+
+/**
+ * @swagger
+ * /admin/users/{id}/rule-settings:
+ *   put:
+ *     summary: Ajusta as regras de transferência de um usuário, acima do produto da conta
+ *     description: Opções por nome da regra (ex. highAmountNonFavorite.limit, dailyLimit.limit, monthlyLimit.limit, enabled), mescladas às já ajustadas; null remove o ajuste da regra.
+ *     tags: [Administração]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ruleSettings
+ *             properties:
+ *               ruleSettings:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: object
+ *                   nullable: true
+ *                 example:
+ *                   dailyLimit:
+ *                     limit: 5000
+ *                   nightTimeLimit:
+ *                     enabled: false
+ *     responses:
+ *       200:
+ *         description: Ajustes atualizados, com os limites resultantes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ruleSettings:
+ *                       type: object
+ *                     limits:
+ *                       type: object
+ *                       properties:
+ *                         currency:
+ *                           type: string
+ *                         daily:
+ *                           $ref: '#/components/schemas/TransferLimit'
+ *                         monthly:
+ *                           $ref: '#/components/schemas/TransferLimit'
+ *       400:
+ *         description: Dados inválidos ou regra desconhecida
+ *       403:
+ *         description: Usuário não é administrador
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.put('/users/:id/rule-settings', authenticateToken, requireAdmin, validateRequest(ruleSettingsSchema), userController.updateRuleSettings);
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const aliasKeyController = require('../controllers/aliasKeyController');
+const { authenticateToken } = require('../middlewares/auth');
+const { validateRequest, aliasKeySchema } = require('../middlewares/validation');
+
+/**
+ * @swagger
+ * /keys:
+ *   post:
+ *     summary: Cadastra uma chave (e-mail, telefone, CPF ou aleatória) para a conta do usuário logado
+ *     description: Cada chave aponta para uma única conta e cada conta pode ter até 5 chaves, sendo no máximo uma de CPF. O telefone segue o formato +55DDNNNNNNNNN e a chave aleatória (UUID) é gerada pelo servidor.
+ *     tags: [Chaves]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [email, phone, cpf, random]
+ *                 example: email
+ *               value:
+ *                 type: string
+ *                 description: Obrigatório, exceto para chaves aleatórias
+ *                 example: joao@email.com
+ *     responses:
+ *       201:
+ *         description: Chave cadastrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/AliasKey'
+ *       400:
+ *         description: Tipo ou valor inválido
+ *       401:
+ *         description: Token não informado
+ *       409:
+ *         description: Chave já cadastrada (inclusive como e-mail de acesso de outra conta), CPF já cadastrado na conta ou limite de chaves atingido
+ */
+router.post('/', authenticateToken, validateRequest(aliasKeySchema), aliasKeyController.createAliasKey);
+
+/**
+ * @swagger
+ * /keys:
+ *   get:
+ *     summary: Lista as chaves do usuário logado
+ *     tags: [Chaves]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Chaves cadastradas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AliasKey'
+ *       401:
+ *         description: Token não informado
+ */
+router.get('/', authenticateToken, aliasKeyController.getAliasKeys);
+
+/**
+ * @swagger
+ * /keys/lookup:
+ *   get:
+ *     summary: Consulta o destinatário de uma chave antes de transferir
+ *     description: Retorna o nome do titular mascarado para confirmação. O CPF pode ser informado com ou sem pontuação.
+ *     tags: [Chaves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: joao@email.com
+ *     responses:
+ *       200:
+ *         description: Chave encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/AliasKeyLookup'
+ *       400:
+ *         description: Formato de chave não reconhecido
+ *       401:
+ *         description: Token não informado
+ *       404:
+ *         description: Chave não encontrada
+ */
+router.get('/lookup', authenticateToken, aliasKeyController.lookupKey);
+
+/**
+ * @swagger
+ * /keys/{id}:
+ *   delete:
+ *     summary: Remove uma chave do usuário logado
+ *     tags: [Chaves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da chave
+ *     responses:
+ *       200:
+ *         description: Chave removida
+ *       401:
+ *         description: Token não informado
+ *       404:
+ *         description: Chave não encontrada
+ */
+router.delete('/:id', authenticateToken, aliasKeyController.removeAliasKey);
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const { authenticateToken } = require('../middlewares/auth');
+const { validateRequest, categoryRuleSchema } = require('../middlewares/validation');
+
+/**
+ * @swagger
+ * /categories/rules:
+ *   post:
+ *     summary: Cria uma regra que sugere a categoria das transferências do usuário logado
+ *     description: A regra casa quando a descrição contém o trecho informado (sem diferenciar maiúsculas e acentos) e/ou quando a contraparte é a conta informada; com as duas condições, ambas precisam casar. Vale a primeira regra criada que casar. Cada usuário pode ter até 50 regras.
+ *     tags: [Categorias]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 maxLength: 40
+ *                 example: Mercado
+ *               descriptionContains:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: supermercado
+ *               counterparty:
+ *                 type: string
+ *                 description: Conta do outro lado da transferência
+ *                 example: '654321'
+ *     responses:
+ *       201:
+ *         description: Regra criada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CategoryRule'
+ *       400:
+ *         description: Categoria ausente ou nenhuma condição informada
+ *       401:
+ *         description: Token não informado
+ *       409:
+ *         description: Limite de regras atingido
+ */
+router.post('/rules', authenticateToken, validateRequest(categoryRuleSchema), categoryController.createRule);
+
+/**
+ * @swagger
+ * /categories/rules:
+ *   get:
+ *     summary: Lista as regras de categoria do usuário logado, na ordem em que são avaliadas
+ *     tags: [Categorias]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Regras cadastradas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CategoryRule'
+ *       401:
+ *         description: Token não informado
+ */
+router.get('/rules', authenticateToken, categoryController.getRules);
+
+/**
+ * @swagger
+ * /categories/rules/{id}:
+ *   delete:
+ *     summary: Remove uma regra de categoria
+ *     description: Categorias definidas manualmente nas transferências não são afetadas.
+ *     tags: [Categorias]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da regra
+ *     responses:
+ *       200:
+ *         description: Regra removida
+ *       401:
+ *         description: Token não informado
+ *       404:
+ *         description: Regra não encontrada
+ */
+router.delete('/rules/:id', authenticateToken, categoryController.removeRule);
+
+module.exports = router;
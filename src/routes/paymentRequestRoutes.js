@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const paymentRequestController = require('../controllers/paymentRequestController');
+const { authenticateToken } = require('../middlewares/auth');
+const { validateRequest, paymentRequestSchema } = require('../middlewares/validation');
+
+/**
+ * @swagger
+ * /payment-requests:
+ *   post:
+ *     summary: Solicita um pagamento a outra conta
+ *     description: O pagador vê a solicitação em /payment-requests/incoming e pode aceitá-la ou recusá-la até que expire (PAYMENT_REQUEST_EXPIRY_HOURS).
+ *     tags: [Solicitações de Pagamento]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - payerAccount
+ *               - amount
+ *             properties:
+ *               payerAccount:
+ *                 type: string
+ *                 pattern: ^\d{6}$
+ *                 example: "654321"
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 multipleOf: 0.01
+ *                 example: 85.90
+ *               description:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: Divisão do jantar
+ *     responses:
+ *       201:
+ *         description: Solicitação criada com status pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/PaymentRequest'
+ *       400:
+ *         description: Dados inválidos ou solicitação para a própria conta
+ *       404:
+ *         description: Conta do pagador não encontrada
+ */
+router.post('/', authenticateToken, validateRequest(paymentRequestSchema), paymentRequestController.createPaymentRequest);
+
+/**
+ * @swagger
+ * /payment-requests/incoming:
+ *   get:
+ *     summary: Lista as solicitações de pagamento recebidas (o usuário logado é o pagador)
+ *     tags: [Solicitações de Pagamento]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Solicitações recebidas, incluindo as já respondidas e expiradas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PaymentRequest'
+ */
+router.get('/incoming', authenticateToken, paymentRequestController.getIncomingPaymentRequests);
+
+/**
+ * @swagger
+ * /payment-requests/outgoing:
+ *   get:
+ *     summary: Lista as solicitações de pagamento enviadas pelo usuário logado
+ *     tags: [Solicitações de Pagamento]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Solicitações enviadas e seus status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PaymentRequest'
+ */
+router.get('/outgoing', authenticateToken, paymentRequestController.getOutgoingPaymentRequests);
+
+/**
+ * @swagger
+ * /payment-requests/{id}/accept:
+ *   post:
+ *     summary: Aceita uma solicitação recebida, transferindo o valor ao solicitante
+ *     description: A transferência segue as mesmas regras de POST /transfers (saldo, limites e favorecidos). Se a análise de risco retiver a transferência, a solicitação fica under_review até a decisão do administrador.
+ *     tags: [Solicitações de Pagamento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Solicitação aceita (ou under_review); a transferência gerada vem em data.transfer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/PaymentRequest'
+ *                     - type: object
+ *                       properties:
+ *                         transfer:
+ *                           $ref: '#/components/schemas/Transfer'
+ *       400:
+ *         description: Saldo insuficiente
+ *       403:
+ *         description: Transferência não permitida (valor alto para não favorecido ou limite excedido)
+ *       404:
+ *         description: Solicitação não encontrada
+ *       409:
+ *         description: Solicitação já respondida ou expirada
+ */
+router.post('/:id/accept', authenticateToken, paymentRequestController.acceptPaymentRequest);
+
+/**
+ * @swagger
+ * /payment-requests/{id}/decline:
+ *   post:
+ *     summary: Recusa uma solicitação recebida
+ *     tags: [Solicitações de Pagamento]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Solicitação recusada
+ *       404:
+ *         description: Solicitação não encontrada
+ *       409:
+ *         description: Solicitação já respondida ou expirada
+ */
+router.post('/:id/decline', authenticateToken, paymentRequestController.declinePaymentRequest);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const receiptController = require('../controllers/receiptController');
+const { validateRequest, receiptVerificationSchema } = require('../middlewares/validation');
+
+/**
+ * @swagger
+ * /receipts/verify:
+ *   post:
+ *     summary: Confere a autenticidade de um comprovante de transferência
+ *     description: Endpoint público (sem login). Recebe o comprovante emitido por GET /transfers/{id}/receipt e confere o código de autenticação com os dados apresentados; qualquer alteração em valor, contas, nomes, descrição ou data invalida o comprovante.
+ *     tags: [Comprovantes]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Receipt'
+ *     responses:
+ *       200:
+ *         description: Resultado da conferência
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Comprovante autêntico
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                       example: true
+ *                     message:
+ *                       type: string
+ *                     transferId:
+ *                       type: integer
+ *                       example: 1
+ *                     transferStatus:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Status atual da transferência, por exemplo refunded após um estorno
+ *                       example: completed
+ *       400:
+ *         description: Dados do comprovante incompletos
+ */
+router.post('/verify', validateRequest(receiptVerificationSchema), receiptController.verifyReceipt);
+
+module.exports = router;
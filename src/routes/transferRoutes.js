@@ -2,7 +2,20 @@ const express = require('express');
 const router = express.Router();
 const transferController = require('../controllers/transferController');
 const { authenticateToken } = require('../middlewares/auth');
-const { validateRequest, transferSchema, favoriteSchema } = require('../middlewares/validation');
+const { idempotency } = require('../middlewares/idempotency');
+const {
+  validateRequest,
+  transferSchema,
+  transferBatchSchema,
+  confirmTransferSchema,
+  recurringTransferSchema,
+  recurringTransferUpdateSchema,
+  refundSchema,
+  favoriteSchema,
+  paymentCodeSchema,
+  paymentCodeDecodeSchema,
+  transferCategorySchema
+} = require('../middlewares/validation');
 
 /**
  * @swagger
@@ -12,6 +25,595 @@ const { validateRequest, transferSchema, favoriteSchema } = require('../middlewa
  *     tags: [Transferências]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Chave única da operação; retentativas com a mesma chave recebem a primeira resposta
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               toAccount:
+ *                 type: string
+ *                 pattern: ^\d{6}$
+ *                 description: Conta de destino; obrigatória quando toKey e qrCode não são informados
+ *                 example: "123456"
+ *               toKey:
+ *                 type: string
+ *                 description: Chave de destino (e-mail, telefone +55..., CPF ou chave aleatória) em vez de toAccount
+ *                 example: maria@email.com
+ *               qrCode:
+ *                 type: string
+ *                 description: Payload de um QR Code (BR Code) gerado em POST /transfers/qrcode; define o destino e, se houver, o valor
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 multipleOf: 0.01
+ *                 description: Valor em reais com no máximo 2 casas decimais; obrigatório, exceto com QR Code de valor fixo (que deve ser igual)
+ *                 example: 100.50
+ *               description:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: Pagamento da conta
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Data futura de execução; a transferência fica com status scheduled até lá
+ *                 example: "2030-01-05T09:00:00.000Z"
+ *               requestApproval:
+ *                 type: boolean
+ *                 description: Transferências acima de R$ 5.000,00 para não favorecidos são criadas como pending_approval (com o valor reservado) em vez de rejeitadas
+ *                 example: true
+ *     responses:
+ *       201:
+ *         description: Transferência realizada, agendada ou aguardando confirmação
+ *       400:
+ *         description: Dados inválidos ou saldo insuficiente
+ *       403:
+ *         description: Transferência não permitida (valor alto para não favorecido)
+ *       404:
+ *         description: Conta, chave ou QR Code de destino não encontrado
+ *       409:
+ *         description: Requisição com a mesma Idempotency-Key em processamento, ou QR Code dinâmico expirado ou já pago
+ *       422:
+ *         description: Idempotency-Key reutilizada com outro payload
+ */
+router.post('/', authenticateToken, validateRequest(transferSchema), idempotency('transfers.create.rest'), transferController.createTransfer);
+
+/**
+ * @swagger
+ * /transfers/quote:
+ *   post:
+ *     summary: Calcula a tarifa de uma transferência sem realizá-la
+ *     description: Usa a tabela de tarifas do produto da conta, com as isenções para favorecidos e a franquia mensal. Aceita o mesmo corpo de POST /transfers.
+ *     tags: [Transferências]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               toAccount:
+ *                 type: string
+ *                 pattern: ^\d{6}$
+ *                 example: "123456"
+ *               toKey:
+ *                 type: string
+ *                 example: maria@email.com
+ *               qrCode:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 multipleOf: 0.01
+ *                 example: 250.00
+ *     responses:
+ *       200:
+ *         description: Tarifa calculada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/TransferQuote'
+ *       400:
+ *         description: Dados inválidos
+ *       404:
+ *         description: Conta, chave ou QR Code de destino não encontrado
+ */
+router.post('/quote', authenticateToken, validateRequest(transferSchema), transferController.quoteTransfer);
+
+/**
+ * @swagger
+ * /transfers/qrcode:
+ *   post:
+ *     summary: Gera um QR Code de pagamento (BR Code) para receber na conta ou em uma chave
+ *     description: Estático é reutilizável e pode ter valor fixo ou aberto. Dinâmico é uma cobrança de uso único, com valor obrigatório e validade de 30 minutos (QR_CODE_EXPIRY_MINUTES).
+ *     tags: [Transferências]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, svg, png]
+ *           default: json
+ *         description: json traz o payload (copia e cola); svg e png devolvem a imagem do QR Code
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [static, dynamic]
+ *                 default: static
+ *               key:
+ *                 type: string
+ *                 description: Uma das chaves do usuário; sem ela, o QR Code aponta para a conta
+ *                 example: maria@email.com
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 multipleOf: 0.01
+ *                 description: Valor fixo; obrigatório para QR Code dinâmico
+ *                 example: 25.90
+ *               description:
+ *                 type: string
+ *                 maxLength: 60
+ *                 example: Pedido 123
+ *     responses:
+ *       201:
+ *         description: QR Code gerado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/PaymentCode'
+ *           image/svg+xml:
+ *             schema:
+ *               type: string
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Dados inválidos ou formato não suportado
+ *       404:
+ *         description: Chave não encontrada entre as chaves do usuário
+ */
+router.post('/qrcode', authenticateToken, validateRequest(paymentCodeSchema), transferController.createPaymentCode);
+
+/**
+ * @swagger
+ * /transfers/qrcode/decode:
+ *   post:
+ *     summary: Lê o payload de um QR Code e devolve os dados para pré-preencher a transferência
+ *     description: O campo transfer da resposta pode ser enviado em POST /transfers (informando amount quando o QR Code não tem valor fixo).
+ *     tags: [Transferências]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - payload
+ *             properties:
+ *               payload:
+ *                 type: string
+ *                 description: Texto do QR Code (copia e cola)
+ *     responses:
+ *       200:
+ *         description: QR Code válido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/DecodedPaymentCode'
+ *       400:
+ *         description: Payload inválido, CRC incorreto ou QR Code de outra instituição
+ *       404:
+ *         description: Destinatário ou QR Code dinâmico não encontrado
+ *       409:
+ *         description: QR Code dinâmico expirado ou já pago
+ */
+router.post('/qrcode/decode', authenticateToken, validateRequest(paymentCodeDecodeSchema), transferController.decodePaymentCode);
+
+/**
+ * @swagger
+ * /transfers/batch:
+ *   post:
+ *     summary: Realiza várias transferências em lote
+ *     description: |
+ *       Cada item segue as mesmas regras de POST /transfers, sem scheduledFor nem requestApproval.
+ *       Itens retidos pela análise de risco voltam como under_review e não contam em succeeded.
+ *       - all_or_nothing (padrão): se algum item falhar, nenhuma transferência é realizada e os itens válidos voltam como rolled_back
+ *       - best_effort: os itens válidos são realizados mesmo que outros falhem
+ *       O lote é registrado em ambos os casos e pode ser consultado depois.
+ *     tags: [Transferências]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transfers
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [all_or_nothing, best_effort]
+ *                 default: all_or_nothing
+ *               transfers:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - amount
+ *                   properties:
+ *                     toAccount:
+ *                       type: string
+ *                       pattern: ^\d{6}$
+ *                       example: "123456"
+ *                     toKey:
+ *                       type: string
+ *                       description: Chave de destino em vez de toAccount
+ *                     amount:
+ *                       type: number
+ *                       minimum: 0.01
+ *                       multipleOf: 0.01
+ *                       example: 1500.00
+ *                     description:
+ *                       type: string
+ *                       maxLength: 255
+ *                       example: Salário
+ *     responses:
+ *       201:
+ *         description: Lote registrado (status completed, partially_completed ou failed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/TransferBatch'
+ *       400:
+ *         description: Dados inválidos em algum item ou no lote
+ */
+router.post('/batch', authenticateToken, validateRequest(transferBatchSchema), transferController.createTransferBatch);
+
+/**
+ * @swagger
+ * /transfers/batch/{id}:
+ *   get:
+ *     summary: Consulta um lote de transferências e o resultado de cada item
+ *     tags: [Transferências]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lote encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/TransferBatch'
+ *       404:
+ *         description: Lote não encontrado
+ */
+router.get('/batch/:id', authenticateToken, transferController.getTransferBatch);
+
+/**
+ * @swagger
+ * /transfers:
+ *   get:
+ *     summary: Lista transferências do usuário logado, com filtros e paginação por cursor
+ *     description: Todos os filtros são opcionais e combinados entre si. Para a próxima página, repita a consulta com cursor igual a pageInfo.endCursor.
+ *     tags: [Transferências]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [sent, received]
+ *         description: Somente enviadas ou somente recebidas
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [completed, scheduled, failed, cancelled, refunded, partially_refunded, pending_approval, expired, under_review, rejected]
+ *         description: Filtra as transferências pelo status
+ *       - in: query
+ *         name: counterparty
+ *         schema:
+ *           type: string
+ *           pattern: ^\d{6}$
+ *         description: Conta do outro lado da transferência
+ *       - in: query
+ *         name: description
+ *         schema:
+ *           type: string
+ *         description: Trecho da descrição (sem diferenciar maiúsculas)
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Criadas a partir desta data
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Criadas até esta data
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [-createdAt, createdAt, -amount, amount]
+ *           default: -createdAt
+ *         description: Campo de ordenação; "-" para ordem decrescente. Empates são ordenados pelo id
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: pageInfo.endCursor da página anterior (válido apenas para a mesma ordenação)
+ *     responses:
+ *       200:
+ *         description: Página de transferências
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transfer'
+ *                 pageInfo:
+ *                   $ref: '#/components/schemas/PageInfo'
+ *       400:
+ *         description: Filtro, ordenação, limite ou cursor inválido
+ */
+router.get('/', authenticateToken, transferController.getTransfers);
+
+/**
+ * @swagger
+ * /transfers/scheduled:
+ *   get:
+ *     summary: Lista as transferências agendadas pelo usuário logado
+ *     tags: [Transferências]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Transferências agendadas (pendentes, executadas, com falha ou canceladas)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transfer'
+ */
+router.get('/scheduled', authenticateToken, transferController.getScheduledTransfers);
+
+/**
+ * @swagger
+ * /transfers/scheduled/{id}:
+ *   delete:
+ *     summary: Cancela uma transferência agendada ainda pendente
+ *     tags: [Transferências]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da transferência agendada
+ *     responses:
+ *       200:
+ *         description: Transferência agendada cancelada com sucesso
+ *       404:
+ *         description: Transferência agendada não encontrada
+ *       409:
+ *         description: Transferência já executada ou cancelada
+ */
+router.delete('/scheduled/:id', authenticateToken, transferController.cancelScheduledTransfer);
+
+/**
+ * @swagger
+ * /transfers/{id}/confirm:
+ *   post:
+ *     summary: Confirma uma transferência pendente de aprovação
+ *     description: O remetente confirma com a própria senha antes da expiração; o valor reservado é entregue ao destinatário.
+ *     tags: [Transferências]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Transferência confirmada com sucesso
+ *       403:
+ *         description: Senha inválida
+ *       404:
+ *         description: Transferência não encontrada
+ *       409:
+ *         description: Transferência expirada ou não está pendente de aprovação
+ */
+router.post('/:id/confirm', authenticateToken, validateRequest(confirmTransferSchema), transferController.confirmTransfer);
+
+/**
+ * @swagger
+ * /transfers/{id}/cancel:
+ *   post:
+ *     summary: Cancela uma transferência pendente de aprovação e libera o valor reservado
+ *     tags: [Transferências]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transferência cancelada com sucesso
+ *       404:
+ *         description: Transferência não encontrada
+ *       409:
+ *         description: Transferência expirada ou não está pendente de aprovação
+ */
+router.post('/:id/cancel', authenticateToken, transferController.cancelPendingTransfer);
+
+/**
+ * @swagger
+ * /transfers/{id}/refund:
+ *   post:
+ *     summary: Estorna, total ou parcialmente, uma transferência recebida
+ *     description: Somente o destinatário pode estornar. O estorno é uma nova transferência de volta ao remetente, vinculada à original por refundOf.
+ *     tags: [Transferências]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da transferência recebida
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 multipleOf: 0.01
+ *                 description: Valor a estornar; sem valor, estorna todo o saldo ainda não estornado
+ *                 example: 50.00
+ *               description:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: Pagamento feito por engano
+ *     responses:
+ *       201:
+ *         description: Estorno realizado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       400:
+ *         description: Valor acima do disponível para estorno ou saldo insuficiente
+ *       404:
+ *         description: Transferência não encontrada
+ *       409:
+ *         description: Transferência já estornada, não concluída ou que é um estorno
+ */
+router.post('/:id/refund', authenticateToken, validateRequest(refundSchema), transferController.refundTransfer);
+
+/**
+ * @swagger
+ * /transfers/recurring:
+ *   post:
+ *     summary: Cria uma transferência recorrente (ordem permanente)
+ *     tags: [Transferências Recorrentes]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -21,6 +623,8 @@ const { validateRequest, transferSchema, favoriteSchema } = require('../middlewa
  *             required:
  *               - toAccount
  *               - amount
+ *               - frequency
+ *               - startDate
  *             properties:
  *               toAccount:
  *                 type: string
@@ -29,34 +633,59 @@ const { validateRequest, transferSchema, favoriteSchema } = require('../middlewa
  *               amount:
  *                 type: number
  *                 minimum: 0.01
- *                 example: 100.50
+ *                 multipleOf: 0.01
+ *                 example: 300.00
  *               description:
  *                 type: string
  *                 maxLength: 255
- *                 example: Pagamento da conta
+ *                 example: Aluguel
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly, monthly]
+ *                 example: monthly
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Data da primeira execução; define o dia das execuções seguintes
+ *                 example: "2030-01-05T09:00:00.000Z"
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Última data em que a ordem pode ser executada
+ *               maxOccurrences:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Quantidade máxima de execuções (com sucesso ou falha)
  *     responses:
  *       201:
- *         description: Transferência realizada com sucesso
+ *         description: Transferência recorrente criada com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/RecurringTransfer'
  *       400:
- *         description: Dados inválidos ou saldo insuficiente
- *       403:
- *         description: Transferência não permitida (valor alto para não favorecido)
+ *         description: Dados inválidos
  *       404:
- *         description: Conta não encontrada
+ *         description: Conta de destino não encontrada
  */
-router.post('/', authenticateToken, validateRequest(transferSchema), transferController.createTransfer);
+router.post('/recurring', authenticateToken, validateRequest(recurringTransferSchema), transferController.createRecurringTransfer);
 
 /**
  * @swagger
- * /transfers:
+ * /transfers/recurring:
  *   get:
- *     summary: Lista transferências do usuário logado
- *     tags: [Transferências]
+ *     summary: Lista as transferências recorrentes do usuário logado
+ *     tags: [Transferências Recorrentes]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Lista de transferências
+ *         description: Lista de transferências recorrentes
  *         content:
  *           application/json:
  *             schema:
@@ -67,9 +696,123 @@ router.post('/', authenticateToken, validateRequest(transferSchema), transferCon
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Transfer'
+ *                     $ref: '#/components/schemas/RecurringTransfer'
  */
-router.get('/', authenticateToken, transferController.getTransfers);
+router.get('/recurring', authenticateToken, transferController.getRecurringTransfers);
+
+/**
+ * @swagger
+ * /transfers/recurring/{id}:
+ *   get:
+ *     summary: Detalha uma transferência recorrente com o histórico de execuções
+ *     tags: [Transferências Recorrentes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transferência recorrente e suas execuções (completed ou failed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/RecurringTransfer'
+ *                     - type: object
+ *                       properties:
+ *                         executions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Transfer'
+ *       404:
+ *         description: Transferência recorrente não encontrada
+ */
+router.get('/recurring/:id', authenticateToken, transferController.getRecurringTransfer);
+
+/**
+ * @swagger
+ * /transfers/recurring/{id}:
+ *   put:
+ *     summary: Altera, pausa ou retoma uma transferência recorrente
+ *     tags: [Transferências Recorrentes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 multipleOf: 0.01
+ *               description:
+ *                 type: string
+ *                 maxLength: 255
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               maxOccurrences:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *               status:
+ *                 type: string
+ *                 enum: [active, paused]
+ *                 description: Ao retomar, os ciclos vencidos durante a pausa não são executados
+ *     responses:
+ *       200:
+ *         description: Transferência recorrente atualizada com sucesso
+ *       400:
+ *         description: Dados inválidos
+ *       404:
+ *         description: Transferência recorrente não encontrada
+ *       409:
+ *         description: Transferência recorrente concluída ou cancelada
+ */
+router.put('/recurring/:id', authenticateToken, validateRequest(recurringTransferUpdateSchema), transferController.updateRecurringTransfer);
+
+/**
+ * @swagger
+ * /transfers/recurring/{id}:
+ *   delete:
+ *     summary: Cancela uma transferência recorrente
+ *     tags: [Transferências Recorrentes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transferência recorrente cancelada com sucesso
+ *       404:
+ *         description: Transferência recorrente não encontrada
+ *       409:
+ *         description: Transferência recorrente já concluída ou cancelada
+ */
+router.delete('/recurring/:id', authenticateToken, transferController.cancelRecurringTransfer);
 
 /**
  * @swagger
@@ -150,4 +893,163 @@ router.get('/favorites', authenticateToken, transferController.getFavorites);
  */
 router.delete('/favorites/:id', authenticateToken, transferController.removeFavorite);
 
+/**
+ * @swagger
+ * /transfers/{id}/receipt:
+ *   get:
+ *     summary: Emite o comprovante de uma transferência
+ *     description: Disponível para o remetente e o destinatário de transferências concluídas (inclusive estornadas). O código de autenticação pode ser conferido por qualquer pessoa em POST /receipts/verify.
+ *     tags: [Transferências]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da transferência
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html, pdf]
+ *           default: json
+ *         description: html e pdf retornam o comprovante pronto para impressão
+ *     responses:
+ *       200:
+ *         description: Comprovante da transferência
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Receipt'
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Formato inválido
+ *       404:
+ *         description: Transferência não encontrada
+ *       409:
+ *         description: Transferência não concluída (agendada, pendente, cancelada...)
+ */
+router.get('/:id/receipt', authenticateToken, transferController.getTransferReceipt);
+
+/**
+ * @swagger
+ * /transfers/{id}/category:
+ *   get:
+ *     summary: Categoria e tags de uma transferência para o usuário logado
+ *     description: Sem categoria manual, retorna a sugestão da primeira regra do usuário que casar com a transferência (source = rule).
+ *     tags: [Categorias]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da transferência
+ *     responses:
+ *       200:
+ *         description: Categoria da transferência
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/TransferCategory'
+ *       401:
+ *         description: Token não informado
+ *       404:
+ *         description: Transferência não encontrada
+ *   put:
+ *     summary: Define a categoria e as tags de uma transferência
+ *     description: Remetente e destinatário categorizam a mesma transferência de forma independente. A categoria manual prevalece sobre as regras.
+ *     tags: [Categorias]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da transferência
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 maxLength: 40
+ *                 example: Alimentação
+ *               tags:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   maxLength: 30
+ *                 example: [almoço, trabalho]
+ *     responses:
+ *       200:
+ *         description: Transferência categorizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/TransferCategory'
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Token não informado
+ *       404:
+ *         description: Transferência não encontrada
+ *   delete:
+ *     summary: Remove a categoria manual de uma transferência
+ *     description: A sugestão das regras volta a valer.
+ *     tags: [Categorias]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da transferência
+ *     responses:
+ *       200:
+ *         description: Categoria removida
+ *       401:
+ *         description: Token não informado
+ *       404:
+ *         description: Transferência não encontrada
+ */
+router.get('/:id/category', authenticateToken, transferController.getTransferCategory);
+router.put('/:id/category', authenticateToken, validateRequest(transferCategorySchema), transferController.categorizeTransfer);
+router.delete('/:id/category', authenticateToken, transferController.clearTransferCategory);
+
 module.exports = router;
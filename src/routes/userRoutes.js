@@ -34,6 +34,10 @@ const { validateRequest, registerSchema } = require('../middlewares/validation')
  *                 type: string
  *                 minLength: 6
  *                 example: senha123
+ *               product:
+ *                 type: string
+ *                 description: Produto da conta (define saldo inicial, limites e tarifas); padrão basic
+ *                 example: premium
  *     responses:
  *       201:
  *         description: Usuário criado com sucesso
@@ -44,6 +48,29 @@ const { validateRequest, registerSchema } = require('../middlewares/validation')
  */
 router.post('/register', validateRequest(registerSchema), userController.register);
 
+/**
+ * @swagger
+ * /users/products:
+ *   get:
+ *     summary: Lista os produtos de conta disponíveis no cadastro
+ *     tags: [Usuários]
+ *     responses:
+ *       200:
+ *         description: Produtos de conta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AccountProduct'
+ */
+router.get('/products', userController.getProducts);
+
 /**
  * @swagger
  * /users:
@@ -126,6 +153,28 @@ router.get('/profile', authenticateToken, userController.getProfile);
  *                     balance:
  *                       type: number
  *                       example: 1000.00
+ *                     currency:
+ *                       type: string
+ *                       example: BRL
+ *                     formatted:
+ *                       type: string
+ *                       example: R$ 1.000,00
+ *                     reconciled:
+ *                       type: boolean
+ *                       description: Indica se o saldo registrado confere com o ledger
+ *                       example: true
+ *                     overdraftLimit:
+ *                       type: number
+ *                       description: Limite do cheque especial
+ *                       example: 2000.00
+ *                     availableCredit:
+ *                       type: number
+ *                       description: Parte do cheque especial ainda não usada
+ *                       example: 2000.00
+ *                     availableBalance:
+ *                       type: number
+ *                       description: Quanto pode sair da conta (saldo positivo mais o crédito disponível)
+ *                       example: 3000.00
  *       401:
  *         description: Token não informado
  *       403:
@@ -133,4 +182,284 @@ router.get('/profile', authenticateToken, userController.getProfile);
  */
 router.get('/balance', authenticateToken, userController.getBalance);
 
+/**
+ * @swagger
+ * /users/balance/history:
+ *   get:
+ *     summary: Série histórica do saldo do usuário logado
+ *     description: Saldo ao fim de cada dia ou mês do período, reconstruído a partir dos lançamentos da conta. Datas AAAA-MM-DD são dias locais no fuso STATEMENT_TIME_ZONE e a data final inclui o dia inteiro; sem período, a série cobre o mês corrente até agora. A série é limitada a 366 pontos.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: '2024-01-01'
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: '2024-01-31'
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, month]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Série de saldos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/BalanceHistory'
+ *       400:
+ *         description: Período ou intervalo inválido
+ *       401:
+ *         description: Token não informado
+ *       403:
+ *         description: Token inválido
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.get('/balance/history', authenticateToken, userController.getBalanceHistory);
+
+/**
+ * @swagger
+ * /users/balance/at:
+ *   get:
+ *     summary: Saldo do usuário logado em uma data
+ *     description: Uma data AAAA-MM-DD retorna o saldo ao fim daquele dia (fuso STATEMENT_TIME_ZONE); um instante ISO 8601 retorna o saldo imediatamente antes dele.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: '2024-01-31'
+ *     responses:
+ *       200:
+ *         description: Saldo na data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     account:
+ *                       type: string
+ *                       example: '123456'
+ *                     at:
+ *                       type: string
+ *                       format: date-time
+ *                     balance:
+ *                       type: number
+ *                       example: 850.00
+ *                     currency:
+ *                       type: string
+ *                       example: BRL
+ *                     formatted:
+ *                       type: string
+ *                       example: R$ 850,00
+ *       400:
+ *         description: Data ausente ou inválida
+ *       401:
+ *         description: Token não informado
+ *       403:
+ *         description: Token inválido
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.get('/balance/at', authenticateToken, userController.getBalanceAt);
+
+/**
+ * @swagger
+ * /users/analytics:
+ *   get:
+ *     summary: Análise de gastos do usuário logado no mês ou no ano
+ *     description: Entradas e saídas, gastos por categoria (manual ou sugerida pelas regras), os 5 principais destinatários e a variação percentual em relação ao período anterior. Considera transferências concluídas, inclusive estornadas; estornos recebidos contam como entrada. Os períodos seguem o fuso STATEMENT_TIME_ZONE.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [month, year]
+ *           default: month
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           example: '2024-01-15'
+ *         description: Qualquer data dentro do período desejado (padrão, hoje)
+ *     responses:
+ *       200:
+ *         description: Análise de gastos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/SpendingAnalytics'
+ *       400:
+ *         description: Período ou data inválidos
+ *       401:
+ *         description: Token não informado
+ *       403:
+ *         description: Token inválido
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.get('/analytics', authenticateToken, userController.getAnalytics);
+
+/**
+ * @swagger
+ * /users/ledger:
+ *   get:
+ *     summary: Lista os lançamentos contábeis (débitos e créditos) da conta do usuário logado
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lançamentos da conta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LedgerEntry'
+ *       401:
+ *         description: Token não informado
+ *       403:
+ *         description: Token inválido
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.get('/ledger', authenticateToken, userController.getLedger);
+
+/**
+ * @swagger
+ * /users/limits:
+ *   get:
+ *     summary: Consulta os limites diário e mensal de transferências do usuário logado
+ *     description: O consumo considera as transferências enviadas no dia/mês corrente (no fuso LIMITS_TIME_ZONE), incluindo valores reservados aguardando confirmação.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Limites e valores disponíveis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currency:
+ *                       type: string
+ *                       example: BRL
+ *                     daily:
+ *                       $ref: '#/components/schemas/TransferLimit'
+ *                     monthly:
+ *                       $ref: '#/components/schemas/TransferLimit'
+ *       401:
+ *         description: Token não informado
+ *       403:
+ *         description: Token inválido
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.get('/limits', authenticateToken, userController.getLimits);
+
+/**
+ * @swagger
+ * /users/statement:
+ *   get:
+ *     summary: Gera o extrato da conta do usuário logado
+ *     description: Saldo inicial, cada movimentação do período com o saldo após ela e saldo final. Datas no formato AAAA-MM-DD são dias locais no fuso STATEMENT_TIME_ZONE e a data final inclui o dia inteiro. Sem período, o extrato cobre o mês corrente.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: '2024-01-01'
+ *         description: Início do período (AAAA-MM-DD ou ISO 8601)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: '2024-01-31'
+ *         description: Fim do período (AAAA-MM-DD ou ISO 8601)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, ofx, pdf]
+ *           default: json
+ *         description: Formato do extrato; csv, ofx e pdf são enviados como arquivo para download
+ *     responses:
+ *       200:
+ *         description: Extrato do período
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Statement'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ofx:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Período ou formato inválido
+ *       401:
+ *         description: Token não informado
+ *       403:
+ *         description: Token inválido
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.get('/statement', authenticateToken, userController.getStatement);
+
 module.exports = router;
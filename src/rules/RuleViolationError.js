@@ -0,0 +1,15 @@
+/**
+ * Erro lançado quando uma ou mais regras de negócio são violadas.
+ * A mensagem é a da primeira violação (na ordem das regras), para manter
+ * o mapeamento de status HTTP feito pelos controllers.
+ */
+class RuleViolationError extends Error {
+  constructor(violations) {
+    super(violations[0].message);
+    this.name = 'RuleViolationError';
+    this.code = violations[0].code;
+    this.violations = violations;
+  }
+}
+
+module.exports = RuleViolationError;
@@ -0,0 +1,83 @@
+const RuleViolationError = require('./RuleViolationError');
+
+/**
+ * 📏 Rules Engine
+ * Avalia regras de negócio nomeadas, em ordem, e devolve as violações estruturadas.
+ *
+ * Cada regra é um módulo com:
+ * - name: identificador usado em configurações e filtros
+ * - code: código da violação (ex.: 'INSUFFICIENT_BALANCE')
+ * - order: posição na avaliação (menor primeiro)
+ * - approvable: a violação pode ser liberada por uma etapa de confirmação
+ * - options(context): parâmetros padrão, normalmente lidos da configuração
+ * - check(context, options): retorna a mensagem da violação ou null
+ *
+ * As opções padrão podem ser sobrescritas pelo produto da conta em `context.product.ruleSettings[name]`
+ * e, acima dele, por usuário em `user.ruleSettings[name]`, inclusive `enabled: false` para desligar a regra.
+ */
+class RulesEngine {
+  constructor(rules = []) {
+    this.rules = [];
+    rules.forEach(rule => this.register(rule));
+  }
+
+  register(rule) {
+    if (!rule || !rule.name || !rule.code || typeof rule.check !== 'function') {
+      throw new Error('Regra deve ter name, code e check');
+    }
+    if (this.rules.some(existing => existing.name === rule.name)) {
+      throw new Error(`Regra já registrada: ${rule.name}`);
+    }
+
+    this.rules = [...this.rules, rule].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    return this;
+  }
+
+  unregister(name) {
+    this.rules = this.rules.filter(rule => rule.name !== name);
+    return this;
+  }
+
+  getRules() {
+    return [...this.rules];
+  }
+
+  resolveOptions(rule, context) {
+    const defaults = rule.options ? rule.options(context) : {};
+    const productOverrides = context.product?.ruleSettings?.[rule.name] || {};
+    const overrides = context.fromUser?.ruleSettings?.[rule.name] || {};
+    return { enabled: true, ...defaults, ...productOverrides, ...overrides };
+  }
+
+  // Avalia todas as regras (ou apenas as listadas em `only`) e retorna as violações
+  evaluate(context, { only } = {}) {
+    return this.rules
+      .filter(rule => !only || only.includes(rule.name))
+      .reduce((violations, rule) => {
+        const options = this.resolveOptions(rule, context);
+        if (!options.enabled) {
+          return violations;
+        }
+
+        const message = rule.check(context, options);
+        if (message) {
+          violations.push({
+            rule: rule.name,
+            code: rule.code,
+            message,
+            approvable: Boolean(rule.approvable)
+          });
+        }
+        return violations;
+      }, []);
+  }
+
+  assert(context, options) {
+    const violations = this.evaluate(context, options);
+    if (violations.length > 0) {
+      throw new RuleViolationError(violations);
+    }
+  }
+}
+
+module.exports = RulesEngine;
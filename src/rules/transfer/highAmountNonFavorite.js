@@ -0,0 +1,20 @@
+const Money = require('../../models/Money');
+const config = require('../../config/environment');
+
+// Business rule: High amount restriction for non-favorites
+module.exports = {
+  name: 'highAmountNonFavorite',
+  code: 'HIGH_AMOUNT_NON_FAVORITE',
+  order: 40,
+  approvable: true,
+  options: () => ({
+    limit: config.transferRules.highAmountLimit
+  }),
+  check: ({ amount, isFavorite }, { limit }) => {
+    const maximum = Money.of(limit);
+    if (isFavorite || !amount.greaterThan(maximum)) {
+      return null;
+    }
+    return `Transferências acima de ${maximum.format()} só podem ser realizadas para usuários favorecidos`;
+  }
+};
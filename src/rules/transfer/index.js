@@ -0,0 +1,21 @@
+const RulesEngine = require('../RulesEngine');
+const positiveAmount = require('./positiveAmount');
+const noSelfTransfer = require('./noSelfTransfer');
+const sufficientBalance = require('./sufficientBalance');
+const highAmountNonFavorite = require('./highAmountNonFavorite');
+const nightTimeLimit = require('./nightTimeLimit');
+const periodLimit = require('./periodLimit');
+
+/**
+ * 📏 Regras aplicadas às transferências
+ * Novas regras podem ser adicionadas com `transferRules.register(rule)`.
+ */
+module.exports = new RulesEngine([
+  positiveAmount,
+  noSelfTransfer,
+  sufficientBalance,
+  highAmountNonFavorite,
+  periodLimit({ name: 'dailyLimit', code: 'DAILY_LIMIT_EXCEEDED', order: 45, period: 'daily', label: 'diário' }),
+  periodLimit({ name: 'monthlyLimit', code: 'MONTHLY_LIMIT_EXCEEDED', order: 46, period: 'monthly', label: 'mensal' }),
+  nightTimeLimit
+]);
@@ -0,0 +1,19 @@
+const Money = require('../../models/Money');
+const config = require('../../config/environment');
+const { isWithinHours } = require('../../utils/calendar');
+
+// Business rule: Lower limit during the night (desligada por padrão)
+module.exports = {
+  name: 'nightTimeLimit',
+  code: 'NIGHT_TIME_LIMIT',
+  order: 50,
+  approvable: true,
+  options: () => ({ ...config.transferRules.nightTime }),
+  check: ({ amount, now }, { limit, startHour, endHour, timeZone }) => {
+    const maximum = Money.of(limit);
+    if (!isWithinHours(now, startHour, endHour, timeZone) || !amount.greaterThan(maximum)) {
+      return null;
+    }
+    return `Entre ${startHour}h e ${endHour}h as transferências são limitadas a ${maximum.format()}`;
+  }
+};
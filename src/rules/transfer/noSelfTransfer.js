@@ -0,0 +1,9 @@
+// Business rule: Can't transfer to self
+module.exports = {
+  name: 'noSelfTransfer',
+  code: 'SELF_TRANSFER',
+  order: 20,
+  check: ({ fromUser, toUser }) => (
+    fromUser.account === toUser.account ? 'Não é possível transferir para si mesmo' : null
+  )
+};
@@ -0,0 +1,27 @@
+const Money = require('../../models/Money');
+const config = require('../../config/environment');
+const limitService = require('../../services/limitService');
+
+// Business rule: Outgoing total per calendar period (dia/mês no fuso configurado)
+const periodLimit = ({ name, code, order, period, label }) => ({
+  name,
+  code,
+  order,
+  period,
+  options: () => ({
+    limit: config.transferLimits[period],
+    timeZone: config.transferLimits.timeZone
+  }),
+  check: ({ fromUser, amount, now }, { limit, timeZone }) => {
+    const maximum = Money.of(limit);
+    const { used } = limitService.getUsage(fromUser.account, period, now, timeZone);
+
+    if (!used.add(amount).greaterThan(maximum)) {
+      return null;
+    }
+    const remaining = used.greaterThan(maximum) ? Money.zero() : maximum.subtract(used);
+    return `Limite ${label} de transferências excedido (disponível: ${remaining.format()})`;
+  }
+});
+
+module.exports = periodLimit;
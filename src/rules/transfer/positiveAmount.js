@@ -0,0 +1,7 @@
+// Business rule: Amount must be positive
+module.exports = {
+  name: 'positiveAmount',
+  code: 'AMOUNT_NOT_POSITIVE',
+  order: 10,
+  check: ({ amount }) => (amount.isPositive() ? null : 'Valor deve ser maior que zero')
+};
@@ -0,0 +1,12 @@
+const Money = require('../../models/Money');
+
+// Business rule: Sufficient balance?
+module.exports = {
+  name: 'sufficientBalance',
+  code: 'INSUFFICIENT_BALANCE',
+  order: 30,
+  // `availableBalance` inclui o cheque especial; sem ele, vale o saldo. A tarifa sai junto com o valor
+  check: ({ fromUser, amount, fee = Money.zero(), availableBalance = fromUser.balance }) => (
+    availableBalance.lessThan(amount.add(fee)) ? 'Saldo insuficiente' : null
+  )
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const AliasKey = require('../models/AliasKey');
+const { TYPES } = require('../models/AliasKey');
+const {
+  findUserById,
+  addAliasKey,
+  findAliasKeyById,
+  findAliasKeyByValue,
+  getAliasKeysByUserId,
+  getAllUsers,
+  removeAliasKey,
+  nextId
+} = require('../database');
+
+// Business rule: como no Pix, cada conta pode ter no máximo 5 chaves
+const MAX_KEYS_PER_USER = 5;
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE = /^\+55\d{10,11}$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Dígitos verificadores do CPF (módulo 11); sequências repetidas são inválidas
+const isValidCpf = (digits) => {
+  if (!/^\d{11}$/.test(digits) || /^(\d)\1{10}$/.test(digits)) {
+    return false;
+  }
+  const checkDigit = (length) => {
+    const sum = digits.slice(0, length).split('')
+      .reduce((total, digit, index) => total + Number(digit) * (length + 1 - index), 0);
+    const rest = (sum * 10) % 11;
+    return rest === 10 ? 0 : rest;
+  };
+  return checkDigit(9) === Number(digits[9]) && checkDigit(10) === Number(digits[10]);
+};
+
+// Normaliza o valor da chave conforme o tipo; lança erro quando o formato é inválido
+const NORMALIZERS = {
+  email: (value) => {
+    const email = String(value).trim().toLowerCase();
+    if (!EMAIL.test(email)) {
+      throw new Error('E-mail inválido');
+    }
+    return email;
+  },
+  phone: (value) => {
+    const phone = String(value).replace(/[\s()-]/g, '');
+    if (!PHONE.test(phone)) {
+      throw new Error('Telefone inválido; use o formato +55DDNNNNNNNNN');
+    }
+    return phone;
+  },
+  cpf: (value) => {
+    const cpf = String(value).replace(/[.-]/g, '');
+    if (!isValidCpf(cpf)) {
+      throw new Error('CPF inválido');
+    }
+    return cpf;
+  },
+  random: (value) => {
+    const key = String(value).trim().toLowerCase();
+    if (!UUID.test(key)) {
+      throw new Error('Chave aleatória inválida');
+    }
+    return key;
+  }
+};
+
+// Identifica o tipo pelo formato: e-mail tem @, telefone começa com +, CPF tem 11 dígitos
+const detectType = (key) => {
+  const value = String(key || '').trim();
+  if (value.includes('@')) {
+    return 'email';
+  }
+  if (value.startsWith('+')) {
+    return 'phone';
+  }
+  if (UUID.test(value.toLowerCase())) {
+    return 'random';
+  }
+  if (/^\d{3}\.?\d{3}\.?\d{3}-?\d{2}$/.test(value)) {
+    return 'cpf';
+  }
+  return null;
+};
+
+// "Maria da Silva" -> "Maria d* S****": o primeiro nome ajuda a confirmar sem expor o nome completo
+const maskName = (name) => String(name).trim().split(/\s+/)
+  .map((word, index) => (index === 0 ? word : `${word[0]}${'*'.repeat(word.length - 1)}`))
+  .join(' ');
+
+const MASKS = {
+  email: (value) => value.replace(/^(.{1,2})[^@]*@/, (match, start) => `${start}***@`),
+  phone: (value) => `${value.slice(0, 5)}*****${value.slice(-4)}`,
+  cpf: (value) => `***.${value.slice(3, 6)}.${value.slice(6, 9)}-**`,
+  random: (value) => value
+};
+
+/**
+ * 🔑 Alias Key Service
+ * Diretório de chaves (e-mail, telefone, CPF ou aleatória) que apontam para uma conta,
+ * permitindo transferir com `toKey` em vez do número da conta.
+ * A posse da chave não é verificada (sem código por e-mail/SMS): só impedimos que o e-mail
+ * de acesso de outra conta vire chave desta; telefone e CPF ficam com quem cadastrar primeiro.
+ */
+class AliasKeyService {
+  createAliasKey(userId, { type, value } = {}) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    if (!TYPES.includes(type)) {
+      throw new Error(`Tipo de chave inválido. Use um de: ${TYPES.join(', ')}`);
+    }
+
+    // Chaves aleatórias são geradas pelo servidor
+    if (type === 'random' && value !== undefined && value !== null) {
+      throw new Error('Chave aleatória é gerada automaticamente; não informe o valor');
+    }
+    if (type !== 'random' && (value === undefined || value === null || value === '')) {
+      throw new Error('Valor da chave é obrigatório');
+    }
+    const normalized = type === 'random' ? crypto.randomUUID() : NORMALIZERS[type](value);
+
+    const keys = getAliasKeysByUserId(user.id);
+    if (keys.length >= MAX_KEYS_PER_USER) {
+      throw new Error(`Limite de ${MAX_KEYS_PER_USER} chaves por conta atingido`);
+    }
+
+    // Business rule: Each account has a single CPF key
+    if (type === 'cpf' && keys.some(key => key.type === 'cpf')) {
+      throw new Error('Conta já possui uma chave CPF');
+    }
+
+    // Business rule: A key points to a single account
+    if (findAliasKeyByValue(type, normalized)) {
+      throw new Error('Chave já cadastrada');
+    }
+
+    // Business rule: Another account's login e-mail cannot be claimed as a key
+    if (type === 'email' && getAllUsers().some(other => other.id !== user.id && other.email.toLowerCase() === normalized)) {
+      throw new Error('Chave já cadastrada como e-mail de acesso de outra conta');
+    }
+
+    return addAliasKey(new AliasKey(nextId('aliasKeys'), user.id, user.account, type, normalized));
+  }
+
+  getAliasKeys(userId) {
+    return getAliasKeysByUserId(userId).sort((a, b) => a.id - b.id);
+  }
+
+  removeAliasKey(userId, keyId) {
+    const key = findAliasKeyById(keyId);
+    if (!key || key.userId !== parseInt(userId)) {
+      throw new Error('Chave não encontrada');
+    }
+
+    removeAliasKey(key.id);
+    return { message: 'Chave removida com sucesso' };
+  }
+
+  // Localiza a chave em qualquer formato aceito (ex.: CPF com ou sem pontuação)
+  findKey(key) {
+    const type = detectType(key);
+    if (!type) {
+      throw new Error('Formato de chave não reconhecido');
+    }
+
+    let normalized;
+    try {
+      normalized = NORMALIZERS[type](key);
+    } catch (error) {
+      throw new Error('Chave não encontrada');
+    }
+
+    const aliasKey = findAliasKeyByValue(type, normalized);
+    if (!aliasKey) {
+      throw new Error('Chave não encontrada');
+    }
+    return aliasKey;
+  }
+
+  // Dados exibidos para o pagador confirmar o destinatário antes de transferir
+  lookupKey(key) {
+    const aliasKey = this.findKey(key);
+    const owner = findUserById(aliasKey.userId);
+    if (!owner) {
+      throw new Error('Chave não encontrada');
+    }
+
+    return {
+      type: aliasKey.type,
+      key: MASKS[aliasKey.type](aliasKey.value),
+      ownerName: maskName(owner.name),
+      account: aliasKey.account
+    };
+  }
+
+  resolveAccount(key) {
+    return this.findKey(key).account;
+  }
+}
+
+module.exports = new AliasKeyService();
+module.exports.MAX_KEYS_PER_USER = MAX_KEYS_PER_USER;
+module.exports.maskName = maskName;
@@ -0,0 +1,145 @@
+const Money = require('../models/Money');
+const config = require('../config/environment');
+const { findUserById, findUserByAccount, findTransfersByAccount } = require('../database');
+const categoryService = require('./categoryService');
+const { UNCATEGORIZED } = require('./categoryService');
+const { parseLocalDate, startOfPeriod, startOfNextPeriod } = require('../utils/calendar');
+const { systemClock } = require('../utils/clock');
+
+// Período do relatório -> período do calendário
+const PERIODS = {
+  month: 'monthly',
+  year: 'yearly'
+};
+
+// Transferências em que o dinheiro de fato mudou de conta (estornos são transferências à parte)
+const SETTLED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const TOP_COUNTERPARTIES = 5;
+
+// Variação percentual com uma casa decimal; sem base de comparação, não há variação
+const percentChange = (current, previous) => {
+  if (previous.isZero()) {
+    return null;
+  }
+  return Math.round(((current.cents - previous.cents) / previous.cents) * 1000) / 10;
+};
+
+const share = (part, total) => (total.isZero() ? 0 : Math.round((part.cents / total.cents) * 1000) / 10);
+
+/**
+ * 📊 Analytics Service
+ * Resumo de gastos do mês (ou ano) local: entradas x saídas, gastos por categoria,
+ * principais destinatários e a variação em relação ao período anterior.
+ * As categorias vêm de categoryService (manuais ou sugeridas pelas regras do usuário).
+ */
+class AnalyticsService {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+  }
+
+  getAnalytics(userId, { period = 'month', date } = {}) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    const calendarPeriod = PERIODS[period];
+    if (!calendarPeriod) {
+      throw new Error(`Período inválido. Use um de: ${Object.keys(PERIODS).join(', ')}`);
+    }
+
+    const { timeZone } = config.statements;
+    const at = date ? parseLocalDate(date, timeZone, 'Data') : this.clock.now();
+    const from = startOfPeriod(at, calendarPeriod, timeZone);
+    const to = startOfNextPeriod(from, calendarPeriod, timeZone);
+    const previousFrom = startOfPeriod(new Date(from.getTime() - 1), calendarPeriod, timeZone);
+
+    const transfers = findTransfersByAccount(user.account)
+      .filter(transfer => SETTLED_STATUSES.includes(transfer.status));
+    const inPeriod = (start, end) => transfers.filter(transfer => {
+      const executedAt = transfer.executedAt || transfer.createdAt;
+      return executedAt >= start && executedAt < end;
+    });
+
+    const current = this.summarize(user, inPeriod(from, to));
+    const previous = this.summarize(user, inPeriod(previousFrom, from));
+
+    const byCategory = [...current.byCategory.entries()]
+      .map(([category, { total, count }]) => {
+        const previousTotal = previous.byCategory.get(category)?.total || Money.zero();
+        return {
+          category,
+          total,
+          count,
+          share: share(total, current.outflow),
+          previousTotal,
+          change: percentChange(total, previousTotal)
+        };
+      })
+      .sort((a, b) => b.total.compare(a.total) || a.category.localeCompare(b.category));
+
+    const topCounterparties = [...current.byCounterparty.entries()]
+      .map(([account, { total, count }]) => ({
+        account,
+        name: findUserByAccount(account)?.name || null,
+        total,
+        count
+      }))
+      .sort((a, b) => b.total.compare(a.total) || b.count - a.count)
+      .slice(0, TOP_COUNTERPARTIES);
+
+    return {
+      account: user.account,
+      period,
+      timeZone,
+      from,
+      to,
+      currency: current.inflow.currency,
+      inflow: current.inflow,
+      outflow: current.outflow,
+      net: current.inflow.subtract(current.outflow),
+      byCategory,
+      topCounterparties,
+      previous: {
+        from: previousFrom,
+        to: from,
+        inflow: previous.inflow,
+        outflow: previous.outflow,
+        net: previous.inflow.subtract(previous.outflow)
+      },
+      change: {
+        inflow: percentChange(current.inflow, previous.inflow),
+        outflow: percentChange(current.outflow, previous.outflow)
+      }
+    };
+  }
+
+  // Totais de entrada e saída; as saídas são agrupadas por categoria e por destinatário
+  summarize(user, transfers) {
+    const categories = categoryService.categorizeAll(user, transfers);
+    const byCategory = new Map();
+    const byCounterparty = new Map();
+    const accumulate = (map, key, amount) => {
+      const item = map.get(key) || { total: Money.zero(), count: 0 };
+      map.set(key, { total: item.total.add(amount), count: item.count + 1 });
+    };
+
+    let inflow = Money.zero();
+    let outflow = Money.zero();
+    transfers.forEach(transfer => {
+      if (transfer.toAccount === user.account) {
+        inflow = inflow.add(transfer.amount);
+        return;
+      }
+
+      outflow = outflow.add(transfer.amount);
+      accumulate(byCategory, categories.get(transfer.id).category || UNCATEGORIZED, transfer.amount);
+      accumulate(byCounterparty, transfer.toAccount, transfer.amount);
+    });
+
+    return { inflow, outflow, byCategory, byCounterparty };
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -1,6 +1,6 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { findUserByEmail } = require('../database');
+const { findUserByEmail, findUserById } = require('../database');
 const config = require('../config/environment');
 
 const JWT_SECRET = config.security.jwtSecret;
@@ -41,6 +41,11 @@ class AuthService {
     };
   }
 
+  // Administrador é o usuário marcado no cadastro (não o e-mail do token), conferido a cada requisição
+  isAdmin(user) {
+    return Boolean(user?.userId && findUserById(user.userId)?.isAdmin);
+  }
+
   verifyToken(token) {
     try {
       return jwt.verify(token, JWT_SECRET);
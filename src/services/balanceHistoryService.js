@@ -0,0 +1,118 @@
+const Money = require('../models/Money');
+const config = require('../config/environment');
+const { findUserById } = require('../database');
+const ledgerService = require('./ledgerService');
+const { parseLocalDate, startOfPeriod, startOfNextPeriod } = require('../utils/calendar');
+const { systemClock } = require('../utils/clock');
+
+// Intervalo da série -> período do calendário
+const INTERVALS = {
+  day: 'daily',
+  month: 'monthly'
+};
+
+const MAX_POINTS = 366;
+
+/**
+ * 📈 Balance History Service
+ * Reconstrói saldos passados a partir dos lançamentos da conta no ledger
+ * (transferências, reservas e saldo inicial): o saldo em um instante é a soma
+ * de todos os lançamentos anteriores a ele.
+ */
+class BalanceHistoryService {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+  }
+
+  // Série com o saldo ao fim de cada dia/mês do período (o último ponto termina em `to` ou agora)
+  getBalanceHistory(userId, { from, to, interval = 'day' } = {}) {
+    const user = this.getUser(userId);
+    const period = INTERVALS[interval];
+    if (!period) {
+      throw new Error(`Intervalo inválido. Use um de: ${Object.keys(INTERVALS).join(', ')}`);
+    }
+
+    const { timeZone } = config.statements;
+    const now = this.clock.now();
+    const start = from ? parseLocalDate(from, timeZone, 'Data inicial') : startOfPeriod(now, 'monthly', timeZone);
+    const end = to ? parseLocalDate(to, timeZone, 'Data final', 1) : now;
+    if (end <= start) {
+      throw new Error('Data inicial deve ser anterior à data final');
+    }
+
+    const entries = this.getEntries(user.account);
+    let index = 0;
+    let balance = Money.zero();
+    const advanceTo = (date) => {
+      while (index < entries.length && entries[index].createdAt < date) {
+        balance = balance.add(entries[index].signedAmount());
+        index++;
+      }
+      return balance;
+    };
+
+    const openingBalance = advanceTo(start);
+    const points = [];
+    let periodStart = start;
+    while (periodStart < end) {
+      if (points.length === MAX_POINTS) {
+        throw new Error(`Período muito longo: a série é limitada a ${MAX_POINTS} pontos`);
+      }
+
+      const next = startOfNextPeriod(periodStart, period, timeZone);
+      const periodEnd = next < end ? next : end;
+      const previous = balance;
+      advanceTo(periodEnd);
+      points.push({ periodStart, periodEnd, balance, change: balance.subtract(previous) });
+      periodStart = periodEnd;
+    }
+
+    return {
+      account: user.account,
+      currency: balance.currency,
+      interval,
+      timeZone,
+      from: start,
+      to: end,
+      openingBalance,
+      points
+    };
+  }
+
+  // Saldo em um instante; uma data sem horário corresponde ao fim daquele dia
+  getBalanceAt(userId, date) {
+    const user = this.getUser(userId);
+    if (!date) {
+      throw new Error('Data é obrigatória');
+    }
+
+    const { timeZone } = config.statements;
+    const at = parseLocalDate(date, timeZone, 'Data', 1);
+    const balance = this.getEntries(user.account)
+      .filter(entry => entry.createdAt < at)
+      .reduce((total, entry) => total.add(entry.signedAmount()), Money.zero());
+
+    return {
+      account: user.account,
+      at,
+      balance,
+      currency: balance.currency,
+      formatted: balance.format()
+    };
+  }
+
+  getUser(userId) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+    return user;
+  }
+
+  getEntries(account) {
+    return ledgerService.getEntriesByAccount(account)
+      .sort((a, b) => a.createdAt - b.createdAt || a.id - b.id);
+  }
+}
+
+module.exports = new BalanceHistoryService();
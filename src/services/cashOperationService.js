@@ -0,0 +1,205 @@
+const CashOperation = require('../models/CashOperation');
+const { TYPES, CHANNELS } = require('../models/CashOperation');
+const Money = require('../models/Money');
+const config = require('../config/environment');
+const {
+  findUserById,
+  addCashOperation,
+  findCashOperationById,
+  findCashOperations,
+  nextId,
+  runInTransaction
+} = require('../database');
+const userService = require('./userService');
+const ledgerService = require('./ledgerService');
+const overdraftService = require('./overdraftService');
+const { HOUSE_ACCOUNTS } = require('./ledgerService');
+const { startOfPeriod, startOfNextPeriod } = require('../utils/calendar');
+const { systemClock } = require('../utils/clock');
+
+// Business rule: Boleto only brings money in
+const CHANNELS_BY_TYPE = {
+  deposit: CHANNELS,
+  withdrawal: CHANNELS.filter(channel => channel !== 'boleto')
+};
+
+// Conta interna que recebe a contrapartida de cada canal
+const CHANNEL_ACCOUNTS = {
+  branch: HOUSE_ACCOUNTS.cash,
+  atm: HOUSE_ACCOUNTS.cash,
+  boleto: HOUSE_ACCOUNTS.boleto,
+  external_bank: HOUSE_ACCOUNTS.externalBanks
+};
+
+const CHANNEL_LABELS = {
+  branch: 'agência',
+  atm: 'caixa eletrônico',
+  boleto: 'boleto',
+  external_bank: 'banco externo'
+};
+
+const TYPE_LABELS = {
+  deposit: { operation: 'Depósito', limit: 'depósitos' },
+  withdrawal: { operation: 'Saque', limit: 'saques' }
+};
+
+// O caixa eletrônico só entrega cédulas a partir de R$ 10,00
+const ATM_NOTE = Money.fromDecimal(10);
+
+/**
+ * 🏧 Cash Operation Service
+ * Depósitos e saques por canal (agência, caixa eletrônico, boleto ou banco externo simulado).
+ * Cada operação movimenta o saldo e lança a contrapartida na conta interna do canal,
+ * aparecendo no ledger, no extrato e no histórico de saldo junto das transferências.
+ * Os totais diários por tipo têm limites próprios (`cashOperations.dailyLimits`).
+ */
+class CashOperationService {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+  }
+
+  deposit(userId, data) {
+    return this.execute(userId, 'deposit', data);
+  }
+
+  withdraw(userId, data) {
+    return this.execute(userId, 'withdrawal', data);
+  }
+
+  execute(userId, type, { amount, channel, description } = {}) {
+    if (!findUserById(userId)) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    const channels = CHANNELS_BY_TYPE[type];
+    if (!channels.includes(channel)) {
+      throw new Error(`Canal inválido para ${TYPE_LABELS[type].operation.toLowerCase()}. Use um de: ${channels.join(', ')}`);
+    }
+
+    const value = this.parseAmount(amount);
+    if (type === 'withdrawal' && channel === 'atm') {
+      this.assertAtmWithdrawal(value);
+    }
+
+    return runInTransaction(() => {
+      const user = findUserById(userId);
+      const now = this.clock.now();
+      this.assertWithinDailyLimit(user, type, value, now);
+
+      // Business rule: Withdrawals may use the overdraft limit
+      if (type === 'withdrawal' && overdraftService.getAvailableBalance(user).lessThan(value)) {
+        throw new Error('Saldo insuficiente');
+      }
+
+      const operation = new CashOperation(
+        nextId('cashOperations'),
+        user.id,
+        user.account,
+        type,
+        channel,
+        value,
+        description || `${TYPE_LABELS[type].operation} - ${CHANNEL_LABELS[channel]}`
+      );
+      operation.createdAt = now;
+
+      addCashOperation(operation);
+      userService.updateUserBalance(user.id, type === 'deposit' ? value : value.negate());
+      ledgerService.recordCashOperation(operation, CHANNEL_ACCOUNTS[channel]);
+      return operation;
+    });
+  }
+
+  parseAmount(value) {
+    if (!(value instanceof Money) && (typeof value !== 'number' || isNaN(value))) {
+      throw new Error('Valor deve ser um número válido');
+    }
+
+    const amount = Money.of(value);
+    if (!amount.isPositive()) {
+      throw new Error('Valor deve ser maior que zero');
+    }
+    return amount;
+  }
+
+  assertAtmWithdrawal(amount) {
+    if (amount.cents % ATM_NOTE.cents !== 0) {
+      throw new Error(`Saques no caixa eletrônico devem ser múltiplos de ${ATM_NOTE.format()}`);
+    }
+
+    const maximum = Money.of(config.cashOperations.atmWithdrawalLimit);
+    if (amount.greaterThan(maximum)) {
+      throw new Error(`Limite por saque no caixa eletrônico é de ${maximum.format()}`);
+    }
+  }
+
+  assertWithinDailyLimit(user, type, amount, now) {
+    const { limit, used, remaining } = this.getLimit(user.account, type, now);
+    if (used.add(amount).greaterThan(limit)) {
+      throw new Error(`Limite diário de ${TYPE_LABELS[type].limit} excedido (disponível: ${remaining.format()})`);
+    }
+  }
+
+  // Total do tipo no dia local e quanto ainda resta
+  getLimit(account, type, now = this.clock.now()) {
+    const { timeZone } = config.cashOperations;
+    const limit = Money.of(config.cashOperations.dailyLimits[type]);
+    const periodStart = startOfPeriod(now, 'daily', timeZone);
+    const resetsAt = startOfNextPeriod(now, 'daily', timeZone);
+
+    const used = findCashOperations(operation =>
+      operation.account === account &&
+      operation.type === type &&
+      operation.createdAt >= periodStart &&
+      operation.createdAt < resetsAt
+    ).reduce((total, operation) => total.add(operation.amount), Money.zero());
+
+    return {
+      limit,
+      used,
+      remaining: used.greaterThan(limit) ? Money.zero() : limit.subtract(used),
+      resetsAt,
+      timeZone
+    };
+  }
+
+  getLimits(userId) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    const now = this.clock.now();
+    return {
+      currency: Money.zero().currency,
+      deposit: this.getLimit(user.account, 'deposit', now),
+      withdrawal: this.getLimit(user.account, 'withdrawal', now),
+      atmWithdrawalLimit: Money.of(config.cashOperations.atmWithdrawalLimit)
+    };
+  }
+
+  // Operações mais recentes primeiro
+  getOperations(userId, { type } = {}) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    if (type && !TYPES.includes(type)) {
+      throw new Error(`Tipo inválido. Use um de: ${TYPES.join(', ')}`);
+    }
+
+    return findCashOperations(operation => operation.userId === user.id && (!type || operation.type === type))
+      .sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+  }
+
+  getOperation(userId, operationId) {
+    const operation = findCashOperationById(operationId);
+    if (!operation || operation.userId !== parseInt(userId)) {
+      throw new Error('Operação não encontrada');
+    }
+    return operation;
+  }
+}
+
+module.exports = new CashOperationService();
+module.exports.CHANNELS_BY_TYPE = CHANNELS_BY_TYPE;
@@ -0,0 +1,182 @@
+const CategoryRule = require('../models/CategoryRule');
+const TransferCategory = require('../models/TransferCategory');
+const {
+  findUserById,
+  findTransferById,
+  addCategoryRule,
+  findCategoryRuleById,
+  getCategoryRulesByUserId,
+  removeCategoryRule,
+  addTransferCategory,
+  updateTransferCategory,
+  findTransferCategory,
+  getTransferCategoriesByUserId,
+  removeTransferCategory,
+  nextId
+} = require('../database');
+
+const MAX_RULES_PER_USER = 50;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const UNCATEGORIZED = 'Sem categoria';
+
+// "Supermercado São João" e "supermercado sao joao" devem casar com a mesma regra
+const fold = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+const normalizeTags = (tags = []) => {
+  const normalized = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()))];
+  if (normalized.some(tag => !tag || tag.length > MAX_TAG_LENGTH)) {
+    throw new Error(`Tags devem ter entre 1 e ${MAX_TAG_LENGTH} caracteres`);
+  }
+  if (normalized.length > MAX_TAGS) {
+    throw new Error(`Máximo de ${MAX_TAGS} tags por transferência`);
+  }
+  return normalized;
+};
+
+/**
+ * 🏷️ Category Service
+ * Categorias e tags das transferências, escolhidas por cada participante.
+ * Sem categoria manual, a primeira regra do usuário (pela ordem de criação) que casar
+ * com a descrição e/ou com a conta da contraparte sugere a categoria.
+ */
+class CategoryService {
+  createRule(userId, { category, descriptionContains, counterparty } = {}) {
+    const user = this.getUser(userId);
+    const name = String(category || '').trim();
+    if (!name) {
+      throw new Error('Categoria é obrigatória');
+    }
+
+    // Business rule: A rule needs at least one condition
+    if (!descriptionContains && !counterparty) {
+      throw new Error('Informe o trecho da descrição e/ou a conta da contraparte');
+    }
+
+    if (getCategoryRulesByUserId(user.id).length >= MAX_RULES_PER_USER) {
+      throw new Error(`Limite de ${MAX_RULES_PER_USER} regras atingido`);
+    }
+
+    return addCategoryRule(new CategoryRule(
+      nextId('categoryRules'),
+      user.id,
+      name,
+      descriptionContains ? String(descriptionContains).trim() : null,
+      counterparty || null
+    ));
+  }
+
+  getRules(userId) {
+    return getCategoryRulesByUserId(userId).sort((a, b) => a.id - b.id);
+  }
+
+  removeRule(userId, ruleId) {
+    const rule = findCategoryRuleById(ruleId);
+    if (!rule || rule.userId !== parseInt(userId)) {
+      throw new Error('Regra não encontrada');
+    }
+
+    removeCategoryRule(rule.id);
+    return { message: 'Regra removida com sucesso' };
+  }
+
+  // Todas as condições informadas na regra precisam casar
+  matchRule(rules, user, transfer) {
+    const counterparty = transfer.fromAccount === user.account ? transfer.toAccount : transfer.fromAccount;
+    const description = fold(transfer.description);
+
+    return rules.find(rule =>
+      (!rule.descriptionContains || description.includes(fold(rule.descriptionContains))) &&
+      (!rule.counterparty || rule.counterparty === counterparty)
+    ) || null;
+  }
+
+  categorizeTransfer(userId, transferId, { category, tags } = {}) {
+    const { user, transfer } = this.getForParticipant(userId, transferId);
+    const name = String(category || '').trim();
+    if (!name) {
+      throw new Error('Categoria é obrigatória');
+    }
+    const normalizedTags = normalizeTags(tags);
+
+    const existing = findTransferCategory(user.id, transfer.id);
+    if (existing) {
+      existing.category = name;
+      existing.tags = normalizedTags;
+      existing.updatedAt = new Date();
+      updateTransferCategory(existing);
+    } else {
+      addTransferCategory(new TransferCategory(nextId('transferCategories'), user.id, transfer.id, name, normalizedTags));
+    }
+
+    return this.describe(user, transfer, this.getRules(user.id));
+  }
+
+  getTransferCategory(userId, transferId) {
+    const { user, transfer } = this.getForParticipant(userId, transferId);
+    return this.describe(user, transfer, this.getRules(user.id));
+  }
+
+  // Remove a categoria manual; a sugestão das regras volta a valer
+  clearTransferCategory(userId, transferId) {
+    const { user, transfer } = this.getForParticipant(userId, transferId);
+    const existing = findTransferCategory(user.id, transfer.id);
+    if (existing) {
+      removeTransferCategory(existing.id);
+    }
+    return this.describe(user, transfer, this.getRules(user.id));
+  }
+
+  // Categoria de cada transferência do usuário (transferId -> categoria), para relatórios
+  categorizeAll(user, transfers) {
+    const rules = this.getRules(user.id);
+    const manual = new Map(getTransferCategoriesByUserId(user.id).map(item => [item.transferId, item]));
+    return new Map(transfers.map(transfer => [
+      transfer.id,
+      this.describe(user, transfer, rules, manual.get(transfer.id) || null)
+    ]));
+  }
+
+  describe(user, transfer, rules, manual = findTransferCategory(user.id, transfer.id)) {
+    if (manual) {
+      return { transferId: transfer.id, category: manual.category, tags: manual.tags, source: 'manual', ruleId: null };
+    }
+
+    const rule = this.matchRule(rules, user, transfer);
+    return {
+      transferId: transfer.id,
+      category: rule ? rule.category : null,
+      tags: [],
+      source: rule ? 'rule' : null,
+      ruleId: rule ? rule.id : null
+    };
+  }
+
+  getForParticipant(userId, transferId) {
+    const user = findUserById(userId);
+    const transfer = findTransferById(transferId);
+
+    // Business rule: Only the sender and the recipient can categorize the transfer
+    if (!transfer || !user || ![transfer.fromAccount, transfer.toAccount].includes(user.account)) {
+      throw new Error('Transferência não encontrada');
+    }
+    return { user, transfer };
+  }
+
+  getUser(userId) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+    return user;
+  }
+}
+
+module.exports = new CategoryService();
+module.exports.MAX_RULES_PER_USER = MAX_RULES_PER_USER;
+module.exports.MAX_TAGS = MAX_TAGS;
+module.exports.UNCATEGORIZED = UNCATEGORIZED;
@@ -0,0 +1,98 @@
+const Money = require('../models/Money');
+const config = require('../config/environment');
+const { findTransfers, isFavorite } = require('../database');
+const userService = require('./userService');
+const ledgerService = require('./ledgerService');
+const productService = require('./productService');
+const feeEngine = require('../fees');
+const { startOfPeriod, startOfNextPeriod } = require('../utils/calendar');
+const { systemClock } = require('../utils/clock');
+
+// Transferências que consomem a franquia do mês: concluídas (mesmo se estornadas depois) e com valor reservado
+const CONSUMING_STATUSES = ['completed', 'partially_refunded', 'refunded', 'pending_approval', 'under_review'];
+
+/**
+ * 💸 Fee Service
+ * Tarifa das transferências, pela tabela `fees.transfer` do produto da conta do remetente.
+ * A tabela tem um tipo do fee engine (src/fees) e, opcionalmente:
+ * - freePerMonth: quantidade de transferências isentas por mês (no fuso dos limites)
+ * - waivedForFavorites: isenta transferências para favorecidos
+ * A tarifa é debitada do remetente em um lançamento separado, contra a receita de tarifas do banco.
+ */
+class FeeService {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+  }
+
+  getSchedule(user) {
+    return productService.getUserProduct(user).fees?.transfer || null;
+  }
+
+  // Transferências isentas pela franquia no mês de `now`
+  getFreeQuota(user, schedule, now) {
+    if (!schedule?.freePerMonth) {
+      return null;
+    }
+
+    const timeZone = config.transferLimits.timeZone;
+    const periodStart = startOfPeriod(now, 'monthly', timeZone);
+    const resetsAt = startOfNextPeriod(now, 'monthly', timeZone);
+    // Busca pelo índice de fromAccount; a franquia e o período são filtrados em memória
+    const used = findTransfers({ fromAccount: user.account }).filter(transfer => {
+      const sentAt = transfer.executedAt || transfer.createdAt;
+      return transfer.feeWaiver === 'free_quota' &&
+        CONSUMING_STATUSES.includes(transfer.status) &&
+        sentAt >= periodStart &&
+        sentAt < resetsAt;
+    }).length;
+
+    return {
+      limit: schedule.freePerMonth,
+      used,
+      remaining: Math.max(schedule.freePerMonth - used, 0),
+      resetsAt
+    };
+  }
+
+  // Tarifa de uma transferência, sem cobrá-la
+  quote(fromUser, toUser, amount, { now = this.clock.now() } = {}) {
+    const schedule = this.getSchedule(fromUser);
+    const fee = feeEngine.calculate(schedule, amount);
+    const freeQuota = this.getFreeQuota(fromUser, schedule, now);
+    const result = { fee, feeWaiver: null, fullFee: fee, schedule, freeQuota };
+
+    if (!fee.isPositive()) {
+      return result;
+    }
+
+    // Business rule: Transfers to favorites are free when the schedule says so
+    if (schedule.waivedForFavorites && isFavorite(fromUser.id, toUser.account)) {
+      return { ...result, fee: Money.zero(), feeWaiver: 'favorite' };
+    }
+
+    // Business rule: The first transfers of the month are free, up to the schedule's quota
+    if (freeQuota && freeQuota.remaining > 0) {
+      return { ...result, fee: Money.zero(), feeWaiver: 'free_quota' };
+    }
+    return result;
+  }
+
+  // Registra a tarifa cotada na transferência
+  applyQuote(transfer, { fee, feeWaiver }) {
+    transfer.fee = fee;
+    transfer.feeWaiver = feeWaiver;
+    return transfer;
+  }
+
+  // Debita a tarifa do remetente (usar dentro de runInTransaction)
+  charge(fromUser, transfer) {
+    if (!transfer.fee || !transfer.fee.isPositive()) {
+      return null;
+    }
+
+    userService.updateUserBalance(fromUser.id, transfer.fee.negate());
+    return ledgerService.recordTransferFee(transfer);
+  }
+}
+
+module.exports = new FeeService();
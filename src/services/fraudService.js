@@ -0,0 +1,129 @@
+const FraudAlert = require('../models/FraudAlert');
+const { STATUSES } = require('../models/FraudAlert');
+const { DECISIONS } = require('../fraud/FraudScorer');
+const config = require('../config/environment');
+const {
+  findTransfers,
+  addFraudAlert,
+  updateFraudAlert,
+  findFraudAlertById,
+  findFraudAlerts,
+  nextId
+} = require('../database');
+const fraudScorer = require('../fraud');
+const { systemClock } = require('../utils/clock');
+
+// Transferências que entram no histórico do remetente: enviadas, mesmo se estornadas ou ainda retidas
+const HISTORY_STATUSES = ['completed', 'partially_refunded', 'refunded', 'pending_approval', 'under_review'];
+
+const ALLOW = { score: 0, decision: 'allow', reasons: [] };
+
+/**
+ * 🚨 Fraud Service
+ * Analisa o risco das transferências enviadas (desligado por padrão: `fraud.enabled`)
+ * com os sinais de src/fraud, a partir do histórico de envios do remetente.
+ * Transferências retidas para análise ou bloqueadas geram um alerta com o código do motivo,
+ * listado e resolvido pelos administradores.
+ */
+class FraudService {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+  }
+
+  // Histórico de envios do remetente (busca pelo índice de fromAccount), no formato usado pelos sinais
+  getHistory(account) {
+    return findTransfers({ fromAccount: account }).filter(transfer =>
+      !transfer.refundOf &&
+      HISTORY_STATUSES.includes(transfer.status)
+    ).map(transfer => ({
+      toAccount: transfer.toAccount,
+      amount: transfer.amount,
+      sentAt: transfer.executedAt || transfer.createdAt
+    }));
+  }
+
+  buildContext(fromUser, toUser, amount, now = this.clock.now()) {
+    return {
+      amount,
+      now,
+      recipient: { account: toUser.account, createdAt: toUser.createdAt },
+      history: this.getHistory(fromUser.account)
+    };
+  }
+
+  assess(fromUser, toUser, amount, now = this.clock.now()) {
+    if (!config.fraud.enabled) {
+      return ALLOW;
+    }
+    return fraudScorer.score(this.buildContext(fromUser, toUser, amount, now));
+  }
+
+  // Registra o alerta de uma transferência retida (com `transfer`) ou bloqueada
+  recordAlert(fromUser, toUser, amount, assessment, transfer = null) {
+    const alert = new FraudAlert(
+      nextId('fraudAlerts'),
+      fromUser.id,
+      fromUser.account,
+      toUser.account,
+      amount,
+      assessment.score,
+      assessment.decision,
+      assessment.reasons,
+      transfer?.id ?? null
+    );
+    alert.createdAt = this.clock.now();
+    return addFraudAlert(alert);
+  }
+
+  // Grava de novo, com outro id, um alerta de bloqueio desfeito junto com a transação em que foi criado
+  // (ex.: lote all_or_nothing): a transferência não existe, mas a tentativa bloqueada fica registrada
+  restoreAlert(alert) {
+    const restored = new FraudAlert(
+      nextId('fraudAlerts'),
+      alert.userId,
+      alert.fromAccount,
+      alert.toAccount,
+      alert.amount,
+      alert.score,
+      alert.decision,
+      alert.reasons
+    );
+    restored.createdAt = alert.createdAt;
+    return addFraudAlert(restored);
+  }
+
+  // Alertas para os administradores, mais recentes primeiro
+  getAlerts({ decision, status } = {}) {
+    if (decision !== undefined && decision !== null && !DECISIONS.includes(decision)) {
+      throw new Error(`Decisão inválida. Use uma de: ${DECISIONS.join(', ')}`);
+    }
+    if (status !== undefined && status !== null && !STATUSES.includes(status)) {
+      throw new Error(`Status inválido. Use um de: ${STATUSES.join(', ')}`);
+    }
+
+    return findFraudAlerts(alert =>
+      (!decision || alert.decision === decision) &&
+      (!status || alert.status === status)
+    ).sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+  }
+
+  getPendingReview(alertId) {
+    const alert = findFraudAlertById(alertId);
+    if (!alert) {
+      throw new Error('Alerta não encontrado');
+    }
+    if (alert.status !== 'pending_review') {
+      throw new Error('Somente alertas pendentes de análise podem ser resolvidos');
+    }
+    return alert;
+  }
+
+  resolveAlert(alert, status, adminId) {
+    alert.status = status;
+    alert.reviewedBy = adminId;
+    alert.reviewedAt = this.clock.now();
+    return updateFraudAlert(alert);
+  }
+}
+
+module.exports = new FraudService();
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+const config = require('../config/environment');
+const {
+  findIdempotencyRecord,
+  addIdempotencyRecord,
+  updateIdempotencyRecord,
+  removeIdempotencyRecord,
+  nextId
+} = require('../database');
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON com chaves ordenadas, para que payloads equivalentes gerem o mesmo hash
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        result[key] = canonicalize(value[key]);
+      }
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+const hashPayload = (payload) => {
+  const normalized = canonicalize(JSON.parse(JSON.stringify(payload ?? {})));
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+};
+
+class IdempotencyService {
+  // Reserva a chave ou retorna a resposta já armazenada para ela
+  begin(userId, scope, key, payload) {
+    if (typeof key !== 'string' || key.trim() === '' || key.length > MAX_KEY_LENGTH) {
+      throw new Error(`Idempotency-Key deve ter entre 1 e ${MAX_KEY_LENGTH} caracteres`);
+    }
+
+    const requestHash = hashPayload(payload);
+    const existing = findIdempotencyRecord(userId, scope, key);
+
+    if (existing && existing.isExpired()) {
+      removeIdempotencyRecord(existing.id);
+    } else if (existing) {
+      if (existing.requestHash !== requestHash) {
+        throw new Error('Idempotency-Key já utilizada com outra requisição');
+      }
+      if (existing.status === 'processing') {
+        throw new Error('Requisição com esta Idempotency-Key ainda está em processamento');
+      }
+      return { replay: true, response: existing.response };
+    }
+
+    const record = addIdempotencyRecord(new IdempotencyRecord(
+      nextId('idempotencyKeys'),
+      parseInt(userId),
+      scope,
+      key,
+      requestHash,
+      new Date(Date.now() + config.idempotency.windowMs)
+    ));
+
+    return { replay: false, record };
+  }
+
+  complete(record, response) {
+    record.status = 'completed';
+    record.response = JSON.parse(JSON.stringify(response));
+    return updateIdempotencyRecord(record);
+  }
+
+  // Libera a chave para que uma nova tentativa seja processada
+  release(record) {
+    return removeIdempotencyRecord(record.id);
+  }
+
+  // Executa a operação uma única vez por chave; retentativas recebem o mesmo resultado
+  async execute(userId, scope, key, payload, operation) {
+    if (key === undefined || key === null) {
+      return operation();
+    }
+
+    const { replay, response, record } = this.begin(userId, scope, key, payload);
+    if (replay) {
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      return response.data;
+    }
+
+    try {
+      const data = await operation();
+      this.complete(record, { data });
+      return data;
+    } catch (error) {
+      this.complete(record, { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new IdempotencyService();
+module.exports.hashPayload = hashPayload;
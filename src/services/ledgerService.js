@@ -0,0 +1,196 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const Money = require('../models/Money');
+const {
+  findUserById,
+  updateUser,
+  getAllUsers,
+  addLedgerEntry,
+  getLedgerEntriesByAccount,
+  nextId,
+  runInTransaction
+} = require('../database');
+
+// Contas internas do banco usadas como contrapartida
+const HOUSE_ACCOUNTS = {
+  openingBalances: 'bank:opening-balances',
+  adjustments: 'bank:adjustments',
+  holds: 'bank:holds',
+  cash: 'bank:cash',
+  boleto: 'bank:boleto-clearing',
+  externalBanks: 'bank:external-banks',
+  interest: 'bank:interest-income',
+  fees: 'bank:fee-income'
+};
+
+class LedgerService {
+  // Registra um lançamento balanceado: a soma dos débitos deve ser igual à dos créditos
+  post(lines, description, reference = {}) {
+    if (!Array.isArray(lines) || lines.length < 2) {
+      throw new Error('Lançamento deve ter ao menos um débito e um crédito');
+    }
+
+    const totals = { debit: Money.zero(), credit: Money.zero() };
+    lines.forEach(({ type, amount }) => {
+      if (!totals[type]) {
+        throw new Error(`Tipo de lançamento inválido: ${type}`);
+      }
+      if (!amount.isPositive()) {
+        throw new Error('Valor do lançamento deve ser maior que zero');
+      }
+      totals[type] = totals[type].add(amount);
+    });
+
+    if (!totals.debit.equals(totals.credit)) {
+      throw new Error('Lançamento desbalanceado: débitos e créditos devem ter o mesmo total');
+    }
+
+    return runInTransaction(() => {
+      const journalId = nextId('journals');
+      return lines.map(({ account, type, amount }) => addLedgerEntry(new LedgerEntry(
+        nextId('ledgerEntries'),
+        journalId,
+        account,
+        type,
+        amount,
+        description,
+        reference.type || null,
+        reference.id || null
+      )));
+    });
+  }
+
+  recordTransfer(transfer) {
+    return this.post([
+      { account: transfer.fromAccount, type: 'debit', amount: transfer.amount },
+      { account: transfer.toAccount, type: 'credit', amount: transfer.amount }
+    ], transfer.description, { type: 'transfer', id: transfer.id });
+  }
+
+  // Tarifa da transferência: lançamento separado, do remetente para a receita de tarifas do banco
+  recordTransferFee(transfer) {
+    return this.post([
+      { account: transfer.fromAccount, type: 'debit', amount: transfer.fee },
+      { account: HOUSE_ACCOUNTS.fees, type: 'credit', amount: transfer.fee }
+    ], `Tarifa: ${transfer.description}`, { type: 'fee', id: transfer.id });
+  }
+
+  // Reserva o valor da transferência até a confirmação (sai do remetente, fica na conta de reservas)
+  recordHold(transfer) {
+    return this.post([
+      { account: transfer.fromAccount, type: 'debit', amount: transfer.amount },
+      { account: HOUSE_ACCOUNTS.holds, type: 'credit', amount: transfer.amount }
+    ], `Reserva: ${transfer.description}`, { type: 'hold', id: transfer.id });
+  }
+
+  // Confirmação: o valor reservado segue para o destinatário
+  recordHoldCapture(transfer) {
+    return this.post([
+      { account: HOUSE_ACCOUNTS.holds, type: 'debit', amount: transfer.amount },
+      { account: transfer.toAccount, type: 'credit', amount: transfer.amount }
+    ], transfer.description, { type: 'transfer', id: transfer.id });
+  }
+
+  // Cancelamento ou expiração: o valor reservado volta para o remetente
+  recordHoldRelease(transfer) {
+    return this.post([
+      { account: HOUSE_ACCOUNTS.holds, type: 'debit', amount: transfer.amount },
+      { account: transfer.fromAccount, type: 'credit', amount: transfer.amount }
+    ], `Liberação de reserva: ${transfer.description}`, { type: 'hold-release', id: transfer.id });
+  }
+
+  // Depósito: o dinheiro entra pela conta interna do canal; saque: sai por ela
+  recordCashOperation(operation, houseAccount) {
+    const [userSide, houseSide] = operation.type === 'deposit' ? ['credit', 'debit'] : ['debit', 'credit'];
+
+    return this.post([
+      { account: operation.account, type: userSide, amount: operation.amount },
+      { account: houseAccount, type: houseSide, amount: operation.amount }
+    ], operation.description, { type: operation.type, id: operation.id });
+  }
+
+  // Juros do cheque especial: saem da conta do cliente para a receita de juros do banco
+  recordInterestCharge(charge) {
+    return this.post([
+      { account: charge.account, type: 'debit', amount: charge.amount },
+      { account: HOUSE_ACCOUNTS.interest, type: 'credit', amount: charge.amount }
+    ], 'Juros do cheque especial', { type: 'interest', id: charge.id });
+  }
+
+  recordOpeningBalance(user) {
+    if (!user.balance.isPositive()) {
+      return [];
+    }
+
+    return this.post([
+      { account: HOUSE_ACCOUNTS.openingBalances, type: 'debit', amount: user.balance },
+      { account: user.account, type: 'credit', amount: user.balance }
+    ], 'Saldo inicial', { type: 'opening', id: user.id });
+  }
+
+  // Altera o saldo do usuário registrando a contrapartida na conta de ajustes
+  adjustBalance(userId, amount, description = 'Ajuste de saldo') {
+    const delta = Money.of(amount);
+
+    return runInTransaction(() => {
+      const user = findUserById(userId);
+      if (!user) {
+        throw new Error('Usuário não encontrado');
+      }
+
+      if (!delta.isZero()) {
+        const [userSide, houseSide] = delta.isPositive() ? ['credit', 'debit'] : ['debit', 'credit'];
+        const value = delta.isPositive() ? delta : delta.negate();
+
+        this.post([
+          { account: user.account, type: userSide, amount: value },
+          { account: HOUSE_ACCOUNTS.adjustments, type: houseSide, amount: value }
+        ], description, { type: 'adjustment', id: user.id });
+      }
+
+      user.updateBalance(delta);
+      return updateUser(user);
+    });
+  }
+
+  getEntriesByAccount(account) {
+    return getLedgerEntriesByAccount(account);
+  }
+
+  // Saldo derivado exclusivamente dos lançamentos da conta
+  getBalance(account) {
+    return this.getEntriesByAccount(account)
+      .reduce((total, entry) => total.add(entry.signedAmount()), Money.zero());
+  }
+
+  verifyUserBalance(user) {
+    const ledgerBalance = this.getBalance(user.account);
+    return {
+      balance: ledgerBalance,
+      recordedBalance: user.balance,
+      reconciled: ledgerBalance.equals(user.balance)
+    };
+  }
+
+  // Lista usuários cujo saldo registrado diverge dos lançamentos
+  findDiscrepancies() {
+    return getAllUsers()
+      .map(user => ({ user, ...this.verifyUserBalance(user) }))
+      .filter(result => !result.reconciled)
+      .map(({ user, balance, recordedBalance }) => ({
+        userId: user.id,
+        account: user.account,
+        ledgerBalance: balance,
+        recordedBalance
+      }));
+  }
+
+  // Gera o saldo inicial de usuários criados antes do ledger existir
+  backfillOpeningBalances() {
+    const users = getAllUsers().filter(user => this.getEntriesByAccount(user.account).length === 0);
+    users.forEach(user => this.recordOpeningBalance(user));
+    return users.length;
+  }
+}
+
+module.exports = new LedgerService();
+module.exports.HOUSE_ACCOUNTS = HOUSE_ACCOUNTS;
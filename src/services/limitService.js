@@ -0,0 +1,32 @@
+const Money = require('../models/Money');
+const { findTransfers } = require('../database');
+const { startOfPeriod, startOfNextPeriod } = require('../utils/calendar');
+
+// Transferências que consomem limite: concluídas (mesmo se estornadas depois) e com valor reservado
+const CONSUMING_STATUSES = ['completed', 'partially_refunded', 'refunded', 'pending_approval', 'under_review'];
+
+/**
+ * 📊 Limit Service
+ * Calcula o quanto do limite diário/mensal já foi consumido,
+ * a partir das transferências enviadas pela conta no período.
+ */
+class LimitService {
+  getUsage(account, period, now, timeZone) {
+    const periodStart = startOfPeriod(now, period, timeZone);
+    const resetsAt = startOfNextPeriod(now, period, timeZone);
+
+    // Estornos devolvem dinheiro recebido e não consomem o limite de quem estorna;
+    // a busca por remetente usa o índice de fromAccount e o restante é filtrado em memória
+    const used = findTransfers({ fromAccount: account }).filter(transfer => {
+      const sentAt = transfer.executedAt || transfer.createdAt;
+      return !transfer.refundOf &&
+        CONSUMING_STATUSES.includes(transfer.status) &&
+        sentAt >= periodStart &&
+        sentAt < resetsAt;
+    }).reduce((total, transfer) => total.add(transfer.amount), Money.zero());
+
+    return { used, periodStart, resetsAt };
+  }
+}
+
+module.exports = new LimitService();
@@ -0,0 +1,204 @@
+const InterestCharge = require('../models/InterestCharge');
+const Money = require('../models/Money');
+const config = require('../config/environment');
+const {
+  findUserById,
+  getAllUsers,
+  updateUser,
+  addInterestCharge,
+  findInterestCharges,
+  nextId,
+  runInTransaction
+} = require('../database');
+const ledgerService = require('./ledgerService');
+const productService = require('./productService');
+const { localParts, fromLocal, parseLocalDate, startOfPeriod, startOfNextPeriod } = require('../utils/calendar');
+const { systemClock } = require('../utils/clock');
+
+// Juros mensais convertidos em taxa diária (mês comercial de 30 dias)
+const DAYS_PER_MONTH = 30;
+
+const localDate = (date, timeZone) => {
+  const { year, month, day } = localParts(date, timeZone);
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * 💳 Overdraft Service
+ * Cheque especial: permite que o saldo fique negativo até o limite da conta.
+ * - O limite máximo vem do produto (`overdraftLimit`); o cliente pode reduzi-lo em `user.overdraftLimit`
+ * - Saídas (transferências e saques) usam o saldo disponível: saldo + crédito ainda livre
+ * - Uma vez por dia local, contas com saldo negativo pagam juros (`overdraft.monthlyInterestRate`),
+ *   lançados contra a conta de receita de juros do banco
+ * - Dias sem execução do scheduler são lançados na execução seguinte (até `overdraft.catchUpDays` para trás)
+ */
+class OverdraftService {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+  }
+
+  getMaxLimit(user) {
+    return Money.of(productService.getUserProduct(user).overdraftLimit || 0);
+  }
+
+  // Limite escolhido pelo cliente, nunca acima do concedido pelo produto
+  getLimit(user) {
+    const maximum = this.getMaxLimit(user);
+    if (!user.overdraftLimit) {
+      return maximum;
+    }
+    const limit = Money.of(user.overdraftLimit);
+    return limit.greaterThan(maximum) ? maximum : limit;
+  }
+
+  // Quanto do limite está em uso (a parte negativa do saldo)
+  getUsed(user) {
+    return user.balance.isNegative() ? user.balance.negate() : Money.zero();
+  }
+
+  getAvailableCredit(user) {
+    const limit = this.getLimit(user);
+    const used = this.getUsed(user);
+    return used.greaterThan(limit) ? Money.zero() : limit.subtract(used);
+  }
+
+  // Saldo que pode sair da conta: saldo positivo mais o crédito ainda livre
+  getAvailableBalance(user) {
+    const positive = user.balance.isNegative() ? Money.zero() : user.balance;
+    return positive.add(this.getAvailableCredit(user));
+  }
+
+  getDailyRate() {
+    return config.overdraft.monthlyInterestRate / DAYS_PER_MONTH;
+  }
+
+  getOverdraft(userId) {
+    const user = this.getUser(userId);
+    return {
+      limit: this.getLimit(user),
+      maxLimit: this.getMaxLimit(user),
+      used: this.getUsed(user),
+      availableCredit: this.getAvailableCredit(user),
+      availableBalance: this.getAvailableBalance(user),
+      monthlyInterestRate: config.overdraft.monthlyInterestRate,
+      dailyInterestRate: this.getDailyRate()
+    };
+  }
+
+  setLimit(userId, limit) {
+    const user = this.getUser(userId);
+    const maximum = this.getMaxLimit(user);
+    const value = Money.of(limit);
+
+    // Business rule: The customer chooses a limit up to the one granted by the product
+    if (value.isNegative() || value.greaterThan(maximum)) {
+      throw new Error(`Limite do cheque especial deve ser entre ${Money.zero().format()} e ${maximum.format()}`);
+    }
+
+    // Business rule: The limit cannot drop below what is already being used
+    const used = this.getUsed(user);
+    if (value.lessThan(used)) {
+      throw new Error(`Limite do cheque especial não pode ser menor que o valor em uso (${used.format()})`);
+    }
+
+    // O limite do produto fica como null, para acompanhar mudanças no produto
+    user.overdraftLimit = value.equals(maximum) ? null : value;
+    updateUser(user);
+    return this.getOverdraft(user.id);
+  }
+
+  // Lança os juros dos dias perdidos e os de hoje nas contas com saldo negativo que ainda não pagaram
+  accrueInterest(now = this.clock.now()) {
+    const date = localDate(now, config.overdraft.timeZone);
+    const rate = this.getDailyRate();
+
+    return getAllUsers()
+      .flatMap(user => {
+        const charges = this.getMissedDays(user, now)
+          .map(day => this.chargeInterest(user, day.date, rate, now, day.balance));
+
+        if (user.balance.isNegative() && findInterestCharges({ account: user.account, date }).length === 0) {
+          charges.push(this.chargeInterest(user, date, rate, now));
+        }
+        return charges;
+      })
+      .filter(Boolean);
+  }
+
+  // Dias anteriores a hoje sem juros lançados (ex.: SCHEDULER_ENABLED=false), desde o último lançamento
+  // ou a abertura da conta e no máximo `catchUpDays` para trás. Cada dia usa o saldo no início dele,
+  // o mesmo que a primeira execução do scheduler naquele dia teria visto; os juros desses dias não se acumulam
+  getMissedDays(user, now) {
+    const { timeZone, catchUpDays } = config.overdraft;
+    const today = startOfPeriod(now, 'daily', timeZone);
+    const { year, month, day } = localParts(now, timeZone);
+    const [lastDate] = findInterestCharges({ account: user.account })
+      .map(charge => charge.date)
+      .sort()
+      .reverse();
+
+    const starts = [fromLocal(year, month, day - catchUpDays, timeZone), startOfPeriod(user.createdAt, 'daily', timeZone)];
+    if (lastDate) {
+      starts.push(parseLocalDate(lastDate, timeZone, 'Data', 1));
+    }
+    let dayStart = new Date(Math.max(...starts));
+    if (dayStart >= today) {
+      return [];
+    }
+
+    const entries = ledgerService.getEntriesByAccount(user.account)
+      .sort((a, b) => a.createdAt - b.createdAt || a.id - b.id);
+    const days = [];
+    let index = 0;
+    let balance = Money.zero();
+    while (dayStart < today) {
+      while (index < entries.length && entries[index].createdAt < dayStart) {
+        balance = balance.add(entries[index].signedAmount());
+        index++;
+      }
+      if (balance.isNegative()) {
+        days.push({ date: localDate(dayStart, timeZone), balance });
+      }
+      dayStart = startOfNextPeriod(dayStart, 'daily', timeZone);
+    }
+    return days;
+  }
+
+  // `balance` informa o saldo de um dia passado; sem ele, vale o saldo atual
+  chargeInterest({ id }, date, rate, now, balance = null) {
+    return runInTransaction(() => {
+      const user = findUserById(id);
+      const base = balance || user.balance;
+      const amount = new Money(Math.round(base.negate().cents * rate));
+      if (!amount.isPositive()) {
+        return null;
+      }
+
+      const charge = new InterestCharge(nextId('interestCharges'), user.id, user.account, date, base, rate, amount);
+      charge.createdAt = now;
+
+      addInterestCharge(charge);
+      ledgerService.recordInterestCharge(charge);
+      user.updateBalance(amount.negate());
+      updateUser(user);
+      return charge;
+    });
+  }
+
+  // Juros lançados, mais recentes primeiro
+  getInterestCharges(userId) {
+    const user = this.getUser(userId);
+    return findInterestCharges(charge => charge.userId === user.id)
+      .sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+  }
+
+  getUser(userId) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+    return user;
+  }
+}
+
+module.exports = new OverdraftService();
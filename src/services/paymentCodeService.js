@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const PaymentCode = require('../models/PaymentCode');
+const { TYPES } = require('../models/PaymentCode');
+const Money = require('../models/Money');
+const config = require('../config/environment');
+const {
+  findUserById,
+  findUserByAccount,
+  addPaymentCode,
+  updatePaymentCode,
+  findPaymentCodeByTxid,
+  findPaymentCodeByTransferId,
+  nextId
+} = require('../database');
+const aliasKeyService = require('./aliasKeyService');
+const { maskName } = require('./aliasKeyService');
+const { encodeBrCode, decodeBrCode } = require('../utils/brcode');
+const { systemClock } = require('../utils/clock');
+
+// txid de 25 caracteres alfanuméricos, o máximo do campo 62-05
+const generateTxid = () => crypto.randomBytes(16).toString('hex').slice(0, 25).toUpperCase();
+
+/**
+ * 🔳 Payment Code Service
+ * QR Codes de pagamento (BR Code) apontando para a conta ou uma chave do recebedor.
+ * - static: reutilizável, com valor opcional; nada é armazenado
+ * - dynamic: cobrança de uso único, com valor fixo e validade de `paymentCodes.expiryMs`
+ * Decodificar um payload devolve os dados para pré-preencher a transferência (`qrCode`).
+ */
+class PaymentCodeService {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+  }
+
+  createPaymentCode(userId, { type = 'static', key, amount, description } = {}) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    if (!TYPES.includes(type)) {
+      throw new Error(`Tipo de QR Code inválido. Use um de: ${TYPES.join(', ')}`);
+    }
+
+    const value = amount === undefined || amount === null ? null : this.parseAmount(amount);
+
+    // Business rule: Dynamic codes charge a fixed amount
+    if (type === 'dynamic' && !value) {
+      throw new Error('QR Code dinâmico exige valor');
+    }
+
+    // Business rule: The code can only point to one of the user's own keys
+    const aliasKey = key ? aliasKeyService.findKey(key) : null;
+    if (aliasKey && aliasKey.userId !== user.id) {
+      throw new Error('Chave não encontrada');
+    }
+
+    const txid = type === 'dynamic' ? generateTxid() : null;
+    const expiresAt = type === 'dynamic'
+      ? new Date(this.clock.now().getTime() + config.paymentCodes.expiryMs)
+      : null;
+
+    const payload = encodeBrCode({
+      type,
+      key: aliasKey ? aliasKey.value : null,
+      account: user.account,
+      description,
+      amount: value,
+      name: user.name,
+      city: config.paymentCodes.merchantCity,
+      txid
+    });
+
+    if (type === 'dynamic') {
+      addPaymentCode(new PaymentCode(
+        nextId('paymentCodes'),
+        txid,
+        user.id,
+        user.account,
+        aliasKey ? aliasKey.value : null,
+        value,
+        description || null,
+        expiresAt
+      ));
+    }
+
+    return {
+      type,
+      payload,
+      txid,
+      account: user.account,
+      key: aliasKey ? aliasKey.value : null,
+      amount: value,
+      description: description || null,
+      expiresAt
+    };
+  }
+
+  parseAmount(value) {
+    const amount = Money.of(value);
+    if (!amount.isPositive()) {
+      throw new Error('Valor deve ser maior que zero');
+    }
+    return amount;
+  }
+
+  // Dados exibidos ao pagador e corpo pronto para POST /transfers
+  decodePaymentCode(payload) {
+    const data = decodeBrCode(payload);
+    const account = data.key ? aliasKeyService.resolveAccount(data.key) : data.account;
+    const recipient = account ? findUserByAccount(account) : null;
+    if (!recipient) {
+      throw new Error('Conta de destino não encontrada');
+    }
+
+    let amount = data.amount ? Money.of(data.amount) : null;
+    let description = data.description;
+    let expiresAt = null;
+
+    // Dinâmico: valor, descrição e validade vêm da cobrança armazenada
+    if (data.type === 'dynamic') {
+      const code = data.txid ? findPaymentCodeByTxid(data.txid) : null;
+      if (!code || code.account !== recipient.account) {
+        throw new Error('QR Code não encontrado');
+      }
+      if (!amount || !amount.equals(code.amount)) {
+        throw new Error('QR Code inválido: dados não conferem');
+      }
+      this.assertPayable(code);
+      amount = code.amount;
+      description = code.description;
+      expiresAt = code.expiresAt;
+    }
+
+    return {
+      type: data.type,
+      txid: data.txid,
+      account: recipient.account,
+      key: data.key,
+      recipientName: maskName(recipient.name),
+      amount,
+      description,
+      expiresAt,
+      transfer: {
+        qrCode: String(payload).trim(),
+        amount,
+        description
+      }
+    };
+  }
+
+  assertPayable(code) {
+    this.refresh(code);
+    if (code.status === 'expired') {
+      throw new Error('QR Code expirado');
+    }
+    if (code.status !== 'active') {
+      throw new Error('QR Code já foi pago');
+    }
+  }
+
+  // Marca o QR Code dinâmico como pago pela transferência (usar dentro de runInTransaction)
+  redeem(paymentCode, transfer) {
+    if (!paymentCode || paymentCode.type !== 'dynamic') {
+      return null;
+    }
+
+    const code = findPaymentCodeByTxid(paymentCode.txid);
+    this.assertPayable(code);
+
+    code.status = 'paid';
+    code.transferId = transfer.id;
+    code.paidAt = this.clock.now();
+    return updatePaymentCode(code);
+  }
+
+  // A transferência pendente foi cancelada ou expirou: o QR Code volta a aceitar pagamento
+  release(transfer) {
+    const code = findPaymentCodeByTransferId(transfer.id);
+    if (!code || code.status !== 'paid') {
+      return null;
+    }
+
+    code.status = 'active';
+    code.transferId = null;
+    code.paidAt = null;
+    updatePaymentCode(code);
+    return this.refresh(code);
+  }
+
+  // Marca como expirado o QR Code ativo cujo prazo já passou
+  refresh(code) {
+    if (code.isExpired(this.clock.now())) {
+      code.status = 'expired';
+      return updatePaymentCode(code);
+    }
+    return code;
+  }
+}
+
+module.exports = new PaymentCodeService();
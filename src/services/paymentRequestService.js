@@ -0,0 +1,153 @@
+const PaymentRequest = require('../models/PaymentRequest');
+const config = require('../config/environment');
+const {
+  findUserById,
+  findUserByAccount,
+  findTransferById,
+  addPaymentRequest,
+  updatePaymentRequest,
+  findPaymentRequestById,
+  findPaymentRequests,
+  nextId,
+  runInTransaction
+} = require('../database');
+const transferService = require('./transferService');
+const fraudService = require('./fraudService');
+const FraudBlockedError = require('../fraud/FraudBlockedError');
+const { systemClock } = require('../utils/clock');
+
+/**
+ * 🧾 Payment Request Service
+ * Cobranças entre usuários: o solicitante informa a conta do pagador, que pode
+ * aceitar (gerando uma transferência comum dele para o solicitante) ou recusar.
+ * Se a análise de risco retiver a transferência, a solicitação fica em under_review
+ * até o administrador aprovar (accepted) ou rejeitar (volta a pending).
+ * Solicitações sem resposta expiram após `paymentRequests.expiryMs`.
+ */
+class PaymentRequestService {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+  }
+
+  createPaymentRequest(userId, data) {
+    const { payerAccount, description } = data;
+    const amount = transferService.parseAmount(data.amount);
+
+    // Business rule: Requester user exists?
+    const requester = findUserById(userId);
+    if (!requester) {
+      throw new Error('Usuário solicitante não encontrado');
+    }
+
+    // Business rule: Payer account exists?
+    const payer = findUserByAccount(payerAccount);
+    if (!payer) {
+      throw new Error('Conta do pagador não encontrada');
+    }
+
+    // Business rule: Can't request money from self
+    if (payer.account === requester.account) {
+      throw new Error('Não é possível solicitar pagamento a si mesmo');
+    }
+
+    // Saldo e limites do pagador só são verificados quando ele aceita
+    transferService.checkRules(payer, requester, amount, ['positiveAmount']);
+
+    return addPaymentRequest(new PaymentRequest(
+      nextId('paymentRequests'),
+      requester.id,
+      requester.account,
+      payer.account,
+      amount,
+      description || 'Solicitação de pagamento',
+      new Date(this.clock.now().getTime() + config.paymentRequests.expiryMs)
+    ));
+  }
+
+  // Solicitações recebidas pelo usuário (ele é o pagador)
+  getIncomingPaymentRequests(userId) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+    return findPaymentRequests({ payerAccount: user.account }).map(request => this.refresh(request));
+  }
+
+  // Solicitações enviadas pelo usuário
+  getOutgoingPaymentRequests(userId) {
+    return findPaymentRequests({ requesterId: parseInt(userId) }).map(request => this.refresh(request));
+  }
+
+  acceptPaymentRequest(userId, requestId) {
+    const { payer, request } = this.getForPayer(userId, requestId);
+    this.assertPending(request, 'aceitas');
+
+    // Transferência e resposta são atômicas: se a transferência falhar, a solicitação segue pendente
+    try {
+      return runInTransaction(() => {
+        const transfer = transferService.executeTransfer(payer.id, {
+          toAccount: request.requesterAccount,
+          amount: request.amount,
+          description: request.description
+        });
+
+        // Transferência retida pela análise de risco: a solicitação aguarda a decisão do administrador
+        request.status = transfer.status === 'under_review' ? 'under_review' : 'accepted';
+        request.transferId = transfer.id;
+        request.respondedAt = this.clock.now();
+        return { ...updatePaymentRequest(request), transfer };
+      });
+    } catch (error) {
+      // O alerta de bloqueio foi desfeito junto com a transação
+      if (error instanceof FraudBlockedError) {
+        fraudService.restoreAlert(error.alert);
+      }
+      throw error;
+    }
+  }
+
+  declinePaymentRequest(userId, requestId) {
+    const { request } = this.getForPayer(userId, requestId);
+    this.assertPending(request, 'recusadas');
+
+    request.status = 'declined';
+    request.respondedAt = this.clock.now();
+    return updatePaymentRequest(request);
+  }
+
+  getTransfer(request) {
+    return request.transferId ? findTransferById(request.transferId) : null;
+  }
+
+  // Business rule: Only the payer can answer a request
+  getForPayer(userId, requestId) {
+    const payer = findUserById(userId);
+    const request = findPaymentRequestById(requestId);
+
+    if (!request || request.payerAccount !== payer?.account) {
+      throw new Error('Solicitação de pagamento não encontrada');
+    }
+    return { payer, request };
+  }
+
+  assertPending(request, action) {
+    this.refresh(request);
+    if (request.status === 'expired') {
+      throw new Error('Solicitação de pagamento expirada');
+    }
+    if (request.status !== 'pending') {
+      throw new Error(`Somente solicitações pendentes podem ser ${action}`);
+    }
+  }
+
+  // Marca como expirada a solicitação pendente cujo prazo já passou
+  refresh(request) {
+    if (request.isExpired(this.clock.now())) {
+      request.status = 'expired';
+      return updatePaymentRequest(request);
+    }
+    return request;
+  }
+}
+
+module.exports = new PaymentRequestService();
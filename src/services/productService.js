@@ -0,0 +1,67 @@
+const Money = require('../models/Money');
+const config = require('../config/environment');
+const transferRules = require('../rules/transfer');
+
+// Regras cujos limites são exibidos no catálogo
+const LIMIT_RULES = {
+  highAmountNonFavorite: 'highAmountLimit',
+  dailyLimit: 'dailyLimit',
+  monthlyLimit: 'monthlyLimit'
+};
+
+/**
+ * 🏷️ Product Service
+ * Produtos de conta (ex.: basic, premium) definidos em `config.accountProducts`,
+ * escolhidos no cadastro. Cada produto define:
+ * - initialBalance: saldo creditado na abertura da conta
+ * - overdraftLimit: limite máximo do cheque especial
+ * - ruleSettings: opções das regras de transferência (por nome da regra), acima da configuração global
+ * - fees: tabela de tarifas
+ * Usuários sem produto (cadastrados antes dos produtos) usam o produto padrão.
+ */
+class ProductService {
+  getProductIds() {
+    return Object.keys(config.accountProducts.catalog);
+  }
+
+  // Sem produto informado, usa o produto padrão
+  getProduct(productId) {
+    const id = productId || config.accountProducts.default;
+    const product = config.accountProducts.catalog[id];
+    if (!product) {
+      throw new Error(`Produto inválido. Use um de: ${this.getProductIds().join(', ')}`);
+    }
+    return { id, overdraftLimit: 0, ruleSettings: {}, fees: {}, ...product };
+  }
+
+  getUserProduct(user) {
+    return this.getProduct(user.product);
+  }
+
+  getProducts() {
+    return this.getProductIds().map(productId => this.describe(this.getProduct(productId)));
+  }
+
+  // Catálogo com os limites efetivos (do produto ou da configuração global)
+  describe(product) {
+    const limits = transferRules.getRules()
+      .filter(rule => LIMIT_RULES[rule.name])
+      .reduce((result, rule) => {
+        const { enabled, limit } = transferRules.resolveOptions(rule, { product });
+        result[LIMIT_RULES[rule.name]] = enabled ? Money.of(limit) : null;
+        return result;
+      }, {});
+
+    return {
+      id: product.id,
+      name: product.name,
+      initialBalance: Money.of(product.initialBalance),
+      overdraftLimit: Money.of(product.overdraftLimit || 0),
+      default: product.id === config.accountProducts.default,
+      limits,
+      fees: product.fees
+    };
+  }
+}
+
+module.exports = new ProductService();
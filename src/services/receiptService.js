@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const Money = require('../models/Money');
+const config = require('../config/environment');
+const { findUserById, findUserByAccount, findTransferById } = require('../database');
+const { systemClock } = require('../utils/clock');
+
+const RECEIPT_VERSION = 1;
+
+// Somente transferências em que o dinheiro efetivamente saiu da conta têm comprovante
+const RECEIPT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Campos assinados, em ordem fixa; qualquer alteração no comprovante invalida o código
+const signedPayload = (receipt) => [
+  `v${receipt.version}`,
+  receipt.transferId,
+  receipt.payer.account,
+  receipt.payer.name,
+  receipt.payee.account,
+  receipt.payee.name,
+  receipt.amount.cents,
+  receipt.amount.currency,
+  receipt.description || '',
+  new Date(receipt.executedAt).toISOString()
+].join('|');
+
+const sign = (receipt) => crypto
+  .createHmac('sha256', config.receipts.signingKey)
+  .update(signedPayload(receipt))
+  .digest('hex')
+  .toUpperCase();
+
+// Código exibido em blocos de 8 caracteres para facilitar a conferência visual
+const formatCode = (signature) => signature.match(/.{1,8}/g).join('-');
+
+const normalizeCode = (code) => String(code || '').replace(/[^0-9a-f]/gi, '').toUpperCase();
+
+/**
+ * 🧾 Receipt Service
+ * Comprovantes de transferência com código de autenticação (HMAC-SHA256 com a chave
+ * RECEIPT_SIGNING_KEY). O comprovante não é armazenado: é gerado a partir da transferência
+ * e qualquer pessoa pode conferir sua autenticidade com verifyReceipt.
+ */
+class ReceiptService {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+  }
+
+  getReceipt(userId, transferId) {
+    const user = findUserById(userId);
+    const transfer = findTransferById(transferId);
+
+    // Business rule: Only the sender and the recipient can get the receipt
+    if (!transfer || !user || ![transfer.fromAccount, transfer.toAccount].includes(user.account)) {
+      throw new Error('Transferência não encontrada');
+    }
+
+    if (!RECEIPT_STATUSES.includes(transfer.status)) {
+      throw new Error('Comprovante disponível apenas para transferências concluídas');
+    }
+
+    const party = (account) => ({ name: findUserByAccount(account)?.name || '', account });
+    const receipt = {
+      version: RECEIPT_VERSION,
+      transferId: transfer.id,
+      payer: party(transfer.fromAccount),
+      payee: party(transfer.toAccount),
+      amount: transfer.amount,
+      currency: transfer.amount.currency,
+      description: transfer.description || '',
+      executedAt: transfer.executedAt || transfer.createdAt,
+      issuedAt: this.clock.now()
+    };
+
+    return { ...receipt, authenticationCode: formatCode(sign(receipt)) };
+  }
+
+  // Confere o código de autenticação dos dados apresentados; não exige login
+  verifyReceipt(data) {
+    let receipt;
+    try {
+      receipt = {
+        version: data.version ?? RECEIPT_VERSION,
+        transferId: Number(data.transferId),
+        payer: { account: data.payer.account, name: data.payer.name },
+        payee: { account: data.payee.account, name: data.payee.name },
+        amount: Money.of(data.amount, data.currency),
+        description: data.description,
+        executedAt: new Date(data.executedAt)
+      };
+      signedPayload(receipt);
+    } catch (error) {
+      throw new Error('Comprovante inválido: dados incompletos');
+    }
+
+    const expected = Buffer.from(sign(receipt));
+    const received = Buffer.from(normalizeCode(data.authenticationCode));
+    const valid = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+
+    if (!valid) {
+      return { valid: false, message: 'Código de autenticação não confere com os dados do comprovante' };
+    }
+
+    const transfer = findTransferById(receipt.transferId);
+    return {
+      valid: true,
+      message: 'Comprovante autêntico',
+      transferId: receipt.transferId,
+      transferStatus: transfer ? transfer.status : null
+    };
+  }
+}
+
+module.exports = new ReceiptService();
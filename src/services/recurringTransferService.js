@@ -0,0 +1,216 @@
+const Transfer = require('../models/Transfer');
+const RecurringTransfer = require('../models/RecurringTransfer');
+const { FREQUENCIES } = require('../models/RecurringTransfer');
+const {
+  findUserById,
+  findUserByAccount,
+  addTransfer,
+  findTransfers,
+  addRecurringTransfer,
+  updateRecurringTransfer,
+  findRecurringTransferById,
+  findRecurringTransfers,
+  nextId,
+  runInTransaction
+} = require('../database');
+const transferService = require('./transferService');
+const { systemClock } = require('../utils/clock');
+
+/**
+ * 🔁 Recurring Transfer Service
+ * Ordens permanentes ("todo dia 5, R$ 300,00 para a conta 123456").
+ * Cada execução gera uma transferência vinculada à ordem, com sucesso ou falha;
+ * saldo e limite são verificados no momento de cada execução.
+ */
+class RecurringTransferService {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+  }
+
+  createRecurringTransfer(userId, data) {
+    const { toAccount, description, frequency, startDate, endDate, maxOccurrences } = data;
+    const amount = transferService.parseAmount(data.amount);
+
+    // Business rule: Sender user exists?
+    const fromUser = findUserById(userId);
+    if (!fromUser) {
+      throw new Error('Usuário remetente não encontrado');
+    }
+
+    // Business rule: Target account exists?
+    const toUser = findUserByAccount(toAccount);
+    if (!toUser) {
+      throw new Error('Conta de destino não encontrada');
+    }
+
+    // Saldo e limites são verificados a cada execução
+    transferService.checkRules(fromUser, toUser, amount, ['positiveAmount', 'noSelfTransfer']);
+
+    if (!FREQUENCIES.includes(frequency)) {
+      throw new Error(`Frequência deve ser uma de: ${FREQUENCIES.join(', ')}`);
+    }
+
+    const start = this.parseDate(startDate, 'Data de início inválida');
+    if (start <= this.clock.now()) {
+      throw new Error('Data de início deve ser futura');
+    }
+    this.assertEnd(start, endDate, maxOccurrences);
+
+    const recurring = new RecurringTransfer(
+      nextId('recurringTransfers'),
+      fromUser.id,
+      fromUser.account,
+      toAccount,
+      amount,
+      description || 'Transferência recorrente',
+      frequency,
+      start,
+      endDate ? new Date(endDate) : null,
+      maxOccurrences || null
+    );
+
+    return addRecurringTransfer(recurring);
+  }
+
+  parseDate(value, message) {
+    const date = new Date(value);
+    if (value === undefined || value === null || isNaN(date.getTime())) {
+      throw new Error(message);
+    }
+    return date;
+  }
+
+  assertEnd(start, endDate, maxOccurrences) {
+    if (endDate !== undefined && endDate !== null) {
+      const end = this.parseDate(endDate, 'Data de término inválida');
+      if (end < start) {
+        throw new Error('Data de término deve ser posterior à data de início');
+      }
+    }
+    if (maxOccurrences !== undefined && maxOccurrences !== null &&
+        (!Number.isInteger(maxOccurrences) || maxOccurrences < 1)) {
+      throw new Error('Quantidade de ocorrências deve ser um inteiro maior que zero');
+    }
+  }
+
+  getRecurringTransfers(userId) {
+    return findRecurringTransfers({ userId: parseInt(userId) });
+  }
+
+  getRecurringTransfer(userId, id) {
+    const recurring = findRecurringTransferById(id);
+    if (!recurring || recurring.userId !== parseInt(userId)) {
+      throw new Error('Transferência recorrente não encontrada');
+    }
+    return recurring;
+  }
+
+  // Histórico de execuções da ordem, incluindo as que falharam
+  getExecutions(recurringId) {
+    return findTransfers({ recurringTransferId: parseInt(recurringId) });
+  }
+
+  updateRecurringTransfer(userId, id, changes) {
+    const recurring = this.getRecurringTransfer(userId, id);
+
+    if (['completed', 'cancelled'].includes(recurring.status)) {
+      throw new Error('Somente transferências recorrentes ativas ou pausadas podem ser alteradas');
+    }
+
+    const { amount, description, endDate, maxOccurrences, status } = changes;
+    if (status !== undefined && !['active', 'paused'].includes(status)) {
+      throw new Error('Status deve ser active ou paused');
+    }
+    this.assertEnd(recurring.startDate, endDate, maxOccurrences);
+
+    if (maxOccurrences !== undefined && maxOccurrences !== null && maxOccurrences < recurring.occurrences) {
+      throw new Error('Quantidade de ocorrências não pode ser menor que as já executadas');
+    }
+
+    if (amount !== undefined) {
+      const fromUser = findUserById(userId);
+      const toUser = findUserByAccount(recurring.toAccount);
+      const newAmount = transferService.parseAmount(amount);
+      transferService.checkRules(fromUser, toUser, newAmount, ['positiveAmount']);
+      recurring.amount = newAmount;
+    }
+    if (description !== undefined) {
+      recurring.description = description;
+    }
+    if (endDate !== undefined) {
+      recurring.endDate = endDate ? new Date(endDate) : null;
+    }
+    if (maxOccurrences !== undefined) {
+      recurring.maxOccurrences = maxOccurrences || null;
+    }
+
+    if (status === 'paused') {
+      recurring.status = 'paused';
+    } else if (status === 'active' && recurring.status === 'paused') {
+      // Ciclos vencidos durante a pausa não são executados
+      recurring.status = 'active';
+      recurring.skipUntil(this.clock.now());
+    } else if (recurring.status === 'active') {
+      recurring.moveTo(recurring.cycle);
+    }
+
+    recurring.updatedAt = this.clock.now();
+    return updateRecurringTransfer(recurring);
+  }
+
+  cancelRecurringTransfer(userId, id) {
+    const recurring = this.getRecurringTransfer(userId, id);
+
+    if (['completed', 'cancelled'].includes(recurring.status)) {
+      throw new Error('Somente transferências recorrentes ativas ou pausadas podem ser canceladas');
+    }
+
+    recurring.status = 'cancelled';
+    recurring.nextRunAt = null;
+    recurring.updatedAt = this.clock.now();
+    return updateRecurringTransfer(recurring);
+  }
+
+  getDueRecurringTransfers(now = this.clock.now()) {
+    return findRecurringTransfers(recurring => recurring.status === 'active' && recurring.nextRunAt <= now);
+  }
+
+  // Executa um ciclo: o avanço da ordem e a criação da transferência são atômicos,
+  // então uma execução interrompida fica pendente e é retomada pelo agendador
+  executeOccurrence(recurring) {
+    const now = this.clock.now();
+
+    const transfer = runInTransaction(() => {
+      const occurrence = new Transfer(
+        nextId('transfers'),
+        recurring.fromAccount,
+        recurring.toAccount,
+        recurring.amount,
+        recurring.description
+      );
+      occurrence.status = 'scheduled';
+      occurrence.scheduledFor = recurring.nextRunAt;
+      occurrence.recurringTransferId = recurring.id;
+
+      recurring.advance(now);
+      recurring.updatedAt = now;
+      updateRecurringTransfer(recurring);
+      return addTransfer(occurrence);
+    });
+
+    return transferService.executeScheduledTransfer(transfer);
+  }
+
+  // Executa todos os ciclos vencidos, inclusive os acumulados enquanto o servidor esteve parado
+  runDueRecurringTransfers(now = this.clock.now()) {
+    return this.getDueRecurringTransfers(now).flatMap(recurring => {
+      const executions = [];
+      while (recurring.status === 'active' && recurring.nextRunAt <= now) {
+        executions.push(this.executeOccurrence(recurring));
+      }
+      return executions;
+    });
+  }
+}
+
+module.exports = new RecurringTransferService();
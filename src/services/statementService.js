@@ -0,0 +1,121 @@
+const Money = require('../models/Money');
+const config = require('../config/environment');
+const { findUserById, findTransferById, findCashOperationById } = require('../database');
+const ledgerService = require('./ledgerService');
+const { parseLocalDate, startOfPeriod } = require('../utils/calendar');
+const { systemClock } = require('../utils/clock');
+
+// Lançamentos ligados a uma transferência (o hold é o débito de uma transferência pendente de aprovação
+// e a tarifa é cobrada em um lançamento próprio)
+const TRANSFER_REFERENCES = ['transfer', 'hold', 'hold-release', 'fee'];
+
+// Lançamentos de depósitos e saques
+const CASH_REFERENCES = ['deposit', 'withdrawal'];
+
+/**
+ * 📄 Statement Service
+ * Extrato do período: saldo inicial, cada movimentação com o saldo após ela e saldo final.
+ * Os valores vêm do ledger da conta, de modo que o saldo final confere com o saldo do usuário;
+ * lançamentos de transferências trazem a contraparte e o id da transferência,
+ * e os de depósitos e saques, o id da operação e o canal.
+ */
+class StatementService {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+  }
+
+  getStatement(userId, { from, to } = {}) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    const { timeZone } = config.statements;
+    const { start, end } = this.parsePeriod(from, to, timeZone);
+
+    let openingBalance = Money.zero();
+    let balance = Money.zero();
+    let totalCredits = Money.zero();
+    let totalDebits = Money.zero();
+    const entries = [];
+
+    ledgerService.getEntriesByAccount(user.account)
+      .filter(entry => entry.createdAt < end)
+      .sort((a, b) => a.id - b.id)
+      .forEach(entry => {
+        balance = balance.add(entry.signedAmount());
+        if (entry.createdAt < start) {
+          openingBalance = balance;
+          return;
+        }
+
+        if (entry.type === 'credit') {
+          totalCredits = totalCredits.add(entry.amount);
+        } else {
+          totalDebits = totalDebits.add(entry.amount);
+        }
+        entries.push({ ...this.describe(entry, user.account), balance });
+      });
+
+    return {
+      account: user.account,
+      holder: user.name,
+      currency: balance.currency,
+      timeZone,
+      from: start,
+      to: end,
+      openingBalance,
+      totalCredits,
+      totalDebits,
+      closingBalance: balance,
+      generatedAt: this.clock.now(),
+      entries
+    };
+  }
+
+  // Período [start, end). Datas sem horário são dias locais e `to` inclui o dia inteiro;
+  // sem período, o extrato é do mês corrente até agora
+  parsePeriod(from, to, timeZone) {
+    const now = this.clock.now();
+    const start = from ? parseLocalDate(from, timeZone, 'Data inicial') : startOfPeriod(now, 'monthly', timeZone);
+    const end = to ? parseLocalDate(to, timeZone, 'Data final', 1) : now;
+
+    if (end <= start) {
+      throw new Error('Data inicial deve ser anterior à data final');
+    }
+    return { start, end };
+  }
+
+  describe(entry, account) {
+    const line = {
+      id: entry.id,
+      date: entry.createdAt,
+      description: entry.description,
+      type: entry.type,
+      amount: entry.signedAmount(),
+      transferId: null,
+      counterparty: null,
+      operationId: null,
+      channel: null
+    };
+
+    if (TRANSFER_REFERENCES.includes(entry.referenceType)) {
+      const transfer = findTransferById(entry.referenceId);
+      if (transfer) {
+        line.transferId = transfer.id;
+        line.counterparty = transfer.fromAccount === account ? transfer.toAccount : transfer.fromAccount;
+      }
+    }
+
+    if (CASH_REFERENCES.includes(entry.referenceType)) {
+      const operation = findCashOperationById(entry.referenceId);
+      if (operation) {
+        line.operationId = operation.id;
+        line.channel = operation.channel;
+      }
+    }
+    return line;
+  }
+}
+
+module.exports = new StatementService();
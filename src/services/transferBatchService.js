@@ -0,0 +1,121 @@
+const TransferBatch = require('../models/TransferBatch');
+const { MODES, MAX_ITEMS } = require('../models/TransferBatch');
+const {
+  findUserById,
+  findTransferById,
+  addTransferBatch,
+  findTransferBatchById,
+  nextId,
+  runInTransaction
+} = require('../database');
+const transferService = require('./transferService');
+const fraudService = require('./fraudService');
+const FraudBlockedError = require('../fraud/FraudBlockedError');
+
+// Erros fora do rules engine não trazem código próprio
+const ERROR_CODES = {
+  'Conta de destino não encontrada': 'ACCOUNT_NOT_FOUND',
+  'Chave não encontrada': 'KEY_NOT_FOUND',
+  'QR Code expirado': 'QR_CODE_EXPIRED',
+  'QR Code já foi pago': 'QR_CODE_PAID'
+};
+
+/**
+ * 📦 Transfer Batch Service
+ * Executa várias transferências do mesmo remetente (ex.: folha de pagamento).
+ * - all_or_nothing: uma única transação; qualquer falha desfaz todo o lote
+ * - best_effort: cada item é atômico por si; falhas não afetam os demais
+ * O lote fica registrado com o resultado de cada item, na ordem enviada.
+ */
+class TransferBatchService {
+  createTransferBatch(userId, { mode = 'all_or_nothing', transfers } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Modo inválido. Use um de: ${MODES.join(', ')}`);
+    }
+
+    if (!Array.isArray(transfers) || transfers.length === 0 || transfers.length > MAX_ITEMS) {
+      throw new Error(`Lote deve ter entre 1 e ${MAX_ITEMS} transferências`);
+    }
+
+    // Business rule: A batch runs every item now; scheduling and password approval are per transfer
+    if (transfers.some(transferData => transferData.scheduledFor || transferData.requestApproval)) {
+      throw new Error('Itens do lote não aceitam scheduledFor nem requestApproval');
+    }
+
+    // Business rule: Sender user exists?
+    if (!findUserById(userId)) {
+      throw new Error('Usuário remetente não encontrado');
+    }
+
+    const items = mode === 'all_or_nothing'
+      ? this.runAllOrNothing(userId, transfers)
+      : transfers.map((transferData, index) => this.runItem(userId, transferData, index));
+
+    const batch = addTransferBatch(new TransferBatch(nextId('transferBatches'), parseInt(userId), mode, items));
+    return this.withTransfers(batch);
+  }
+
+  // Com `blockedAlerts`, guarda os alertas de bloqueio para regravá-los se a transação for desfeita
+  runItem(userId, transferData, index, blockedAlerts = null) {
+    try {
+      // A análise de risco pode reter o item (under_review) em vez de concluí-lo
+      const transfer = transferService.executeTransfer(userId, transferData);
+      return { index, status: transfer.status, transferId: transfer.id };
+    } catch (error) {
+      if (blockedAlerts && error instanceof FraudBlockedError) {
+        blockedAlerts.push(error.alert);
+      }
+      return {
+        index,
+        status: 'failed',
+        error: error.message,
+        code: error.code || ERROR_CODES[error.message] || 'TRANSFER_FAILED'
+      };
+    }
+  }
+
+  // Todos os itens são avaliados para que o resultado aponte cada falha, não só a primeira;
+  // os alertas de bloqueio são regravados fora da transação desfeita
+  runAllOrNothing(userId, transfers) {
+    const rollback = new Error('Lote desfeito');
+    const blockedAlerts = [];
+    let items = [];
+
+    try {
+      runInTransaction(() => {
+        items = transfers.map((transferData, index) => this.runItem(userId, transferData, index, blockedAlerts));
+        if (items.some(item => item.status === 'failed')) {
+          throw rollback;
+        }
+      });
+    } catch (error) {
+      if (error !== rollback) {
+        throw error;
+      }
+      blockedAlerts.forEach(alert => fraudService.restoreAlert(alert));
+      return items.map(item => (item.transferId ? { index: item.index, status: 'rolled_back' } : item));
+    }
+
+    return items;
+  }
+
+  getTransferBatch(userId, batchId) {
+    const batch = findTransferBatchById(batchId);
+    if (!batch || batch.userId !== parseInt(userId)) {
+      throw new Error('Lote não encontrado');
+    }
+    return this.withTransfers(batch);
+  }
+
+  // Anexa a transferência gerada por cada item concluído
+  withTransfers(batch) {
+    return {
+      ...batch,
+      items: batch.items.map(item => (item.transferId
+        ? { ...item, transfer: findTransferById(item.transferId) }
+        : item))
+    };
+  }
+}
+
+module.exports = new TransferBatchService();
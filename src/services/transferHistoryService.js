@@ -0,0 +1,160 @@
+const Money = require('../models/Money');
+const { STATUSES } = require('../models/Transfer');
+const { findUserById, findTransfersByAccount } = require('../database');
+
+const DIRECTIONS = ['sent', 'received'];
+
+// Campo usado na ordenação; `-` indica ordem decrescente. O id desempata, mantendo a ordem estável
+const SORT_FIELDS = {
+  createdAt: (transfer) => transfer.createdAt.getTime(),
+  amount: (transfer) => transfer.amount.cents
+};
+const SORTS = Object.keys(SORT_FIELDS).flatMap(field => [field, `-${field}`]);
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${label} inválida; use o formato ISO 8601`);
+  }
+  return date;
+};
+
+const parseMoney = (value, label) => {
+  try {
+    return Money.of(value);
+  } catch (error) {
+    throw new Error(`${label} inválido: ${error.message}`);
+  }
+};
+
+// Cursor opaco: posição do último item da página na ordenação usada
+const encodeCursor = (sort, transfer) => Buffer
+  .from(JSON.stringify({ sort, value: SORT_FIELDS[sort.replace('-', '')](transfer), id: transfer.id }))
+  .toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (position.sort === sort && Number.isFinite(position.value) && Number.isInteger(position.id)) {
+      return position;
+    }
+  } catch (error) {
+    // tratado abaixo
+  }
+  throw new Error('Cursor inválido para esta ordenação');
+};
+
+/**
+ * 🔎 Transfer History Service
+ * Histórico de transferências com filtros, ordenação estável e paginação por cursor.
+ * Os filtros chegam como texto na API REST e tipados no GraphQL; ambos são aceitos.
+ */
+class TransferHistoryService {
+  searchTransfers(userId, options = {}) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    const sort = isBlank(options.sort) ? '-createdAt' : options.sort;
+    if (!SORTS.includes(sort)) {
+      throw new Error(`Ordenação inválida. Use um de: ${SORTS.join(', ')}`);
+    }
+
+    const limit = isBlank(options.limit) ? DEFAULT_LIMIT : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new Error(`Limite deve ser um número inteiro entre 1 e ${MAX_LIMIT}`);
+    }
+
+    const valueOf = SORT_FIELDS[sort.replace('-', '')];
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const compare = ([valueA, idA], [valueB, idB]) => direction * ((valueA - valueB) || (idA - idB));
+    const key = (transfer) => [valueOf(transfer), transfer.id];
+
+    // Só as transferências da conta saem do store; os demais filtros e a ordenação valem sobre elas
+    const transfers = findTransfersByAccount(user.account)
+      .filter(this.buildFilter(user.account, options))
+      .sort((a, b) => compare(key(a), key(b)));
+
+    // A página começa logo depois da posição do cursor, mesmo que novas transferências tenham surgido
+    let start = 0;
+    if (!isBlank(options.cursor)) {
+      const { value, id } = decodeCursor(options.cursor, sort);
+      const index = transfers.findIndex(transfer => compare(key(transfer), [value, id]) > 0);
+      start = index === -1 ? transfers.length : index;
+    }
+
+    const edges = transfers.slice(start, start + limit)
+      .map(transfer => ({ cursor: encodeCursor(sort, transfer), node: transfer }));
+
+    return {
+      edges,
+      pageInfo: {
+        totalCount: transfers.length,
+        hasNextPage: start + limit < transfers.length,
+        hasPreviousPage: start > 0,
+        startCursor: edges.length > 0 ? edges[0].cursor : null,
+        endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+      }
+    };
+  }
+
+  // Monta o predicado com os filtros informados sobre as transferências da conta; todos precisam ser atendidos
+  buildFilter(account, { direction, status, counterparty, description, startDate, endDate, minAmount, maxAmount }) {
+    const conditions = [];
+
+    if (!isBlank(direction)) {
+      if (!DIRECTIONS.includes(direction)) {
+        throw new Error(`Direção inválida. Use um de: ${DIRECTIONS.join(', ')}`);
+      }
+      conditions.push(direction === 'sent'
+        ? transfer => transfer.fromAccount === account
+        : transfer => transfer.toAccount === account);
+    }
+
+    if (!isBlank(status)) {
+      if (!STATUSES.includes(status)) {
+        throw new Error(`Status inválido. Use um de: ${STATUSES.join(', ')}`);
+      }
+      conditions.push(transfer => transfer.status === status);
+    }
+
+    // Contraparte: a outra conta da transferência, em qualquer direção
+    if (!isBlank(counterparty)) {
+      conditions.push(transfer => (transfer.fromAccount === account ? transfer.toAccount : transfer.fromAccount) === counterparty);
+    }
+
+    if (!isBlank(description)) {
+      const text = String(description).toLocaleLowerCase('pt-BR');
+      conditions.push(transfer => transfer.description.toLocaleLowerCase('pt-BR').includes(text));
+    }
+
+    if (!isBlank(startDate)) {
+      const start = parseDate(startDate, 'Data inicial');
+      conditions.push(transfer => transfer.createdAt >= start);
+    }
+    if (!isBlank(endDate)) {
+      const end = parseDate(endDate, 'Data final');
+      conditions.push(transfer => transfer.createdAt <= end);
+    }
+
+    if (!isBlank(minAmount)) {
+      const min = parseMoney(minAmount, 'Valor mínimo');
+      conditions.push(transfer => !transfer.amount.lessThan(min));
+    }
+    if (!isBlank(maxAmount)) {
+      const max = parseMoney(maxAmount, 'Valor máximo');
+      conditions.push(transfer => !transfer.amount.greaterThan(max));
+    }
+
+    return (transfer) => conditions.every(condition => condition(transfer));
+  }
+}
+
+module.exports = new TransferHistoryService();
+module.exports.SORTS = SORTS;
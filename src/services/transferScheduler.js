@@ -0,0 +1,69 @@
+const config = require('../config/environment');
+const transferService = require('./transferService');
+const recurringTransferService = require('./recurringTransferService');
+const overdraftService = require('./overdraftService');
+const { systemClock } = require('../utils/clock');
+
+/**
+ * ⏱️ Transfer Scheduler
+ * Executa periodicamente as transferências agendadas e as ordens recorrentes que já venceram
+ * e libera a reserva das transferências pendentes de aprovação expiradas.
+ * A cada ciclo também lança os juros diários do cheque especial (uma vez por dia e conta).
+ * O relógio é injetável para que os testes possam avançar o tempo.
+ */
+class TransferScheduler {
+  constructor({ clock = systemClock, intervalMs = config.scheduler.intervalMs } = {}) {
+    this.clock = clock;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+  }
+
+  // Executa as transferências agendadas e os ciclos de ordens recorrentes vencidos,
+  // expira as aprovações pendentes e retorna o resultado de cada transferência
+  runDueTransfers() {
+    const now = this.clock.now();
+    const scheduled = transferService.getDueScheduledTransfers(now)
+      .map(transfer => transferService.executeScheduledTransfer(transfer));
+    const recurring = recurringTransferService.runDueRecurringTransfers(now);
+    const expired = transferService.getExpiredPendingApprovals(now)
+      .map(transfer => transferService.expireTransfer(transfer));
+
+    return [...scheduled, ...recurring, ...expired].map(result => ({
+      id: result.id,
+      status: result.status,
+      failureReason: result.failureReason || null
+    }));
+  }
+
+  // Lança os juros do cheque especial do dia nas contas negativas que ainda não pagaram
+  runInterestAccrual() {
+    return overdraftService.accrueInterest(this.clock.now());
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        try {
+          this.runDueTransfers();
+        } catch (error) {
+          console.error('Erro ao executar transferências agendadas:', error);
+        }
+        try {
+          this.runInterestAccrual();
+        } catch (error) {
+          console.error('Erro ao lançar juros do cheque especial:', error);
+        }
+      }, this.intervalMs);
+      this.timer.unref();
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new TransferScheduler();
+module.exports.TransferScheduler = TransferScheduler;
@@ -1,78 +1,642 @@
+const bcrypt = require('bcryptjs');
 const Transfer = require('../models/Transfer');
+const { STATUSES } = require('../models/Transfer');
 const Favorite = require('../models/Favorite');
+const Money = require('../models/Money');
 const {
   findUserById,
   findUserByAccount,
   addTransfer,
+  updateTransfer,
+  findTransferById,
+  findTransfers,
+  findPaymentRequests,
+  updatePaymentRequest,
   addFavorite,
   isFavorite,
   getTransfersByUserId,
   getFavoritesByUserId,
-  database
+  findFavoriteById,
+  removeFavorite,
+  nextId,
+  runInTransaction
 } = require('../database');
 const userService = require('./userService');
+const ledgerService = require('./ledgerService');
+const aliasKeyService = require('./aliasKeyService');
+const paymentCodeService = require('./paymentCodeService');
+const productService = require('./productService');
+const overdraftService = require('./overdraftService');
+const feeService = require('./feeService');
+const fraudService = require('./fraudService');
+const config = require('../config/environment');
+const transferRules = require('../rules/transfer');
+const RuleViolationError = require('../rules/RuleViolationError');
+const FraudBlockedError = require('../fraud/FraudBlockedError');
+const { systemClock } = require('../utils/clock');
+
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
 
 class TransferService {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+  }
+
   async createTransfer(fromUserId, transferData) {
-    const { toAccount, amount, description } = transferData;
+    return this.executeTransfer(fromUserId, transferData);
+  }
+
+  // Versão síncrona de createTransfer, para compor várias transferências numa mesma transação (lotes)
+  executeTransfer(fromUserId, transferData) {
+    const { scheduledFor, requestApproval } = transferData;
+    const { toAccount, amount, description, paymentCode } = this.resolvePayment(transferData);
+    
+    // Business rule: Sender user exists?
+    const fromUser = findUserById(fromUserId);
+    if (!fromUser) {
+      throw new Error('Usuário remetente não encontrado');
+    }
+
+    // Business rule: Target account exists?
+    const toUser = findUserByAccount(toAccount);
+    if (!toUser) {
+      throw new Error('Conta de destino não encontrada');
+    }
+
+    // Transferências futuras só validam saldo e limites na execução
+    if (scheduledFor) {
+      this.checkRules(fromUser, toUser, amount, ['positiveAmount', 'noSelfTransfer']);
+      return this.scheduleTransfer(fromUser, toUser, amount, description, scheduledFor);
+    }
+
+    // 💸 A tarifa (src/fees) entra na verificação de saldo
+    const quote = feeService.quote(fromUser, toUser, amount, { now: this.clock.now() });
+
+    // ✅ BUSINESS RULES: avaliadas pelo rules engine (src/rules/transfer)
+    const context = this.buildRuleContext(fromUser, toUser, amount, quote.fee);
+    const violations = transferRules.evaluate(context);
+
+    // Violações que admitem confirmação (ex.: valor alto para não favorecido) aguardam aprovação, quando solicitado
+    const needsApproval = requestApproval && violations.length > 0 && violations.every(violation => violation.approvable);
+    if (violations.length > 0 && !needsApproval) {
+      throw new RuleViolationError(violations);
+    }
+
+    // 🚨 Análise de risco (src/fraud): bloqueia, retém para análise de um administrador ou libera
+    const assessment = fraudService.assess(fromUser, toUser, amount, this.clock.now());
+    if (assessment.decision === 'block') {
+      throw new FraudBlockedError(fraudService.recordAlert(fromUser, toUser, amount, assessment));
+    }
+    if (assessment.decision === 'review') {
+      return this.holdForReview(fromUser, toUser, amount, {
+        description,
+        paymentCode,
+        quote,
+        favorite: context.isFavorite,
+        needsConfirmation: needsApproval
+      }, assessment);
+    }
+
+    if (needsApproval) {
+      return this.createPendingApproval(fromUser, toUser, amount, description, paymentCode, quote);
+    }
+    const isToUserFavorite = context.isFavorite;
+
+    // ✅ BUSINESS LOGIC: Execute transfer (débito, crédito, registro e ledger são atômicos)
+    return runInTransaction(() => {
+      // Criar registro da transferência
+      const transfer = new Transfer(
+        nextId('transfers'),
+        fromUser.account,
+        toAccount,
+        amount,
+        description || 'Transferência',
+        isToUserFavorite
+      );
+      // Datada pelo relógio do serviço, que também define o dia/mês dos limites
+      transfer.createdAt = this.clock.now();
+      feeService.applyQuote(transfer, quote);
+
+      this.applyTransfer(fromUser, toUser, transfer);
+      const saved = addTransfer(transfer);
+      paymentCodeService.redeem(paymentCode, saved);
+      return saved;
+    });
+  }
+
+  // Destino, valor e descrição informados ou, com `qrCode`, definidos pelo QR Code
+  resolvePayment(transferData) {
+    const { qrCode, description, scheduledFor } = transferData;
+    if (qrCode === undefined || qrCode === null) {
+      return {
+        toAccount: this.resolveDestination(transferData),
+        amount: this.parseAmount(transferData.amount),
+        description
+      };
+    }
+
+    const { toAccount, toKey } = transferData;
+    if ((toAccount !== undefined && toAccount !== null) || (toKey !== undefined && toKey !== null)) {
+      throw new Error('QR Code já define o destino; não informe conta ou chave');
+    }
+
+    const paymentCode = paymentCodeService.decodePaymentCode(qrCode);
+    if (paymentCode.type === 'dynamic' && scheduledFor) {
+      throw new Error('QR Code dinâmico não pode ser agendado');
+    }
+
+    const informed = transferData.amount === undefined || transferData.amount === null
+      ? null
+      : this.parseAmount(transferData.amount);
+
+    // Business rule: A QR Code with a fixed amount must be paid exactly
+    if (paymentCode.amount && informed && !informed.equals(paymentCode.amount)) {
+      throw new Error('Valor diferente do definido no QR Code');
+    }
+    if (!paymentCode.amount && !informed) {
+      throw new Error('Valor é obrigatório');
+    }
+
+    return {
+      toAccount: paymentCode.account,
+      amount: paymentCode.amount || informed,
+      description: description ?? paymentCode.description,
+      paymentCode
+    };
+  }
 
-    // ✅ VALIDATION: Amount must be positive (for GraphQL and REST)
-    if (amount <= 0) {
-      throw new Error('Valor deve ser maior que zero');
+  // O destino é a conta informada ou a conta apontada pela chave (toKey)
+  resolveDestination({ toAccount, toKey }) {
+    if (toKey !== undefined && toKey !== null) {
+      if (toAccount !== undefined && toAccount !== null) {
+        throw new Error('Informe a conta ou a chave de destino, não ambas');
+      }
+      return aliasKeyService.resolveAccount(toKey);
+    }
+    if (toAccount === undefined || toAccount === null) {
+      throw new Error('Conta ou chave de destino é obrigatória');
     }
+    return toAccount;
+  }
 
-    // ✅ VALIDATION: Amount must be a valid number
-    if (typeof amount !== 'number' || isNaN(amount)) {
+  parseAmount(value) {
+    // ✅ VALIDATION: Amount must be a valid number (REST envia número, GraphQL envia Money)
+    if (!(value instanceof Money) && (typeof value !== 'number' || isNaN(value))) {
       throw new Error('Valor deve ser um número válido');
     }
-    
-    // Business rule: Sender user exists?
+    return Money.of(value);
+  }
+
+  // `fee` é a tarifa cobrada além do valor (estornos e verificações parciais não têm tarifa)
+  buildRuleContext(fromUser, toUser, amount, fee = Money.zero()) {
+    return {
+      fromUser,
+      toUser,
+      product: productService.getUserProduct(fromUser),
+      availableBalance: overdraftService.getAvailableBalance(fromUser),
+      amount,
+      fee,
+      isFavorite: isFavorite(fromUser.id, toUser.account),
+      now: this.clock.now()
+    };
+  }
+
+  // Aplica as regras de transferência (todas ou apenas as listadas em `only`)
+  checkRules(fromUser, toUser, amount, only) {
+    const context = this.buildRuleContext(fromUser, toUser, amount);
+    transferRules.assert(context, { only });
+    return context;
+  }
+
+  // Regras verificadas no momento em que o dinheiro é movimentado
+  assertCanTransfer(fromUser, toUser, amount, fee) {
+    const context = this.buildRuleContext(fromUser, toUser, amount, fee);
+    transferRules.assert(context);
+    return context.isFavorite;
+  }
+
+  // Prévia da tarifa de uma transferência, sem movimentar dinheiro
+  quoteTransfer(fromUserId, transferData) {
+    const { toAccount, amount } = this.resolvePayment(transferData);
+
     const fromUser = findUserById(fromUserId);
     if (!fromUser) {
       throw new Error('Usuário remetente não encontrado');
     }
 
-    // Business rule: Target account exists?
     const toUser = findUserByAccount(toAccount);
     if (!toUser) {
       throw new Error('Conta de destino não encontrada');
     }
 
-    // Business rule: Can't transfer to self
-    if (fromUser.account === toAccount) {
-      throw new Error('Não é possível transferir para si mesmo');
+    this.checkRules(fromUser, toUser, amount, ['positiveAmount', 'noSelfTransfer']);
+    const { fee, feeWaiver, fullFee, schedule, freeQuota } = feeService.quote(fromUser, toUser, amount, { now: this.clock.now() });
+
+    return {
+      toAccount,
+      amount,
+      fee,
+      total: amount.add(fee),
+      feeWaiver,
+      fullFee,
+      feeType: schedule?.type ?? null,
+      freeQuota
+    };
+  }
+
+  // Cria a transferência como pending_approval, reservando o valor no saldo do remetente
+  // (as regras que não admitem confirmação, como saldo suficiente, já foram aplicadas);
+  // a tarifa cotada é cobrada na confirmação
+  createPendingApproval(fromUser, toUser, amount, description, paymentCode = null, quote = null) {
+    return this.holdTransfer(fromUser, toUser, amount, {
+      description,
+      paymentCode,
+      quote,
+      status: 'pending_approval',
+      expiresAt: this.approvalExpiry()
+    });
+  }
+
+  approvalExpiry() {
+    return new Date(this.clock.now().getTime() + config.approval.expiryMs);
+  }
+
+  // Retém a transferência (under_review) até que um administrador aprove ou rejeite o alerta de risco;
+  // com `needsConfirmation` (requestApproval), a aprovação ainda depende da senha do remetente
+  holdForReview(fromUser, toUser, amount, details, assessment) {
+    return runInTransaction(() => {
+      const transfer = this.holdTransfer(fromUser, toUser, amount, { ...details, status: 'under_review' });
+      fraudService.recordAlert(fromUser, toUser, amount, assessment, transfer);
+      return transfer;
+    });
+  }
+
+  // Registra a transferência com o valor reservado na conta de reservas, até a captura ou liberação
+  holdTransfer(fromUser, toUser, amount, {
+    description,
+    paymentCode = null,
+    quote = null,
+    favorite = false,
+    status,
+    expiresAt = null,
+    needsConfirmation = false
+  }) {
+    return runInTransaction(() => {
+      const transfer = new Transfer(
+        nextId('transfers'),
+        fromUser.account,
+        toUser.account,
+        amount,
+        description || 'Transferência',
+        favorite
+      );
+      transfer.status = status;
+      transfer.createdAt = this.clock.now();
+      if (expiresAt) {
+        transfer.expiresAt = expiresAt;
+      }
+      if (needsConfirmation) {
+        transfer.needsConfirmation = true;
+      }
+      if (quote) {
+        feeService.applyQuote(transfer, quote);
+      }
+
+      userService.updateUserBalance(fromUser.id, amount.negate());
+      addTransfer(transfer);
+      ledgerService.recordHold(transfer);
+      paymentCodeService.redeem(paymentCode, transfer);
+      return transfer;
+    });
+  }
+
+  // Segunda etapa: o remetente confirma com a senha e o valor reservado é entregue
+  async confirmTransfer(userId, transferId, password) {
+    const user = findUserById(userId);
+    const transfer = findTransferById(transferId);
+
+    if (!transfer || transfer.fromAccount !== user?.account) {
+      throw new Error('Transferência não encontrada');
+    }
+
+    const isPasswordValid = Boolean(password) && await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      throw new Error('Senha inválida');
+    }
+
+    this.assertPendingApproval(transfer, 'confirmadas');
+
+    const toUser = findUserByAccount(transfer.toAccount);
+    if (!toUser) {
+      throw new Error('Conta de destino não encontrada');
+    }
+
+    this.assertCanPayFee(user, transfer);
+    return this.captureHold(user, toUser, transfer);
+  }
+
+  // Business rule: Only the amount is reserved; the fee must still fit in the available balance
+  assertCanPayFee(fromUser, transfer) {
+    if (transfer.fee && overdraftService.getAvailableBalance(fromUser).lessThan(transfer.fee)) {
+      throw new Error('Saldo insuficiente para a tarifa da transferência');
+    }
+  }
+
+  // O valor reservado segue para o destinatário e a tarifa é cobrada
+  captureHold(fromUser, toUser, transfer) {
+    return runInTransaction(() => {
+      userService.updateUserBalance(toUser.id, transfer.amount);
+      ledgerService.recordHoldCapture(transfer);
+      feeService.charge(fromUser, transfer);
+
+      transfer.status = 'completed';
+      transfer.executedAt = this.clock.now();
+      return updateTransfer(transfer);
+    });
+  }
+
+  // Administrador aprova a transferência retida pela análise de risco; se ela também pedia
+  // aprovação, segue para pending_approval e só é entregue após a senha do remetente
+  approveFraudReview(adminId, alertId) {
+    const alert = fraudService.getPendingReview(alertId);
+    const transfer = findTransferById(alert.transferId);
+    const fromUser = findUserByAccount(transfer.fromAccount);
+    const toUser = findUserByAccount(transfer.toAccount);
+    if (!toUser) {
+      throw new Error('Conta de destino não encontrada');
+    }
+
+    if (transfer.needsConfirmation) {
+      return runInTransaction(() => {
+        transfer.status = 'pending_approval';
+        transfer.expiresAt = this.approvalExpiry();
+        updateTransfer(transfer);
+        return fraudService.resolveAlert(alert, 'approved', adminId);
+      });
     }
 
-    // Business rule: Sufficient balance?
-    if (fromUser.balance < amount) {
-      throw new Error('Saldo insuficiente');
+    this.assertCanPayFee(fromUser, transfer);
+    return runInTransaction(() => {
+      this.captureHold(fromUser, toUser, transfer);
+      this.settlePaymentRequest(transfer, true);
+      return fraudService.resolveAlert(alert, 'approved', adminId);
+    });
+  }
+
+  // Administrador rejeita a transferência retida: o valor reservado volta ao remetente
+  rejectFraudReview(adminId, alertId) {
+    const alert = fraudService.getPendingReview(alertId);
+    const transfer = findTransferById(alert.transferId);
+
+    return runInTransaction(() => {
+      this.releaseHold(transfer, 'rejected');
+      this.settlePaymentRequest(transfer, false);
+      return fraudService.resolveAlert(alert, 'rejected', adminId);
+    });
+  }
+
+  // Solicitação de pagamento paga pela transferência retida: aceita na aprovação ou, na rejeição,
+  // de volta a pendente (expira normalmente se o prazo já passou)
+  settlePaymentRequest(transfer, approved) {
+    const [request] = findPaymentRequests({ transferId: transfer.id, status: 'under_review' });
+    if (!request) {
+      return null;
     }
 
-    // Business rule: High amount restriction for non-favorites
-    const isToUserFavorite = isFavorite(fromUserId, toAccount);
-    if (amount > 5000 && !isToUserFavorite) {
-      throw new Error('Transferências acima de R$ 5.000,00 só podem ser realizadas para usuários favorecidos');
+    if (approved) {
+      request.status = 'accepted';
+    } else {
+      request.status = 'pending';
+      request.transferId = null;
+      request.respondedAt = null;
     }
+    return updatePaymentRequest(request);
+  }
 
-    // ✅ BUSINESS LOGIC: Execute transfer
-    userService.updateUserBalance(fromUserId, -amount);
-    userService.updateUserBalance(toUser.id, amount);
+  cancelPendingTransfer(userId, transferId) {
+    const user = findUserById(userId);
+    const transfer = findTransferById(transferId);
+
+    if (!transfer || transfer.fromAccount !== user?.account) {
+      throw new Error('Transferência não encontrada');
+    }
+
+    this.assertPendingApproval(transfer, 'canceladas');
+
+    transfer.cancelledAt = this.clock.now();
+    return this.releaseHold(transfer, 'cancelled');
+  }
+
+  // Transferências vencidas são expiradas antes de qualquer mudança de status
+  assertPendingApproval(transfer, action) {
+    if (transfer.status === 'pending_approval' && transfer.expiresAt <= this.clock.now()) {
+      this.expireTransfer(transfer);
+    }
+    if (transfer.status === 'expired') {
+      throw new Error('Transferência expirada; o valor reservado foi liberado');
+    }
+    if (transfer.status !== 'pending_approval') {
+      throw new Error(`Somente transferências pendentes de aprovação podem ser ${action}`);
+    }
+  }
+
+  releaseHold(transfer, status) {
+    return runInTransaction(() => {
+      const fromUser = findUserByAccount(transfer.fromAccount);
+      userService.updateUserBalance(fromUser.id, transfer.amount);
+      ledgerService.recordHoldRelease(transfer);
+      paymentCodeService.release(transfer);
+
+      transfer.status = status;
+      return updateTransfer(transfer);
+    });
+  }
+
+  expireTransfer(transfer) {
+    return this.releaseHold(transfer, 'expired');
+  }
+
+  getExpiredPendingApprovals(now = this.clock.now()) {
+    return findTransfers(transfer => transfer.status === 'pending_approval' && transfer.expiresAt <= now);
+  }
+
+  // Movimenta os saldos, cobra a tarifa e registra os lançamentos contábeis (usar dentro de runInTransaction)
+  applyTransfer(fromUser, toUser, transfer) {
+    userService.updateUserBalance(fromUser.id, transfer.amount.negate());
+    userService.updateUserBalance(toUser.id, transfer.amount);
+    ledgerService.recordTransfer(transfer);
+    feeService.charge(fromUser, transfer);
+  }
+
+  scheduleTransfer(fromUser, toUser, amount, description, scheduledFor) {
+    const date = new Date(scheduledFor);
+    if (isNaN(date.getTime())) {
+      throw new Error('Data de agendamento inválida');
+    }
+    if (date <= this.clock.now()) {
+      throw new Error('Data de agendamento deve ser futura');
+    }
 
-    // Criar registro da transferência
     const transfer = new Transfer(
-      database.nextTransferId++,
+      nextId('transfers'),
       fromUser.account,
-      toAccount,
+      toUser.account,
       amount,
       description || 'Transferência',
-      isToUserFavorite
+      isFavorite(fromUser.id, toUser.account)
     );
+    transfer.status = 'scheduled';
+    transfer.scheduledFor = date;
 
     return addTransfer(transfer);
   }
 
-  getTransfersByUserId(userId) {
-    return getTransfersByUserId(userId);
+  // Executa uma transferência agendada com as mesmas regras e a mesma análise de risco de createTransfer
+  executeScheduledTransfer(transfer) {
+    try {
+      return runInTransaction(() => {
+        const fromUser = findUserByAccount(transfer.fromAccount);
+        const toUser = findUserByAccount(transfer.toAccount);
+        if (!fromUser || !toUser) {
+          throw new Error('Conta de destino não encontrada');
+        }
+
+        // A tarifa é a do momento da execução
+        const quote = feeService.quote(fromUser, toUser, transfer.amount, { now: this.clock.now() });
+        transfer.isFavorite = this.assertCanTransfer(fromUser, toUser, transfer.amount, quote.fee);
+        feeService.applyQuote(transfer, quote);
+
+        const assessment = fraudService.assess(fromUser, toUser, transfer.amount, this.clock.now());
+        if (assessment.decision === 'block') {
+          throw new FraudBlockedError(fraudService.recordAlert(fromUser, toUser, transfer.amount, assessment));
+        }
+        if (assessment.decision === 'review') {
+          // Retida como as imediatas: o valor fica reservado até a decisão do administrador
+          transfer.status = 'under_review';
+          userService.updateUserBalance(fromUser.id, transfer.amount.negate());
+          ledgerService.recordHold(transfer);
+          fraudService.recordAlert(fromUser, toUser, transfer.amount, assessment, transfer);
+          return updateTransfer(transfer);
+        }
+
+        transfer.status = 'completed';
+        transfer.executedAt = this.clock.now();
+
+        this.applyTransfer(fromUser, toUser, transfer);
+        return updateTransfer(transfer);
+      });
+    } catch (error) {
+      // O alerta de bloqueio foi desfeito junto com a transação
+      if (error instanceof FraudBlockedError) {
+        fraudService.restoreAlert(error.alert);
+      }
+      transfer.status = 'failed';
+      transfer.failureReason = error.message;
+      transfer.executedAt = this.clock.now();
+      return updateTransfer(transfer);
+    }
+  }
+
+  getDueScheduledTransfers(now = this.clock.now()) {
+    return findTransfers(transfer => transfer.status === 'scheduled' && transfer.scheduledFor <= now);
+  }
+
+  getScheduledTransfers(userId) {
+    const user = findUserById(userId);
+    return findTransfers(transfer =>
+      transfer.fromAccount === user?.account &&
+      Boolean(transfer.scheduledFor) &&
+      !transfer.recurringTransferId
+    );
+  }
+
+  cancelScheduledTransfer(userId, transferId) {
+    const user = findUserById(userId);
+    const transfer = findTransferById(transferId);
+
+    if (!transfer || !transfer.scheduledFor || transfer.fromAccount !== user?.account) {
+      throw new Error('Transferência agendada não encontrada');
+    }
+    if (transfer.status !== 'scheduled') {
+      throw new Error('Somente transferências pendentes podem ser canceladas');
+    }
+
+    transfer.status = 'cancelled';
+    transfer.cancelledAt = this.clock.now();
+    return updateTransfer(transfer);
+  }
+
+  // Devolve ao remetente todo ou parte de uma transferência recebida
+  refundTransfer(userId, transferId, refundData = {}) {
+    const user = findUserById(userId);
+    const original = findTransferById(transferId);
+
+    // Business rule: Only the recipient can refund a transfer
+    if (!original || original.toAccount !== user?.account) {
+      throw new Error('Transferência não encontrada');
+    }
+
+    if (original.refundOf) {
+      throw new Error('Não é possível estornar um estorno');
+    }
+
+    if (!REFUNDABLE_STATUSES.includes(original.status)) {
+      throw new Error('Somente transferências concluídas podem ser estornadas');
+    }
+
+    const sender = findUserByAccount(original.fromAccount);
+    if (!sender) {
+      throw new Error('Conta de destino não encontrada');
+    }
+
+    const refunded = original.refundedAmount || Money.zero();
+    const available = original.amount.subtract(refunded);
+    const amount = refundData.amount === undefined || refundData.amount === null
+      ? available
+      : this.parseAmount(refundData.amount);
+    this.checkRules(user, sender, amount, ['positiveAmount']);
+
+    // Business rule: Refunds never exceed the original amount
+    if (amount.greaterThan(available)) {
+      throw new Error(`Valor do estorno excede o valor disponível para estorno (${available.format()})`);
+    }
+
+    // Os limites de valor não se aplicam a estornos, apenas o saldo
+    this.checkRules(user, sender, amount, ['sufficientBalance']);
+
+    // ✅ BUSINESS LOGIC: Estorno, saldos e status da original são atômicos
+    return runInTransaction(() => {
+      const refund = new Transfer(
+        nextId('transfers'),
+        user.account,
+        original.fromAccount,
+        amount,
+        refundData.description || `Estorno da transferência #${original.id}`,
+        isFavorite(user.id, original.fromAccount)
+      );
+      refund.refundOf = original.id;
+      refund.createdAt = this.clock.now();
+
+      this.applyTransfer(user, sender, refund);
+      addTransfer(refund);
+
+      original.refundedAmount = refunded.add(amount);
+      original.status = original.refundedAmount.equals(original.amount) ? 'refunded' : 'partially_refunded';
+      updateTransfer(original);
+
+      return refund;
+    });
+  }
+
+  getTransfersByUserId(userId, { status } = {}) {
+    if (status === undefined || status === null) {
+      return getTransfersByUserId(userId);
+    }
+
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Status inválido. Use um de: ${STATUSES.join(', ')}`);
+    }
+    return getTransfersByUserId(userId).filter(transfer => transfer.status === status);
   }
 
   addFavorite(userId, favoritedAccount) {
@@ -96,7 +660,7 @@ class TransferService {
     }
 
     const favorite = new Favorite(
-      database.nextFavoriteId++,
+      nextId('favorites'),
       userId,
       favoritedUser.id,
       favoritedAccount
@@ -119,15 +683,13 @@ class TransferService {
   }
 
   removeFavorite(userId, favoriteId) {
-    const favoriteIndex = database.favorites.findIndex(
-      fav => fav.id === parseInt(favoriteId) && fav.userId === parseInt(userId)
-    );
+    const favorite = findFavoriteById(favoriteId);
 
-    if (favoriteIndex === -1) {
+    if (!favorite || favorite.userId !== parseInt(userId)) {
       throw new Error('Favorito não encontrado');
     }
 
-    database.favorites.splice(favoriteIndex, 1);
+    removeFavorite(favorite.id);
     return { message: 'Favorito removido com sucesso' };
   }
 }
@@ -1,23 +1,41 @@
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const Money = require('../models/Money');
 const { 
   findUserByEmail, 
   findUserById, 
+  findUserByAccount,
   addUser, 
+  updateUser,
   generateAccount, 
   getAllUsers,
-  database 
+  nextId,
+  runInTransaction
 } = require('../database');
+const ledgerService = require('./ledgerService');
+const limitService = require('./limitService');
+const productService = require('./productService');
+const overdraftService = require('./overdraftService');
+const transferRules = require('../rules/transfer');
+const config = require('../config/environment');
+const { systemClock } = require('../utils/clock');
 
 class UserService {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+  }
+
   async createUser(userData) {
-    const { name, email, password } = userData;
+    const { name, email, password, product: productId } = userData;
 
     // Validar dados obrigatórios
     if (!name || !email || !password) {
       throw new Error('Nome, email e senha são obrigatórios');
     }
 
+    // Business rule: The account product defines the opening balance, limits and fees
+    const product = productService.getProduct(productId);
+
     // Verificar se usuário já existe
     const existingUser = findUserByEmail(email);
     if (existingUser) {
@@ -31,19 +49,48 @@ class UserService {
     let account;
     do {
       account = generateAccount();
-    } while (database.users.some(user => user.account === account));
+    } while (findUserByAccount(account));
 
     // Criar usuário
     const user = new User(
-      database.nextUserId++,
+      nextId('users'),
       name,
       email,
       hashedPassword,
       account,
-      1000 // Saldo inicial de R$ 1.000,00
+      Money.of(product.initialBalance),
+      product.id
     );
 
-    return addUser(user);
+    // Usuário e lançamento do saldo inicial são gravados juntos
+    return runInTransaction(() => {
+      addUser(user);
+      ledgerService.recordOpeningBalance(user);
+      return user;
+    });
+  }
+
+  // Conta de administrador da configuração (ADMIN_EMAIL), criada na inicialização do servidor
+  async ensureAdmin({ name, email, password } = config.admin) {
+    if (!email) {
+      return null;
+    }
+
+    const existing = findUserByEmail(email);
+    if (existing) {
+      // Business rule: An account opened through sign-up is never promoted because of its e-mail
+      if (!existing.isAdmin) {
+        throw new Error('E-mail de administrador já pertence a uma conta de cliente');
+      }
+      return existing;
+    }
+    if (!password) {
+      throw new Error('Senha do administrador é obrigatória');
+    }
+
+    const user = await this.createUser({ name, email, password });
+    user.isAdmin = true;
+    return updateUser(user);
   }
 
   getUserById(id) {
@@ -65,7 +112,7 @@ class UserService {
     }
     
     user.updateBalance(amount);
-    return user;
+    return updateUser(user);
   }
 
   getUserBalance(userId) {
@@ -73,7 +120,83 @@ class UserService {
     if (!user) {
       throw new Error('Usuário não encontrado');
     }
-    return { balance: user.balance };
+
+    // O saldo vem do ledger; `reconciled` indica se o saldo registrado no usuário confere
+    const { balance, reconciled } = ledgerService.verifyUserBalance(user);
+    return {
+      balance,
+      currency: balance.currency,
+      formatted: balance.format(),
+      reconciled,
+      overdraftLimit: overdraftService.getLimit(user),
+      availableCredit: overdraftService.getAvailableCredit(user),
+      availableBalance: overdraftService.getAvailableBalance(user)
+    };
+  }
+
+  // Limites diário e mensal efetivos (configuração, produto ou ajuste do usuário) e quanto resta de cada um
+  getUserLimits(userId) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    const now = this.clock.now();
+    const product = productService.getUserProduct(user);
+    const limits = transferRules.getRules()
+      .filter(rule => rule.period)
+      .reduce((result, rule) => {
+        const { enabled, limit, timeZone } = transferRules.resolveOptions(rule, { fromUser: user, product });
+        const maximum = Money.of(limit);
+        const { used, resetsAt } = limitService.getUsage(user.account, rule.period, now, timeZone);
+
+        result[rule.period] = {
+          enabled,
+          limit: maximum,
+          used,
+          remaining: used.greaterThan(maximum) ? Money.zero() : maximum.subtract(used),
+          resetsAt,
+          timeZone
+        };
+        return result;
+      }, {});
+
+    return { currency: Money.zero().currency, ...limits };
+  }
+
+  // Ajusta as opções das regras de transferência do usuário (por nome da regra); null remove o ajuste
+  updateRuleSettings(userId, ruleSettings) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    const names = transferRules.getRules().map(rule => rule.name);
+    const unknown = Object.keys(ruleSettings).find(name => !names.includes(name));
+    if (unknown) {
+      throw new Error(`Regra desconhecida: ${unknown}. Use uma de: ${names.join(', ')}`);
+    }
+
+    const settings = { ...user.ruleSettings };
+    Object.entries(ruleSettings).forEach(([name, options]) => {
+      if (options === null) {
+        delete settings[name];
+      } else {
+        settings[name] = { ...settings[name], ...options };
+      }
+    });
+
+    user.ruleSettings = settings;
+    updateUser(user);
+    return { ruleSettings: settings, limits: this.getUserLimits(user.id) };
+  }
+
+  getLedgerEntries(userId) {
+    const user = findUserById(userId);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+    return ledgerService.getEntriesByAccount(user.account);
   }
 }
 
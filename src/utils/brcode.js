@@ -0,0 +1,157 @@
+/**
+ * 🏷️ BR Code (EMV QR Code Merchant Presented Mode)
+ * Payload no formato TLV (id de 2 dígitos, tamanho de 2 dígitos, valor), como o Pix,
+ * terminado pelo CRC16-CCITT do conteúdo (campo 63).
+ */
+
+// Identificador da instituição no template de conta (campo 26)
+const GUI = 'br.com.pgats';
+
+const FIELDS = {
+  formatIndicator: '00',
+  initiationMethod: '01',
+  merchantAccount: '26',
+  merchantCategory: '52',
+  currency: '53',
+  amount: '54',
+  country: '58',
+  merchantName: '59',
+  merchantCity: '60',
+  additionalData: '62',
+  crc: '63'
+};
+
+const ACCOUNT_FIELDS = { gui: '00', key: '01', description: '02', account: '03' };
+const ADDITIONAL_FIELDS = { txid: '05' };
+
+// 11 = reutilizável (estático), 12 = uso único (dinâmico)
+const INITIATION_METHODS = { static: '11', dynamic: '12' };
+const CURRENCY_BRL = '986';
+const STATIC_TXID = '***';
+
+const MAX_NAME_LENGTH = 25;
+const MAX_CITY_LENGTH = 15;
+
+const invalid = () => new Error('QR Code inválido: formato não reconhecido');
+
+// Remove acentos e caracteres fora do ASCII imprimível, como pede o padrão EMV
+const toAscii = (value) => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e]/g, '')
+  .trim();
+
+const tlv = (id, value) => {
+  if (value.length > 99) {
+    throw new Error('Dados excedem o tamanho máximo do QR Code');
+  }
+  return `${id}${String(value.length).padStart(2, '0')}${value}`;
+};
+
+const crc16 = (payload) => {
+  let crc = 0xffff;
+  for (const byte of Buffer.from(payload, 'utf8')) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+};
+
+// Lê a sequência TLV em um objeto { id: valor }
+const parseTlv = (text) => {
+  const fields = {};
+  let offset = 0;
+  while (offset < text.length) {
+    const id = text.slice(offset, offset + 2);
+    const length = text.slice(offset + 2, offset + 4);
+    if (!/^\d{2}$/.test(id) || !/^\d{2}$/.test(length)) {
+      throw invalid();
+    }
+    const value = text.slice(offset + 4, offset + 4 + Number(length));
+    if (value.length !== Number(length)) {
+      throw invalid();
+    }
+    fields[id] = value;
+    offset += 4 + Number(length);
+  }
+  return fields;
+};
+
+/**
+ * Monta o payload. `key` (chave) ou `account` identificam o recebedor;
+ * `amount` (Money) é opcional — sem ele, o pagador informa o valor.
+ */
+const encodeBrCode = ({ type = 'static', key, account, description, amount, name, city, txid }) => {
+  const merchantAccount = [
+    tlv(ACCOUNT_FIELDS.gui, GUI),
+    key ? tlv(ACCOUNT_FIELDS.key, key) : tlv(ACCOUNT_FIELDS.account, account),
+    description ? tlv(ACCOUNT_FIELDS.description, toAscii(description)) : ''
+  ].join('');
+
+  const payload = [
+    tlv(FIELDS.formatIndicator, '01'),
+    tlv(FIELDS.initiationMethod, INITIATION_METHODS[type]),
+    tlv(FIELDS.merchantAccount, merchantAccount),
+    tlv(FIELDS.merchantCategory, '0000'),
+    tlv(FIELDS.currency, CURRENCY_BRL),
+    amount ? tlv(FIELDS.amount, (amount.cents / 100).toFixed(2)) : '',
+    tlv(FIELDS.country, 'BR'),
+    tlv(FIELDS.merchantName, toAscii(name).slice(0, MAX_NAME_LENGTH)),
+    tlv(FIELDS.merchantCity, toAscii(city).slice(0, MAX_CITY_LENGTH)),
+    tlv(FIELDS.additionalData, tlv(ADDITIONAL_FIELDS.txid, txid || STATIC_TXID)),
+    `${FIELDS.crc}04`
+  ].join('');
+
+  return `${payload}${crc16(payload)}`;
+};
+
+// Valida estrutura e CRC e devolve os dados do payload; o valor vem em decimal (string)
+const decodeBrCode = (payload) => {
+  const text = String(payload || '').trim();
+  const crcStart = text.length - 8;
+  if (crcStart < 0 || text.slice(crcStart, crcStart + 4) !== `${FIELDS.crc}04`) {
+    throw invalid();
+  }
+  if (crc16(text.slice(0, crcStart + 4)) !== text.slice(crcStart + 4).toUpperCase()) {
+    throw new Error('QR Code inválido: CRC não confere');
+  }
+
+  const fields = parseTlv(text.slice(0, crcStart));
+  const type = Object.keys(INITIATION_METHODS).find(name => INITIATION_METHODS[name] === fields[FIELDS.initiationMethod])
+    || (fields[FIELDS.initiationMethod] === undefined ? 'static' : null);
+  if (fields[FIELDS.formatIndicator] !== '01' || !type || !fields[FIELDS.merchantAccount]) {
+    throw invalid();
+  }
+
+  const merchantAccount = parseTlv(fields[FIELDS.merchantAccount]);
+  if (merchantAccount[ACCOUNT_FIELDS.gui] !== GUI) {
+    throw new Error('QR Code não pertence a esta instituição');
+  }
+  if (fields[FIELDS.currency] !== CURRENCY_BRL) {
+    throw new Error('QR Code com moeda não suportada');
+  }
+
+  const additionalData = fields[FIELDS.additionalData] ? parseTlv(fields[FIELDS.additionalData]) : {};
+  const txid = additionalData[ADDITIONAL_FIELDS.txid];
+
+  return {
+    type,
+    key: merchantAccount[ACCOUNT_FIELDS.key] || null,
+    account: merchantAccount[ACCOUNT_FIELDS.account] || null,
+    description: merchantAccount[ACCOUNT_FIELDS.description] || null,
+    amount: fields[FIELDS.amount] || null,
+    name: fields[FIELDS.merchantName] || null,
+    city: fields[FIELDS.merchantCity] || null,
+    txid: txid && txid !== STATIC_TXID ? txid : null
+  };
+};
+
+module.exports = {
+  GUI,
+  encodeBrCode,
+  decodeBrCode,
+  crc16,
+  toAscii
+};
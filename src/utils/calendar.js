@@ -0,0 +1,109 @@
+/**
+ * 📅 Limites de calendário em um fuso horário
+ * Calcula o instante (UTC) em que começa o dia, o mês ou o ano local de uma data,
+ * sem depender de bibliotecas de fuso horário.
+ */
+
+// Partes da data (ano, mês 0-11, dia, hora, minuto, segundo) no fuso informado
+const localParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).reduce((result, { type, value }) => {
+    result[type] = Number(value);
+    return result;
+  }, {});
+
+  return { ...parts, month: parts.month - 1 };
+};
+
+// A hora local cai na janela [startHour, endHour)? A janela pode atravessar a meia-noite (ex.: 22h às 6h)
+const isWithinHours = (date, startHour, endHour, timeZone) => {
+  const { hour } = localParts(date, timeZone);
+  return startHour > endHour
+    ? hour >= startHour || hour < endHour
+    : hour >= startHour && hour < endHour;
+};
+
+// Diferença, em ms, entre o horário local e o UTC naquele instante
+const timeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = localParts(date, timeZone);
+  return Date.UTC(year, month, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Converte uma data/hora local (meia-noite por padrão) no instante UTC correspondente
+const fromLocal = (year, month, day, timeZone) => {
+  const guess = Date.UTC(year, month, day);
+  const first = guess - timeZoneOffset(new Date(guess), timeZone);
+  // Segunda passada corrige mudanças de horário de verão entre o palpite e o resultado
+  return new Date(guess - timeZoneOffset(new Date(first), timeZone));
+};
+
+const PERIODS = {
+  daily: {
+    start: ({ year, month, day }) => [year, month, day],
+    next: ({ year, month, day }) => [year, month, day + 1]
+  },
+  monthly: {
+    start: ({ year, month }) => [year, month, 1],
+    next: ({ year, month }) => [year, month + 1, 1]
+  },
+  yearly: {
+    start: ({ year }) => [year, 0, 1],
+    next: ({ year }) => [year + 1, 0, 1]
+  }
+};
+
+const getPeriod = (period) => {
+  const definition = PERIODS[period];
+  if (!definition) {
+    throw new Error(`Período desconhecido: ${period}`);
+  }
+  return definition;
+};
+
+// Início do período (dia, mês ou ano local) que contém a data
+const startOfPeriod = (date, period, timeZone) => {
+  const [year, month, day] = getPeriod(period).start(localParts(date, timeZone));
+  return fromLocal(year, month, day, timeZone);
+};
+
+// Início do próximo período, quando o limite é renovado
+const startOfNextPeriod = (date, period, timeZone) => {
+  const [year, month, day] = getPeriod(period).next(localParts(date, timeZone));
+  const normalized = new Date(Date.UTC(year, month, day));
+  return fromLocal(normalized.getUTCFullYear(), normalized.getUTCMonth(), normalized.getUTCDate(), timeZone);
+};
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Datas AAAA-MM-DD são a meia-noite local (dayOffset avança dias, ex.: 1 para o fim do dia);
+// demais valores são interpretados como ISO 8601
+const parseLocalDate = (value, timeZone, label, dayOffset = 0) => {
+  const match = DATE_ONLY.exec(value);
+  if (match) {
+    const [, year, month, day] = match.map(Number);
+    return fromLocal(year, month - 1, day + dayOffset, timeZone);
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${label} inválida; use AAAA-MM-DD ou o formato ISO 8601`);
+  }
+  return date;
+};
+
+module.exports = {
+  localParts,
+  isWithinHours,
+  fromLocal,
+  parseLocalDate,
+  startOfPeriod,
+  startOfNextPeriod
+};
@@ -0,0 +1,10 @@
+/**
+ * ⏰ Relógio do sistema
+ * Componentes dependentes de tempo recebem um relógio (`{ now() }`)
+ * para que os testes possam controlar a passagem do tempo.
+ */
+const systemClock = {
+  now: () => new Date()
+};
+
+module.exports = { systemClock };
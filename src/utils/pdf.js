@@ -0,0 +1,81 @@
+/**
+ * 🖨️ Gerador mínimo de PDF
+ * Produz documentos de texto (fonte Courier, A4) sem dependências externas.
+ * O texto é codificado em WinAnsi (latin1), suficiente para acentos do português.
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 11;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+// Caracteres fora do latin1 viram '?'; parênteses e barras invertidas são escapados
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/[\\()]/g, match => `\\${match}`);
+
+const contentStream = (lines) => {
+  const commands = lines.map(line => `(${escapeText(line)}) '`);
+  return [
+    'BT',
+    `/F1 ${FONT_SIZE} Tf`,
+    `${LINE_HEIGHT} TL`,
+    `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+    ...commands,
+    'ET'
+  ].join('\n');
+};
+
+// Divide as linhas em páginas, repetindo o cabeçalho e numerando cada página
+const paginate = (lines, header) => {
+  const perPage = LINES_PER_PAGE - header.length - 2;
+  const pages = [];
+  for (let index = 0; index === 0 || index < lines.length; index += perPage) {
+    pages.push(lines.slice(index, index + perPage));
+  }
+  return pages.map((body, index) => [...header, ...body, '', `Página ${index + 1} de ${pages.length}`]);
+};
+
+const renderTextPdf = (lines, { header = [] } = {}) => {
+  const pages = paginate(lines, header);
+  const fontId = 3;
+  const firstPageId = 4;
+  const pageIds = pages.map((page, index) => firstPageId + index * 2);
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'
+  ];
+
+  pages.forEach((page, index) => {
+    const stream = contentStream(page);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  // A tabela xref guarda a posição em bytes de cada objeto
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = {
+  renderTextPdf,
+  LINES_PER_PAGE
+};
@@ -0,0 +1,459 @@
+const zlib = require('zlib');
+
+/**
+ * 🔳 Gerador mínimo de QR Code
+ * Codifica texto em modo byte (UTF-8) com correção de erros nível M (~15%)
+ * e renderiza em SVG ou PNG sem dependências externas.
+ * As versões 1 a 15 cobrem payloads de até 412 bytes, suficiente para um BR Code.
+ */
+
+// Por versão: codewords de correção por bloco e grupos [quantidade de blocos, codewords de dados]
+const EC_BLOCKS_M = [
+  null,
+  [10, [1, 16]],
+  [16, [1, 28]],
+  [26, [1, 44]],
+  [18, [2, 32]],
+  [24, [2, 43]],
+  [16, [4, 27]],
+  [18, [4, 31]],
+  [22, [2, 38], [2, 39]],
+  [22, [3, 36], [2, 37]],
+  [26, [4, 43], [1, 44]],
+  [30, [1, 50], [4, 51]],
+  [22, [6, 36], [2, 37]],
+  [22, [8, 37], [1, 38]],
+  [24, [4, 40], [5, 41]],
+  [24, [5, 41], [5, 42]]
+];
+const MAX_VERSION = EC_BLOCKS_M.length - 1;
+
+const FORMAT_BITS_M = 0;
+const BYTE_MODE = 0b0100;
+
+const dataCodewords = (version) => {
+  const [, ...groups] = EC_BLOCKS_M[version];
+  return groups.reduce((total, [blocks, size]) => total + blocks * size, 0);
+};
+
+const countBits = (version) => (version < 10 ? 8 : 16);
+
+// Multiplicação no corpo GF(256) com o polinômio 0x11D
+const gfMultiply = (x, y) => {
+  let result = 0;
+  for (let bit = 7; bit >= 0; bit--) {
+    result = (result << 1) ^ ((result >>> 7) * 0x11d);
+    result ^= ((y >>> bit) & 1) * x;
+  }
+  return result;
+};
+
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+  const result = new Array(divisor.length).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, index) => {
+      result[index] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+// Segmento em modo byte, terminador e bytes de preenchimento até a capacidade da versão
+const encodeData = (bytes, version) => {
+  const bits = [];
+  const append = (value, length) => {
+    for (let bit = length - 1; bit >= 0; bit--) {
+      bits.push((value >>> bit) & 1);
+    }
+  };
+
+  append(BYTE_MODE, 4);
+  append(bytes.length, countBits(version));
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacity = dataCodewords(version) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let index = 0; index < bits.length; index += 8) {
+    codewords.push(bits.slice(index, index + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+};
+
+// Divide em blocos, calcula a correção de cada um e intercala dados e correção
+const addErrorCorrection = (data, version) => {
+  const [ecLength, ...groups] = EC_BLOCKS_M[version];
+  const divisor = reedSolomonDivisor(ecLength);
+  const blocks = [];
+  let offset = 0;
+
+  groups.forEach(([count, size]) => {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data: block, ec: reedSolomonRemainder(block, divisor) });
+    }
+  });
+
+  const result = [];
+  const longest = Math.max(...blocks.map(block => block.data.length));
+  for (let i = 0; i < longest; i++) {
+    blocks.forEach(block => {
+      if (i < block.data.length) {
+        result.push(block.data[i]);
+      }
+    });
+  }
+  for (let i = 0; i < ecLength; i++) {
+    blocks.forEach(block => result.push(block.ec[i]));
+  }
+  return result;
+};
+
+const alignmentPositions = (version) => {
+  if (version === 1) {
+    return [];
+  }
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let position = version * 4 + 10; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            this.setFunction(x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    // Padrões de alinhamento, exceto onde colidiriam com os padrões de localização
+    const positions = alignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }));
+
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  // Nível de correção e máscara protegidos por BCH(15,5)
+  drawFormatBits(mask) {
+    const { size } = this;
+    const data = (FORMAT_BITS_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (index) => ((bits >>> index) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) {
+      this.setFunction(8, i, bit(i));
+    }
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      this.setFunction(14 - i, 8, bit(i));
+    }
+    for (let i = 0; i < 8; i++) {
+      this.setFunction(size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunction(8, size - 15 + i, bit(i));
+    }
+    this.setFunction(8, size - 8, true);
+  }
+
+  // A partir da versão 7 o número da versão é gravado nos cantos, protegido por BCH(18,6)
+  drawVersion() {
+    if (this.version < 7) {
+      return;
+    }
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  // Percorre a matriz em zigue-zague, de baixo para cima, em pares de colunas
+  drawCodewords(codewords) {
+    const { size } = this;
+    let index = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5;
+      }
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!this.reserved[y][x] && index < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+            index++;
+          }
+        }
+      }
+    }
+  }
+
+  // Aplicar a mesma máscara duas vezes desfaz a primeira aplicação
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && MASKS[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Penalidades da especificação: sequências, blocos 2x2, padrões parecidos com o localizador e equilíbrio
+  penalty() {
+    const { size, modules } = this;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    let score = 0;
+    lines.forEach(line => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          score += run >= 5 ? run - 2 : 0;
+          run = 1;
+        }
+      }
+
+      const text = `0000${line.map(dark => (dark ? '1' : '0')).join('')}0000`;
+      ['00001011101', '10111010000'].forEach(pattern => {
+        for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) {
+          score += 40;
+        }
+      });
+    });
+
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          score += 3;
+        }
+      }
+    }
+
+    const dark = modules.reduce((total, row) => total + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+/**
+ * Gera a matriz do QR Code na menor versão que comporta o texto.
+ * `mask` fixa a máscara (0-7); sem ela, escolhe a de menor penalidade.
+ */
+const createQrCode = (text, { mask } = {}) => {
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  let version = 1;
+  while (version <= MAX_VERSION && 4 + countBits(version) + bytes.length * 8 > dataCodewords(version) * 8) {
+    version++;
+  }
+  if (version > MAX_VERSION) {
+    throw new Error('Conteúdo muito longo para o QR Code');
+  }
+
+  const matrix = new QrMatrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(addErrorCorrection(encodeData(bytes, version), version));
+
+  let chosen = mask;
+  if (chosen === undefined) {
+    let lowest = Infinity;
+    MASKS.forEach((unused, candidate) => {
+      matrix.applyMask(candidate);
+      matrix.drawFormatBits(candidate);
+      const score = matrix.penalty();
+      if (score < lowest) {
+        lowest = score;
+        chosen = candidate;
+      }
+      matrix.applyMask(candidate);
+    });
+  }
+  matrix.applyMask(chosen);
+  matrix.drawFormatBits(chosen);
+
+  return { version, size: matrix.size, mask: chosen, modules: matrix.modules };
+};
+
+// Um subcaminho por módulo escuro; a margem (quiet zone) padrão é de 4 módulos
+const toSvg = (qr, { scale = 8, margin = 4 } = {}) => {
+  const dimension = qr.size + margin * 2;
+  const path = [];
+  qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) {
+      path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+    }
+  }));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${dimension * scale}" height="${dimension * scale}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`
+    + `<rect width="100%" height="100%" fill="#fff"/><path fill="#000" d="${path.join('')}"/></svg>`;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (unused, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// PNG em tons de cinza, 8 bits por pixel, cada linha sem filtro
+const toPng = (qr, { scale = 8, margin = 4 } = {}) => {
+  const dimension = (qr.size + margin * 2) * scale;
+  const rows = [];
+  for (let py = 0; py < dimension; py++) {
+    const row = Buffer.alloc(dimension + 1, 0xff);
+    row[0] = 0;
+    const y = Math.floor(py / scale) - margin;
+    for (let px = 0; px < dimension; px++) {
+      const x = Math.floor(px / scale) - margin;
+      if (qr.modules[y]?.[x]) {
+        row[px + 1] = 0;
+      }
+    }
+    rows.push(row);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(dimension, 0);
+  header.writeUInt32BE(dimension, 4);
+  header[8] = 8; // bits por amostra
+  header[9] = 0; // tons de cinza
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+// Formatos de imagem servidos pela API, a partir do texto a codificar
+const FORMATS = {
+  svg: { contentType: 'image/svg+xml', render: (text) => toSvg(createQrCode(text)) },
+  png: { contentType: 'image/png', render: (text) => toPng(createQrCode(text)) }
+};
+
+module.exports = {
+  FORMATS,
+  createQrCode,
+  toSvg,
+  toPng,
+  crc32,
+  MAX_VERSION
+};
@@ -0,0 +1,88 @@
+const { localParts } = require('./calendar');
+const { renderTextPdf } = require('./pdf');
+
+/**
+ * 🖨️ Formatos imprimíveis do comprovante (HTML e PDF)
+ * Recebem o objeto retornado por receiptService.getReceipt.
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDateTime = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = localParts(date, timeZone);
+  return `${pad(day)}/${pad(month + 1)}/${year} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+};
+
+// Linhas rótulo/valor comuns aos dois formatos
+const receiptFields = (receipt, timeZone) => [
+  ['Transferência', `#${receipt.transferId}`],
+  ['Data', `${formatDateTime(receipt.executedAt, timeZone)} (${timeZone})`],
+  ['Valor', receipt.amount.format()],
+  ['Descrição', receipt.description || '-'],
+  ['Pagador', `${receipt.payer.name} - conta ${receipt.payer.account}`],
+  ['Recebedor', `${receipt.payee.name} - conta ${receipt.payee.account}`]
+];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const toHtml = (receipt, timeZone) => {
+  const rows = receiptFields(receipt, timeZone)
+    .map(([label, value]) => `      <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="utf-8">
+  <title>Comprovante de transferência #${receipt.transferId}</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 640px; margin: 32px auto; color: #222; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+    th { width: 30%; color: #555; }
+    code { display: block; margin-top: 8px; font-size: 13px; word-break: break-all; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Comprovante de transferência</h1>
+  <table>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+  <p>Código de autenticação:<code>${escapeHtml(receipt.authenticationCode)}</code></p>
+  <p><small>Emitido em ${escapeHtml(formatDateTime(receipt.issuedAt, timeZone))}. Confira a autenticidade em POST /receipts/verify.</small></p>
+</body>
+</html>
+`;
+};
+
+const toPdf = (receipt, timeZone) => {
+  const lines = [
+    ...receiptFields(receipt, timeZone).map(([label, value]) => `${label.padEnd(14)} ${value}`),
+    '',
+    'Código de autenticação:',
+    receipt.authenticationCode,
+    '',
+    `Emitido em ${formatDateTime(receipt.issuedAt, timeZone)}. Confira a autenticidade em POST /receipts/verify.`
+  ];
+
+  return renderTextPdf(lines, { header: ['COMPROVANTE DE TRANSFERÊNCIA', ''] });
+};
+
+const FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', render: toHtml },
+  pdf: { contentType: 'application/pdf', render: toPdf }
+};
+
+module.exports = {
+  FORMATS,
+  toHtml,
+  toPdf
+};
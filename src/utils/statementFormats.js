@@ -0,0 +1,199 @@
+const { localParts } = require('./calendar');
+const { renderTextPdf } = require('./pdf');
+
+/**
+ * 🗂️ Formatos de exportação do extrato
+ * CSV (planilhas), OFX 1.02 (importação em gerenciadores financeiros) e PDF (impressão).
+ * Todos recebem o objeto retornado por statementService.getStatement.
+ */
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Valor decimal com ponto e duas casas (ex.: -150.00)
+const decimal = (money) => (money.cents / 100).toFixed(2);
+
+const localDate = (date, timeZone) => {
+  const { year, month, day } = localParts(date, timeZone);
+  return `${year}-${pad(month + 1)}-${pad(day)}`;
+};
+
+const localDateTime = (date, timeZone) => {
+  const { hour, minute } = localParts(date, timeZone);
+  return `${localDate(date, timeZone)} ${pad(hour)}:${pad(minute)}`;
+};
+
+// O fim do período é exclusivo; o último dia coberto é o anterior a ele
+const lastDay = (statement) => localDate(new Date(statement.to.getTime() - 1), statement.timeZone);
+
+// ---------------------------------------------------------------- CSV
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Textos livres que planilhas interpretariam como fórmula recebem o prefixo '
+const csvText = (value) => (/^[=+\-@\t\r]/.test(value || '') ? `'${value}` : value);
+
+const toCsv = (statement) => {
+  const { timeZone } = statement;
+  const rows = [
+    ['date', 'description', 'counterparty', 'transferId', 'type', 'amount', 'balance'],
+    [localDateTime(statement.from, timeZone), 'Saldo inicial', null, null, null, null, decimal(statement.openingBalance)],
+    ...statement.entries.map(entry => [
+      localDateTime(entry.date, timeZone),
+      csvText(entry.description),
+      entry.counterparty,
+      entry.transferId,
+      entry.type,
+      decimal(entry.amount),
+      decimal(entry.balance)
+    ]),
+    [localDateTime(statement.to, timeZone), 'Saldo final', null, null, null, null, decimal(statement.closingBalance)]
+  ];
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+// ---------------------------------------------------------------- OFX
+
+// Datas OFX em UTC: AAAAMMDDHHMMSS[0:GMT]
+const ofxDate = (date) => date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + '[0:GMT]';
+
+const ofxText = (value, maxLength) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e]/g, '')
+  .slice(0, maxLength)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const toOfx = (statement) => {
+  const transactions = statement.entries.flatMap(entry => [
+    '<STMTTRN>',
+    `<TRNTYPE>${entry.type === 'credit' ? 'CREDIT' : 'DEBIT'}`,
+    `<DTPOSTED>${ofxDate(entry.date)}`,
+    `<TRNAMT>${decimal(entry.amount)}`,
+    `<FITID>${entry.id}`,
+    `<NAME>${ofxText(entry.counterparty || entry.description, 32)}`,
+    `<MEMO>${ofxText(entry.description, 255)}`,
+    '</STMTTRN>'
+  ]);
+
+  return [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1>',
+    '<SONRS>',
+    '<STATUS>',
+    '<CODE>0',
+    '<SEVERITY>INFO',
+    '</STATUS>',
+    `<DTSERVER>${ofxDate(statement.generatedAt)}`,
+    '<LANGUAGE>POR',
+    '</SONRS>',
+    '</SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1>',
+    '<STMTTRNRS>',
+    '<TRNUID>1',
+    '<STATUS>',
+    '<CODE>0',
+    '<SEVERITY>INFO',
+    '</STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${statement.currency}`,
+    '<BANKACCTFROM>',
+    '<BANKID>0001',
+    `<ACCTID>${statement.account}`,
+    '<ACCTTYPE>CHECKING',
+    '</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(statement.from)}`,
+    `<DTEND>${ofxDate(statement.to)}`,
+    ...transactions,
+    '</BANKTRANLIST>',
+    '<LEDGERBAL>',
+    `<BALAMT>${decimal(statement.closingBalance)}`,
+    `<DTASOF>${ofxDate(statement.to)}`,
+    '</LEDGERBAL>',
+    '</STMTRS>',
+    '</STMTTRNRS>',
+    '</BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\r\n');
+};
+
+// ---------------------------------------------------------------- PDF
+
+const column = (value, width, alignRight = false) => {
+  const text = String(value ?? '');
+  const clipped = text.length > width ? `${text.slice(0, width - 1)}.` : text;
+  return alignRight ? clipped.padStart(width) : clipped.padEnd(width);
+};
+
+const pdfRow = (date, description, counterparty, amount, balance) => [
+  column(date, 16),
+  column(description, 34),
+  column(counterparty, 10),
+  column(amount, 16, true),
+  column(balance, 16, true)
+].join(' ');
+
+const toPdf = (statement) => {
+  const { timeZone } = statement;
+  const header = [
+    'EXTRATO DE CONTA',
+    '',
+    `Titular: ${statement.holder}    Conta: ${statement.account}`,
+    `Período: ${localDate(statement.from, timeZone)} a ${lastDay(statement)} (${timeZone})`,
+    '',
+    pdfRow('Data', 'Descrição', 'Contraparte', 'Valor', 'Saldo'),
+    '-'.repeat(96)
+  ];
+
+  const lines = [
+    pdfRow(localDateTime(statement.from, timeZone), 'Saldo inicial', '', '', statement.openingBalance.format()),
+    ...statement.entries.map(entry => pdfRow(
+      localDateTime(entry.date, timeZone),
+      entry.description,
+      entry.counterparty,
+      entry.amount.format(),
+      entry.balance.format()
+    )),
+    '-'.repeat(96),
+    `Total de créditos: ${statement.totalCredits.format()}`,
+    `Total de débitos:  ${statement.totalDebits.format()}`,
+    `Saldo final:       ${statement.closingBalance.format()}`
+  ];
+
+  return renderTextPdf(lines, { header });
+};
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', render: toCsv },
+  ofx: { contentType: 'application/x-ofx', render: statement => Buffer.from(toOfx(statement), 'latin1') },
+  pdf: { contentType: 'application/pdf', render: toPdf }
+};
+
+// Nome sugerido para download: extrato-<conta>-<início>-<fim>.<formato>
+const fileName = (statement, format) =>
+  `extrato-${statement.account}-${localDate(statement.from, statement.timeZone)}-${lastDay(statement)}.${format}`;
+
+module.exports = {
+  FORMATS,
+  toCsv,
+  toOfx,
+  toPdf,
+  fileName
+};
@@ -0,0 +1,107 @@
+// test/controller/graphql/paymentRequestControllerGraphql.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const paymentRequestService = require('../../../src/services/paymentRequestService');
+const RuleViolationError = require('../../../src/rules/RuleViolationError');
+const resolvers = require('../../../src/graphql/resolvers');
+const Money = require('../../../src/models/Money');
+
+describe('🧪 GraphQL Payment Request Controller - Unit Tests', () => {
+    let sandbox;
+    const mockContext = {
+        user: { userId: 1 }
+    };
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    const mockRequest = (overrides = {}) => ({
+        id: 5,
+        requesterAccount: '111111',
+        payerAccount: '222222',
+        amount: Money.fromDecimal(85.9),
+        description: 'Divisão do jantar',
+        status: 'pending',
+        transferId: null,
+        ...overrides
+    });
+
+    describe('Queries', () => {
+        it('✅ Should return incoming and outgoing requests of the current user', async () => {
+            sandbox.stub(paymentRequestService, 'getIncomingPaymentRequests').returns([mockRequest()]);
+            sandbox.stub(paymentRequestService, 'getOutgoingPaymentRequests').returns([]);
+
+            const incoming = await resolvers.Query.incomingPaymentRequests(null, {}, mockContext);
+            const outgoing = await resolvers.Query.outgoingPaymentRequests(null, {}, mockContext);
+
+            expect(incoming).to.have.length(1);
+            expect(outgoing).to.deep.equal([]);
+            expect(paymentRequestService.getIncomingPaymentRequests.calledWith(1)).to.be.true;
+            expect(paymentRequestService.getOutgoingPaymentRequests.calledWith(1)).to.be.true;
+        });
+
+        it('❌ Should throw error when not authenticated', async () => {
+            try {
+                await resolvers.Query.incomingPaymentRequests(null, {}, {});
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.include('autenticado');
+            }
+        });
+    });
+
+    describe('Mutations', () => {
+        it('✅ Should create a payment request', async () => {
+            const input = { payerAccount: '222222', amount: Money.fromDecimal(85.9), description: 'Divisão do jantar' };
+            sandbox.stub(paymentRequestService, 'createPaymentRequest').returns(mockRequest());
+
+            const result = await resolvers.Mutation.createPaymentRequest(null, { input }, mockContext);
+
+            expect(result.status).to.equal('pending');
+            expect(paymentRequestService.createPaymentRequest.calledWith(1, input)).to.be.true;
+        });
+
+        it('✅ Should accept a request and expose the generated transfer', async () => {
+            const transfer = { id: 9, fromAccount: '222222', toAccount: '111111' };
+            sandbox.stub(paymentRequestService, 'acceptPaymentRequest').returns(mockRequest({ status: 'accepted', transferId: 9, transfer }));
+
+            const result = await resolvers.Mutation.acceptPaymentRequest(null, { id: '5' }, mockContext);
+
+            expect(result.status).to.equal('accepted');
+            expect(resolvers.PaymentRequest.transferId(result)).to.equal('9');
+            expect(resolvers.PaymentRequest.transfer(result)).to.equal(transfer);
+            expect(paymentRequestService.acceptPaymentRequest.calledWith(1, '5')).to.be.true;
+        });
+
+        it('❌ Should expose the rule code when accepting fails', async () => {
+            sandbox.stub(paymentRequestService, 'acceptPaymentRequest').throws(new RuleViolationError([{
+                rule: 'sufficientBalance',
+                code: 'INSUFFICIENT_BALANCE',
+                message: 'Saldo insuficiente',
+                approvable: false
+            }]));
+
+            try {
+                await resolvers.Mutation.acceptPaymentRequest(null, { id: '5' }, mockContext);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('Saldo insuficiente');
+                expect(error.extensions.code).to.equal('INSUFFICIENT_BALANCE');
+            }
+        });
+
+        it('✅ Should decline a request', async () => {
+            sandbox.stub(paymentRequestService, 'declinePaymentRequest').returns(mockRequest({ status: 'declined' }));
+
+            const result = await resolvers.Mutation.declinePaymentRequest(null, { id: '5' }, mockContext);
+
+            expect(result.status).to.equal('declined');
+            expect(resolvers.PaymentRequest.transfer(result)).to.be.null;
+        });
+    });
+});
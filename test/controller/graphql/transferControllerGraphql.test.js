@@ -2,7 +2,17 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
 const transferService = require('../../../src/services/transferService');
+const recurringTransferService = require('../../../src/services/recurringTransferService');
+const transferBatchService = require('../../../src/services/transferBatchService');
+const transferHistoryService = require('../../../src/services/transferHistoryService');
+const receiptService = require('../../../src/services/receiptService');
+const aliasKeyService = require('../../../src/services/aliasKeyService');
+const paymentCodeService = require('../../../src/services/paymentCodeService');
+const categoryService = require('../../../src/services/categoryService');
+const fraudService = require('../../../src/services/fraudService');
+const authService = require('../../../src/services/authService');
 const resolvers = require('../../../src/graphql/resolvers');
+const Money = require('../../../src/models/Money');
 
 describe('🧪 GraphQL Transfer Controller - Unit Tests', () => {
     let sandbox;
@@ -77,6 +87,53 @@ describe('🧪 GraphQL Transfer Controller - Unit Tests', () => {
         });
     });
 
+    describe('Query: transferHistory', () => {
+        const mockContext = {
+            user: { userId: 1 }
+        };
+
+        it('✅ Should translate filter, sort and pagination arguments', async () => {
+            const mockConnection = {
+                edges: [{ cursor: 'abc', node: { id: 1, amount: 100 } }],
+                pageInfo: { totalCount: 3, hasNextPage: true, hasPreviousPage: false, startCursor: 'abc', endCursor: 'abc' }
+            };
+            sandbox.stub(transferHistoryService, 'searchTransfers').returns(mockConnection);
+
+            const result = await resolvers.Query.transferHistory(null, {
+                filter: { direction: 'SENT', minAmount: Money.fromDecimal(50) },
+                sort: 'AMOUNT_ASC',
+                first: 1,
+                after: 'xyz'
+            }, mockContext);
+
+            expect(result).to.deep.equal(mockConnection);
+            expect(transferHistoryService.searchTransfers.calledWith(1, {
+                direction: 'sent',
+                minAmount: Money.fromDecimal(50),
+                sort: 'amount',
+                limit: 1,
+                cursor: 'xyz'
+            })).to.be.true;
+        });
+
+        it('✅ Should default to the most recent transfers first', async () => {
+            sandbox.stub(transferHistoryService, 'searchTransfers').returns({ edges: [], pageInfo: {} });
+
+            await resolvers.Query.transferHistory(null, { first: 20 }, mockContext);
+
+            expect(transferHistoryService.searchTransfers.firstCall.args[1]).to.include({ sort: '-createdAt', limit: 20 });
+        });
+
+        it('❌ Should throw error when not authenticated', async () => {
+            try {
+                await resolvers.Query.transferHistory(null, {}, {});
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.include('autenticado');
+            }
+        });
+    });
+
     describe('Query: favorites', () => {
         it('✅ Should return user favorites', async () => {
             const mockFavorites = [
@@ -162,6 +219,45 @@ describe('🧪 GraphQL Transfer Controller - Unit Tests', () => {
             expect(transferService.createTransfer.calledWith(1, input)).to.be.true;
         });
 
+        it('✅ Should replay the first result when idempotencyKey is repeated', async () => {
+            const input = {
+                toAccount: '222222',
+                amount: 100,
+                description: 'Test transfer',
+                idempotencyKey: `graphql-${Date.now()}`
+            };
+            const mockTransfer = { id: 1, toAccount: input.toAccount, amount: 100 };
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(transferService, 'createTransfer').resolves(mockTransfer);
+
+            const first = await resolvers.Mutation.createTransfer(null, { input }, mockContext);
+            const retry = await resolvers.Mutation.createTransfer(null, { input }, mockContext);
+
+            expect(retry).to.deep.equal(first);
+            expect(transferService.createTransfer.calledOnce).to.be.true;
+        });
+
+        it('❌ Should reject idempotencyKey reused with a different payload', async () => {
+            const idempotencyKey = `graphql-${Date.now()}-reuse`;
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(transferService, 'createTransfer').resolves({ id: 1 });
+
+            await resolvers.Mutation.createTransfer(null, { input: { toAccount: '222222', amount: 100, idempotencyKey } }, mockContext);
+
+            try {
+                await resolvers.Mutation.createTransfer(null, { input: { toAccount: '222222', amount: 200, idempotencyKey } }, mockContext);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('Idempotency-Key já utilizada com outra requisição');
+            }
+        });
+
         it('❌ Should throw error when not authenticated', async () => {
             const input = {
                 toAccount: '222222',
@@ -323,6 +419,477 @@ describe('🧪 GraphQL Transfer Controller - Unit Tests', () => {
         });
     });
 
+    describe('Batch transfers', () => {
+        const mockContext = {
+            user: { userId: 1 }
+        };
+
+        it('✅ Should create a batch and return per-item results', async () => {
+            const input = {
+                mode: 'best_effort',
+                transfers: [
+                    { toAccount: '222222', amount: Money.fromDecimal(100) },
+                    { toAccount: '999999', amount: Money.fromDecimal(50) }
+                ]
+            };
+            const mockBatch = {
+                id: 1,
+                mode: 'best_effort',
+                status: 'partially_completed',
+                items: [
+                    { index: 0, status: 'completed', transferId: 7 },
+                    { index: 1, status: 'failed', error: 'Conta de destino não encontrada', code: 'ACCOUNT_NOT_FOUND' }
+                ]
+            };
+
+            sandbox.stub(transferBatchService, 'createTransferBatch').returns(mockBatch);
+
+            const result = await resolvers.Mutation.createTransferBatch(null, { input }, mockContext);
+
+            expect(result).to.deep.equal(mockBatch);
+            expect(transferBatchService.createTransferBatch.calledWith(1, input)).to.be.true;
+            expect(resolvers.TransferBatchItem.transferId(result.items[0])).to.equal('7');
+            expect(resolvers.TransferBatchItem.transferId(result.items[1])).to.be.null;
+        });
+
+        it('❌ Should throw error for an invalid batch', async () => {
+            sandbox.stub(transferBatchService, 'createTransferBatch').throws(new Error('Lote deve ter entre 1 e 100 transferências'));
+
+            try {
+                await resolvers.Mutation.createTransferBatch(null, { input: { transfers: [] } }, mockContext);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('Lote deve ter entre 1 e 100 transferências');
+            }
+        });
+
+        it('✅ Should return a stored batch through the transferBatch query', async () => {
+            const mockBatch = { id: 3, mode: 'all_or_nothing', status: 'completed', items: [] };
+            sandbox.stub(transferBatchService, 'getTransferBatch').returns(mockBatch);
+
+            const result = await resolvers.Query.transferBatch(null, { id: '3' }, mockContext);
+
+            expect(result).to.deep.equal(mockBatch);
+            expect(transferBatchService.getTransferBatch.calledWith(1, '3')).to.be.true;
+        });
+    });
+
+    describe('Scheduled transfers', () => {
+        it('✅ Should pass scheduledFor to the service', async () => {
+            const scheduledFor = new Date('2030-01-01T12:00:00.000Z');
+            const input = { toAccount: '222222', amount: 100, description: 'Aluguel', scheduledFor };
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(transferService, 'createTransfer').resolves({ id: 1, status: 'scheduled', scheduledFor });
+
+            const result = await resolvers.Mutation.createTransfer(null, { input }, mockContext);
+
+            expect(result.status).to.equal('scheduled');
+            expect(transferService.createTransfer.calledWith(1, input)).to.be.true;
+        });
+
+        it('✅ Should return scheduled transfers of the user', async () => {
+            const mockTransfers = [{ id: 1, status: 'scheduled' }];
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(transferService, 'getScheduledTransfers').returns(mockTransfers);
+
+            const result = await resolvers.Query.scheduledTransfers(null, {}, mockContext);
+
+            expect(result).to.deep.equal(mockTransfers);
+            expect(transferService.getScheduledTransfers.calledWith(1)).to.be.true;
+        });
+
+        it('❌ Should propagate errors when cancelling', async () => {
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(transferService, 'cancelScheduledTransfer')
+                .throws(new Error('Somente transferências pendentes podem ser canceladas'));
+
+            try {
+                await resolvers.Mutation.cancelScheduledTransfer(null, { id: '1' }, mockContext);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('Somente transferências pendentes podem ser canceladas');
+            }
+        });
+    });
+
+    describe('Pending approval', () => {
+        it('✅ Should filter transfers by status', async () => {
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(transferService, 'getTransfersByUserId').returns([]);
+
+            await resolvers.Query.transfers(null, { status: 'pending_approval' }, mockContext);
+
+            expect(transferService.getTransfersByUserId.calledWith(1, { status: 'pending_approval' })).to.be.true;
+        });
+
+        it('✅ Should pass requestApproval to the service', async () => {
+            const input = { toAccount: '222222', amount: 6000, description: 'Carro', requestApproval: true };
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(transferService, 'createTransfer').resolves({ id: 1, status: 'pending_approval' });
+
+            const result = await resolvers.Mutation.createTransfer(null, { input }, mockContext);
+
+            expect(result.status).to.equal('pending_approval');
+            expect(transferService.createTransfer.calledWith(1, input)).to.be.true;
+        });
+
+        it('✅ Should confirm a transfer with the password', async () => {
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(transferService, 'confirmTransfer').resolves({ id: 1, status: 'completed' });
+
+            const result = await resolvers.Mutation.confirmTransfer(null, { id: '1', password: 'senha123' }, mockContext);
+
+            expect(result.status).to.equal('completed');
+            expect(transferService.confirmTransfer.calledWith(1, '1', 'senha123')).to.be.true;
+        });
+
+        it('❌ Should propagate invalid password errors', async () => {
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(transferService, 'confirmTransfer').rejects(new Error('Senha inválida'));
+
+            try {
+                await resolvers.Mutation.confirmTransfer(null, { id: '1', password: 'errada' }, mockContext);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('Senha inválida');
+            }
+        });
+    });
+
+    describe('Mutation: refundTransfer', () => {
+        it('✅ Should refund a received transfer', async () => {
+            const mockRefund = { id: 2, refundOf: 1, amount: Money.fromDecimal(40), status: 'completed' };
+            const mockContext = {
+                user: { userId: 2 }
+            };
+
+            sandbox.stub(transferService, 'refundTransfer').returns(mockRefund);
+
+            const result = await resolvers.Mutation.refundTransfer(null, { id: '1', input: { amount: Money.fromDecimal(40) } }, mockContext);
+
+            expect(result).to.deep.equal(mockRefund);
+            expect(resolvers.Transfer.refundOf(result)).to.equal('1');
+            expect(transferService.refundTransfer.calledWith(2, '1')).to.be.true;
+        });
+
+        it('✅ Should refund the full amount when input is omitted', async () => {
+            const mockContext = {
+                user: { userId: 2 }
+            };
+
+            sandbox.stub(transferService, 'refundTransfer').returns({ id: 2, refundOf: 1 });
+
+            await resolvers.Mutation.refundTransfer(null, { id: '1' }, mockContext);
+
+            expect(transferService.refundTransfer.calledWith(2, '1', {})).to.be.true;
+        });
+
+        it('❌ Should propagate refund limit errors', async () => {
+            const mockContext = {
+                user: { userId: 2 }
+            };
+
+            sandbox.stub(transferService, 'refundTransfer')
+                .throws(new Error('Valor do estorno excede o valor disponível para estorno (R$ 10,00)'));
+
+            try {
+                await resolvers.Mutation.refundTransfer(null, { id: '1', input: { amount: Money.fromDecimal(50) } }, mockContext);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.include('excede o valor disponível');
+            }
+        });
+    });
+
+    describe('Alias keys', () => {
+        const mockContext = {
+            user: { userId: 1 }
+        };
+
+        it('✅ Should create and list keys of the authenticated user', async () => {
+            const mockKey = { id: 3, type: 'email', value: 'joao@email.com', account: '123456' };
+            sandbox.stub(aliasKeyService, 'createAliasKey').returns(mockKey);
+            sandbox.stub(aliasKeyService, 'getAliasKeys').returns([mockKey]);
+
+            const created = await resolvers.Mutation.createAliasKey(null, { input: { type: 'email', value: 'joao@email.com' } }, mockContext);
+            const keys = await resolvers.Query.aliasKeys(null, {}, mockContext);
+
+            expect(resolvers.AliasKey.id(created)).to.equal('3');
+            expect(keys).to.deep.equal([mockKey]);
+            expect(aliasKeyService.createAliasKey.calledWith(1, { type: 'email', value: 'joao@email.com' })).to.be.true;
+        });
+
+        it('✅ Should look up a key and remove a key', async () => {
+            const mockLookup = { type: 'email', key: 'jo***@email.com', ownerName: 'João S****', account: '123456' };
+            sandbox.stub(aliasKeyService, 'lookupKey').returns(mockLookup);
+            sandbox.stub(aliasKeyService, 'removeAliasKey').returns({ message: 'Chave removida com sucesso' });
+
+            expect(await resolvers.Query.lookupKey(null, { key: 'joao@email.com' }, mockContext)).to.deep.equal(mockLookup);
+            expect(await resolvers.Mutation.removeAliasKey(null, { id: '3' }, mockContext)).to.be.true;
+            expect(aliasKeyService.removeAliasKey.calledWith(1, '3')).to.be.true;
+        });
+
+        it('❌ Should propagate duplicate key errors', async () => {
+            sandbox.stub(aliasKeyService, 'createAliasKey').throws(new Error('Chave já cadastrada'));
+
+            try {
+                await resolvers.Mutation.createAliasKey(null, { input: { type: 'random' } }, mockContext);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('Chave já cadastrada');
+            }
+        });
+
+        it('✅ Should pass toKey through createTransfer', async () => {
+            sandbox.stub(transferService, 'createTransfer').resolves({ id: 1, toAccount: '123456' });
+
+            await resolvers.Mutation.createTransfer(null, { input: { toKey: 'joao@email.com', amount: Money.fromDecimal(10) } }, mockContext);
+
+            expect(transferService.createTransfer.firstCall.args[1]).to.include({ toKey: 'joao@email.com' });
+        });
+    });
+
+    describe('QR Codes', () => {
+        const mockContext = {
+            user: { userId: 1 }
+        };
+
+        it('✅ Should create a payment code with its SVG image', async () => {
+            const mockCode = { type: 'static', payload: '00020101021126300012br.com.pgats', account: '123456' };
+            sandbox.stub(paymentCodeService, 'createPaymentCode').returns(mockCode);
+
+            const result = await resolvers.Mutation.createPaymentCode(null, { input: { amount: Money.fromDecimal(10) } }, mockContext);
+
+            expect(result).to.deep.equal(mockCode);
+            expect(resolvers.PaymentCode.svg(result)).to.match(/^<svg/);
+            expect(paymentCodeService.createPaymentCode.firstCall.args[0]).to.equal(1);
+        });
+
+        it('✅ Should decode a payload and pass qrCode through createTransfer', async () => {
+            const mockDecoded = { type: 'static', account: '123456', recipientName: 'João S****', transfer: { qrCode: 'abc' } };
+            sandbox.stub(paymentCodeService, 'decodePaymentCode').returns(mockDecoded);
+            sandbox.stub(transferService, 'createTransfer').resolves({ id: 1, toAccount: '123456' });
+
+            expect(await resolvers.Query.decodePaymentCode(null, { payload: 'abc' }, mockContext)).to.deep.equal(mockDecoded);
+            await resolvers.Mutation.createTransfer(null, { input: { qrCode: 'abc' } }, mockContext);
+
+            expect(transferService.createTransfer.firstCall.args[1]).to.include({ qrCode: 'abc' });
+        });
+
+        it('❌ Should propagate payment code validation errors', async () => {
+            sandbox.stub(paymentCodeService, 'createPaymentCode').throws(new Error('QR Code dinâmico exige valor'));
+
+            try {
+                await resolvers.Mutation.createPaymentCode(null, { input: { type: 'dynamic' } }, mockContext);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('QR Code dinâmico exige valor');
+            }
+        });
+    });
+
+    describe('Categories', () => {
+        const mockContext = {
+            user: { userId: 1 }
+        };
+
+        it('✅ Should create a category rule and categorize a transfer', async () => {
+            const mockRule = { id: 1, category: 'Mercado', descriptionContains: 'supermercado' };
+            const mockCategory = { transferId: 7, category: 'Alimentação', tags: ['café'], source: 'manual', ruleId: null };
+            sandbox.stub(categoryService, 'createRule').returns(mockRule);
+            sandbox.stub(categoryService, 'categorizeTransfer').returns(mockCategory);
+
+            const rule = await resolvers.Mutation.createCategoryRule(null, { input: { category: 'Mercado', descriptionContains: 'supermercado' } }, mockContext);
+            const category = await resolvers.Mutation.categorizeTransfer(null, { transferId: '7', input: { category: 'Alimentação', tags: ['Café'] } }, mockContext);
+
+            expect(rule).to.deep.equal(mockRule);
+            expect(category).to.deep.equal(mockCategory);
+            expect(categoryService.categorizeTransfer.calledWith(1, '7', { category: 'Alimentação', tags: ['Café'] })).to.be.true;
+        });
+
+        it('❌ Should propagate errors when removing a rule of another user', async () => {
+            sandbox.stub(categoryService, 'removeRule').throws(new Error('Regra não encontrada'));
+
+            try {
+                await resolvers.Mutation.removeCategoryRule(null, { id: '3' }, mockContext);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('Regra não encontrada');
+            }
+        });
+    });
+
+    describe('Receipts', () => {
+        it('✅ Should return the receipt of a transfer for the authenticated user', async () => {
+            const mockReceipt = { transferId: 7, amount: Money.fromDecimal(150), authenticationCode: 'ABCDEF12' };
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(receiptService, 'getReceipt').returns(mockReceipt);
+
+            const result = await resolvers.Query.transferReceipt(null, { transferId: '7' }, mockContext);
+
+            expect(result).to.deep.equal(mockReceipt);
+            expect(resolvers.TransferReceipt.transferId(result)).to.equal('7');
+            expect(receiptService.getReceipt.calledWith(1, '7')).to.be.true;
+        });
+
+        it('❌ Should require authentication to issue a receipt', async () => {
+            try {
+                await resolvers.Query.transferReceipt(null, { transferId: '7' }, {});
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.include('autenticado');
+            }
+        });
+
+        it('✅ Should verify a receipt without authentication', async () => {
+            const input = { transferId: '7', authenticationCode: 'ABCDEF12' };
+            sandbox.stub(receiptService, 'verifyReceipt').returns({ valid: true, message: 'Comprovante autêntico', transferId: 7 });
+
+            const result = await resolvers.Mutation.verifyReceipt(null, { input }, {});
+
+            expect(result.valid).to.be.true;
+            expect(resolvers.ReceiptVerification.transferId(result)).to.equal('7');
+            expect(receiptService.verifyReceipt.calledWith(input)).to.be.true;
+        });
+    });
+
+    describe('Fees', () => {
+        it('✅ Should quote the fee of a transfer for the authenticated user', async () => {
+            const input = { toAccount: '654321', amount: Money.fromDecimal(250) };
+            const mockQuote = { toAccount: '654321', amount: input.amount, fee: Money.fromDecimal(2.5), total: Money.fromDecimal(252.5), feeWaiver: null };
+            sandbox.stub(transferService, 'quoteTransfer').returns(mockQuote);
+
+            const result = await resolvers.Query.transferQuote(null, { input }, { user: { userId: 1 } });
+
+            expect(result).to.equal(mockQuote);
+            expect(transferService.quoteTransfer.calledWith(1, input)).to.be.true;
+        });
+
+        it('❌ Should require authentication to quote a fee', async () => {
+            try {
+                await resolvers.Query.transferQuote(null, { input: {} }, {});
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.include('autenticado');
+            }
+        });
+
+        it('✅ Should default the fee of transfers created before fees to zero', () => {
+            expect(resolvers.Transfer.fee({ fee: Money.fromDecimal(1.5) }).toDecimal()).to.equal(1.5);
+            expect(resolvers.Transfer.fee({ fee: null }).isZero()).to.be.true;
+        });
+    });
+
+    describe('Fraud review', () => {
+        const adminContext = { user: { userId: 9, email: 'admin@email.com' } };
+
+        beforeEach(() => {
+            sandbox.stub(authService, 'isAdmin').callsFake(user => user.userId === 9);
+        });
+
+        it('✅ Should list fraud alerts for admins with the given filters', async () => {
+            const mockAlerts = [{ id: 1, decision: 'review', status: 'pending_review', reasonCode: 'VELOCITY' }];
+            sandbox.stub(fraudService, 'getAlerts').returns(mockAlerts);
+
+            const result = await resolvers.Query.fraudAlerts(null, { status: 'pending_review' }, adminContext);
+
+            expect(result).to.equal(mockAlerts);
+            expect(fraudService.getAlerts.calledWith({ decision: undefined, status: 'pending_review' })).to.be.true;
+        });
+
+        it('✅ Should resolve a held transfer as the authenticated admin', async () => {
+            sandbox.stub(transferService, 'approveFraudReview').returns({ id: 1, status: 'approved' });
+            sandbox.stub(transferService, 'rejectFraudReview').returns({ id: 2, status: 'rejected' });
+
+            await resolvers.Mutation.approveFraudReview(null, { alertId: '1' }, adminContext);
+            await resolvers.Mutation.rejectFraudReview(null, { alertId: '2' }, adminContext);
+
+            expect(transferService.approveFraudReview.calledWith(9, '1')).to.be.true;
+            expect(transferService.rejectFraudReview.calledWith(9, '2')).to.be.true;
+        });
+
+        it('❌ Should restrict fraud alerts to admins', async () => {
+            sandbox.stub(transferService, 'approveFraudReview');
+
+            try {
+                await resolvers.Mutation.approveFraudReview(null, { alertId: '1' }, { user: { userId: 1, email: 'admin@email.com' } });
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('Acesso restrito a administradores');
+            }
+            expect(transferService.approveFraudReview.called).to.be.false;
+        });
+    });
+
+    describe('Recurring transfers', () => {
+        it('✅ Should create a recurring transfer for the authenticated user', async () => {
+            const input = { toAccount: '222222', amount: 300, frequency: 'monthly', startDate: new Date('2030-01-05T09:00:00.000Z') };
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(recurringTransferService, 'createRecurringTransfer').returns({ id: 1, status: 'active', ...input });
+
+            const result = await resolvers.Mutation.createRecurringTransfer(null, { input }, mockContext);
+
+            expect(result.status).to.equal('active');
+            expect(recurringTransferService.createRecurringTransfer.calledWith(1, input)).to.be.true;
+        });
+
+        it('✅ Should pass id and changes when updating', async () => {
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(recurringTransferService, 'updateRecurringTransfer').returns({ id: 1, status: 'paused' });
+
+            await resolvers.Mutation.updateRecurringTransfer(null, { id: '1', input: { status: 'paused' } }, mockContext);
+
+            expect(recurringTransferService.updateRecurringTransfer.calledWith(1, '1', { status: 'paused' })).to.be.true;
+        });
+
+        it('✅ Should resolve the execution history of a recurring transfer', () => {
+            const executions = [{ id: 10, status: 'failed', failureReason: 'Saldo insuficiente' }];
+            sandbox.stub(recurringTransferService, 'getExecutions').returns(executions);
+
+            expect(resolvers.RecurringTransfer.executions({ id: 1 })).to.deep.equal(executions);
+            expect(recurringTransferService.getExecutions.calledWith(1)).to.be.true;
+        });
+
+        it('❌ Should throw error when not authenticated', async () => {
+            try {
+                await resolvers.Query.recurringTransfers(null, {}, {});
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.include('autenticado');
+            }
+        });
+    });
+
     describe('Mutation: addFavorite', () => {
         it('✅ Should add a favorite account', async () => {
             const input = {
@@ -499,16 +1066,17 @@ describe('🧪 GraphQL Transfer Controller - Unit Tests', () => {
                 expect(result).to.equal('456');
             });
 
-            it('✅ Should format amount as float', () => {
+            it('✅ Should format amount as Money', () => {
                 const mockTransfer = { amount: '250.50' };
                 const result = resolvers.Transfer.amount(mockTransfer);
-                expect(result).to.equal(250.50);
+                expect(result).to.be.instanceOf(Money);
+                expect(resolvers.Money.serialize(result)).to.equal(250.50);
             });
 
             it('✅ Should handle whole number amounts', () => {
                 const mockTransfer = { amount: '100' };
                 const result = resolvers.Transfer.amount(mockTransfer);
-                expect(result).to.equal(100);
+                expect(result.cents).to.equal(10000);
             });
 
             it('✅ Should return createdAt date', () => {
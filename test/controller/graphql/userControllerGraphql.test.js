@@ -3,7 +3,12 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const userService = require('../../../src/services/userService');
 const authService = require('../../../src/services/authService');
+const balanceHistoryService = require('../../../src/services/balanceHistoryService');
+const analyticsService = require('../../../src/services/analyticsService');
+const cashOperationService = require('../../../src/services/cashOperationService');
+const overdraftService = require('../../../src/services/overdraftService');
 const resolvers = require('../../../src/graphql/resolvers');
+const Money = require('../../../src/models/Money');
 
 describe('🧪 GraphQL User Controller - Unit Tests', () => {
     let sandbox;
@@ -148,6 +153,175 @@ describe('🧪 GraphQL User Controller - Unit Tests', () => {
         });
     });
 
+    describe('Query: ledgerEntries', () => {
+        it('✅ Should return ledger entries of the current user', async () => {
+            const mockEntries = [
+                { id: 1, journalId: 1, account: '111111', type: 'credit', amount: 1000, description: 'Saldo inicial' }
+            ];
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(userService, 'getLedgerEntries').returns(mockEntries);
+
+            const result = await resolvers.Query.ledgerEntries(null, {}, mockContext);
+
+            expect(result).to.deep.equal(mockEntries);
+            expect(userService.getLedgerEntries.calledWith(1)).to.be.true;
+        });
+
+        it('❌ Should throw error when not authenticated', async () => {
+            try {
+                await resolvers.Query.ledgerEntries(null, {}, {});
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.include('autenticado');
+            }
+        });
+    });
+
+    describe('Query: limits', () => {
+        it('✅ Should return daily and monthly limits of the current user', async () => {
+            const mockLimits = {
+                currency: 'BRL',
+                daily: { enabled: true, limit: 20000, used: 500, remaining: 19500 },
+                monthly: { enabled: true, limit: 100000, used: 500, remaining: 99500 }
+            };
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(userService, 'getUserLimits').returns(mockLimits);
+
+            const result = await resolvers.Query.limits(null, {}, mockContext);
+
+            expect(result).to.deep.equal(mockLimits);
+            expect(userService.getUserLimits.calledWith(1)).to.be.true;
+        });
+
+        it('❌ Should throw error when not authenticated', async () => {
+            try {
+                await resolvers.Query.limits(null, {}, {});
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.include('autenticado');
+            }
+        });
+    });
+
+    describe('Query: balanceHistory', () => {
+        it('✅ Should pass the period and the lowercased interval to the service', async () => {
+            const mockHistory = { interval: 'month', points: [{ balance: Money.fromDecimal(900) }] };
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(balanceHistoryService, 'getBalanceHistory').returns(mockHistory);
+
+            const result = await resolvers.Query.balanceHistory(null, { from: '2030-01-01', interval: 'MONTH' }, mockContext);
+
+            expect(result).to.deep.equal(mockHistory);
+            expect(balanceHistoryService.getBalanceHistory.calledWith(1, { from: '2030-01-01', to: undefined, interval: 'month' })).to.be.true;
+        });
+
+        it('❌ Should throw error when not authenticated', async () => {
+            try {
+                await resolvers.Query.balanceHistory(null, {}, {});
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.include('autenticado');
+            }
+        });
+    });
+
+    describe('Query: balanceAt', () => {
+        it('✅ Should return the balance at the given date', async () => {
+            const mockBalance = { account: '123456', balance: Money.fromDecimal(850), currency: 'BRL', formatted: 'R$ 850,00' };
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(balanceHistoryService, 'getBalanceAt').returns(mockBalance);
+
+            const result = await resolvers.Query.balanceAt(null, { date: '2030-01-31' }, mockContext);
+
+            expect(result).to.deep.equal(mockBalance);
+            expect(balanceHistoryService.getBalanceAt.calledWith(1, '2030-01-31')).to.be.true;
+        });
+    });
+
+    describe('Query: analytics', () => {
+        it('✅ Should pass the lowercased period and the date to the service', async () => {
+            const mockAnalytics = { period: 'year', outflow: Money.fromDecimal(380), byCategory: [] };
+            const mockContext = {
+                user: { userId: 1 }
+            };
+
+            sandbox.stub(analyticsService, 'getAnalytics').returns(mockAnalytics);
+
+            const result = await resolvers.Query.analytics(null, { period: 'YEAR', date: '2030-01-15' }, mockContext);
+
+            expect(result).to.deep.equal(mockAnalytics);
+            expect(analyticsService.getAnalytics.calledWith(1, { period: 'year', date: '2030-01-15' })).to.be.true;
+        });
+    });
+
+    describe('Mutation: deposit / withdraw', () => {
+        const mockContext = {
+            user: { userId: 1 }
+        };
+
+        it('✅ Should deposit through the given channel', async () => {
+            const mockOperation = { id: 1, type: 'deposit', channel: 'boleto', amount: Money.fromDecimal(300) };
+            sandbox.stub(cashOperationService, 'deposit').returns(mockOperation);
+
+            const result = await resolvers.Mutation.deposit(null, { input: { amount: Money.fromDecimal(300), channel: 'boleto' } }, mockContext);
+
+            expect(result).to.deep.equal(mockOperation);
+            expect(cashOperationService.deposit.firstCall.args[0]).to.equal(1);
+            expect(cashOperationService.deposit.firstCall.args[1]).to.include({ channel: 'boleto' });
+        });
+
+        it('❌ Should propagate withdrawal errors', async () => {
+            sandbox.stub(cashOperationService, 'withdraw').throws(new Error('Saldo insuficiente'));
+
+            try {
+                await resolvers.Mutation.withdraw(null, { input: { amount: Money.fromDecimal(5000), channel: 'atm' } }, mockContext);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('Saldo insuficiente');
+            }
+        });
+    });
+
+    describe('Overdraft: overdraft / setOverdraftLimit', () => {
+        const mockContext = {
+            user: { userId: 1 }
+        };
+
+        it('✅ Should return the overdraft of the authenticated user', async () => {
+            const mockOverdraft = { limit: Money.fromDecimal(2000), used: Money.zero(), monthlyInterestRate: 0.08 };
+            sandbox.stub(overdraftService, 'getOverdraft').returns(mockOverdraft);
+
+            const result = await resolvers.Query.overdraft(null, {}, mockContext);
+
+            expect(result).to.equal(mockOverdraft);
+            expect(overdraftService.getOverdraft.calledWith(1)).to.be.true;
+        });
+
+        it('❌ Should propagate limit errors', async () => {
+            sandbox.stub(overdraftService, 'setLimit').throws(new Error('Limite do cheque especial deve ser entre R$ 0,00 e R$ 2.000,00'));
+
+            try {
+                await resolvers.Mutation.setOverdraftLimit(null, { limit: Money.fromDecimal(5000) }, mockContext);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('Limite do cheque especial deve ser entre R$ 0,00 e R$ 2.000,00');
+                expect(overdraftService.setLimit.firstCall.args[0]).to.equal(1);
+            }
+        });
+    });
+
     describe('Mutation: register', () => {
         it('✅ Should register new user and return auth payload', async () => {
             const input = {
@@ -231,6 +405,15 @@ describe('🧪 GraphQL User Controller - Unit Tests', () => {
         });
     });
 
+    describe('Query: accountProducts', () => {
+        it('✅ Should list products without authentication', async () => {
+            const result = await resolvers.Query.accountProducts(null, {}, {});
+
+            expect(result.map(product => product.id)).to.deep.equal(['basic', 'premium']);
+            expect(result[1].initialBalance.toDecimal()).to.equal(5000);
+        });
+    });
+
     describe('Mutation: login', () => {
         it('✅ Should login user with valid credentials', async () => {
             const input = {
@@ -314,16 +497,23 @@ describe('🧪 GraphQL User Controller - Unit Tests', () => {
                 expect(result).to.equal('123');
             });
 
-            it('✅ Should format balance as float', () => {
+            it('✅ Should format balance as Money', () => {
                 const mockUser = { balance: '1000' };
                 const result = resolvers.User.balance(mockUser);
-                expect(result).to.equal(1000);
+                expect(result).to.be.instanceOf(Money);
+                expect(result.cents).to.equal(100000);
             });
 
             it('✅ Should handle decimal balance', () => {
                 const mockUser = { balance: '1234.56' };
                 const result = resolvers.User.balance(mockUser);
-                expect(result).to.equal(1234.56);
+                expect(result.cents).to.equal(123456);
+                expect(resolvers.Money.serialize(result)).to.equal(1234.56);
+            });
+
+            it('✅ Should return the account product, defaulting for older users', () => {
+                expect(resolvers.User.product({ product: 'premium' })).to.equal('premium');
+                expect(resolvers.User.product({ product: null })).to.equal('basic');
             });
 
             it('✅ Should return createdAt date', () => {
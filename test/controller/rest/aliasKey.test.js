@@ -0,0 +1,162 @@
+// test/controller/rest/aliasKey.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const {
+   createAliasKey,
+   lookupKey,
+   createTransfer,
+   authenticatedGet,
+   authenticatedDelete,
+   testUnauthorized
+} = require('../../helpers/requestHelper');
+
+describe('Chaves de transferência', () => {
+   let owner;
+   let payer;
+   let ownerToken;
+   let payerToken;
+
+   beforeEach(async () => {
+      clearDatabase();
+      [owner, payer] = await createMultipleTestUsers(2);
+      ownerToken = createTestToken(owner.id, owner.email, owner.account);
+      payerToken = createTestToken(payer.id, payer.email, payer.account);
+   });
+
+   afterEach(() => {
+      sinon.restore();
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   describe('POST /keys', () => {
+      it('Cadastrar chave de e-mail recebo code 201', async () => {
+         const response = await createAliasKey(ownerToken, { type: 'email', value: 'Dono@Email.com' });
+
+         expect(response.status).to.equal(201);
+         expect(response.body.message).to.equal('Chave cadastrada com sucesso');
+         expect(response.body.data).to.include({ type: 'email', value: 'dono@email.com', account: owner.account });
+      });
+
+      it('E-mail de acesso de outra conta como chave recebo code 409', async () => {
+         const response = await createAliasKey(payerToken, { type: 'email', value: owner.email });
+
+         expect(response.status).to.equal(409);
+         expect(response.body.error).to.equal('Chave já cadastrada como e-mail de acesso de outra conta');
+      });
+
+      it('Chave já cadastrada por outra conta recebo code 409', async () => {
+         await createAliasKey(ownerToken, { type: 'phone', value: '+5511987654321' });
+
+         const response = await createAliasKey(payerToken, { type: 'phone', value: '+55 11 98765-4321' });
+
+         expect(response.status).to.equal(409);
+         expect(response.body.error).to.equal('Chave já cadastrada');
+      });
+
+      it('CPF com dígito verificador errado recebo code 400', async () => {
+         const response = await createAliasKey(ownerToken, { type: 'cpf', value: '529.982.247-26' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.error).to.equal('CPF inválido');
+      });
+
+      it('Chave aleatória com valor informado recebo code 400', async () => {
+         const response = await createAliasKey(ownerToken, { type: 'random', value: 'minha-chave' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('Chave aleatória é gerada automaticamente; não informe o valor');
+      });
+
+      it('Sem token recebo code 401', async () => {
+         const response = await testUnauthorized('post', '/keys', { type: 'random' });
+
+         expect(response.status).to.equal(401);
+      });
+   });
+
+   describe('GET /keys e DELETE /keys/:id', () => {
+      it('Lista e remove as chaves do usuário', async () => {
+         const key = (await createAliasKey(ownerToken, { type: 'random' })).body.data;
+         await createAliasKey(payerToken, { type: 'random' });
+
+         const list = await authenticatedGet('/keys', ownerToken);
+         expect(list.status).to.equal(200);
+         expect(list.body.data.map(item => item.id)).to.deep.equal([key.id]);
+
+         const removed = await authenticatedDelete(`/keys/${key.id}`, ownerToken);
+         expect(removed.status).to.equal(200);
+         expect(removed.body.message).to.equal('Chave removida com sucesso');
+         expect((await authenticatedGet('/keys', ownerToken)).body.data).to.have.length(0);
+      });
+
+      it('Remover chave de outro usuário recebo code 404', async () => {
+         const key = (await createAliasKey(ownerToken, { type: 'random' })).body.data;
+
+         const response = await authenticatedDelete(`/keys/${key.id}`, payerToken);
+
+         expect(response.status).to.equal(404);
+         expect(response.body.error).to.equal('Chave não encontrada');
+      });
+   });
+
+   describe('GET /keys/lookup', () => {
+      it('Retorna o nome mascarado do titular', async () => {
+         await createAliasKey(ownerToken, { type: 'cpf', value: '52998224725' });
+
+         const response = await lookupKey(payerToken, '529.982.247-25');
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('Chave encontrada');
+         expect(response.body.data).to.deep.equal({
+            type: 'cpf',
+            key: '***.982.247-**',
+            ownerName: 'Usuário 1',
+            account: owner.account
+         });
+      });
+
+      it('Chave inexistente recebo code 404', async () => {
+         const response = await lookupKey(payerToken, 'ninguem@email.com');
+
+         expect(response.status).to.equal(404);
+      });
+
+      it('Formato desconhecido recebo code 400', async () => {
+         const response = await lookupKey(payerToken, 'abc');
+
+         expect(response.status).to.equal(400);
+         expect(response.body.error).to.equal('Formato de chave não reconhecido');
+      });
+   });
+
+   describe('POST /transfers com toKey', () => {
+      it('Transferência para chave recebo code 201 com a conta do titular', async () => {
+         await createAliasKey(ownerToken, { type: 'email', value: 'dono@email.com' });
+
+         const response = await createTransfer(payerToken, { toKey: 'dono@email.com', amount: 30 });
+
+         expect(response.status).to.equal(201);
+         expect(response.body.data).to.include({ fromAccount: payer.account, toAccount: owner.account, amount: 30 });
+      });
+
+      it('Chave inexistente recebo code 404', async () => {
+         const response = await createTransfer(payerToken, { toKey: 'ninguem@email.com', amount: 30 });
+
+         expect(response.status).to.equal(404);
+         expect(response.body.error).to.equal('Chave não encontrada');
+      });
+
+      it('Conta e chave ao mesmo tempo recebo code 400', async () => {
+         const response = await createTransfer(payerToken, { toAccount: owner.account, toKey: 'dono@email.com', amount: 30 });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('Informe a conta ou a chave de destino, não ambas');
+      });
+   });
+});
@@ -0,0 +1,130 @@
+// test/controller/rest/cashOperation.test.js
+const { expect } = require('chai');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createTestUser, clearDatabase } = require('../../helpers/dataHelper');
+const {
+   createDeposit,
+   createWithdrawal,
+   getUserBalance,
+   authenticatedGet,
+   testUnauthorized
+} = require('../../helpers/requestHelper');
+
+describe('Depósitos e saques', () => {
+   let user;
+   let token;
+
+   beforeEach(async () => {
+      clearDatabase();
+      user = await createTestUser();
+      token = createTestToken(user.id, user.email, user.account);
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   describe('POST /accounts/deposits', () => {
+      it('Depositar por boleto recebo code 201 e o saldo aumenta', async () => {
+         const response = await createDeposit(token, { amount: 300, channel: 'boleto', description: 'Salário' });
+
+         expect(response.status).to.equal(201);
+         expect(response.body.message).to.equal('Depósito realizado com sucesso');
+         expect(response.body.data).to.include({ type: 'deposit', channel: 'boleto', amount: 300, description: 'Salário' });
+         expect((await getUserBalance(token)).body.data.balance).to.equal(1300);
+      });
+
+      it('Canal inválido recebo code 400', async () => {
+         const response = await createDeposit(token, { amount: 300, channel: 'pix' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('Canal deve ser um de: branch, atm, boleto, external_bank');
+      });
+
+      it('Acima do limite diário recebo code 403', async () => {
+         const response = await createDeposit(token, { amount: 50000.01, channel: 'external_bank' });
+
+         expect(response.status).to.equal(403);
+         expect(response.body.error).to.equal('Limite diário de depósitos excedido (disponível: R$ 50.000,00)');
+      });
+
+      it('Retentativa com a mesma Idempotency-Key não deposita de novo', async () => {
+         const first = await createDeposit(token, { amount: 100, channel: 'branch' }).set('Idempotency-Key', 'dep-1');
+         const retry = await createDeposit(token, { amount: 100, channel: 'branch' }).set('Idempotency-Key', 'dep-1');
+
+         expect(retry.headers['idempotent-replayed']).to.equal('true');
+         expect(retry.body).to.deep.equal(first.body);
+         expect((await getUserBalance(token)).body.data.balance).to.equal(1100);
+      });
+
+      it('Sem token recebo code 401', async () => {
+         const response = await testUnauthorized('post', '/accounts/deposits', { amount: 10, channel: 'branch' });
+
+         expect(response.status).to.equal(401);
+      });
+   });
+
+   describe('POST /accounts/withdrawals', () => {
+      it('Sacar no caixa eletrônico recebo code 201 e o saldo diminui', async () => {
+         const response = await createWithdrawal(token, { amount: 200, channel: 'atm' });
+
+         expect(response.status).to.equal(201);
+         expect(response.body.message).to.equal('Saque realizado com sucesso');
+         expect(response.body.data).to.include({ type: 'withdrawal', channel: 'atm', description: 'Saque - caixa eletrônico' });
+         expect((await getUserBalance(token)).body.data.balance).to.equal(800);
+      });
+
+      it('Sacar por boleto recebo code 400', async () => {
+         const response = await createWithdrawal(token, { amount: 200, channel: 'boleto' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('Canal deve ser um de: branch, atm, external_bank');
+      });
+
+      it('Saldo insuficiente recebo code 400', async () => {
+         const response = await createWithdrawal(token, { amount: 1500, channel: 'branch' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.error).to.equal('Saldo insuficiente');
+      });
+
+      it('Acima do limite por saque no caixa eletrônico recebo code 403', async () => {
+         await createDeposit(token, { amount: 1000, channel: 'branch' });
+
+         const response = await createWithdrawal(token, { amount: 1500, channel: 'atm' });
+
+         expect(response.status).to.equal(403);
+         expect(response.body.error).to.equal('Limite por saque no caixa eletrônico é de R$ 1.000,00');
+      });
+   });
+
+   describe('GET /accounts/operations e /accounts/limits', () => {
+      it('Listar operações e limites recebo code 200', async () => {
+         await createDeposit(token, { amount: 100, channel: 'branch' });
+         const withdrawal = (await createWithdrawal(token, { amount: 40, channel: 'external_bank' })).body.data;
+
+         const operations = await authenticatedGet('/accounts/operations?type=withdrawal', token);
+         const detail = await authenticatedGet(`/accounts/operations/${withdrawal.id}`, token);
+         const limits = await authenticatedGet('/accounts/limits', token);
+
+         expect(operations.status).to.equal(200);
+         expect(operations.body.data.map(operation => operation.id)).to.deep.equal([withdrawal.id]);
+         expect(detail.body.data).to.include({ id: withdrawal.id, amount: 40 });
+         expect(limits.status).to.equal(200);
+         expect(limits.body.data.deposit).to.include({ limit: 50000, used: 100, remaining: 49900 });
+         expect(limits.body.data.withdrawal).to.include({ limit: 5000, used: 40, remaining: 4960 });
+      });
+
+      it('Operação de outro usuário recebo code 404', async () => {
+         const other = await createTestUser();
+         const otherToken = createTestToken(other.id, other.email, other.account);
+         const deposit = (await createDeposit(token, { amount: 100, channel: 'branch' })).body.data;
+
+         const response = await authenticatedGet(`/accounts/operations/${deposit.id}`, otherToken);
+
+         expect(response.status).to.equal(404);
+         expect(response.body.error).to.equal('Operação não encontrada');
+      });
+   });
+});
@@ -0,0 +1,189 @@
+// test/controller/rest/fraudAlerts.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../../src/config/environment');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createTestUser, createUserWithBalance, createAdminUser, clearDatabase } = require('../../helpers/dataHelper');
+const { DAY } = require('../../helpers/clockHelper');
+const {
+   createTransfer,
+   getFraudAlerts,
+   approveFraudAlert,
+   rejectFraudAlert,
+   getUserBalance,
+   registerUser,
+   testUnauthorized
+} = require('../../helpers/requestHelper');
+
+describe('Análise de fraude', () => {
+   let sender;
+   let known;
+   let stranger;
+   let token;
+   let admin;
+   let adminToken;
+   let clock;
+
+   // 14h em São Paulo; o destinatário conhecido tem conta antiga e o novo acabou de abrir a dele
+   beforeEach(async () => {
+      clock = sinon.useFakeTimers({ now: new Date('2030-01-10T17:00:00.000Z'), toFake: ['Date'] });
+      clearDatabase();
+      sinon.replace(config.fraud, 'enabled', true);
+      admin = await createAdminUser();
+      sender = await createUserWithBalance(10000);
+      known = await createTestUser();
+      clock.tick(2 * DAY);
+      stranger = await createTestUser();
+      token = createTestToken(sender.id, sender.email, sender.account);
+      adminToken = createTestToken(admin.id, admin.email, admin.account);
+
+      for (let i = 0; i < 3; i++) {
+         await createTransfer(token, { toAccount: known.account, amount: 100 });
+      }
+   });
+
+   afterEach(() => {
+      clock.restore();
+      sinon.restore();
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   // Valor 6x a média para uma conta recém-aberta
+   const holdForReview = () => createTransfer(token, { toAccount: stranger.account, amount: 600 });
+
+   describe('POST /transfers', () => {
+      it('Transferência suspeita recebo code 201 com a transferência retida para análise', async () => {
+         const response = await holdForReview();
+         const balance = await getUserBalance(token);
+
+         expect(response.status).to.equal(201);
+         expect(response.body.message).to.equal('Transferência retida para análise de segurança');
+         expect(response.body.data).to.include({ status: 'under_review', amount: 600 });
+         expect(response.body.data).to.not.have.property('reasons');
+         expect(balance.body.data).to.include({ balance: 9100, reconciled: true });
+      });
+
+      it('Transferência bloqueada recebo code 403 com o código do bloqueio', async () => {
+         await createTransfer(token, { toAccount: known.account, amount: 100 });
+         await createTransfer(token, { toAccount: known.account, amount: 100 });
+
+         const response = await holdForReview();
+
+         expect(response.status).to.equal(403);
+         expect(response.body).to.deep.equal({
+            error: 'Transferência bloqueada pela análise de risco',
+            code: 'FRAUD_BLOCKED'
+         });
+      });
+   });
+
+   describe('GET /admin/fraud/alerts', () => {
+      it('Administrador lista os alertas com o código do motivo', async () => {
+         await holdForReview();
+
+         const response = await getFraudAlerts(adminToken, { status: 'pending_review' });
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('Alertas recuperados com sucesso');
+         expect(response.body.data).to.have.lengthOf(1);
+         expect(response.body.data[0]).to.include({
+            userId: sender.id,
+            toAccount: stranger.account,
+            amount: 600,
+            score: 65,
+            decision: 'review',
+            reasonCode: 'NEW_RECIPIENT_SPIKE'
+         });
+      });
+
+      it('Filtro inválido recebo code 400', async () => {
+         const response = await getFraudAlerts(adminToken, { decision: 'maybe' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.error).to.equal('Decisão inválida. Use uma de: allow, review, block');
+      });
+
+      it('Cliente recebo code 403', async () => {
+         const response = await getFraudAlerts(token);
+
+         expect(response.status).to.equal(403);
+         expect(response.body.error).to.equal('Acesso restrito a administradores');
+      });
+
+      it('Token de cliente com o e-mail do administrador recebo code 403', async () => {
+         const response = await getFraudAlerts(createTestToken(sender.id, admin.email, sender.account));
+
+         expect(response.status).to.equal(403);
+      });
+
+      it('Cadastro não concede acesso de administrador', async () => {
+         const duplicate = await registerUser({ email: admin.email });
+         const withFlag = await registerUser({ isAdmin: true });
+
+         expect(duplicate.status).to.equal(409);
+         expect(withFlag.status).to.equal(400);
+      });
+
+      it('Sem token recebo code 401', async () => {
+         const response = await testUnauthorized('get', '/admin/fraud/alerts');
+
+         expect(response.status).to.equal(401);
+      });
+   });
+
+   describe('POST /admin/fraud/alerts/:id/approve e /reject', () => {
+      let alertId;
+
+      beforeEach(async () => {
+         await holdForReview();
+         const alerts = await getFraudAlerts(adminToken);
+         alertId = alerts.body.data[0].id;
+      });
+
+      it('Aprovação recebo code 200 e o destinatário recebe o valor', async () => {
+         const response = await approveFraudAlert(adminToken, alertId);
+         const balance = await getUserBalance(createTestToken(stranger.id, stranger.email, stranger.account));
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('Transferência aprovada com sucesso');
+         expect(response.body.data).to.include({ status: 'approved' });
+         expect(balance.body.data).to.include({ balance: 1600, reconciled: true });
+      });
+
+      it('Rejeição recebo code 200 e o valor volta ao remetente', async () => {
+         const response = await rejectFraudAlert(adminToken, alertId);
+         const balance = await getUserBalance(token);
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('Transferência rejeitada; o valor foi devolvido ao remetente');
+         expect(response.body.data).to.include({ status: 'rejected' });
+         expect(balance.body.data).to.include({ balance: 9700, reconciled: true });
+      });
+
+      it('Alerta já resolvido recebo code 409', async () => {
+         await rejectFraudAlert(adminToken, alertId);
+
+         const response = await approveFraudAlert(adminToken, alertId);
+
+         expect(response.status).to.equal(409);
+         expect(response.body.error).to.equal('Somente alertas pendentes de análise podem ser resolvidos');
+      });
+
+      it('Alerta inexistente recebo code 404', async () => {
+         const response = await approveFraudAlert(adminToken, 999);
+
+         expect(response.status).to.equal(404);
+         expect(response.body.error).to.equal('Alerta não encontrado');
+      });
+
+      it('Cliente recebo code 403', async () => {
+         const response = await rejectFraudAlert(token, alertId);
+
+         expect(response.status).to.equal(403);
+      });
+   });
+});
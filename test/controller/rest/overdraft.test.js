@@ -0,0 +1,104 @@
+// test/controller/rest/overdraft.test.js
+const { expect } = require('chai');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createTestUser, clearDatabase } = require('../../helpers/dataHelper');
+const {
+   createTransfer,
+   createWithdrawal,
+   updateOverdraftLimit,
+   getUserBalance,
+   authenticatedGet,
+   testUnauthorized
+} = require('../../helpers/requestHelper');
+
+describe('Cheque especial', () => {
+   let premium;
+   let basic;
+   let token;
+
+   beforeEach(async () => {
+      clearDatabase();
+      premium = await createTestUser({ product: 'premium' });
+      basic = await createTestUser();
+      token = createTestToken(premium.id, premium.email, premium.account);
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   describe('GET /users/balance', () => {
+      it('Saldo mostra limite, crédito disponível e saldo disponível', async () => {
+         await createTransfer(token, { toAccount: basic.account, amount: 5500 });
+
+         const response = await getUserBalance(token);
+
+         expect(response.status).to.equal(200);
+         expect(response.body.data).to.include({
+            balance: -500,
+            formatted: '-R$ 500,00',
+            reconciled: true,
+            overdraftLimit: 2000,
+            availableCredit: 1500,
+            availableBalance: 1500
+         });
+      });
+   });
+
+   describe('GET /accounts/overdraft', () => {
+      it('Consultar cheque especial recebo code 200', async () => {
+         const response = await authenticatedGet('/accounts/overdraft', token);
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('Cheque especial recuperado com sucesso');
+         expect(response.body.data).to.include({ limit: 2000, maxLimit: 2000, used: 0, availableBalance: 7000, monthlyInterestRate: 0.08 });
+      });
+
+      it('Sem token recebo code 401', async () => {
+         const response = await testUnauthorized('get', '/accounts/overdraft');
+
+         expect(response.status).to.equal(401);
+      });
+   });
+
+   describe('PUT /accounts/overdraft', () => {
+      it('Reduzir o limite recebo code 200 e saídas acima do disponível são recusadas', async () => {
+         const response = await updateOverdraftLimit(token, 300);
+         await createTransfer(token, { toAccount: basic.account, amount: 5000 });
+         const transfer = await createTransfer(token, { toAccount: basic.account, amount: 300.01 });
+         const withdrawal = await createWithdrawal(token, { amount: 300.01, channel: 'branch' });
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('Limite do cheque especial atualizado com sucesso');
+         expect(response.body.data).to.include({ limit: 300, availableCredit: 300 });
+         expect(transfer.status).to.equal(400);
+         expect(transfer.body.error).to.equal('Saldo insuficiente');
+         expect(withdrawal.status).to.equal(400);
+         expect(withdrawal.body.error).to.equal('Saldo insuficiente');
+      });
+
+      it('Limite acima do concedido pelo produto recebo code 400', async () => {
+         const response = await updateOverdraftLimit(token, 2000.01);
+
+         expect(response.status).to.equal(400);
+         expect(response.body.error).to.equal('Limite do cheque especial deve ser entre R$ 0,00 e R$ 2.000,00');
+      });
+
+      it('Limite negativo recebo code 400', async () => {
+         const response = await updateOverdraftLimit(token, -1);
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('Limite não pode ser negativo');
+      });
+   });
+
+   describe('GET /accounts/overdraft/interest', () => {
+      it('Sem juros lançados recebo lista vazia', async () => {
+         const response = await authenticatedGet('/accounts/overdraft/interest', token);
+
+         expect(response.status).to.equal(200);
+         expect(response.body.data).to.deep.equal([]);
+      });
+   });
+});
@@ -0,0 +1,169 @@
+// test/controller/rest/paymentCode.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const {
+   createPaymentCode,
+   decodePaymentCode,
+   createTransfer,
+   getUserBalance,
+   testUnauthorized
+} = require('../../helpers/requestHelper');
+
+// Lê o corpo da resposta como Buffer (imagens SVG e PNG)
+const binaryParser = (res, callback) => {
+   const chunks = [];
+   res.on('data', chunk => chunks.push(chunk));
+   res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('QR Codes de pagamento', () => {
+   let receiver;
+   let payer;
+   let receiverToken;
+   let payerToken;
+
+   beforeEach(async () => {
+      clearDatabase();
+      [receiver, payer] = await createMultipleTestUsers(2);
+      receiverToken = createTestToken(receiver.id, receiver.email, receiver.account);
+      payerToken = createTestToken(payer.id, payer.email, payer.account);
+   });
+
+   afterEach(() => {
+      sinon.restore();
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   describe('POST /transfers/qrcode', () => {
+      it('Gerar QR Code estático recebo code 201 com o payload', async () => {
+         const response = await createPaymentCode(receiverToken, { amount: 25.9, description: 'Pedido 123' });
+
+         expect(response.status).to.equal(201);
+         expect(response.body.message).to.equal('QR Code gerado com sucesso');
+         expect(response.body.data).to.include({ type: 'static', account: receiver.account, amount: 25.9, txid: null });
+         expect(response.body.data.payload).to.match(/^000201010211/).and.include('br.com.pgats');
+      });
+
+      it('Gerar QR Code em SVG e PNG recebo a imagem', async () => {
+         const svg = await createPaymentCode(receiverToken, {}, { format: 'svg' })
+            .buffer(true)
+            .parse(binaryParser);
+         const png = await createPaymentCode(receiverToken, {}, { format: 'png' })
+            .buffer(true)
+            .parse(binaryParser);
+
+         expect(svg.status).to.equal(201);
+         expect(svg.headers['content-type']).to.include('image/svg+xml');
+         expect(svg.body.toString()).to.match(/^<svg/);
+         expect(png.status).to.equal(201);
+         expect(png.headers['content-type']).to.equal('image/png');
+         expect(png.body.subarray(1, 4).toString('ascii')).to.equal('PNG');
+      });
+
+      it('Formato inválido recebo code 400', async () => {
+         const response = await createPaymentCode(receiverToken, {}, { format: 'gif' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.error).to.equal('Formato inválido. Use um de: json, svg, png');
+      });
+
+      it('QR Code dinâmico sem valor recebo code 400', async () => {
+         const response = await createPaymentCode(receiverToken, { type: 'dynamic' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('QR Code dinâmico exige valor');
+      });
+
+      it('Chave que não é do usuário recebo code 404', async () => {
+         const response = await createPaymentCode(receiverToken, { key: 'ninguem@email.com' });
+
+         expect(response.status).to.equal(404);
+         expect(response.body.error).to.equal('Chave não encontrada');
+      });
+
+      it('Sem token recebo code 401', async () => {
+         const response = await testUnauthorized('post', '/transfers/qrcode', { amount: 10 });
+
+         expect(response.status).to.equal(401);
+      });
+   });
+
+   describe('POST /transfers/qrcode/decode', () => {
+      it('Ler QR Code recebo code 200 com a transferência pré-preenchida', async () => {
+         const { payload } = (await createPaymentCode(receiverToken, { amount: 12 })).body.data;
+
+         const response = await decodePaymentCode(payerToken, payload);
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('QR Code lido com sucesso');
+         expect(response.body.data).to.include({ type: 'static', account: receiver.account, recipientName: 'Usuário 1', amount: 12 });
+         expect(response.body.data.transfer).to.deep.equal({ qrCode: payload, amount: 12, description: null });
+      });
+
+      it('Payload adulterado recebo code 400', async () => {
+         const { payload } = (await createPaymentCode(receiverToken, { amount: 12 })).body.data;
+
+         const response = await decodePaymentCode(payerToken, payload.replace('12.00', '99.00'));
+
+         expect(response.status).to.equal(400);
+         expect(response.body.error).to.equal('QR Code inválido: CRC não confere');
+      });
+
+      it('Sem payload recebo code 400', async () => {
+         const response = await decodePaymentCode(payerToken, '');
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('Payload do QR Code é obrigatório');
+      });
+   });
+
+   describe('POST /transfers com qrCode', () => {
+      it('Pagar QR Code sem valor fixo recebo code 201', async () => {
+         const { payload } = (await createPaymentCode(receiverToken, { description: 'Gorjeta' })).body.data;
+
+         const response = await createTransfer(payerToken, { qrCode: payload, amount: 7.5 });
+
+         expect(response.status).to.equal(201);
+         expect(response.body.data).to.include({ toAccount: receiver.account, amount: 7.5, description: 'Gorjeta' });
+      });
+
+      it('Pagar QR Code dinâmico duas vezes recebo code 409', async () => {
+         const { payload } = (await createPaymentCode(receiverToken, { type: 'dynamic', amount: 30 })).body.data;
+
+         const first = await createTransfer(payerToken, { qrCode: payload });
+         const second = await createTransfer(payerToken, { qrCode: payload });
+         const decoded = await decodePaymentCode(payerToken, payload);
+
+         expect(first.status).to.equal(201);
+         expect(first.body.data.amount).to.equal(30);
+         expect(second.status).to.equal(409);
+         expect(second.body.error).to.equal('QR Code já foi pago');
+         expect(decoded.status).to.equal(409);
+         expect((await getUserBalance(payerToken)).body.data.balance).to.equal(970);
+      });
+
+      it('Valor diferente do QR Code recebo code 400', async () => {
+         const { payload } = (await createPaymentCode(receiverToken, { amount: 30 })).body.data;
+
+         const response = await createTransfer(payerToken, { qrCode: payload, amount: 31 });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.error).to.equal('Valor diferente do definido no QR Code');
+      });
+
+      it('QR Code junto com conta de destino recebo code 400', async () => {
+         const { payload } = (await createPaymentCode(receiverToken, { amount: 30 })).body.data;
+
+         const response = await createTransfer(payerToken, { qrCode: payload, toAccount: receiver.account });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('QR Code já define o destino; não informe conta ou chave');
+      });
+   });
+});
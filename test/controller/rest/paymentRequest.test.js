@@ -0,0 +1,141 @@
+// test/controller/rest/paymentRequest.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fraudService = require('../../../src/services/fraudService');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const {
+   createPaymentRequest,
+   authenticatedPost,
+   authenticatedGet,
+   getUserBalance,
+   testUnauthorized
+} = require('../../helpers/requestHelper');
+
+describe('Solicitações de pagamento', () => {
+   let requester;
+   let payer;
+   let requesterToken;
+   let payerToken;
+
+   beforeEach(async () => {
+      clearDatabase();
+      [requester, payer] = await createMultipleTestUsers(2);
+      requesterToken = createTestToken(requester.id, requester.email, requester.account);
+      payerToken = createTestToken(payer.id, payer.email, payer.account);
+   });
+
+   afterEach(() => {
+      sinon.restore();
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   const requestDinner = (amount = 85.9) => createPaymentRequest(requesterToken, {
+      payerAccount: payer.account,
+      amount,
+      description: 'Divisão do jantar'
+   });
+
+   it('Criar solicitação recebo code 201 e status pending', async () => {
+      const response = await requestDinner();
+
+      expect(response.status).to.equal(201);
+      expect(response.body.message).to.equal('Solicitação de pagamento criada com sucesso');
+      expect(response.body.data).to.include({ payerAccount: payer.account, amount: 85.9, status: 'pending' });
+      expect(response.body.data).to.have.property('expiresAt');
+   });
+
+   it('Pagador vê a solicitação em incoming e o solicitante em outgoing', async () => {
+      const created = await requestDinner();
+
+      const incoming = await authenticatedGet('/payment-requests/incoming', payerToken);
+      const outgoing = await authenticatedGet('/payment-requests/outgoing', requesterToken);
+
+      expect(incoming.status).to.equal(200);
+      expect(incoming.body.data.map(item => item.id)).to.deep.equal([created.body.data.id]);
+      expect(outgoing.status).to.equal(200);
+      expect(outgoing.body.data.map(item => item.id)).to.deep.equal([created.body.data.id]);
+   });
+
+   it('Aceitar recebo code 200 e a transferência para o solicitante', async () => {
+      const created = await requestDinner();
+
+      const response = await authenticatedPost(`/payment-requests/${created.body.data.id}/accept`, {}, payerToken);
+      const balance = await getUserBalance(payerToken);
+
+      expect(response.status).to.equal(200);
+      expect(response.body.message).to.equal('Solicitação de pagamento paga com sucesso');
+      expect(response.body.data.status).to.equal('accepted');
+      expect(response.body.data.transfer).to.include({ fromAccount: payer.account, toAccount: requester.account, amount: 85.9 });
+      expect(balance.body.data.balance).to.equal(914.1);
+   });
+
+   it('Aceitar sem saldo recebo code 400 e a solicitação continua pendente', async () => {
+      const created = await requestDinner(1500);
+
+      const response = await authenticatedPost(`/payment-requests/${created.body.data.id}/accept`, {}, payerToken);
+      const incoming = await authenticatedGet('/payment-requests/incoming', payerToken);
+
+      expect(response.status).to.equal(400);
+      expect(response.body.code).to.equal('INSUFFICIENT_BALANCE');
+      expect(incoming.body.data[0].status).to.equal('pending');
+   });
+
+   it('Aceitar com pagamento bloqueado pela análise de risco recebo code 403 e o alerta fica registrado', async () => {
+      const reasons = [{ code: 'VELOCITY', points: 90, message: '5 transferências nos últimos 10 minutos' }];
+      sinon.stub(fraudService, 'assess').returns({ score: 90, decision: 'block', reasons });
+      const created = await requestDinner();
+
+      const response = await authenticatedPost(`/payment-requests/${created.body.data.id}/accept`, {}, payerToken);
+      const incoming = await authenticatedGet('/payment-requests/incoming', payerToken);
+      const alerts = fraudService.getAlerts();
+
+      expect(response.status).to.equal(403);
+      expect(response.body.code).to.equal('FRAUD_BLOCKED');
+      expect(incoming.body.data[0].status).to.equal('pending');
+      expect(alerts).to.have.length(1);
+      expect(alerts[0]).to.include({ userId: payer.id, toAccount: requester.account, decision: 'block', status: 'blocked' });
+   });
+
+   it('Recusar recebo code 200 e responder de novo recebo code 409', async () => {
+      const created = await requestDinner();
+      const id = created.body.data.id;
+
+      const declined = await authenticatedPost(`/payment-requests/${id}/decline`, {}, payerToken);
+      const accepted = await authenticatedPost(`/payment-requests/${id}/accept`, {}, payerToken);
+
+      expect(declined.status).to.equal(200);
+      expect(declined.body.data.status).to.equal('declined');
+      expect(accepted.status).to.equal(409);
+      expect(accepted.body.error).to.equal('Somente solicitações pendentes podem ser aceitas');
+   });
+
+   it('Solicitante tentando aceitar a própria solicitação recebo code 404', async () => {
+      const created = await requestDinner();
+
+      const response = await authenticatedPost(`/payment-requests/${created.body.data.id}/accept`, {}, requesterToken);
+
+      expect(response.status).to.equal(404);
+      expect(response.body.error).to.equal('Solicitação de pagamento não encontrada');
+   });
+
+   it('Pagador inexistente recebo code 404 e dados inválidos code 400', async () => {
+      const missing = await createPaymentRequest(requesterToken, { payerAccount: '999999', amount: 10 });
+      const invalid = await createPaymentRequest(requesterToken, { payerAccount: payer.account, amount: -5 });
+
+      expect(missing.status).to.equal(404);
+      expect(missing.body.error).to.equal('Conta do pagador não encontrada');
+      expect(invalid.status).to.equal(400);
+      expect(invalid.body.details).to.include('Valor deve ser maior que zero');
+   });
+
+   it('Sem token recebo code 401', async () => {
+      const response = await testUnauthorized('get', '/payment-requests/incoming');
+
+      expect(response.status).to.equal(401);
+   });
+});
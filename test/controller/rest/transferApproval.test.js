@@ -0,0 +1,104 @@
+// test/controller/rest/transferApproval.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createTestUser, createUserWithBalance, clearDatabase } = require('../../helpers/dataHelper');
+const { createTransfer, authenticatedPost, authenticatedGet, getUserBalance } = require('../../helpers/requestHelper');
+
+describe('Transferências pendentes de aprovação', () => {
+   let sender;
+   let recipient;
+   let token;
+
+   beforeEach(async () => {
+      clearDatabase();
+      sender = await createUserWithBalance(10000);
+      recipient = await createTestUser();
+      token = createTestToken(sender.id, sender.email, sender.account);
+   });
+
+   afterEach(() => {
+      sinon.restore();
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   const requestHighValue = () => createTransfer(token, { toAccount: recipient.account, amount: 6000, requestApproval: true });
+
+   it('Transferência acima de 5k com requestApproval recebo code 201 e status pending_approval', async () => {
+      const response = await requestHighValue();
+      const balance = await getUserBalance(token);
+
+      expect(response.status).to.equal(201);
+      expect(response.body.message).to.equal('Transferência aguardando confirmação');
+      expect(response.body.data.status).to.equal('pending_approval');
+      expect(response.body.data).to.have.property('expiresAt');
+      expect(balance.body.data.balance).to.equal(4000);
+   });
+
+   it('Confirmar com a senha recebo code 200 e status completed', async () => {
+      const pending = await requestHighValue();
+
+      const response = await authenticatedPost(`/transfers/${pending.body.data.id}/confirm`, { password: 'senha123' }, token);
+
+      expect(response.status).to.equal(200);
+      expect(response.body.message).to.equal('Transferência confirmada com sucesso');
+      expect(response.body.data.status).to.equal('completed');
+   });
+
+   it('Confirmar com senha errada recebo code 403', async () => {
+      const pending = await requestHighValue();
+
+      const response = await authenticatedPost(`/transfers/${pending.body.data.id}/confirm`, { password: 'errada' }, token);
+
+      expect(response.status).to.equal(403);
+      expect(response.body.error).to.equal('Senha inválida');
+   });
+
+   it('Confirmar sem senha recebo code 400', async () => {
+      const pending = await requestHighValue();
+
+      const response = await authenticatedPost(`/transfers/${pending.body.data.id}/confirm`, {}, token);
+
+      expect(response.status).to.equal(400);
+      expect(response.body.details).to.include('Senha é obrigatória');
+   });
+
+   it('Cancelar e depois confirmar recebo code 409', async () => {
+      const pending = await requestHighValue();
+
+      const cancelled = await authenticatedPost(`/transfers/${pending.body.data.id}/cancel`, {}, token);
+      const response = await authenticatedPost(`/transfers/${pending.body.data.id}/confirm`, { password: 'senha123' }, token);
+
+      expect(cancelled.status).to.equal(200);
+      expect(cancelled.body.data.status).to.equal('cancelled');
+      expect(response.status).to.equal(409);
+      expect(response.body.error).to.equal('Somente transferências pendentes de aprovação podem ser confirmadas');
+   });
+
+   it('Destinatário tentando confirmar recebo code 404', async () => {
+      const pending = await requestHighValue();
+      const recipientToken = createTestToken(recipient.id, recipient.email, recipient.account);
+
+      const response = await authenticatedPost(`/transfers/${pending.body.data.id}/confirm`, { password: 'senha123' }, recipientToken);
+
+      expect(response.status).to.equal(404);
+   });
+
+   it('Filtrar GET /transfers por status', async () => {
+      await requestHighValue();
+      await createTransfer(token, { toAccount: recipient.account, amount: 10 });
+
+      const pending = await authenticatedGet('/transfers?status=pending_approval', token);
+      const invalid = await authenticatedGet('/transfers?status=unknown', token);
+
+      expect(pending.status).to.equal(200);
+      expect(pending.body.data).to.have.length(1);
+      expect(pending.body.data[0].status).to.equal('pending_approval');
+      expect(invalid.status).to.equal(400);
+      expect(invalid.body.error).to.include('Status inválido');
+   });
+});
@@ -0,0 +1,117 @@
+// test/controller/rest/transferBatch.test.js
+const { expect } = require('chai');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const { createTransferBatch, authenticatedGet, getUserBalance, testUnauthorized } = require('../../helpers/requestHelper');
+
+describe('Transferências em lote', () => {
+   let sender;
+   let first;
+   let second;
+   let token;
+
+   beforeEach(async () => {
+      clearDatabase();
+      [sender, first, second] = await createMultipleTestUsers(3);
+      token = createTestToken(sender.id, sender.email, sender.account);
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   const payroll = () => [
+      { toAccount: first.account, amount: 400, description: 'Salário' },
+      { toAccount: second.account, amount: 700, description: 'Salário' }
+   ];
+
+   it('Lote válido recebo code 201 com o resultado de cada item', async () => {
+      const response = await createTransferBatch(token, {
+         transfers: [{ toAccount: first.account, amount: 100 }, { toAccount: second.account, amount: 200 }]
+      });
+
+      expect(response.status).to.equal(201);
+      expect(response.body.message).to.equal('Lote processado com sucesso');
+      expect(response.body.data).to.include({ mode: 'all_or_nothing', status: 'completed', succeeded: 2 });
+      expect(response.body.data.items[1].transfer).to.include({ toAccount: second.account, amount: 200, status: 'completed' });
+   });
+
+   it('all_or_nothing com item sem saldo recebo code 201, status failed e nada transferido', async () => {
+      const response = await createTransferBatch(token, { mode: 'all_or_nothing', transfers: payroll() });
+      const balance = await getUserBalance(token);
+
+      expect(response.status).to.equal(201);
+      expect(response.body.message).to.equal('Nenhuma transferência do lote foi realizada');
+      expect(response.body.data.items).to.deep.equal([
+         { index: 0, status: 'rolled_back' },
+         { index: 1, status: 'failed', error: 'Saldo insuficiente', code: 'INSUFFICIENT_BALANCE' }
+      ]);
+      expect(balance.body.data.balance).to.equal(1000);
+   });
+
+   it('best_effort com item sem saldo recebo code 201 e status partially_completed', async () => {
+      const response = await createTransferBatch(token, { mode: 'best_effort', transfers: payroll() });
+
+      expect(response.status).to.equal(201);
+      expect(response.body.message).to.equal('Lote processado parcialmente');
+      expect(response.body.data.items.map(item => item.status)).to.deep.equal(['completed', 'failed']);
+   });
+
+   it('Consultar o lote depois recebo code 200 com os itens', async () => {
+      const created = await createTransferBatch(token, { mode: 'best_effort', transfers: payroll() });
+
+      const response = await authenticatedGet(`/transfers/batch/${created.body.data.id}`, token);
+
+      expect(response.status).to.equal(200);
+      expect(response.body.message).to.equal('Lote recuperado com sucesso');
+      expect(response.body.data.items[0].transfer.id).to.equal(created.body.data.items[0].transferId);
+   });
+
+   it('Consultar lote de outro usuário recebo code 404', async () => {
+      const created = await createTransferBatch(token, { transfers: [{ toAccount: first.account, amount: 10 }] });
+      const otherToken = createTestToken(first.id, first.email, first.account);
+
+      const response = await authenticatedGet(`/transfers/batch/${created.body.data.id}`, otherToken);
+
+      expect(response.status).to.equal(404);
+      expect(response.body.error).to.equal('Lote não encontrado');
+   });
+
+   it('Item fora do transferSchema recebo code 400', async () => {
+      const response = await createTransferBatch(token, {
+         transfers: [{ toAccount: first.account, amount: 10 }, { toAccount: '12', amount: 10 }]
+      });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.details).to.include('Conta deve ter exatamente 6 dígitos');
+   });
+
+   it('Item agendado ou com requestApproval recebo code 400', async () => {
+      const response = await createTransferBatch(token, {
+         transfers: [
+            { toAccount: first.account, amount: 10, scheduledFor: new Date(Date.now() + 60 * 60 * 1000).toISOString() },
+            { toAccount: first.account, amount: 10, requestApproval: true }
+         ]
+      });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.details).to.include('Itens do lote não aceitam scheduledFor nem requestApproval');
+   });
+
+   it('Lote vazio ou modo inválido recebo code 400', async () => {
+      const empty = await createTransferBatch(token, { transfers: [] });
+      const mode = await createTransferBatch(token, { mode: 'parcial', transfers: payroll() });
+
+      expect(empty.status).to.equal(400);
+      expect(empty.body.details).to.include('Lote deve ter ao menos uma transferência');
+      expect(mode.status).to.equal(400);
+      expect(mode.body.details).to.include('Modo deve ser all_or_nothing ou best_effort');
+   });
+
+   it('Sem token recebo code 401', async () => {
+      const response = await testUnauthorized('post', '/transfers/batch');
+
+      expect(response.status).to.equal(401);
+   });
+});
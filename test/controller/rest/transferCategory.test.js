@@ -0,0 +1,132 @@
+// test/controller/rest/transferCategory.test.js
+const { expect } = require('chai');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const {
+   createTransfer,
+   createCategoryRule,
+   categorizeTransfer,
+   getTransferCategory,
+   getAnalytics,
+   authenticatedGet,
+   authenticatedDelete,
+   testUnauthorized
+} = require('../../helpers/requestHelper');
+
+describe('Categorias e análise de gastos', () => {
+   let payer;
+   let store;
+   let other;
+   let payerToken;
+   let otherToken;
+
+   beforeEach(async () => {
+      clearDatabase();
+      [payer, store, other] = await createMultipleTestUsers(3);
+      payerToken = createTestToken(payer.id, payer.email, payer.account);
+      otherToken = createTestToken(other.id, other.email, other.account);
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   const pay = async (amount, description) =>
+      (await createTransfer(payerToken, { toAccount: store.account, amount, description })).body.data;
+
+   describe('/categories/rules', () => {
+      it('Criar e listar regras recebo code 201 e 200', async () => {
+         const created = await createCategoryRule(payerToken, { category: 'Mercado', descriptionContains: 'supermercado' });
+         const list = await authenticatedGet('/categories/rules', payerToken);
+
+         expect(created.status).to.equal(201);
+         expect(created.body.message).to.equal('Regra criada com sucesso');
+         expect(created.body.data).to.include({ category: 'Mercado', descriptionContains: 'supermercado', counterparty: null });
+         expect(list.status).to.equal(200);
+         expect(list.body.data).to.have.length(1);
+      });
+
+      it('Regra sem condição recebo code 400', async () => {
+         const response = await createCategoryRule(payerToken, { category: 'Mercado' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('Informe o trecho da descrição e/ou a conta da contraparte');
+      });
+
+      it('Remover regra de outro usuário recebo code 404', async () => {
+         const rule = (await createCategoryRule(payerToken, { category: 'Mercado', counterparty: store.account })).body.data;
+
+         const response = await authenticatedDelete(`/categories/rules/${rule.id}`, otherToken);
+
+         expect(response.status).to.equal(404);
+         expect(response.body.error).to.equal('Regra não encontrada');
+      });
+   });
+
+   describe('/transfers/:id/category', () => {
+      it('Transferência recebe a categoria da regra e a categoria manual prevalece', async () => {
+         await createCategoryRule(payerToken, { category: 'Mercado', counterparty: store.account });
+         const transfer = await pay(40, 'Compras');
+
+         const suggested = await getTransferCategory(payerToken, transfer.id);
+         const manual = await categorizeTransfer(payerToken, transfer.id, { category: 'Casa', tags: ['Reforma'] });
+
+         expect(suggested.status).to.equal(200);
+         expect(suggested.body.data).to.include({ category: 'Mercado', source: 'rule' });
+         expect(manual.status).to.equal(200);
+         expect(manual.body.message).to.equal('Transferência categorizada com sucesso');
+         expect(manual.body.data).to.deep.include({ category: 'Casa', tags: ['reforma'], source: 'manual' });
+      });
+
+      it('Categorizar transferência de outros recebo code 404', async () => {
+         const transfer = await pay(40, 'Compras');
+
+         const response = await categorizeTransfer(otherToken, transfer.id, { category: 'Casa' });
+
+         expect(response.status).to.equal(404);
+         expect(response.body.error).to.equal('Transferência não encontrada');
+      });
+
+      it('Categoria ausente recebo code 400', async () => {
+         const transfer = await pay(40, 'Compras');
+
+         const response = await categorizeTransfer(payerToken, transfer.id, { tags: ['casa'] });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('Categoria é obrigatória');
+      });
+   });
+
+   describe('GET /users/analytics', () => {
+      it('Consultar análise do mês recebo code 200 com gastos por categoria', async () => {
+         await createCategoryRule(payerToken, { category: 'Mercado', descriptionContains: 'mercado' });
+         await pay(60, 'Mercado');
+         await pay(40, 'Farmácia');
+
+         const response = await getAnalytics(payerToken, { period: 'month' });
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('Análise de gastos recuperada com sucesso');
+         expect(response.body.data).to.include({ period: 'month', outflow: 100, inflow: 0, net: -100 });
+         expect(response.body.data.byCategory).to.deep.equal([
+            { category: 'Mercado', total: 60, count: 1, share: 60, previousTotal: 0, change: null },
+            { category: 'Sem categoria', total: 40, count: 1, share: 40, previousTotal: 0, change: null }
+         ]);
+         expect(response.body.data.topCounterparties[0]).to.include({ account: store.account, total: 100, count: 2 });
+      });
+
+      it('Período inválido recebo code 400', async () => {
+         const response = await getAnalytics(payerToken, { period: 'week' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.error).to.equal('Período inválido. Use um de: month, year');
+      });
+
+      it('Sem token recebo code 401', async () => {
+         const response = await testUnauthorized('get', '/users/analytics');
+
+         expect(response.status).to.equal(401);
+      });
+   });
+});
@@ -187,6 +187,24 @@ describe('Transfer Controller', () => {
             expect(response.body.error).to.equal('Transferências acima de R$ 5.000,00 só podem ser realizadas para usuários favorecidos');
       });
 
+      it('Violação de regra traz o código e a lista de violações', async () => { 
+            const richUser = await createRichUser();
+            const normalUser = await createTestUser();
+
+            const token = createTestToken(richUser.id, richUser.email, richUser.account)
+
+            const response = await createTransfer(token, { toAccount: normalUser.account, amount: 5001 });
+
+            expect(response.status).to.equal(403);
+            expect(response.body.code).to.equal('HIGH_AMOUNT_NON_FAVORITE');
+            expect(response.body.violations).to.deep.equal([{
+                rule: 'highAmountNonFavorite',
+                code: 'HIGH_AMOUNT_NON_FAVORITE',
+                message: 'Transferências acima de R$ 5.000,00 só podem ser realizadas para usuários favorecidos',
+                approvable: true
+            }]);
+      });
+
       it('Conta nao encontrada', async () => { 
             const normalUser = await createTestUser();
             const token = createTestToken(normalUser.id, normalUser.email, normalUser.account)
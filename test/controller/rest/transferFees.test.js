@@ -0,0 +1,115 @@
+// test/controller/rest/transferFees.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../../src/config/environment');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createTestUser, clearDatabase } = require('../../helpers/dataHelper');
+const {
+   createTransfer,
+   quoteTransfer,
+   addFavorite,
+   getUserBalance,
+   testUnauthorized
+} = require('../../helpers/requestHelper');
+
+describe('Tarifas de transferência', () => {
+   let sender;
+   let recipient;
+   let token;
+
+   beforeEach(async () => {
+      clearDatabase();
+      sender = await createTestUser();
+      recipient = await createTestUser();
+      token = createTestToken(sender.id, sender.email, sender.account);
+      sinon.replace(config, 'accountProducts', {
+         default: 'basic',
+         catalog: {
+            basic: {
+               name: 'Conta Básica',
+               initialBalance: 1000,
+               fees: { transfer: { type: 'percentage', rate: 0.01, min: 1, max: 10, freePerMonth: 1, waivedForFavorites: true } }
+            }
+         }
+      });
+   });
+
+   afterEach(() => {
+      sinon.restore();
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   describe('POST /transfers/quote', () => {
+      it('Cotação com franquia disponível recebo code 200 e tarifa isenta', async () => {
+         const response = await quoteTransfer(token, { toAccount: recipient.account, amount: 250 });
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('Tarifa calculada com sucesso');
+         expect(response.body.data).to.include({
+            toAccount: recipient.account,
+            amount: 250,
+            fee: 0,
+            total: 250,
+            feeWaiver: 'free_quota',
+            fullFee: 2.5,
+            feeType: 'percentage'
+         });
+         expect(response.body.data.freeQuota).to.include({ limit: 1, used: 0, remaining: 1 });
+      });
+
+      it('Depois da franquia, a cotação traz a tarifa e o total', async () => {
+         await createTransfer(token, { toAccount: recipient.account, amount: 10 });
+
+         const response = await quoteTransfer(token, { toAccount: recipient.account, amount: 250 });
+
+         expect(response.status).to.equal(200);
+         expect(response.body.data).to.include({ fee: 2.5, total: 252.5, feeWaiver: null });
+         expect(response.body.data.freeQuota).to.include({ used: 1, remaining: 0 });
+      });
+
+      it('Favorecido é isento sem consumir a franquia', async () => {
+         await addFavorite(token, recipient.account);
+
+         const response = await quoteTransfer(token, { toAccount: recipient.account, amount: 250 });
+
+         expect(response.body.data).to.include({ fee: 0, feeWaiver: 'favorite' });
+         expect(response.body.data.freeQuota).to.include({ remaining: 1 });
+      });
+
+      it('Conta inexistente recebo code 404', async () => {
+         const response = await quoteTransfer(token, { toAccount: '000000', amount: 250 });
+
+         expect(response.status).to.equal(404);
+         expect(response.body.error).to.equal('Conta de destino não encontrada');
+      });
+
+      it('Valor inválido recebo code 400', async () => {
+         const response = await quoteTransfer(token, { toAccount: recipient.account, amount: 0 });
+
+         expect(response.status).to.equal(400);
+      });
+
+      it('Sem token recebo code 401', async () => {
+         const response = await testUnauthorized('post', '/transfers/quote', { toAccount: recipient.account, amount: 250 });
+
+         expect(response.status).to.equal(401);
+      });
+   });
+
+   describe('POST /transfers', () => {
+      it('Transferência mostra a tarifa e debita valor mais tarifa', async () => {
+         await createTransfer(token, { toAccount: recipient.account, amount: 10 });
+
+         const response = await createTransfer(token, { toAccount: recipient.account, amount: 500 });
+         const balance = await getUserBalance(token);
+
+         expect(response.status).to.equal(201);
+         expect(response.body.data).to.include({ amount: 500, fee: 5, feeWaiver: null });
+         expect(balance.body.data).to.include({ balance: 485, reconciled: true });
+      });
+   });
+});
@@ -0,0 +1,65 @@
+// test/controller/rest/transferHistory.test.js
+const { expect } = require('chai');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const { createTransfer, getTransfers } = require('../../helpers/requestHelper');
+
+describe('Histórico de transferências com filtros e paginação', () => {
+   let user;
+   let friend;
+   let token;
+
+   beforeEach(async () => {
+      clearDatabase();
+      [user, friend] = await createMultipleTestUsers(2);
+      token = createTestToken(user.id, user.email, user.account);
+      const friendToken = createTestToken(friend.id, friend.email, friend.account);
+
+      await createTransfer(token, { toAccount: friend.account, amount: 100, description: 'Aluguel' });
+      await createTransfer(friendToken, { toAccount: user.account, amount: 30, description: 'Pizza' });
+      await createTransfer(token, { toAccount: friend.account, amount: 250, description: 'Mercado' });
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   it('Sem parâmetros recebo code 200, as mais recentes primeiro e pageInfo', async () => {
+      const response = await getTransfers(token);
+
+      expect(response.status).to.equal(200);
+      expect(response.body.data.map(transfer => transfer.description)).to.deep.equal(['Mercado', 'Pizza', 'Aluguel']);
+      expect(response.body.pageInfo).to.include({ totalCount: 3, hasNextPage: false, hasPreviousPage: false });
+   });
+
+   it('Filtrar por direção e valor mínimo recebo somente as enviadas acima do valor', async () => {
+      const response = await getTransfers(token, { direction: 'sent', minAmount: 150 });
+
+      expect(response.status).to.equal(200);
+      expect(response.body.data.map(transfer => transfer.description)).to.deep.equal(['Mercado']);
+   });
+
+   it('Paginar com limit e cursor percorre todas as transferências', async () => {
+      const first = await getTransfers(token, { sort: 'amount', limit: 2 });
+      const second = await getTransfers(token, { sort: 'amount', limit: 2, cursor: first.body.pageInfo.endCursor });
+
+      expect(first.body.data.map(transfer => transfer.amount)).to.deep.equal([30, 100]);
+      expect(first.body.pageInfo.hasNextPage).to.be.true;
+      expect(second.body.data.map(transfer => transfer.amount)).to.deep.equal([250]);
+      expect(second.body.pageInfo.hasNextPage).to.be.false;
+   });
+
+   it('Parâmetros inválidos recebo code 400', async () => {
+      const direction = await getTransfers(token, { direction: 'both' });
+      const limit = await getTransfers(token, { limit: 0 });
+      const cursor = await getTransfers(token, { cursor: 'invalido' });
+
+      expect(direction.status).to.equal(400);
+      expect(direction.body.error).to.equal('Direção inválida. Use um de: sent, received');
+      expect(limit.status).to.equal(400);
+      expect(limit.body.error).to.equal('Limite deve ser um número inteiro entre 1 e 100');
+      expect(cursor.status).to.equal(400);
+      expect(cursor.body.error).to.equal('Cursor inválido para esta ordenação');
+   });
+});
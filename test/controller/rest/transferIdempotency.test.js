@@ -0,0 +1,88 @@
+// test/controller/rest/transferIdempotency.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const { authenticatedPost, getTransfers, getUserBalance } = require('../../helpers/requestHelper');
+
+describe('POST /transfers com Idempotency-Key', () => {
+   let sender;
+   let recipient;
+   let token;
+
+   beforeEach(async () => {
+      clearDatabase();
+      [sender, recipient] = await createMultipleTestUsers(2);
+      token = createTestToken(sender.id, sender.email, sender.account);
+   });
+
+   afterEach(() => {
+      sinon.restore();
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   const postTransfer = (key, data = {}) => {
+      const request = authenticatedPost('/transfers', { toAccount: recipient.account, amount: 150, ...data }, token);
+      return key === undefined ? request : request.set('Idempotency-Key', key);
+   };
+
+   it('Retentativa com a mesma chave repete a resposta sem transferir de novo', async () => {
+      const first = await postTransfer('pagamento-001');
+      const retry = await postTransfer('pagamento-001');
+
+      expect(first.status).to.equal(201);
+      expect(retry.status).to.equal(201);
+      expect(retry.body).to.deep.equal(first.body);
+      expect(retry.headers).to.have.property('idempotent-replayed', 'true');
+
+      const transfers = await getTransfers(token);
+      const balance = await getUserBalance(token);
+      expect(transfers.body.data).to.have.length(1);
+      expect(balance.body.data.balance).to.equal(850);
+   });
+
+   it('Chaves diferentes geram transferências diferentes', async () => {
+      const first = await postTransfer('pagamento-001');
+      const second = await postTransfer('pagamento-002');
+
+      expect(second.status).to.equal(201);
+      expect(second.body.data.id).to.not.equal(first.body.data.id);
+   });
+
+   it('Reutilizar a chave com outro payload recebo code 422', async () => {
+      await postTransfer('pagamento-001');
+      const response = await postTransfer('pagamento-001', { amount: 200 });
+
+      expect(response.status).to.equal(422);
+      expect(response.body.error).to.equal('Idempotency-Key já utilizada com outra requisição');
+   });
+
+   it('Erro de negócio também é repetido na retentativa', async () => {
+      const first = await postTransfer('pagamento-003', { amount: 2000 });
+      const retry = await postTransfer('pagamento-003', { amount: 2000 });
+
+      expect(first.status).to.equal(400);
+      expect(first.body.error).to.equal('Saldo insuficiente');
+      expect(retry.status).to.equal(400);
+      expect(retry.body).to.deep.equal(first.body);
+   });
+
+   it('Chave acima de 255 caracteres recebo code 400', async () => {
+      const response = await postTransfer('x'.repeat(256));
+
+      expect(response.status).to.equal(400);
+      expect(response.body.error).to.include('Idempotency-Key');
+   });
+
+   it('Sem a chave cada requisição cria uma transferência', async () => {
+      await postTransfer();
+      await postTransfer();
+
+      const transfers = await getTransfers(token);
+      expect(transfers.body.data).to.have.length(2);
+   });
+});
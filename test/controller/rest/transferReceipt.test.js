@@ -0,0 +1,168 @@
+// test/controller/rest/transferReceipt.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const { createTransfer, getTransferReceipt, verifyReceipt, testUnauthorized } = require('../../helpers/requestHelper');
+
+describe('Comprovantes de transferência', () => {
+   let sender;
+   let recipient;
+   let outsider;
+   let senderToken;
+   let transfer;
+
+   beforeEach(async () => {
+      clearDatabase();
+      [sender, recipient, outsider] = await createMultipleTestUsers(3);
+      senderToken = createTestToken(sender.id, sender.email, sender.account);
+      transfer = (await createTransfer(senderToken, { toAccount: recipient.account, amount: 150.75, description: 'Conserto' })).body.data;
+   });
+
+   afterEach(() => {
+      sinon.restore();
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   describe('GET /transfers/:id/receipt', () => {
+      it('Remetente recebe comprovante com código de autenticação', async () => {
+         const response = await getTransferReceipt(senderToken, transfer.id);
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('Comprovante gerado com sucesso');
+         expect(response.body.data).to.include({ transferId: transfer.id, amount: 150.75, currency: 'BRL', description: 'Conserto' });
+         expect(response.body.data.payer).to.deep.equal({ name: sender.name, account: sender.account });
+         expect(response.body.data.payee).to.deep.equal({ name: recipient.name, account: recipient.account });
+         expect(response.body.data.authenticationCode).to.match(/^([0-9A-F]{8}-){7}[0-9A-F]{8}$/);
+      });
+
+      it('Destinatário recebe o mesmo código de autenticação', async () => {
+         const recipientToken = createTestToken(recipient.id, recipient.email, recipient.account);
+
+         const fromSender = await getTransferReceipt(senderToken, transfer.id);
+         const fromRecipient = await getTransferReceipt(recipientToken, transfer.id);
+
+         expect(fromRecipient.status).to.equal(200);
+         expect(fromRecipient.body.data.authenticationCode).to.equal(fromSender.body.data.authenticationCode);
+      });
+
+      it('format=html retorna comprovante imprimível com os dados escapados', async () => {
+         const evil = (await createTransfer(senderToken, { toAccount: recipient.account, amount: 10, description: '<script>x</script>' })).body.data;
+
+         const response = await getTransferReceipt(senderToken, evil.id, { format: 'html' });
+
+         expect(response.status).to.equal(200);
+         expect(response.headers['content-type']).to.equal('text/html; charset=utf-8');
+         expect(response.text).to.include('Comprovante de transferência');
+         expect(response.text).to.include('&lt;script&gt;x&lt;/script&gt;');
+         expect(response.text).to.not.include('<script>');
+      });
+
+      it('format=pdf retorna PDF para download', async () => {
+         const response = await getTransferReceipt(senderToken, transfer.id, { format: 'pdf' }).buffer(true).parse((res, callback) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+         });
+
+         expect(response.status).to.equal(200);
+         expect(response.headers['content-type']).to.equal('application/pdf');
+         expect(response.headers['content-disposition']).to.equal(`attachment; filename="comprovante-${transfer.id}.pdf"`);
+         expect(response.body.subarray(0, 5).toString('latin1')).to.equal('%PDF-');
+      });
+
+      it('Usuário que não participou da transferência recebo code 404', async () => {
+         const token = createTestToken(outsider.id, outsider.email, outsider.account);
+
+         const response = await getTransferReceipt(token, transfer.id);
+
+         expect(response.status).to.equal(404);
+         expect(response.body.error).to.equal('Transferência não encontrada');
+      });
+
+      it('Transferência agendada recebo code 409', async () => {
+         const scheduledFor = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+         const scheduled = (await createTransfer(senderToken, { toAccount: recipient.account, amount: 10, scheduledFor })).body.data;
+
+         const response = await getTransferReceipt(senderToken, scheduled.id);
+
+         expect(response.status).to.equal(409);
+         expect(response.body.error).to.equal('Comprovante disponível apenas para transferências concluídas');
+      });
+
+      it('Formato desconhecido recebo code 400', async () => {
+         const response = await getTransferReceipt(senderToken, transfer.id, { format: 'png' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.error).to.equal('Formato inválido. Use um de: json, html, pdf');
+      });
+
+      it('Sem token recebo code 401', async () => {
+         const response = await testUnauthorized('get', `/transfers/${transfer.id}/receipt`);
+
+         expect(response.status).to.equal(401);
+      });
+   });
+
+   describe('POST /receipts/verify', () => {
+      let receipt;
+
+      beforeEach(async () => {
+         receipt = (await getTransferReceipt(senderToken, transfer.id)).body.data;
+      });
+
+      it('Comprovante emitido é autêntico sem login', async () => {
+         const response = await verifyReceipt(receipt);
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('Comprovante autêntico');
+         expect(response.body.data).to.deep.equal({
+            valid: true,
+            message: 'Comprovante autêntico',
+            transferId: transfer.id,
+            transferStatus: 'completed'
+         });
+      });
+
+      it('Código sem separadores e em minúsculas também é aceito', async () => {
+         const code = receipt.authenticationCode.replace(/-/g, '').toLowerCase();
+
+         const response = await verifyReceipt({ ...receipt, authenticationCode: code });
+
+         expect(response.body.data.valid).to.equal(true);
+      });
+
+      it('Comprovante com valor alterado não é autêntico', async () => {
+         const response = await verifyReceipt({ ...receipt, amount: 1150.75 });
+
+         expect(response.status).to.equal(200);
+         expect(response.body.data).to.deep.equal({
+            valid: false,
+            message: 'Código de autenticação não confere com os dados do comprovante'
+         });
+      });
+
+      it('Comprovante com recebedor alterado não é autêntico', async () => {
+         const payee = { name: outsider.name, account: outsider.account };
+
+         const response = await verifyReceipt({ ...receipt, payee });
+
+         expect(response.body.data.valid).to.equal(false);
+      });
+
+      it('Comprovante sem código de autenticação recebo code 400', async () => {
+         const incomplete = { ...receipt };
+         delete incomplete.authenticationCode;
+
+         const response = await verifyReceipt(incomplete);
+
+         expect(response.status).to.equal(400);
+         expect(response.body.error).to.equal('Dados inválidos');
+         expect(response.body.details).to.include('Código de autenticação é obrigatório');
+      });
+   });
+});
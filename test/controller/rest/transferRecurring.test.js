@@ -0,0 +1,151 @@
+// test/controller/rest/transferRecurring.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const {
+   authenticatedPost,
+   authenticatedGet,
+   authenticatedPut,
+   authenticatedDelete,
+   testUnauthorized
+} = require('../../helpers/requestHelper');
+const transferService = require('../../../src/services/transferService');
+const recurringTransferService = require('../../../src/services/recurringTransferService');
+const { TransferScheduler } = require('../../../src/services/transferScheduler');
+const { createFakeClock, DAY } = require('../../helpers/clockHelper');
+
+describe('Transferências recorrentes', () => {
+   let sender;
+   let recipient;
+   let token;
+
+   beforeEach(async () => {
+      clearDatabase();
+      [sender, recipient] = await createMultipleTestUsers(2);
+      token = createTestToken(sender.id, sender.email, sender.account);
+   });
+
+   afterEach(() => {
+      sinon.restore();
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   const createRecurring = (data = {}) => authenticatedPost('/transfers/recurring', {
+      toAccount: recipient.account,
+      amount: 300,
+      description: 'Aluguel',
+      frequency: 'monthly',
+      startDate: new Date(Date.now() + DAY).toISOString(),
+      ...data
+   }, token);
+
+   describe('POST /transfers/recurring', () => {
+      it('Criar ordem mensal recebo code 201', async () => {
+         const response = await createRecurring({ maxOccurrences: 12 });
+
+         expect(response.status).to.equal(201);
+         expect(response.body.message).to.equal('Transferência recorrente criada com sucesso');
+         expect(response.body.data).to.include({ status: 'active', frequency: 'monthly', amount: 300, occurrences: 0, maxOccurrences: 12 });
+         expect(response.body.data.nextRunAt).to.equal(response.body.data.startDate);
+      });
+
+      it('Frequência inválida recebo code 400', async () => {
+         const response = await createRecurring({ frequency: 'yearly' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('Frequência deve ser daily, weekly ou monthly');
+      });
+
+      it('Conta de destino inexistente recebo code 404', async () => {
+         const response = await createRecurring({ toAccount: '999999' });
+
+         expect(response.status).to.equal(404);
+         expect(response.body.error).to.equal('Conta de destino não encontrada');
+      });
+
+      it('Sem token recebo code 401', async () => {
+         const response = await testUnauthorized('post', '/transfers/recurring', { toAccount: recipient.account });
+
+         expect(response.status).to.equal(401);
+      });
+   });
+
+   describe('GET /transfers/recurring', () => {
+      it('Listar ordens do usuário recebo code 200', async () => {
+         await createRecurring();
+
+         const response = await authenticatedGet('/transfers/recurring', token);
+
+         expect(response.status).to.equal(200);
+         expect(response.body.data).to.have.length(1);
+      });
+
+      it('Detalhar ordem traz o histórico de execuções com falhas', async () => {
+         const clock = createFakeClock(new Date(Date.now() + 2 * DAY));
+         sinon.replace(transferService, 'clock', clock);
+         const created = await createRecurring({ amount: 2000 });
+         new TransferScheduler({ clock }).runDueTransfers();
+
+         const response = await authenticatedGet(`/transfers/recurring/${created.body.data.id}`, token);
+
+         expect(response.status).to.equal(200);
+         expect(response.body.data.occurrences).to.equal(1);
+         expect(response.body.data.executions).to.have.length(1);
+         expect(response.body.data.executions[0]).to.include({
+            status: 'failed',
+            failureReason: 'Saldo insuficiente',
+            recurringTransferId: created.body.data.id
+         });
+      });
+
+      it('Ordem de outro usuário recebo code 404', async () => {
+         const created = await createRecurring();
+         const otherToken = createTestToken(recipient.id, recipient.email, recipient.account);
+
+         const response = await authenticatedGet(`/transfers/recurring/${created.body.data.id}`, otherToken);
+
+         expect(response.status).to.equal(404);
+         expect(response.body.error).to.equal('Transferência recorrente não encontrada');
+      });
+   });
+
+   describe('PUT /transfers/recurring/:id', () => {
+      it('Pausar e alterar o valor recebo code 200', async () => {
+         const created = await createRecurring();
+
+         const response = await authenticatedPut(`/transfers/recurring/${created.body.data.id}`, { amount: 350, status: 'paused' }, token);
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('Transferência recorrente atualizada com sucesso');
+         expect(response.body.data).to.include({ amount: 350, status: 'paused' });
+      });
+
+      it('Sem campos para alterar recebo code 400', async () => {
+         const created = await createRecurring();
+
+         const response = await authenticatedPut(`/transfers/recurring/${created.body.data.id}`, {}, token);
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('Informe ao menos um campo para alterar');
+      });
+   });
+
+   describe('DELETE /transfers/recurring/:id', () => {
+      it('Cancelar ordem recebo code 200 e cancelar de novo recebo code 409', async () => {
+         const created = await createRecurring();
+
+         const first = await authenticatedDelete(`/transfers/recurring/${created.body.data.id}`, token);
+         const second = await authenticatedDelete(`/transfers/recurring/${created.body.data.id}`, token);
+
+         expect(first.status).to.equal(200);
+         expect(first.body.data.status).to.equal('cancelled');
+         expect(second.status).to.equal(409);
+         expect(recurringTransferService.getRecurringTransfers(sender.id)[0].status).to.equal('cancelled');
+      });
+   });
+});
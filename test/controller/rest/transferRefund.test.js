@@ -0,0 +1,86 @@
+// test/controller/rest/transferRefund.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const { createTransfer, authenticatedPost, getTransfers, testUnauthorized } = require('../../helpers/requestHelper');
+
+describe('POST /transfers/:id/refund', () => {
+   let sender;
+   let recipient;
+   let senderToken;
+   let recipientToken;
+   let original;
+
+   beforeEach(async () => {
+      clearDatabase();
+      [sender, recipient] = await createMultipleTestUsers(2);
+      senderToken = createTestToken(sender.id, sender.email, sender.account);
+      recipientToken = createTestToken(recipient.id, recipient.email, recipient.account);
+      original = (await createTransfer(senderToken, { toAccount: recipient.account, amount: 100 })).body.data;
+   });
+
+   afterEach(() => {
+      sinon.restore();
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   const refund = (data = {}, token = recipientToken, id = original.id) =>
+      authenticatedPost(`/transfers/${id}/refund`, data, token);
+
+   it('Estorno parcial recebo code 201 e a original fica partially_refunded', async () => {
+      const response = await refund({ amount: 40, description: 'Devolução' });
+      const transfers = await getTransfers(senderToken);
+      const updated = transfers.body.data.find(transfer => transfer.id === original.id);
+
+      expect(response.status).to.equal(201);
+      expect(response.body.message).to.equal('Estorno realizado com sucesso');
+      expect(response.body.data).to.include({
+         fromAccount: recipient.account,
+         toAccount: sender.account,
+         amount: 40,
+         description: 'Devolução',
+         refundOf: original.id
+      });
+      expect(updated).to.include({ status: 'partially_refunded', refundedAmount: 40 });
+   });
+
+   it('Estorno acima do valor original recebo code 400', async () => {
+      const response = await refund({ amount: 100.01 });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.error).to.include('Valor do estorno excede o valor disponível para estorno');
+   });
+
+   it('Estornar transferência já estornada recebo code 409', async () => {
+      await refund();
+      const response = await refund();
+
+      expect(response.status).to.equal(409);
+      expect(response.body.error).to.equal('Somente transferências concluídas podem ser estornadas');
+   });
+
+   it('Remetente tentando estornar recebo code 404', async () => {
+      const response = await refund({}, senderToken);
+
+      expect(response.status).to.equal(404);
+      expect(response.body.error).to.equal('Transferência não encontrada');
+   });
+
+   it('Valor com mais de 2 casas decimais recebo code 400', async () => {
+      const response = await refund({ amount: 10.001 });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.details).to.include('Valor deve ter no máximo 2 casas decimais');
+   });
+
+   it('Sem token recebo code 401', async () => {
+      const response = await testUnauthorized('post', `/transfers/${original.id}/refund`);
+
+      expect(response.status).to.equal(401);
+   });
+});
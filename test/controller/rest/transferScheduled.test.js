@@ -0,0 +1,123 @@
+// test/controller/rest/transferScheduled.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { createTestToken } = require('../../helpers/authHelper');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const {
+   createTransfer,
+   getScheduledTransfers,
+   cancelScheduledTransfer,
+   getUserBalance,
+   testUnauthorized
+} = require('../../helpers/requestHelper');
+const { DAY } = require('../../helpers/clockHelper');
+
+describe('Transferências agendadas', () => {
+   let sender;
+   let recipient;
+   let token;
+
+   beforeEach(async () => {
+      clearDatabase();
+      [sender, recipient] = await createMultipleTestUsers(2);
+      token = createTestToken(sender.id, sender.email, sender.account);
+   });
+
+   afterEach(() => {
+      sinon.restore();
+   });
+
+   after(() => {
+      clearDatabase();
+   });
+
+   const tomorrow = () => new Date(Date.now() + DAY).toISOString();
+
+   const scheduleTransfer = (data = {}) => createTransfer(token, {
+      toAccount: recipient.account,
+      amount: 200,
+      description: 'Aluguel',
+      scheduledFor: tomorrow(),
+      ...data
+   });
+
+   describe('POST /transfers com scheduledFor', () => {
+      it('Agendar transferência futura recebo code 201 e o saldo não muda', async () => {
+         const response = await scheduleTransfer();
+         const balance = await getUserBalance(token);
+
+         expect(response.status).to.equal(201);
+         expect(response.body.message).to.equal('Transferência agendada com sucesso');
+         expect(response.body.data.status).to.equal('scheduled');
+         expect(response.body.data).to.have.property('scheduledFor');
+         expect(balance.body.data.balance).to.equal(1000);
+      });
+
+      it('Agendar com data no passado recebo code 400', async () => {
+         const response = await scheduleTransfer({ scheduledFor: '2020-01-01T00:00:00.000Z' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('Data de agendamento deve ser futura');
+      });
+
+      it('Agendar com data em formato inválido recebo code 400', async () => {
+         const response = await scheduleTransfer({ scheduledFor: 'amanhã' });
+
+         expect(response.status).to.equal(400);
+         expect(response.body.details).to.include('Data de agendamento deve estar no formato ISO 8601');
+      });
+   });
+
+   describe('GET /transfers/scheduled', () => {
+      it('Listar transferências agendadas do usuário recebo code 200', async () => {
+         await scheduleTransfer();
+         await createTransfer(token, { toAccount: recipient.account, amount: 50 });
+
+         const response = await getScheduledTransfers(token);
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('Transferências agendadas recuperadas com sucesso');
+         expect(response.body.data).to.have.length(1);
+         expect(response.body.data[0].status).to.equal('scheduled');
+      });
+
+      it('Sem token recebo code 401', async () => {
+         const response = await testUnauthorized('get', '/transfers/scheduled');
+
+         expect(response.status).to.equal(401);
+      });
+   });
+
+   describe('DELETE /transfers/scheduled/:id', () => {
+      it('Cancelar transferência pendente recebo code 200', async () => {
+         const scheduled = await scheduleTransfer();
+
+         const response = await cancelScheduledTransfer(token, scheduled.body.data.id);
+
+         expect(response.status).to.equal(200);
+         expect(response.body.message).to.equal('Transferência agendada cancelada com sucesso');
+         expect(response.body.data.status).to.equal('cancelled');
+      });
+
+      it('Cancelar transferência já cancelada recebo code 409', async () => {
+         const scheduled = await scheduleTransfer();
+         await cancelScheduledTransfer(token, scheduled.body.data.id);
+
+         const response = await cancelScheduledTransfer(token, scheduled.body.data.id);
+
+         expect(response.status).to.equal(409);
+         expect(response.body.error).to.equal('Somente transferências pendentes podem ser canceladas');
+      });
+
+      it('Cancelar transferência de outro usuário recebo code 404', async () => {
+         const scheduled = await scheduleTransfer();
+         const otherToken = createTestToken(recipient.id, recipient.email, recipient.account);
+
+         const response = await cancelScheduledTransfer(otherToken, scheduled.body.data.id);
+
+         expect(response.status).to.equal(404);
+         expect(response.body.error).to.equal('Transferência agendada não encontrada');
+      });
+   });
+});
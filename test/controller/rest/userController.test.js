@@ -10,11 +10,31 @@ const { createTestToken,
 
 const {  
       authenticatedPost,
+      registerUser,
+      getAccountProducts,
       createTransfer,
       addFavorite,
+      getUserBalance,
+      getUserLedger,
+      getUserLimits,
+      updateUserRuleSettings,
+      getStatement,
+      getBalanceHistory,
+      getBalanceAt,
+      testUnauthorized,
       TestUnauthorized
 } = require('../../helpers/requestHelper');
 
+const { 
+      createMultipleTestUsers,
+      createUserWithBalance,
+      createAdminUser
+} = require('../../helpers/dataHelper');
+
+const { findUserById, updateUser } = require('../../../src/database');
+const Money = require('../../../src/models/Money');
+const config = require('../../../src/config/environment');
+
 //const { addFavorite } = require('../../src/services/transferService');
 
 
@@ -40,6 +60,42 @@ describe('User Controller', () => {
       
             });
       });   
+   describe('Produtos de conta', () => { 
+            it('Registrar no produto premium recebo code 201 com saldo inicial do produto', async () => {
+               const response = await registerUser({ product: 'premium' });
+
+               expect(response.status).to.equal(201);
+               expect(response.body.data).to.include({ product: 'premium', balance: 5000 });
+            });
+
+            it('Registrar sem produto usa o produto padrão', async () => {
+               const response = await registerUser();
+
+               expect(response.status).to.equal(201);
+               expect(response.body.data).to.include({ product: 'basic', balance: 1000 });
+            });
+
+            it('Produto inexistente recebo code 400', async () => {
+               const response = await registerUser({ product: 'gold' });
+
+               expect(response.status).to.equal(400);
+               expect(response.body.details).to.include('Produto inválido. Use um de: basic, premium');
+            });
+
+            it('GET /users/products lista os produtos sem autenticação', async () => {
+               const response = await getAccountProducts();
+
+               expect(response.status).to.equal(200);
+               expect(response.body.message).to.equal('Produtos recuperados com sucesso');
+               expect(response.body.data.map(product => product.id)).to.deep.equal(['basic', 'premium']);
+               expect(response.body.data[1]).to.deep.include({
+                  initialBalance: 5000,
+                  overdraftLimit: 2000,
+                  limits: { highAmountLimit: 20000, dailyLimit: 50000, monthlyLimit: 250000 }
+               });
+            });
+      });
+
    describe('Get /users/profile', () => { 
             it('yyyy', async () => {
                // preparar os Dados 
@@ -55,5 +111,312 @@ describe('User Controller', () => {
                   // Preparar a forma de ignorar os campos dinamicos 
       
             });
+
+            it('Saldo derivado do ledger e conciliado após transferência', async () => {
+               const [user1, user2] = await createMultipleTestUsers(2);
+               const token = createTestToken(user1.id, user1.email, user1.account);
+
+               await createTransfer(token, { toAccount: user2.account, amount: 250.75 });
+               const response = await getUserBalance(token);
+
+               expect(response.status).to.equal(200);
+               expect(response.body.data).to.deep.equal({
+                  balance: 749.25,
+                  currency: 'BRL',
+                  formatted: 'R$ 749,25',
+                  reconciled: true,
+                  overdraftLimit: 0,
+                  availableCredit: 0,
+                  availableBalance: 749.25
+               });
+            });
+
+            it('Saldo divergente do ledger retorna reconciled false', async () => {
+               const user = await createUserWithBalance(300);
+               const token = createTestToken(user.id, user.email, user.account);
+
+               // Alteração direta, sem lançamento contábil
+               const userInDb = findUserById(user.id);
+               userInDb.updateBalance(Money.fromDecimal(50));
+               updateUser(userInDb);
+
+               const response = await getUserBalance(token);
+
+               expect(response.status).to.equal(200);
+               expect(response.body.data.balance).to.equal(300);
+               expect(response.body.data.reconciled).to.equal(false);
+            });
+      });
+
+   describe('GET /users/balance/history', () => { 
+            it('Retorna o saldo ao fim de cada dia do período', async () => {
+               const [user1, user2] = await createMultipleTestUsers(2);
+               const token = createTestToken(user1.id, user1.email, user1.account);
+               await createTransfer(token, { toAccount: user2.account, amount: 100 });
+
+               const response = await getBalanceHistory(token, { from: '2000-01-01', to: '2000-01-03' });
+               const current = await getBalanceHistory(token, { interval: 'month' });
+
+               expect(response.status).to.equal(200);
+               expect(response.body).to.have.property('message', 'Histórico de saldo recuperado com sucesso');
+               expect(response.body.data.points.map(point => point.balance)).to.deep.equal([0, 0, 0]);
+               expect(current.body.data.points).to.have.length(1);
+               expect(current.body.data.points[0]).to.include({ balance: 900 });
+            });
+
+            it('Intervalo inválido recebo code 400', async () => {
+               const [user1] = await createMultipleTestUsers(1);
+               const token = createTestToken(user1.id, user1.email, user1.account);
+
+               const response = await getBalanceHistory(token, { interval: 'year' });
+
+               expect(response.status).to.equal(400);
+               expect(response.body.error).to.equal('Intervalo inválido. Use um de: day, month');
+            });
+
+            it('Sem token recebo code 401', async () => {
+               const response = await testUnauthorized('get', '/users/balance/history');
+
+               expect(response.status).to.equal(401);
+            });
+      }); 
+
+   describe('GET /users/balance/at', () => { 
+            it('Retorna o saldo antes e depois da transferência', async () => {
+               const [user1, user2] = await createMultipleTestUsers(2);
+               const token = createTestToken(user1.id, user1.email, user1.account);
+               const pause = () => new Promise(resolve => setTimeout(resolve, 5));
+               await pause();
+               const before = new Date().toISOString();
+               await pause();
+               await createTransfer(token, { toAccount: user2.account, amount: 100 });
+
+               const past = await getBalanceAt(token, before);
+               const future = await getBalanceAt(token, '2100-01-01');
+
+               expect(past.status).to.equal(200);
+               expect(past.body).to.have.property('message', 'Saldo recuperado com sucesso');
+               expect(past.body.data).to.include({ balance: 1000, formatted: 'R$ 1.000,00' });
+               expect(future.body.data.balance).to.equal(900);
+            });
+
+            it('Sem data recebo code 400', async () => {
+               const [user1] = await createMultipleTestUsers(1);
+               const token = createTestToken(user1.id, user1.email, user1.account);
+
+               const response = await getBalanceAt(token);
+
+               expect(response.status).to.equal(400);
+               expect(response.body.error).to.equal('Data é obrigatória');
+            });
+      }); 
+
+   describe('GET /users/ledger', () => { 
+            it('Lista saldo inicial e débito da transferência', async () => {
+               const [user1, user2] = await createMultipleTestUsers(2);
+               const token = createTestToken(user1.id, user1.email, user1.account);
+
+               const transfer = await createTransfer(token, { toAccount: user2.account, amount: 100, description: 'Aluguel' });
+               const response = await getUserLedger(token);
+
+               expect(response.status).to.equal(200);
+               expect(response.body).to.have.property('message', 'Lançamentos recuperados com sucesso');
+               expect(response.body.data).to.have.length(2);
+
+               const [opening, debit] = response.body.data;
+               expect(opening).to.include({ account: user1.account, type: 'credit', amount: 1000, referenceType: 'opening' });
+               expect(debit).to.include({
+                  account: user1.account,
+                  type: 'debit',
+                  amount: 100,
+                  description: 'Aluguel',
+                  referenceType: 'transfer',
+                  referenceId: transfer.body.data.id
+               });
+            });
+
+            it('Sem token recebo code 401', async () => {
+               const response = await testUnauthorized('get', '/users/ledger');
+
+               expect(response.status).to.equal(401);
+            });
+      }); 
+
+   describe('GET /users/limits', () => { 
+            it('Mostra limite, consumo e disponível do dia e do mês', async () => {
+               const [user1, user2] = await createMultipleTestUsers(2);
+               const token = createTestToken(user1.id, user1.email, user1.account);
+
+               await createTransfer(token, { toAccount: user2.account, amount: 250.5 });
+               const response = await getUserLimits(token);
+
+               expect(response.status).to.equal(200);
+               expect(response.body).to.have.property('message', 'Limites recuperados com sucesso');
+               expect(response.body.data.currency).to.equal('BRL');
+               expect(response.body.data.daily).to.include({ enabled: true, limit: 20000, used: 250.5, remaining: 19749.5 });
+               expect(response.body.data.monthly).to.include({ limit: 100000, used: 250.5, remaining: 99749.5 });
+               expect(new Date(response.body.data.daily.resetsAt)).to.be.above(new Date());
+            });
+
+            it('Transferência acima do limite diário recebo code 403 com DAILY_LIMIT_EXCEEDED', async () => {
+               sinon.replace(config, 'transferLimits', { ...config.transferLimits, daily: 300 });
+               const [user1, user2] = await createMultipleTestUsers(2);
+               const token = createTestToken(user1.id, user1.email, user1.account);
+
+               await createTransfer(token, { toAccount: user2.account, amount: 200 });
+               const response = await createTransfer(token, { toAccount: user2.account, amount: 150 });
+
+               expect(response.status).to.equal(403);
+               expect(response.body.code).to.equal('DAILY_LIMIT_EXCEEDED');
+               expect(response.body.error).to.equal('Limite diário de transferências excedido (disponível: R$ 100,00)');
+            });
+
+            it('Ajuste do administrador muda o limite do usuário', async () => {
+               const [user1, user2] = await createMultipleTestUsers(2);
+               const admin = await createAdminUser();
+               const adminToken = createTestToken(admin.id, admin.email, admin.account);
+               const token = createTestToken(user1.id, user1.email, user1.account);
+
+               const response = await updateUserRuleSettings(adminToken, user1.id, { dailyLimit: { limit: 500 } });
+               const limits = await getUserLimits(token);
+               const transfer = await createTransfer(token, { toAccount: user2.account, amount: 600 });
+
+               expect(response.status).to.equal(200);
+               expect(response.body.message).to.equal('Ajustes de regras atualizados com sucesso');
+               expect(response.body.data.ruleSettings).to.deep.equal({ dailyLimit: { limit: 500 } });
+               expect(limits.body.data.daily).to.include({ limit: 500, remaining: 500 });
+               expect(limits.body.data.monthly).to.include({ limit: 100000 });
+               expect(transfer.status).to.equal(403);
+               expect(transfer.body.code).to.equal('DAILY_LIMIT_EXCEEDED');
+
+               // null remove o ajuste e volta ao limite do produto
+               await updateUserRuleSettings(adminToken, user1.id, { dailyLimit: null });
+               const restored = await getUserLimits(token);
+               expect(restored.body.data.daily).to.include({ limit: 20000 });
+            });
+
+            it('Ajuste de regra desconhecida recebo code 400 e de cliente code 403', async () => {
+               const [user1] = await createMultipleTestUsers(1);
+               const admin = await createAdminUser();
+               const adminToken = createTestToken(admin.id, admin.email, admin.account);
+               const token = createTestToken(user1.id, user1.email, user1.account);
+
+               const unknown = await updateUserRuleSettings(adminToken, user1.id, { weeklyLimit: { limit: 500 } });
+               const missing = await updateUserRuleSettings(adminToken, 9999, { dailyLimit: { limit: 500 } });
+               const customer = await updateUserRuleSettings(token, user1.id, { dailyLimit: { limit: 50000 } });
+
+               expect(unknown.status).to.equal(400);
+               expect(unknown.body.error).to.match(/^Regra desconhecida: weeklyLimit\. Use uma de: .*dailyLimit/);
+               expect(missing.status).to.equal(404);
+               expect(customer.status).to.equal(403);
+            });
+
+            it('Sem token recebo code 401', async () => {
+               const response = await testUnauthorized('get', '/users/limits');
+
+               expect(response.status).to.equal(401);
+            });
+      }); 
+
+   describe('GET /users/statement', () => { 
+            const period = { from: '2000-01-01', to: '2100-12-31' };
+
+            const setup = async () => {
+               const [user1, user2] = await createMultipleTestUsers(2);
+               const token = createTestToken(user1.id, user1.email, user1.account);
+               const transfer = await createTransfer(token, { toAccount: user2.account, amount: 150, description: 'Aluguel' });
+               return { user1, user2, token, transferId: transfer.body.data.id };
+            };
+
+            it('Lista saldo inicial, movimentações com saldo acumulado e saldo final', async () => {
+               const { user2, token, transferId } = await setup();
+
+               const response = await getStatement(token, period);
+
+               expect(response.status).to.equal(200);
+               expect(response.body).to.have.property('message', 'Extrato gerado com sucesso');
+               expect(response.body.data).to.include({ openingBalance: 0, totalCredits: 1000, totalDebits: 150, closingBalance: 850 });
+               expect(response.body.data.entries.map(entry => entry.balance)).to.deep.equal([1000, 850]);
+               expect(response.body.data.entries[1]).to.include({
+                  description: 'Aluguel',
+                  amount: -150,
+                  transferId,
+                  counterparty: user2.account
+               });
+            });
+
+            it('format=csv envia planilha para download', async () => {
+               const { user1, token } = await setup();
+
+               const response = await getStatement(token, { ...period, format: 'csv' });
+
+               expect(response.status).to.equal(200);
+               expect(response.headers['content-type']).to.equal('text/csv; charset=utf-8');
+               expect(response.headers['content-disposition'])
+                  .to.equal(`attachment; filename="extrato-${user1.account}-2000-01-01-2100-12-31.csv"`);
+
+               const lines = response.text.trim().split('\r\n');
+               expect(lines[0]).to.equal('date,description,counterparty,transferId,type,amount,balance');
+               expect(lines).to.have.length(5);
+               expect(lines[4]).to.match(/,Saldo final,,,,,850\.00$/);
+            });
+
+            it('format=ofx envia arquivo OFX com as transações e o saldo final', async () => {
+               const { token } = await setup();
+
+               const response = await getStatement(token, { ...period, format: 'ofx' }).buffer(true).parse((res, callback) => {
+                  let text = '';
+                  res.setEncoding('latin1');
+                  res.on('data', chunk => { text += chunk; });
+                  res.on('end', () => callback(null, text));
+               });
+
+               expect(response.status).to.equal(200);
+               expect(response.headers['content-type']).to.equal('application/x-ofx');
+               expect(response.body).to.match(/^OFXHEADER:100\r\nDATA:OFXSGML\r\nVERSION:102/);
+               expect(response.body).to.include('<TRNTYPE>DEBIT\r\n');
+               expect(response.body).to.include('<TRNAMT>-150.00\r\n');
+               expect(response.body).to.include('<BALAMT>850.00\r\n');
+               expect(response.body.match(/<STMTTRN>/g)).to.have.length(2);
+            });
+
+            it('format=pdf envia PDF gerado localmente', async () => {
+               const { token } = await setup();
+
+               const response = await getStatement(token, { ...period, format: 'pdf' }).buffer(true).parse((res, callback) => {
+                  const chunks = [];
+                  res.on('data', chunk => chunks.push(chunk));
+                  res.on('end', () => callback(null, Buffer.concat(chunks)));
+               });
+
+               expect(response.status).to.equal(200);
+               expect(response.headers['content-type']).to.equal('application/pdf');
+               expect(response.body.subarray(0, 5).toString('latin1')).to.equal('%PDF-');
+               expect(response.body.toString('latin1').trimEnd().endsWith('%%EOF')).to.be.true;
+            });
+
+            it('Formato desconhecido recebo code 400', async () => {
+               const { token } = await setup();
+
+               const response = await getStatement(token, { format: 'xls' });
+
+               expect(response.status).to.equal(400);
+               expect(response.body.error).to.equal('Formato inválido. Use um de: json, csv, ofx, pdf');
+            });
+
+            it('Data inválida recebo code 400', async () => {
+               const { token } = await setup();
+
+               const response = await getStatement(token, { from: '31/01/2024' });
+
+               expect(response.status).to.equal(400);
+               expect(response.body.error).to.equal('Data inicial inválida; use AAAA-MM-DD ou o formato ISO 8601');
+            });
+
+            it('Sem token recebo code 401', async () => {
+               const response = await testUnauthorized('get', '/users/statement');
+
+               expect(response.status).to.equal(401);
+            });
       }); 
 });
\ No newline at end of file
@@ -0,0 +1,31 @@
+// test/helpers/clockHelper.js
+
+/**
+ * Relógio controlado manualmente para testes de componentes dependentes de tempo
+ */
+const createFakeClock = (start = new Date('2030-01-01T12:00:00.000Z')) => {
+  let current = new Date(start);
+
+  return {
+    now: () => new Date(current),
+    advance: (ms) => {
+      current = new Date(current.getTime() + ms);
+      return new Date(current);
+    },
+    set: (date) => {
+      current = new Date(date);
+      return new Date(current);
+    }
+  };
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+module.exports = {
+  createFakeClock,
+  MINUTE,
+  HOUR,
+  DAY
+};
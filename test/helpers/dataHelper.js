@@ -1,6 +1,8 @@
 // test/helpers/dataHelper.js
 const userService = require('../../src/services/userService');
-const { database } = require('../../src/database');
+const Money = require('../../src/models/Money');
+const ledgerService = require('../../src/services/ledgerService');
+const { store, findUserById, resetDatabase } = require('../../src/database');
 const { createTestToken } = require('./authHelper');
 
 /**
@@ -45,14 +47,27 @@ const createMultipleTestUsers = async (count = 2) => {
  */
 const createUserWithBalance = async (balance, userData = {}) => {
     const user = await createTestUser(userData);
-    const userInDb = database.users.find(u => u.id === user.id);
+    const userInDb = findUserById(user.id);
     if (userInDb) {
-        userInDb.balance = balance;
-        userInDb.updatedAt = new Date();
+        // Ajuste via ledger para manter o saldo conciliado
+        ledgerService.adjustBalance(user.id, Money.fromDecimal(balance).subtract(userInDb.balance));
     }
     return { ...user, balance };
 };
 
+/**
+ * Cria o administrador pelo mesmo caminho da inicialização do servidor (ADMIN_EMAIL)
+ */
+const createAdminUser = async (userData = {}) => {
+    const admin = await userService.ensureAdmin({
+        name: 'Administrador',
+        email: `admin${Date.now()}${Math.random()}@email.com`,
+        password: 'senha123',
+        ...userData
+    });
+    return admin.toJSON();
+};
+
 /**
  * Cria um usuário "rico" com muito saldo
  */
@@ -130,24 +145,19 @@ const getInvalidUserData = () => [
  * Limpa todo o banco de dados
  */
 const clearDatabase = () => {
-    database.users.length = 0;
-    database.transfers.length = 0;
-    database.favorites.length = 0;
-    database.nextUserId = 1;
-    database.nextTransferId = 1;
-    database.nextFavoriteId = 1;
+    resetDatabase();
 };
 
 /**
  * Obtém estatísticas do banco
  */
 const getDatabaseStats = () => ({
-    users: database.users.length,
-    transfers: database.transfers.length,
-    favorites: database.favorites.length,
-    nextUserId: database.nextUserId,
-    nextTransferId: database.nextTransferId,
-    nextFavoriteId: database.nextFavoriteId
+    users: store.find('users').length,
+    transfers: store.find('transfers').length,
+    favorites: store.find('favorites').length,
+    nextUserId: store.currentId('users') + 1,
+    nextTransferId: store.currentId('transfers') + 1,
+    nextFavoriteId: store.currentId('favorites') + 1
 });
 
 module.exports = {
@@ -155,6 +165,7 @@ module.exports = {
     createTestUser,
     createMultipleTestUsers,
     createUserWithBalance,
+    createAdminUser,
     createRichUser,
     createPoorUser,
     createUserWithToken,
@@ -92,11 +92,12 @@ class EnhancedDataHelper {
         const { user, token, originalPassword } = await this.createUserFromFixture(fixturePath, overrides);
         
         // Update balance directly in database instead of creating new user
-        const { database } = require('../../src/database');
-        const userInDb = database.users.find(u => u.id === user.id);
+        const { findUserById } = require('../../src/database');
+        const ledgerService = require('../../src/services/ledgerService');
+        const Money = require('../../src/models/Money');
+        const userInDb = findUserById(user.id);
         if (userInDb) {
-            userInDb.balance = balance;
-            userInDb.updatedAt = new Date();
+            ledgerService.adjustBalance(user.id, Money.fromDecimal(balance).subtract(userInDb.balance));
         }
         
         const updatedUser = { ...user, balance };
@@ -56,6 +56,13 @@ const registerUser = (userData = {}) => {
         .send(defaultData);
 };
 
+/**
+ * Lista os produtos de conta disponíveis no cadastro (rota pública)
+ */
+const getAccountProducts = () => {
+    return request(app).get('/users/products');
+};
+
 /**
  * Faz login via API e retorna o token
  */
@@ -96,6 +103,97 @@ const createTransfer = (fromToken, transferData) => {
     return authenticatedPost('/transfers', transferData, fromToken);
 };
 
+/**
+ * Calcula a tarifa de uma transferência via API, sem realizá-la
+ */
+const quoteTransfer = (fromToken, transferData) => {
+    return authenticatedPost('/transfers/quote', transferData, fromToken);
+};
+
+/**
+ * Realiza transferências em lote via API
+ */
+const createTransferBatch = (fromToken, batchData) => {
+    return authenticatedPost('/transfers/batch', batchData, fromToken);
+};
+
+/**
+ * Solicita pagamento a outra conta via API
+ */
+const createPaymentRequest = (token, requestData) => {
+    return authenticatedPost('/payment-requests', requestData, token);
+};
+
+/**
+ * Cadastra chave via API
+ */
+const createAliasKey = (token, keyData) => {
+    return authenticatedPost('/keys', keyData, token);
+};
+
+/**
+ * Consulta o titular de uma chave via API
+ */
+const lookupKey = (token, key) => {
+    return authenticatedGet('/keys/lookup', token).query({ key });
+};
+
+/**
+ * Gera QR Code de pagamento via API (query.format: json, svg ou png)
+ */
+const createPaymentCode = (token, codeData = {}, query = {}) => {
+    return authenticatedPost('/transfers/qrcode', codeData, token).query(query);
+};
+
+/**
+ * Lê o payload de um QR Code via API
+ */
+const decodePaymentCode = (token, payload) => {
+    return authenticatedPost('/transfers/qrcode/decode', { payload }, token);
+};
+
+/**
+ * Deposita na conta via API
+ */
+const createDeposit = (token, data) => {
+    return authenticatedPost('/accounts/deposits', data, token);
+};
+
+/**
+ * Saca da conta via API
+ */
+const createWithdrawal = (token, data) => {
+    return authenticatedPost('/accounts/withdrawals', data, token);
+};
+
+/**
+ * Ajusta o limite do cheque especial via API
+ */
+const updateOverdraftLimit = (token, limit) => {
+    return authenticatedPut('/accounts/overdraft', { limit }, token);
+};
+
+/**
+ * Cria regra de categoria via API
+ */
+const createCategoryRule = (token, ruleData) => {
+    return authenticatedPost('/categories/rules', ruleData, token);
+};
+
+/**
+ * Define categoria e tags de uma transferência via API
+ */
+const categorizeTransfer = (token, transferId, data) => {
+    return authenticatedPut(`/transfers/${transferId}/category`, data, token);
+};
+
+/**
+ * Obtém a categoria de uma transferência via API
+ */
+const getTransferCategory = (token, transferId) => {
+    return authenticatedGet(`/transfers/${transferId}/category`, token);
+};
+
 /**
  * Adiciona favorito via API
  */
@@ -104,10 +202,38 @@ const addFavorite = (token, account) => {
 };
 
 /**
- * Lista transferências via API
+ * Lista transferências via API (filtros, ordenação e cursor na query string)
  */
-const getTransfers = (token) => {
-    return authenticatedGet('/transfers', token);
+const getTransfers = (token, query = {}) => {
+    return authenticatedGet('/transfers', token).query(query);
+};
+
+/**
+ * Obtém o comprovante de uma transferência via API (query: format)
+ */
+const getTransferReceipt = (token, transferId, query = {}) => {
+    return authenticatedGet(`/transfers/${transferId}/receipt`, token).query(query);
+};
+
+/**
+ * Confere um comprovante via API (endpoint público, sem token)
+ */
+const verifyReceipt = (receipt) => {
+    return request(app).post('/receipts/verify').send(receipt);
+};
+
+/**
+ * Lista transferências agendadas via API
+ */
+const getScheduledTransfers = (token) => {
+    return authenticatedGet('/transfers/scheduled', token);
+};
+
+/**
+ * Cancela transferência agendada via API
+ */
+const cancelScheduledTransfer = (token, id) => {
+    return authenticatedDelete(`/transfers/scheduled/${id}`, token);
 };
 
 /**
@@ -138,6 +264,76 @@ const getUserBalance = (token) => {
     return authenticatedGet('/users/balance', token);
 };
 
+/**
+ * Obtém lançamentos contábeis do usuário via API
+ */
+const getUserLedger = (token) => {
+    return authenticatedGet('/users/ledger', token);
+};
+
+/**
+ * Obtém o histórico de saldo do usuário via API (query: from, to, interval)
+ */
+const getBalanceHistory = (token, query = {}) => {
+    return authenticatedGet('/users/balance/history', token).query(query);
+};
+
+/**
+ * Obtém o saldo do usuário em uma data via API
+ */
+const getBalanceAt = (token, date) => {
+    return authenticatedGet('/users/balance/at', token).query(date === undefined ? {} : { date });
+};
+
+/**
+ * Obtém a análise de gastos do usuário via API (query: period, date)
+ */
+const getAnalytics = (token, query = {}) => {
+    return authenticatedGet('/users/analytics', token).query(query);
+};
+
+/**
+ * Lista os alertas de fraude via API (admin; query: decision, status)
+ */
+const getFraudAlerts = (token, query = {}) => {
+    return authenticatedGet('/admin/fraud/alerts', token).query(query);
+};
+
+/**
+ * Aprova a transferência retida de um alerta de fraude via API (admin)
+ */
+const approveFraudAlert = (token, alertId) => {
+    return authenticatedPost(`/admin/fraud/alerts/${alertId}/approve`, {}, token);
+};
+
+/**
+ * Rejeita a transferência retida de um alerta de fraude via API (admin)
+ */
+const rejectFraudAlert = (token, alertId) => {
+    return authenticatedPost(`/admin/fraud/alerts/${alertId}/reject`, {}, token);
+};
+
+/**
+ * Ajusta as regras de transferência de um usuário via API (admin)
+ */
+const updateUserRuleSettings = (token, userId, ruleSettings) => {
+    return authenticatedPut(`/admin/users/${userId}/rule-settings`, { ruleSettings }, token);
+};
+
+/**
+ * Obtém limites de transferência do usuário via API
+ */
+const getUserLimits = (token) => {
+    return authenticatedGet('/users/limits', token);
+};
+
+/**
+ * Obtém o extrato do usuário via API (query: from, to, format)
+ */
+const getStatement = (token, query = {}) => {
+    return authenticatedGet('/users/statement', token).query(query);
+};
+
 /**
  * Testa endpoint de health
  */
@@ -170,17 +366,45 @@ module.exports = {
     
     // Autenticação
     registerUser,
+    getAccountProducts,
     loginUser,
     registerAndLogin,
     
     // Operações específicas
     createTransfer,
+    quoteTransfer,
+    createTransferBatch,
+    createPaymentRequest,
+    createAliasKey,
+    lookupKey,
+    createPaymentCode,
+    decodePaymentCode,
+    createDeposit,
+    createWithdrawal,
+    updateOverdraftLimit,
+    createCategoryRule,
+    categorizeTransfer,
+    getTransferCategory,
     addFavorite,
     getTransfers,
+    getTransferReceipt,
+    verifyReceipt,
+    getScheduledTransfers,
+    cancelScheduledTransfer,
     getFavorites,
     getUsers,
     getUserProfile,
     getUserBalance,
+    getUserLedger,
+    getUserLimits,
+    getStatement,
+    getBalanceHistory,
+    getBalanceAt,
+    getAnalytics,
+    getFraudAlerts,
+    approveFraudAlert,
+    rejectFraudAlert,
+    updateUserRuleSettings,
     
     // Utilitários
     checkHealth,
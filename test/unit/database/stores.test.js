@@ -0,0 +1,173 @@
+// test/unit/database/stores.test.js
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const User = require('../../../src/models/User');
+const Transfer = require('../../../src/models/Transfer');
+const MemoryStore = require('../../../src/database/stores/memoryStore');
+const SqliteStore = require('../../../src/database/stores/sqliteStore');
+const { createStore } = require('../../../src/database');
+
+const storeFactories = {
+    MemoryStore: () => new MemoryStore(),
+    SqliteStore: () => new SqliteStore(':memory:')
+};
+
+Object.entries(storeFactories).forEach(([name, createTestStore]) => {
+    describe(`🗄️ ${name} - Contrato de persistência`, () => {
+        let store;
+
+        beforeEach(() => {
+            store = createTestStore();
+        });
+
+        it('✅ Deve inserir e recuperar usuário como instância de User', () => {
+            const user = new User(store.nextId('users'), 'Ana', 'ana@email.com', 'hash', '111111', 1000);
+            store.insert('users', user);
+
+            const found = store.findById('users', user.id);
+
+            expect(found).to.be.instanceOf(User);
+            expect(found.password).to.equal('hash');
+            expect(found.createdAt).to.be.instanceOf(Date);
+            expect(found.toJSON()).to.not.have.property('password');
+        });
+
+        it('✅ Deve buscar por critérios de igualdade e por predicado', () => {
+            store.insert('users', new User(1, 'Ana', 'ana@email.com', 'hash', '111111'));
+            store.insert('users', new User(2, 'Bia', 'bia@email.com', 'hash', '222222'));
+
+            expect(store.findOne('users', { account: '222222' }).name).to.equal('Bia');
+            expect(store.findOne('users', { email: 'nao@existe.com' })).to.be.undefined;
+            expect(store.find('users', user => user.id > 1)).to.have.length(1);
+            expect(store.find('users')).to.have.length(2);
+        });
+
+        it('✅ Deve persistir alterações feitas com update', () => {
+            const user = store.insert('users', new User(1, 'Ana', 'ana@email.com', 'hash', '111111', 1000));
+            user.updateBalance(-250);
+            store.update('users', user);
+
+            expect(store.findById('users', 1).balance.toDecimal()).to.equal(750);
+        });
+
+        it('❌ Deve falhar ao atualizar registro inexistente', () => {
+            expect(() => store.update('users', new User(99, 'X', 'x@email.com', 'hash', '999999')))
+                .to.throw('Registro 99 não encontrado em users');
+        });
+
+        it('✅ Deve remover registros e sinalizar quando não existem', () => {
+            store.insert('transfers', new Transfer(1, '111111', '222222', 10, 'Teste'));
+
+            expect(store.remove('transfers', 1)).to.be.true;
+            expect(store.remove('transfers', 1)).to.be.false;
+            expect(store.find('transfers')).to.have.length(0);
+        });
+
+        it('✅ Deve gerar sequências independentes por coleção', () => {
+            expect(store.nextId('users')).to.equal(1);
+            expect(store.nextId('users')).to.equal(2);
+            expect(store.nextId('transfers')).to.equal(1);
+            expect(store.currentId('users')).to.equal(2);
+        });
+
+        it('✅ Deve limpar dados e sequências no reset', () => {
+            store.insert('users', new User(store.nextId('users'), 'Ana', 'ana@email.com', 'hash', '111111'));
+            store.reset();
+
+            expect(store.find('users')).to.have.length(0);
+            expect(store.nextId('users')).to.equal(1);
+        });
+
+        it('✅ Deve aplicar todas as alterações de uma transação concluída', () => {
+            store.transaction(() => {
+                store.insert('users', new User(store.nextId('users'), 'Ana', 'ana@email.com', 'hash', '111111'));
+                store.insert('users', new User(store.nextId('users'), 'Bia', 'bia@email.com', 'hash', '222222'));
+            });
+
+            expect(store.find('users')).to.have.length(2);
+        });
+
+        it('✅ Deve desfazer inserções, alterações, remoções e sequências quando a transação falha', () => {
+            const user = store.insert('users', new User(store.nextId('users'), 'Ana', 'ana@email.com', 'hash', '111111', 1000));
+            store.insert('transfers', new Transfer(store.nextId('transfers'), '111111', '222222', 10, 'Antiga'));
+
+            expect(() => store.transaction(() => {
+                user.updateBalance(-500);
+                store.update('users', user);
+                store.remove('transfers', 1);
+                store.insert('transfers', new Transfer(store.nextId('transfers'), '111111', '222222', 500, 'Nova'));
+                throw new Error('Falha simulada');
+            })).to.throw('Falha simulada');
+
+            expect(store.findById('users', 1).balance.toDecimal()).to.equal(1000);
+            expect(store.find('transfers').map(transfer => transfer.description)).to.deep.equal(['Antiga']);
+            expect(store.nextId('transfers')).to.equal(2);
+        });
+
+        it('❌ Deve rejeitar transações assíncronas', () => {
+            expect(() => store.transaction(async () => {})).to.throw(TypeError);
+        });
+
+        it('❌ Deve rejeitar coleções desconhecidas', () => {
+            expect(() => store.find('inexistente')).to.throw('Coleção desconhecida: inexistente');
+        });
+    });
+});
+
+describe('💾 SqliteStore - Persistência em arquivo', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgats-db-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('✅ Deve manter os dados após reabrir o arquivo', () => {
+        const filename = path.join(tempDir, 'nested', 'pgats.db');
+
+        const first = new SqliteStore(filename);
+        first.insert('users', new User(first.nextId('users'), 'Ana', 'ana@email.com', 'hash', '111111', 1000));
+        first.close();
+
+        const second = new SqliteStore(filename);
+        expect(second.findOne('users', { email: 'ana@email.com' }).balance.toDecimal()).to.equal(1000);
+        expect(second.nextId('users')).to.equal(2);
+        second.close();
+    });
+
+    it('✅ Deve buscar transferências por conta pelo índice, sem ler a tabela inteira', () => {
+        const store = new SqliteStore(':memory:');
+        store.insert('transfers', new Transfer(1, '111111', '222222', 10, 'Enviada'));
+        store.insert('transfers', new Transfer(2, '333333', '111111', 20, 'Recebida'));
+        store.insert('transfers', new Transfer(3, '222222', '333333', 30, 'De outros'));
+
+        const plan = store.db
+            .prepare(`EXPLAIN QUERY PLAN SELECT data FROM "transfers" WHERE json_extract(data, '$.toAccount') IS ?`)
+            .all('111111');
+
+        expect(store.find('transfers', { toAccount: '111111' }).map(transfer => transfer.id)).to.deep.equal([2]);
+        expect(plan.map(step => step.detail).join()).to.include('USING INDEX transfers_toAccount');
+        store.close();
+    });
+});
+
+describe('⚙️ createStore - Seleção via DATABASE_URL', () => {
+    it('✅ Deve usar memória quando a URL está vazia', () => {
+        expect(createStore('')).to.be.instanceOf(MemoryStore);
+    });
+
+    it('✅ Deve usar SQLite para URLs sqlite:', () => {
+        const store = createStore('sqlite::memory:');
+        expect(store).to.be.instanceOf(SqliteStore);
+        store.close();
+    });
+
+    it('❌ Deve rejeitar esquemas não suportados', () => {
+        expect(() => createStore('postgresql://localhost/pgats')).to.throw('DATABASE_URL não suportada');
+    });
+});
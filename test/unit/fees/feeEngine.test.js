@@ -0,0 +1,57 @@
+// test/unit/fees/feeEngine.test.js
+const { expect } = require('chai');
+const Money = require('../../../src/models/Money');
+const FeeEngine = require('../../../src/fees/FeeEngine');
+const feeEngine = require('../../../src/fees');
+
+describe('💸 Fee engine', () => {
+    const fee = (schedule, amount) => feeEngine.calculate(schedule, Money.fromDecimal(amount)).toDecimal();
+
+    it('✅ Sem tabela a operação é gratuita', () => {
+        expect(fee(null, 100)).to.equal(0);
+    });
+
+    it('✅ flat cobra um valor fixo', () => {
+        expect(fee({ type: 'flat', amount: 2.5 }, 100)).to.equal(2.5);
+        expect(fee({ type: 'flat', amount: 2.5 }, 10000)).to.equal(2.5);
+    });
+
+    it('✅ percentage arredonda ao centavo e respeita mínimo e máximo', () => {
+        const schedule = { type: 'percentage', rate: 0.015, min: 1, max: 10 };
+
+        expect(fee({ type: 'percentage', rate: 0.015 }, 33.33)).to.equal(0.5);
+        expect(fee(schedule, 20)).to.equal(1);
+        expect(fee(schedule, 300)).to.equal(4.5);
+        expect(fee(schedule, 5000)).to.equal(10);
+    });
+
+    it('✅ tiered usa a primeira faixa que cobre o valor e a última acima delas', () => {
+        const schedule = {
+            type: 'tiered',
+            tiers: [
+                { upTo: 100, type: 'flat', amount: 0 },
+                { upTo: 1000, type: 'flat', amount: 1 },
+                { type: 'percentage', rate: 0.001 }
+            ]
+        };
+
+        expect(fee(schedule, 100)).to.equal(0);
+        expect(fee(schedule, 100.01)).to.equal(1);
+        expect(fee(schedule, 5000)).to.equal(5);
+        expect(fee({ type: 'tiered', tiers: [{ upTo: 100, type: 'flat', amount: 1 }] }, 500)).to.equal(1);
+    });
+
+    it('❌ Deve rejeitar tipo de tarifa desconhecido', () => {
+        expect(() => fee({ type: 'weekly' }, 100))
+            .to.throw('Tipo de tarifa desconhecido: weekly. Use um de: flat, percentage, tiered');
+    });
+
+    it('✅ Novos tipos podem ser registrados sem mudar o serviço', () => {
+        const engine = new FeeEngine([{ type: 'perThousand', calculate: ({ value }, amount) => new Money(Math.ceil(amount.cents / 100000) * value * 100) }]);
+
+        expect(engine.calculate({ type: 'perThousand', value: 2 }, Money.fromDecimal(2500)).toDecimal()).to.equal(6);
+        expect(() => engine.register({ type: 'perThousand', calculate: () => Money.zero() }))
+            .to.throw('Tipo de tarifa já registrado: perThousand');
+        expect(() => engine.register({ type: 'broken' })).to.throw('Tipo de tarifa deve ter type e calculate');
+    });
+});
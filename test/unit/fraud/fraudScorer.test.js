@@ -0,0 +1,106 @@
+// test/unit/fraud/fraudScorer.test.js
+const { expect } = require('chai');
+const config = require('../../../src/config/environment');
+const Money = require('../../../src/models/Money');
+const FraudScorer = require('../../../src/fraud/FraudScorer');
+const fraudScorer = require('../../../src/fraud');
+const { MINUTE, HOUR, DAY } = require('../../helpers/clockHelper');
+
+describe('🚨 Fraud scorer', () => {
+    // 14h em São Paulo, fora do horário incomum
+    const now = new Date('2030-01-10T17:00:00.000Z');
+    const oldAccount = { account: '222222', createdAt: new Date(now.getTime() - 30 * DAY) };
+
+    // Histórico sintético: transferências enviadas `ago` ms antes de `now`
+    const sent = (toAccount, amount, ago) => ({ toAccount, amount: Money.fromDecimal(amount), sentAt: new Date(now.getTime() - ago) });
+
+    const score = (overrides = {}) => fraudScorer.score({
+        amount: Money.fromDecimal(100),
+        now,
+        recipient: oldAccount,
+        history: [],
+        ...overrides
+    });
+
+    const codes = (result) => result.reasons.map(reason => reason.code);
+
+    it('✅ Sem sinais, a transferência é liberada', () => {
+        expect(score()).to.deep.equal({ score: 0, decision: 'allow', reasons: [] });
+    });
+
+    it('✅ VELOCITY: muitas transferências na janela de minutos', () => {
+        const recent = [1, 2, 3, 4, 5].map(minutes => sent('333333', 50, minutes * MINUTE));
+
+        expect(codes(score({ history: recent }))).to.deep.equal(['VELOCITY']);
+        expect(score({ history: recent }).score).to.equal(40);
+        // Quatro na janela e uma fora dela não bastam
+        expect(codes(score({ history: [...recent.slice(0, 4), sent('333333', 50, 11 * MINUTE)] }))).to.deep.equal([]);
+    });
+
+    it('✅ NEW_RECIPIENT_SPIKE: valor muito acima da média para destinatário novo', () => {
+        const history = [sent('333333', 100, DAY), sent('333333', 200, 2 * DAY), sent('444444', 300, 3 * DAY)];
+
+        const result = score({ history, amount: Money.fromDecimal(1000.01) });
+        expect(result.reasons).to.deep.equal([{
+            code: 'NEW_RECIPIENT_SPIKE',
+            points: 35,
+            message: 'Valor mais de 5x a média enviada (R$ 200,00) para um destinatário novo'
+        }]);
+        expect(codes(score({ history, amount: Money.fromDecimal(1000) }))).to.deep.equal([]);
+        // Destinatário conhecido ou histórico curto não disparam o sinal
+        expect(codes(score({ history: [...history, sent('222222', 10, DAY)], amount: Money.fromDecimal(5000) }))).to.deep.equal([]);
+        expect(codes(score({ history: history.slice(0, 2), amount: Money.fromDecimal(5000) }))).to.deep.equal([]);
+    });
+
+    it('✅ NEW_ACCOUNT_RECIPIENT: primeira transferência para conta recém-aberta', () => {
+        const recipient = { account: '555555', createdAt: new Date(now.getTime() - 2 * HOUR) };
+
+        expect(codes(score({ recipient }))).to.deep.equal(['NEW_ACCOUNT_RECIPIENT']);
+        expect(codes(score({ recipient, history: [sent('555555', 10, HOUR)] }))).to.deep.equal([]);
+        expect(codes(score({ recipient: { ...recipient, createdAt: new Date(now.getTime() - 25 * HOUR) } }))).to.deep.equal([]);
+    });
+
+    it('✅ UNUSUAL_HOUR: madrugada no fuso configurado', () => {
+        // 3h em São Paulo
+        expect(codes(score({ now: new Date('2030-01-10T06:00:00.000Z') }))).to.deep.equal(['UNUSUAL_HOUR']);
+        // 6h em São Paulo: fim da janela
+        expect(codes(score({ now: new Date('2030-01-10T09:00:00.000Z') }))).to.deep.equal([]);
+    });
+
+    it('✅ Soma os pontos, ordena os motivos e decide entre review e block', () => {
+        const history = [sent('333333', 100, DAY), sent('333333', 100, 2 * DAY), sent('333333', 100, 3 * DAY)];
+        const recipient = { account: '555555', createdAt: new Date(now.getTime() - HOUR) };
+
+        const review = score({ history, recipient, amount: Money.fromDecimal(600) });
+        expect(review).to.include({ score: 65, decision: 'review' });
+        expect(codes(review)).to.deep.equal(['NEW_RECIPIENT_SPIKE', 'NEW_ACCOUNT_RECIPIENT']);
+
+        const block = score({ history, recipient, amount: Money.fromDecimal(600), now: new Date('2030-01-10T05:00:00.000Z') });
+        expect(block).to.include({ score: 85, decision: 'block' });
+        expect(codes(block)).to.deep.equal(['NEW_RECIPIENT_SPIKE', 'NEW_ACCOUNT_RECIPIENT', 'UNUSUAL_HOUR']);
+    });
+
+    it('✅ Pontos, limites e sinais seguem as configurações informadas', () => {
+        const recipient = { account: '555555', createdAt: now };
+        const settings = {
+            ...config.fraud,
+            reviewScore: 20,
+            signals: { ...config.fraud.signals, newAccountRecipient: { ...config.fraud.signals.newAccountRecipient, points: 25 } }
+        };
+
+        expect(fraudScorer.score({ amount: Money.fromDecimal(10), now, recipient, history: [] }, settings))
+            .to.include({ score: 25, decision: 'review' });
+
+        settings.signals.newAccountRecipient.enabled = false;
+        expect(fraudScorer.score({ amount: Money.fromDecimal(10), now, recipient, history: [] }, settings).decision).to.equal('allow');
+    });
+
+    it('✅ Novos sinais podem ser registrados', () => {
+        const scorer = new FraudScorer([{ name: 'roundAmount', code: 'ROUND_AMOUNT', check: ({ amount }) => (amount.cents % 100000 === 0 ? 'Valor redondo' : null) }]);
+        const settings = { reviewScore: 10, blockScore: 50, signals: { roundAmount: { points: 10 } } };
+
+        expect(scorer.score({ amount: Money.fromDecimal(3000) }, settings).decision).to.equal('review');
+        expect(() => scorer.register({ name: 'roundAmount', code: 'X', check: () => null })).to.throw('Sinal já registrado: roundAmount');
+        expect(() => scorer.register({ name: 'broken' })).to.throw('Sinal deve ter name, code e check');
+    });
+});
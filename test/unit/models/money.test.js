@@ -0,0 +1,95 @@
+// test/unit/models/money.test.js
+const { expect } = require('chai');
+const Money = require('../../../src/models/Money');
+const { formatBRL } = require('../../../src/models/Money');
+const User = require('../../../src/models/User');
+const resolvers = require('../../../src/graphql/resolvers');
+const { transferSchema } = require('../../../src/middlewares/validation');
+
+describe('💰 Money - Valor monetário em centavos', () => {
+    describe('Conversão', () => {
+        it('✅ Deve converter decimais em centavos inteiros', () => {
+            expect(Money.fromDecimal(92.36).cents).to.equal(9236);
+            expect(Money.fromDecimal(0.1).cents).to.equal(10);
+            expect(Money.of('250.50').cents).to.equal(25050);
+        });
+
+        it('❌ Deve rejeitar frações de centavo', () => {
+            expect(() => Money.fromDecimal(100.555)).to.throw('Valor deve ter no máximo 2 casas decimais');
+        });
+
+        it('❌ Deve rejeitar valores não numéricos', () => {
+            expect(() => Money.of('abc')).to.throw('Valor deve ser um número válido');
+            expect(() => Money.of(NaN)).to.throw('Valor deve ser um número válido');
+            expect(() => new Money(10.5)).to.throw('Valor em centavos deve ser um número inteiro');
+        });
+
+        it('✅ Deve serializar como decimal em JSON', () => {
+            expect(JSON.stringify({ amount: Money.fromDecimal(100.5) })).to.equal('{"amount":100.5}');
+        });
+    });
+
+    describe('Aritmética', () => {
+        it('✅ Não deve acumular erro de ponto flutuante', () => {
+            let total = Money.zero();
+            for (let i = 0; i < 10; i++) {
+                total = total.add(Money.fromDecimal(0.1));
+            }
+
+            expect(total.equals(Money.fromDecimal(1))).to.be.true;
+            expect(total.toDecimal()).to.equal(1);
+        });
+
+        it('✅ Deve comparar valores', () => {
+            const small = Money.fromDecimal(10);
+            const large = Money.fromDecimal(5000.01);
+
+            expect(small.lessThan(large)).to.be.true;
+            expect(large.greaterThan(small)).to.be.true;
+            expect(small.subtract(large).isNegative()).to.be.true;
+            expect(small.negate().cents).to.equal(-1000);
+        });
+
+        it('❌ Deve rejeitar operações entre moedas diferentes', () => {
+            expect(() => Money.fromDecimal(1, 'BRL').add(Money.fromDecimal(1, 'USD')))
+                .to.throw('Moedas diferentes: BRL e USD');
+        });
+
+        it('✅ User.updateBalance deve manter o saldo exato', () => {
+            const user = new User(1, 'Ana', 'ana@email.com', 'hash', '111111', 1000);
+            for (let i = 0; i < 10; i++) {
+                user.updateBalance(Money.fromDecimal(0.1).negate());
+            }
+
+            expect(user.balance.toDecimal()).to.equal(999);
+        });
+    });
+
+    describe('Formatação BRL', () => {
+        it('✅ Deve formatar valores em reais', () => {
+            expect(Money.fromDecimal(1234.5).format()).to.equal('R$ 1.234,50');
+            expect(formatBRL(5000)).to.equal('R$ 5.000,00');
+            expect(formatBRL(-0.1)).to.equal('-R$ 0,10');
+        });
+    });
+
+    describe('GraphQL scalar Money', () => {
+        it('✅ Deve converter variáveis e literais em Money', () => {
+            expect(resolvers.Money.parseValue(10.25).cents).to.equal(1025);
+            expect(resolvers.Money.parseLiteral({ kind: 'FloatValue', value: '0.1' }).cents).to.equal(10);
+            expect(resolvers.Money.parseLiteral({ kind: 'StringValue', value: '99.99' }).cents).to.equal(9999);
+        });
+
+        it('❌ Deve rejeitar valores com mais de 2 casas decimais', () => {
+            expect(() => resolvers.Money.parseValue(1.234)).to.throw('Valor monetário inválido');
+            expect(() => resolvers.Money.parseLiteral({ kind: 'BooleanValue', value: true })).to.throw('Valor monetário inválido');
+        });
+    });
+
+    describe('Joi transferSchema', () => {
+        it('❌ Deve rejeitar valores com frações de centavo', () => {
+            const { error } = transferSchema.validate({ toAccount: '123456', amount: 10.001 });
+            expect(error.details[0].message).to.equal('Valor deve ter no máximo 2 casas decimais');
+        });
+    });
+});
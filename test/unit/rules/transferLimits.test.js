@@ -0,0 +1,166 @@
+// test/unit/rules/transferLimits.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../../src/config/environment');
+const transferService = require('../../../src/services/transferService');
+const userService = require('../../../src/services/userService');
+const { store, findUserById, updateUser } = require('../../../src/database');
+const { startOfPeriod, startOfNextPeriod, isWithinHours } = require('../../../src/utils/calendar');
+const { createTestUser, createUserWithBalance, clearDatabase } = require('../../helpers/dataHelper');
+const { createFakeClock, DAY } = require('../../helpers/clockHelper');
+
+describe('📊 Limites diário e mensal de transferências', () => {
+    describe('Calendário', () => {
+        const timeZone = 'America/Sao_Paulo';
+
+        it('✅ Dia e mês devem começar à meia-noite do fuso configurado', () => {
+            const date = new Date('2030-01-31T02:30:00.000Z'); // 30/01 23h30 em São Paulo
+
+            expect(startOfPeriod(date, 'daily', timeZone).toISOString()).to.equal('2030-01-30T03:00:00.000Z');
+            expect(startOfNextPeriod(date, 'daily', timeZone).toISOString()).to.equal('2030-01-31T03:00:00.000Z');
+            expect(startOfPeriod(date, 'monthly', timeZone).toISOString()).to.equal('2030-01-01T03:00:00.000Z');
+            expect(startOfNextPeriod(date, 'monthly', timeZone).toISOString()).to.equal('2030-02-01T03:00:00.000Z');
+        });
+
+        it('✅ Deve virar o ano e respeitar o horário de verão', () => {
+            expect(startOfNextPeriod(new Date('2030-12-15T10:00:00.000Z'), 'monthly', 'UTC').toISOString())
+                .to.equal('2031-01-01T00:00:00.000Z');
+            // 31/03/2030: Berlim muda para UTC+2 às 2h, mas o dia começa em UTC+1
+            expect(startOfPeriod(new Date('2030-03-31T12:00:00.000Z'), 'daily', 'Europe/Berlin').toISOString())
+                .to.equal('2030-03-30T23:00:00.000Z');
+        });
+
+        it('✅ Janela de horas deve usar o fuso e atravessar a meia-noite', () => {
+            const lateNight = new Date('2030-01-31T02:30:00.000Z'); // 23h30 em São Paulo
+            const morning = new Date('2030-01-31T09:00:00.000Z'); // 6h em São Paulo
+
+            expect(isWithinHours(lateNight, 22, 6, timeZone)).to.be.true;
+            expect(isWithinHours(morning, 22, 6, timeZone)).to.be.false;
+            expect(isWithinHours(lateNight, 22, 6, 'Asia/Tokyo')).to.be.false; // 11h30 em Tóquio
+            expect(isWithinHours(morning, 6, 12, timeZone)).to.be.true;
+        });
+
+        it('❌ Deve rejeitar períodos desconhecidos', () => {
+            expect(() => startOfPeriod(new Date(), 'weekly', timeZone)).to.throw('Período desconhecido: weekly');
+        });
+    });
+
+    describe('Aplicação nas transferências', () => {
+        let sender;
+        let recipient;
+        let clock;
+
+        beforeEach(async () => {
+            clearDatabase();
+            sender = await createUserWithBalance(50000);
+            recipient = await createTestUser();
+            await transferService.addFavorite(sender.id, recipient.account);
+
+            clock = createFakeClock(new Date('2030-01-10T15:00:00.000Z')); // 12h em São Paulo
+            sinon.replace(transferService, 'clock', clock);
+            sinon.replace(userService, 'clock', clock);
+            sinon.replace(config, 'transferLimits', { daily: 1000, monthly: 3000, timeZone: 'America/Sao_Paulo' });
+        });
+
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        const send = (amount) => transferService.createTransfer(sender.id, { toAccount: recipient.account, amount });
+
+        const expectViolation = async (amount, code, message) => {
+            await send(amount).then(() => expect.fail('Should have thrown error'), error => {
+                expect(error.code).to.equal(code);
+                expect(error.message).to.equal(message);
+            });
+        };
+
+        it('✅ Deve permitir transferências até o limite diário', async () => {
+            await send(600);
+            const transfer = await send(400);
+
+            expect(transfer.status).to.equal('completed');
+        });
+
+        it('✅ Consumo do limite deve buscar só as transferências enviadas pela conta', async () => {
+            await send(600);
+            const find = sinon.spy(store, 'find');
+
+            expect(userService.getUserLimits(sender.id).daily.used.toDecimal()).to.equal(600);
+
+            const criteria = find.getCalls().filter(call => call.args[0] === 'transfers').map(call => call.args[1]);
+            expect(criteria).to.deep.equal([{ fromAccount: sender.account }, { fromAccount: sender.account }]);
+        });
+
+        it('❌ Deve bloquear a transferência que ultrapassa o limite diário', async () => {
+            await send(600);
+
+            await expectViolation(400.01, 'DAILY_LIMIT_EXCEEDED',
+                'Limite diário de transferências excedido (disponível: R$ 400,00)');
+            expect(findUserById(sender.id).balance.toDecimal()).to.equal(49400);
+        });
+
+        it('✅ Limite diário deve renovar no dia seguinte, sem renovar o mensal', async () => {
+            await send(1000);
+            clock.advance(DAY);
+            await send(1000);
+            clock.advance(DAY);
+            await send(900);
+
+            const limits = userService.getUserLimits(sender.id);
+            expect(limits.daily.used.toDecimal()).to.equal(900);
+            expect(limits.monthly.remaining.toDecimal()).to.equal(100);
+        });
+
+        it('❌ Deve bloquear a transferência que ultrapassa o limite mensal', async () => {
+            for (let day = 0; day < 3; day++) {
+                await send(1000);
+                clock.advance(DAY);
+            }
+
+            await expectViolation(0.01, 'MONTHLY_LIMIT_EXCEEDED',
+                'Limite mensal de transferências excedido (disponível: R$ 0,00)');
+        });
+
+        it('✅ Valores reservados aguardando confirmação devem consumir o limite', async () => {
+            sinon.replace(config.transferRules, 'highAmountLimit', 500);
+            const stranger = await createTestUser();
+            const transfer = await transferService.createTransfer(sender.id, { toAccount: stranger.account, amount: 800, requestApproval: true });
+
+            expect(transfer.status).to.equal('pending_approval');
+
+            expect(userService.getUserLimits(sender.id).daily.remaining.toDecimal()).to.equal(200);
+        });
+
+        it('✅ Estornos realizados não devem consumir o limite de quem estorna', async () => {
+            const transfer = await send(1000);
+
+            transferService.refundTransfer(recipient.id, transfer.id);
+
+            expect(userService.getUserLimits(recipient.id).daily.used.toDecimal()).to.equal(0);
+            expect(userService.getUserLimits(sender.id).daily.used.toDecimal()).to.equal(1000);
+        });
+
+        it('✅ Limite por usuário deve sobrescrever o da configuração', async () => {
+            const user = findUserById(sender.id);
+            user.ruleSettings = { dailyLimit: { limit: 5000 } };
+            updateUser(user);
+
+            await send(2500);
+
+            const limits = userService.getUserLimits(sender.id);
+            expect(limits.daily.limit.toDecimal()).to.equal(5000);
+            expect(limits.daily.remaining.toDecimal()).to.equal(2500);
+            expect(limits.monthly.remaining.toDecimal()).to.equal(500);
+        });
+
+        it('✅ Deve informar quando os limites renovam', () => {
+            const limits = userService.getUserLimits(sender.id);
+
+            expect(limits.currency).to.equal('BRL');
+            expect(limits.daily.resetsAt).to.deep.equal(startOfNextPeriod(clock.now(), 'daily', 'America/Sao_Paulo'));
+            expect(limits.monthly.resetsAt).to.deep.equal(startOfNextPeriod(clock.now(), 'monthly', 'America/Sao_Paulo'));
+            expect(limits.daily.timeZone).to.equal('America/Sao_Paulo');
+        });
+    });
+});
@@ -0,0 +1,203 @@
+// test/unit/rules/transferRules.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../../src/config/environment');
+const Money = require('../../../src/models/Money');
+const RulesEngine = require('../../../src/rules/RulesEngine');
+const RuleViolationError = require('../../../src/rules/RuleViolationError');
+const transferRules = require('../../../src/rules/transfer');
+const transferService = require('../../../src/services/transferService');
+const { findUserById, updateUser } = require('../../../src/database');
+const { createTestUser, createUserWithBalance, clearDatabase } = require('../../helpers/dataHelper');
+
+describe('📏 Rules engine de transferências', () => {
+    const sender = { id: 1, account: '111111', balance: Money.fromDecimal(10000) };
+    const recipient = { id: 2, account: '222222', balance: Money.zero() };
+
+    const context = (overrides = {}) => ({
+        fromUser: sender,
+        toUser: recipient,
+        amount: Money.fromDecimal(100),
+        isFavorite: false,
+        now: new Date('2030-01-01T15:00:00.000Z'), // 12h em São Paulo
+        ...overrides
+    });
+
+    describe('RulesEngine', () => {
+        const rule = (name, order, message = null, extra = {}) => ({
+            name,
+            code: name.toUpperCase(),
+            order,
+            check: () => message,
+            ...extra
+        });
+
+        it('✅ Deve avaliar as regras em ordem e retornar violações estruturadas', () => {
+            const engine = new RulesEngine([rule('second', 20, 'Segunda'), rule('first', 10, 'Primeira', { approvable: true })]);
+
+            expect(engine.evaluate(context())).to.deep.equal([
+                { rule: 'first', code: 'FIRST', message: 'Primeira', approvable: true },
+                { rule: 'second', code: 'SECOND', message: 'Segunda', approvable: false }
+            ]);
+        });
+
+        it('✅ assert deve lançar RuleViolationError com a primeira violação', () => {
+            const engine = new RulesEngine([rule('limit', 10, 'Limite excedido')]);
+
+            try {
+                engine.assert(context());
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error).to.be.instanceOf(RuleViolationError);
+                expect(error.message).to.equal('Limite excedido');
+                expect(error.code).to.equal('LIMIT');
+                expect(error.violations).to.have.length(1);
+            }
+        });
+
+        it('✅ Deve avaliar apenas as regras listadas em only', () => {
+            const engine = new RulesEngine([rule('a', 10, 'A'), rule('b', 20, 'B')]);
+
+            expect(engine.evaluate(context(), { only: ['b'] }).map(v => v.rule)).to.deep.equal(['b']);
+        });
+
+        it('✅ Configurações do usuário devem sobrescrever as opções padrão', () => {
+            const limited = rule('max', 10, null, {
+                options: () => ({ max: 50 }),
+                check: ({ amount }, { max }) => (amount.greaterThan(Money.of(max)) ? 'Acima do máximo' : null)
+            });
+            const engine = new RulesEngine([limited]);
+
+            expect(engine.evaluate(context())).to.have.length(1);
+            expect(engine.evaluate(context({ fromUser: { ...sender, ruleSettings: { max: { max: 200 } } } }))).to.have.length(0);
+            expect(engine.evaluate(context({ fromUser: { ...sender, ruleSettings: { max: { enabled: false } } } }))).to.have.length(0);
+        });
+
+        it('✅ Configurações do produto ficam entre as opções padrão e as do usuário', () => {
+            const limited = rule('max', 10, null, {
+                options: () => ({ max: 50 }),
+                check: ({ amount }, { max }) => (amount.greaterThan(Money.of(max)) ? 'Acima do máximo' : null)
+            });
+            const engine = new RulesEngine([limited]);
+            const product = { id: 'premium', ruleSettings: { max: { max: 200 } } };
+
+            expect(engine.evaluate(context({ product }))).to.have.length(0);
+            expect(engine.evaluate(context({ product, amount: Money.fromDecimal(300) }))).to.have.length(1);
+            expect(engine.evaluate(context({ product, fromUser: { ...sender, ruleSettings: { max: { max: 80 } } } }))).to.have.length(1);
+        });
+
+        it('❌ Deve rejeitar regras inválidas ou duplicadas', () => {
+            const engine = new RulesEngine([rule('a', 10)]);
+
+            expect(() => engine.register({ name: 'b' })).to.throw('Regra deve ter name, code e check');
+            expect(() => engine.register(rule('a', 20))).to.throw('Regra já registrada: a');
+        });
+    });
+
+    describe('Regras padrão', () => {
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it('✅ Deve listar as regras na ordem de avaliação', () => {
+            expect(transferRules.getRules().map(rule => rule.name)).to.deep.equal([
+                'positiveAmount',
+                'noSelfTransfer',
+                'sufficientBalance',
+                'highAmountNonFavorite',
+                'dailyLimit',
+                'monthlyLimit',
+                'nightTimeLimit'
+            ]);
+        });
+
+        it('❌ Deve reportar todas as violações com seus códigos', () => {
+            const violations = transferRules.evaluate(context({
+                toUser: sender,
+                amount: Money.fromDecimal(20000)
+            }));
+
+            expect(violations.map(v => v.code)).to.deep.equal([
+                'SELF_TRANSFER',
+                'INSUFFICIENT_BALANCE',
+                'HIGH_AMOUNT_NON_FAVORITE'
+            ]);
+        });
+
+        it('✅ Limite para não favorecidos deve vir da configuração', () => {
+            sinon.replace(config.transferRules, 'highAmountLimit', 8000);
+
+            expect(transferRules.evaluate(context({ amount: Money.fromDecimal(6000) }))).to.have.length(0);
+            expect(transferRules.evaluate(context({ amount: Money.fromDecimal(8000.01) }))[0].message)
+                .to.equal('Transferências acima de R$ 8.000,00 só podem ser realizadas para usuários favorecidos');
+        });
+
+        it('✅ Limite noturno deve ficar desligado por padrão e valer à noite quando ligado', () => {
+            const night = new Date('2030-01-02T02:00:00.000Z'); // 23h em São Paulo
+            const amount = Money.fromDecimal(1500);
+
+            expect(transferRules.evaluate(context({ amount, now: night }))).to.have.length(0);
+
+            sinon.replace(config.transferRules, 'nightTime', { ...config.transferRules.nightTime, enabled: true });
+
+            expect(transferRules.evaluate(context({ amount }))).to.have.length(0);
+            expect(transferRules.evaluate(context({ amount, now: night }))).to.deep.equal([{
+                rule: 'nightTimeLimit',
+                code: 'NIGHT_TIME_LIMIT',
+                message: 'Entre 20h e 6h as transferências são limitadas a R$ 1.000,00',
+                approvable: true
+            }]);
+        });
+    });
+
+    describe('Integração com o TransferService', () => {
+        let from;
+        let to;
+
+        beforeEach(async () => {
+            clearDatabase();
+            from = await createUserWithBalance(10000);
+            to = await createTestUser();
+        });
+
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it('✅ Limite por usuário deve liberar valores maiores para aquele usuário', async () => {
+            const user = findUserById(from.id);
+            user.ruleSettings = { highAmountNonFavorite: { limit: 7000 } };
+            updateUser(user);
+
+            const transfer = await transferService.createTransfer(from.id, { toAccount: to.account, amount: 6500 });
+
+            expect(transfer.status).to.equal('completed');
+        });
+
+        it('❌ Violação deve expor código e violações no erro', async () => {
+            await transferService.createTransfer(from.id, { toAccount: to.account, amount: 6000 })
+                .then(() => expect.fail('Should have thrown error'), error => {
+                    expect(error.code).to.equal('HIGH_AMOUNT_NON_FAVORITE');
+                    expect(error.violations[0].rule).to.equal('highAmountNonFavorite');
+                });
+        });
+
+        it('✅ Nova regra registrada deve ser aplicada sem alterar o serviço', async () => {
+            transferRules.register({
+                name: 'maxAmount',
+                code: 'MAX_AMOUNT',
+                order: 60,
+                check: ({ amount }) => (amount.greaterThan(Money.fromDecimal(1000)) ? 'Valor acima de R$ 1.000,00 bloqueado' : null)
+            });
+
+            try {
+                await transferService.createTransfer(from.id, { toAccount: to.account, amount: 1500 })
+                    .then(() => expect.fail('Should have thrown error'), error => {
+                        expect(error.code).to.equal('MAX_AMOUNT');
+                    });
+            } finally {
+                transferRules.unregister('maxAmount');
+            }
+        });
+    });
+});
@@ -0,0 +1,134 @@
+// test/unit/services/aliasKeyService.test.js
+const { expect } = require('chai');
+const aliasKeyService = require('../../../src/services/aliasKeyService');
+const transferService = require('../../../src/services/transferService');
+const transferBatchService = require('../../../src/services/transferBatchService');
+const { findUserById } = require('../../../src/database');
+const { createTestUser, createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+
+describe('🔑 AliasKeyService - Chaves de transferência', () => {
+    let owner;
+    let other;
+
+    beforeEach(async () => {
+        clearDatabase();
+        owner = await createTestUser({ name: 'Maria da Silva', email: `maria${Date.now()}@email.com` });
+        [other] = await createMultipleTestUsers(1);
+    });
+
+    describe('Cadastro', () => {
+        it('✅ Deve normalizar e-mail, telefone e CPF', () => {
+            const email = aliasKeyService.createAliasKey(owner.id, { type: 'email', value: '  Maria@Email.COM ' });
+            const phone = aliasKeyService.createAliasKey(owner.id, { type: 'phone', value: '+55 (11) 98765-4321' });
+            const cpf = aliasKeyService.createAliasKey(owner.id, { type: 'cpf', value: '529.982.247-25' });
+
+            expect(email).to.include({ type: 'email', value: 'maria@email.com', account: owner.account });
+            expect(phone.value).to.equal('+5511987654321');
+            expect(cpf.value).to.equal('52998224725');
+        });
+
+        it('✅ Deve gerar chaves aleatórias no servidor', () => {
+            const key = aliasKeyService.createAliasKey(owner.id, { type: 'random' });
+
+            expect(key.value).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+        });
+
+        it('❌ Deve rejeitar valores inválidos', () => {
+            expect(() => aliasKeyService.createAliasKey(owner.id, { type: 'cpf', value: '529.982.247-26' })).to.throw('CPF inválido');
+            expect(() => aliasKeyService.createAliasKey(owner.id, { type: 'cpf', value: '111.111.111-11' })).to.throw('CPF inválido');
+            expect(() => aliasKeyService.createAliasKey(owner.id, { type: 'phone', value: '11987654321' }))
+                .to.throw('Telefone inválido; use o formato +55DDNNNNNNNNN');
+            expect(() => aliasKeyService.createAliasKey(owner.id, { type: 'email', value: 'maria' })).to.throw('E-mail inválido');
+            expect(() => aliasKeyService.createAliasKey(owner.id, { type: 'random', value: 'minha-chave' }))
+                .to.throw('Chave aleatória é gerada automaticamente; não informe o valor');
+            expect(() => aliasKeyService.createAliasKey(owner.id, { type: 'nickname', value: 'maria' }))
+                .to.throw('Tipo de chave inválido. Use um de: email, phone, cpf, random');
+        });
+
+        it('❌ Uma chave deve apontar para uma única conta', () => {
+            aliasKeyService.createAliasKey(owner.id, { type: 'email', value: 'maria@email.com' });
+
+            expect(() => aliasKeyService.createAliasKey(other.id, { type: 'email', value: 'MARIA@email.com' }))
+                .to.throw('Chave já cadastrada');
+        });
+
+        it('❌ E-mail de acesso de outra conta não pode virar chave', () => {
+            expect(() => aliasKeyService.createAliasKey(other.id, { type: 'email', value: owner.email.toUpperCase() }))
+                .to.throw('Chave já cadastrada como e-mail de acesso de outra conta');
+            expect(aliasKeyService.createAliasKey(owner.id, { type: 'email', value: owner.email }).account).to.equal(owner.account);
+        });
+
+        it('❌ Deve limitar a uma chave CPF e a 5 chaves por conta', () => {
+            aliasKeyService.createAliasKey(owner.id, { type: 'cpf', value: '52998224725' });
+            expect(() => aliasKeyService.createAliasKey(owner.id, { type: 'cpf', value: '11144477735' }))
+                .to.throw('Conta já possui uma chave CPF');
+
+            for (let i = 0; i < 4; i++) {
+                aliasKeyService.createAliasKey(owner.id, { type: 'random' });
+            }
+            expect(() => aliasKeyService.createAliasKey(owner.id, { type: 'random' }))
+                .to.throw('Limite de 5 chaves por conta atingido');
+        });
+
+        it('❌ Somente o dono deve remover a chave', () => {
+            const key = aliasKeyService.createAliasKey(owner.id, { type: 'random' });
+
+            expect(() => aliasKeyService.removeAliasKey(other.id, key.id)).to.throw('Chave não encontrada');
+            expect(aliasKeyService.removeAliasKey(owner.id, key.id)).to.deep.equal({ message: 'Chave removida com sucesso' });
+            expect(aliasKeyService.getAliasKeys(owner.id)).to.have.length(0);
+        });
+    });
+
+    describe('Consulta', () => {
+        it('✅ Deve mascarar o nome do titular e a chave', () => {
+            aliasKeyService.createAliasKey(owner.id, { type: 'cpf', value: '52998224725' });
+            aliasKeyService.createAliasKey(owner.id, { type: 'phone', value: '+5511987654321' });
+            aliasKeyService.createAliasKey(owner.id, { type: 'email', value: 'maria@email.com' });
+
+            expect(aliasKeyService.lookupKey('529.982.247-25')).to.deep.equal({
+                type: 'cpf',
+                key: '***.982.247-**',
+                ownerName: 'Maria d* S****',
+                account: owner.account
+            });
+            expect(aliasKeyService.lookupKey('+5511987654321').key).to.equal('+5511*****4321');
+            expect(aliasKeyService.lookupKey('Maria@Email.com').key).to.equal('ma***@email.com');
+        });
+
+        it('❌ Deve distinguir chave inexistente de formato desconhecido', () => {
+            expect(() => aliasKeyService.lookupKey('ninguem@email.com')).to.throw('Chave não encontrada');
+            expect(() => aliasKeyService.lookupKey('123')).to.throw('Formato de chave não reconhecido');
+        });
+    });
+
+    describe('Transferência com toKey', () => {
+        it('✅ Deve transferir para a conta da chave', async () => {
+            const key = aliasKeyService.createAliasKey(owner.id, { type: 'random' });
+
+            const transfer = await transferService.createTransfer(other.id, { toKey: key.value.toUpperCase(), amount: 25 });
+
+            expect(transfer.toAccount).to.equal(owner.account);
+            expect(findUserById(owner.id).balance.toDecimal()).to.equal(1025);
+        });
+
+        it('❌ Deve rejeitar chave inexistente, destino duplicado e a própria chave', async () => {
+            const key = aliasKeyService.createAliasKey(other.id, { type: 'email', value: 'eu@email.com' });
+
+            await transferService.createTransfer(other.id, { toKey: 'ninguem@email.com', amount: 10 })
+                .then(() => expect.fail('Should have thrown error'), error => expect(error.message).to.equal('Chave não encontrada'));
+            await transferService.createTransfer(other.id, { toKey: key.value, toAccount: owner.account, amount: 10 })
+                .then(() => expect.fail('Should have thrown error'), error => expect(error.message).to.equal('Informe a conta ou a chave de destino, não ambas'));
+            await transferService.createTransfer(other.id, { toKey: key.value, amount: 10 })
+                .then(() => expect.fail('Should have thrown error'), error => expect(error.code).to.equal('SELF_TRANSFER'));
+        });
+
+        it('❌ Itens de lote com chave inexistente devem trazer KEY_NOT_FOUND', () => {
+            const batch = transferBatchService.createTransferBatch(other.id, {
+                mode: 'best_effort',
+                transfers: [{ toKey: 'ninguem@email.com', amount: 10 }]
+            });
+
+            expect(batch.items[0]).to.include({ status: 'failed', code: 'KEY_NOT_FOUND', error: 'Chave não encontrada' });
+        });
+    });
+});
@@ -0,0 +1,106 @@
+// test/unit/services/analyticsService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const analyticsService = require('../../../src/services/analyticsService');
+const categoryService = require('../../../src/services/categoryService');
+const transferService = require('../../../src/services/transferService');
+const database = require('../../../src/database');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const { DAY } = require('../../helpers/clockHelper');
+
+describe('📊 AnalyticsService - Análise de gastos', () => {
+    let clock;
+    let payer;
+    let store;
+    let landlord;
+
+    const send = (from, to, amount, description) =>
+        transferService.executeTransfer(from.id, { toAccount: to.account, amount, description });
+
+    // Dezembro/2029: 100 no mercado e 50 de aluguel
+    // Janeiro/2030: 150 no mercado, 30 na padaria (10 estornados), 200 de aluguel e 80 recebidos
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({ now: new Date('2029-12-15T15:00:00.000Z'), toFake: ['Date'] });
+        clearDatabase();
+        [payer, store, landlord] = await createMultipleTestUsers(3);
+        categoryService.createRule(payer.id, { category: 'Mercado', descriptionContains: 'supermercado' });
+        categoryService.createRule(payer.id, { category: 'Moradia', counterparty: landlord.account });
+
+        send(payer, store, 100, 'Supermercado Dia');
+        send(payer, landlord, 50, 'Aluguel');
+        clock.tick(26 * DAY);
+        send(payer, store, 150, 'SUPERMERCADO Extra');
+        const bakery = send(payer, store, 30, 'Padaria');
+        send(payer, landlord, 200, 'Aluguel janeiro');
+        send(landlord, payer, 80, 'Reembolso');
+        transferService.refundTransfer(store.id, bakery.id, { amount: 10 });
+        categoryService.categorizeTransfer(payer.id, bakery.id, { category: 'Alimentação' });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('✅ Deve resumir o mês atual com gastos por categoria e variação mensal', () => {
+        const analytics = analyticsService.getAnalytics(payer.id);
+
+        expect(analytics.from.toISOString()).to.equal('2030-01-01T03:00:00.000Z');
+        expect(analytics.to.toISOString()).to.equal('2030-02-01T03:00:00.000Z');
+        expect(analytics.inflow.toDecimal()).to.equal(90);
+        expect(analytics.outflow.toDecimal()).to.equal(380);
+        expect(analytics.net.toDecimal()).to.equal(-290);
+        expect(analytics.byCategory.map(item => ({ ...item, total: item.total.toDecimal(), previousTotal: item.previousTotal.toDecimal() })))
+            .to.deep.equal([
+                { category: 'Moradia', total: 200, count: 1, share: 52.6, previousTotal: 50, change: 300 },
+                { category: 'Mercado', total: 150, count: 1, share: 39.5, previousTotal: 100, change: 50 },
+                { category: 'Alimentação', total: 30, count: 1, share: 7.9, previousTotal: 0, change: null }
+            ]);
+        expect(analytics.previous.outflow.toDecimal()).to.equal(150);
+        expect(analytics.change).to.deep.equal({ inflow: null, outflow: 153.3 });
+    });
+
+    it('✅ Deve buscar no store só as transferências da conta', () => {
+        const find = sinon.spy(database.store, 'find');
+
+        analyticsService.getAnalytics(payer.id);
+        find.restore();
+
+        const criteria = find.getCalls().filter(call => call.args[0] === 'transfers').map(call => call.args[1]);
+        expect(criteria).to.deep.equal([{ fromAccount: payer.account }, { toAccount: payer.account }]);
+    });
+
+    it('✅ Deve listar os destinatários que mais receberam', () => {
+        const { topCounterparties } = analyticsService.getAnalytics(payer.id);
+
+        expect(topCounterparties.map(item => ({ ...item, total: item.total.toDecimal() }))).to.deep.equal([
+            { account: landlord.account, name: 'Usuário 3', total: 200, count: 1 },
+            { account: store.account, name: 'Usuário 2', total: 180, count: 2 }
+        ]);
+    });
+
+    it('✅ Deve analisar o período da data informada e o ano inteiro', () => {
+        const december = analyticsService.getAnalytics(payer.id, { date: '2029-12-31' });
+        const year = analyticsService.getAnalytics(payer.id, { period: 'year' });
+
+        expect(december.outflow.toDecimal()).to.equal(150);
+        expect(december.change.outflow).to.be.null;
+        expect(december.byCategory.map(item => item.category)).to.deep.equal(['Mercado', 'Moradia']);
+        expect(year.from.toISOString()).to.equal('2030-01-01T03:00:00.000Z');
+        expect(year.previous.from.toISOString()).to.equal('2029-01-01T03:00:00.000Z');
+        expect(year.outflow.toDecimal()).to.equal(380);
+    });
+
+    it('✅ Transferências sem categoria entram como Sem categoria', () => {
+        const analytics = analyticsService.getAnalytics(store.id);
+
+        expect(analytics.inflow.toDecimal()).to.equal(180);
+        expect(analytics.byCategory.map(item => [item.category, item.total.toDecimal()])).to.deep.equal([['Sem categoria', 10]]);
+    });
+
+    it('❌ Deve rejeitar período ou data inválidos', () => {
+        expect(() => analyticsService.getAnalytics(payer.id, { period: 'week' }))
+            .to.throw('Período inválido. Use um de: month, year');
+        expect(() => analyticsService.getAnalytics(payer.id, { date: 'ontem' }))
+            .to.throw('Data inválida; use AAAA-MM-DD ou o formato ISO 8601');
+    });
+});
@@ -0,0 +1,45 @@
+// test/unit/services/authService.test.js
+const { expect } = require('chai');
+const authService = require('../../../src/services/authService');
+const userService = require('../../../src/services/userService');
+const { findUserByEmail } = require('../../../src/database');
+const { createTestUser, clearDatabase } = require('../../helpers/dataHelper');
+
+describe('🛡️ AuthService - Administrador', () => {
+    const adminData = { name: 'Administrador', email: 'admin@email.com', password: 'senha123' };
+
+    beforeEach(() => {
+        clearDatabase();
+    });
+
+    it('✅ Deve criar a conta de administrador uma única vez', async () => {
+        const admin = await userService.ensureAdmin(adminData);
+        const again = await userService.ensureAdmin(adminData);
+
+        expect(admin.isAdmin).to.be.true;
+        expect(again.id).to.equal(admin.id);
+        expect(authService.isAdmin({ userId: admin.id })).to.be.true;
+    });
+
+    it('✅ Sem e-mail configurado não há administrador', async () => {
+        expect(await userService.ensureAdmin({ email: null })).to.be.null;
+    });
+
+    it('❌ Cadastro público nunca é administrador, nem com o e-mail configurado', async () => {
+        const customer = await createTestUser({ email: 'admin@email.com' });
+
+        expect(findUserByEmail('admin@email.com').isAdmin).to.be.false;
+        expect(authService.isAdmin({ userId: customer.id, email: 'admin@email.com' })).to.be.false;
+        try {
+            await userService.ensureAdmin(adminData);
+            expect.fail('Should have thrown error');
+        } catch (error) {
+            expect(error.message).to.equal('E-mail de administrador já pertence a uma conta de cliente');
+        }
+    });
+
+    it('❌ Token de usuário inexistente não é administrador', () => {
+        expect(authService.isAdmin({ userId: 999 })).to.be.false;
+        expect(authService.isAdmin(undefined)).to.be.false;
+    });
+});
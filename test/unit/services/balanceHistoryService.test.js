@@ -0,0 +1,91 @@
+// test/unit/services/balanceHistoryService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const balanceHistoryService = require('../../../src/services/balanceHistoryService');
+const transferService = require('../../../src/services/transferService');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const { DAY, HOUR } = require('../../helpers/clockHelper');
+
+describe('📈 BalanceHistoryService - Histórico de saldo', () => {
+    let clock;
+    let sender;
+    let recipient;
+
+    const send = (amount) => transferService.createTransfer(sender.id, { toAccount: recipient.account, amount });
+
+    // Cadastro em 10/01/2030 12h (São Paulo), 100 em 11/01, 50 em 13/01 e 30 às 23h de 13/01
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({ now: new Date('2030-01-10T15:00:00.000Z'), toFake: ['Date'] });
+        clearDatabase();
+        [sender, recipient] = await createMultipleTestUsers(2);
+        clock.tick(DAY);
+        await send(100);
+        clock.tick(2 * DAY);
+        await send(50);
+        clock.tick(11 * HOUR);
+        await send(30);
+        clock.tick(DAY);
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    const balances = (history) => history.points.map(point => point.balance.toDecimal());
+
+    describe('getBalanceHistory', () => {
+        it('✅ Deve retornar o saldo ao fim de cada dia local', () => {
+            const history = balanceHistoryService.getBalanceHistory(sender.id, { from: '2030-01-09', to: '2030-01-14' });
+
+            expect(history.openingBalance.toDecimal()).to.equal(0);
+            expect(balances(history)).to.deep.equal([0, 1000, 900, 900, 820, 820]);
+            expect(history.points.map(point => point.change.toDecimal())).to.deep.equal([0, 1000, -100, 0, -80, 0]);
+            expect(history.points[0].periodStart.toISOString()).to.equal('2030-01-09T03:00:00.000Z');
+            expect(history.points[5].periodEnd.toISOString()).to.equal('2030-01-15T03:00:00.000Z');
+        });
+
+        it('✅ Deve agrupar por mês e terminar o último ponto agora', () => {
+            const history = balanceHistoryService.getBalanceHistory(sender.id, { from: '2029-12-01', interval: 'month' });
+
+            expect(balances(history)).to.deep.equal([0, 820]);
+            expect(history.points[1].periodEnd.getTime()).to.equal(Date.now());
+        });
+
+        it('✅ Deve partir do saldo anterior ao período', () => {
+            const history = balanceHistoryService.getBalanceHistory(sender.id, { from: '2030-01-12', to: '2030-01-13' });
+
+            expect(history.openingBalance.toDecimal()).to.equal(900);
+            expect(balances(history)).to.deep.equal([900, 820]);
+        });
+
+        it('❌ Deve rejeitar intervalos desconhecidos e séries longas demais', () => {
+            expect(() => balanceHistoryService.getBalanceHistory(sender.id, { interval: 'week' }))
+                .to.throw('Intervalo inválido. Use um de: day, month');
+            expect(() => balanceHistoryService.getBalanceHistory(sender.id, { from: '2028-01-01', to: '2029-12-31' }))
+                .to.throw('Período muito longo: a série é limitada a 366 pontos');
+            expect(() => balanceHistoryService.getBalanceHistory(sender.id, { from: '2030-01-14', to: '2030-01-10' }))
+                .to.throw('Data inicial deve ser anterior à data final');
+        });
+    });
+
+    describe('getBalanceAt', () => {
+        it('✅ Data sem horário deve retornar o saldo ao fim do dia', () => {
+            expect(balanceHistoryService.getBalanceAt(sender.id, '2030-01-09').balance.toDecimal()).to.equal(0);
+            expect(balanceHistoryService.getBalanceAt(sender.id, '2030-01-11').balance.toDecimal()).to.equal(900);
+            expect(balanceHistoryService.getBalanceAt(sender.id, '2030-01-13').balance.toDecimal()).to.equal(820);
+        });
+
+        it('✅ Instante ISO deve considerar apenas lançamentos anteriores a ele', () => {
+            const result = balanceHistoryService.getBalanceAt(sender.id, '2030-01-14T01:00:00.000Z');
+
+            expect(result.balance.toDecimal()).to.equal(850);
+            expect(result.formatted).to.equal('R$ 850,00');
+        });
+
+        it('❌ Deve exigir uma data válida', () => {
+            expect(() => balanceHistoryService.getBalanceAt(sender.id)).to.throw('Data é obrigatória');
+            expect(() => balanceHistoryService.getBalanceAt(sender.id, 'ontem')).to.throw('Data inválida; use AAAA-MM-DD ou o formato ISO 8601');
+            expect(() => balanceHistoryService.getBalanceAt(999, '2030-01-01')).to.throw('Usuário não encontrado');
+        });
+    });
+});
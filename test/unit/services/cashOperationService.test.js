@@ -0,0 +1,105 @@
+// test/unit/services/cashOperationService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const cashOperationService = require('../../../src/services/cashOperationService');
+const ledgerService = require('../../../src/services/ledgerService');
+const statementService = require('../../../src/services/statementService');
+const { HOUSE_ACCOUNTS } = require('../../../src/services/ledgerService');
+const { findUserById } = require('../../../src/database');
+const { createTestUser, clearDatabase } = require('../../helpers/dataHelper');
+const { HOUR } = require('../../helpers/clockHelper');
+
+describe('🏧 CashOperationService - Depósitos e saques', () => {
+    let user;
+    let clock;
+
+    // 10h em São Paulo; o ledger e o extrato usam o mesmo relógio
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({ now: new Date('2030-01-10T13:00:00.000Z'), toFake: ['Date'] });
+        clearDatabase();
+        user = await createTestUser();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    const balance = () => findUserById(user.id).balance.toDecimal();
+
+    describe('deposit', () => {
+        it('✅ Deve creditar a conta e lançar a contrapartida na conta interna do canal', () => {
+            const operation = cashOperationService.deposit(user.id, { amount: 250.5, channel: 'boleto' });
+
+            expect(operation).to.include({ type: 'deposit', channel: 'boleto', status: 'completed', description: 'Depósito - boleto' });
+            expect(operation.createdAt).to.deep.equal(new Date());
+            expect(balance()).to.equal(1250.5);
+            expect(ledgerService.verifyUserBalance(findUserById(user.id)).reconciled).to.be.true;
+            expect(ledgerService.getBalance(HOUSE_ACCOUNTS.boleto).toDecimal()).to.equal(-250.5);
+        });
+
+        it('❌ Deve respeitar o limite diário de depósitos, renovado à meia-noite local', () => {
+            cashOperationService.deposit(user.id, { amount: 49000, channel: 'external_bank' });
+
+            expect(() => cashOperationService.deposit(user.id, { amount: 1000.01, channel: 'branch' }))
+                .to.throw('Limite diário de depósitos excedido (disponível: R$ 1.000,00)');
+
+            // 00h do dia seguinte em São Paulo
+            clock.tick(14 * HOUR);
+            expect(cashOperationService.deposit(user.id, { amount: 1000.01, channel: 'branch' }).amount.toDecimal()).to.equal(1000.01);
+        });
+    });
+
+    describe('withdraw', () => {
+        it('✅ Deve debitar a conta e aparecer no extrato com o canal', () => {
+            const operation = cashOperationService.withdraw(user.id, { amount: 200, channel: 'atm', description: 'Feira' });
+            const statement = statementService.getStatement(user.id, { from: '2030-01-10', to: '2030-01-10' });
+
+            expect(balance()).to.equal(800);
+            expect(ledgerService.getBalance(HOUSE_ACCOUNTS.cash).toDecimal()).to.equal(200);
+            expect(statement.entries.map(entry => entry.balance.toDecimal())).to.deep.equal([1000, 800]);
+            expect(statement.entries[1]).to.include({ description: 'Feira', type: 'debit', operationId: operation.id, channel: 'atm', transferId: null });
+        });
+
+        it('❌ Deve rejeitar boleto, saldo insuficiente e valores inválidos no caixa eletrônico', () => {
+            expect(() => cashOperationService.withdraw(user.id, { amount: 100, channel: 'boleto' }))
+                .to.throw('Canal inválido para saque. Use um de: branch, atm, external_bank');
+            expect(() => cashOperationService.withdraw(user.id, { amount: 1000.01, channel: 'branch' }))
+                .to.throw('Saldo insuficiente');
+            expect(() => cashOperationService.withdraw(user.id, { amount: 55, channel: 'atm' }))
+                .to.throw('Saques no caixa eletrônico devem ser múltiplos de R$ 10,00');
+            expect(() => cashOperationService.withdraw(user.id, { amount: 0, channel: 'branch' }))
+                .to.throw('Valor deve ser maior que zero');
+            expect(balance()).to.equal(1000);
+        });
+
+        it('❌ Deve respeitar o limite por saque no caixa eletrônico e o limite diário de saques', async () => {
+            cashOperationService.deposit(user.id, { amount: 10000, channel: 'branch' });
+
+            expect(() => cashOperationService.withdraw(user.id, { amount: 1010, channel: 'atm' }))
+                .to.throw('Limite por saque no caixa eletrônico é de R$ 1.000,00');
+
+            cashOperationService.withdraw(user.id, { amount: 4500, channel: 'branch' });
+            expect(() => cashOperationService.withdraw(user.id, { amount: 600, channel: 'atm' }))
+                .to.throw('Limite diário de saques excedido (disponível: R$ 500,00)');
+
+            const limits = cashOperationService.getLimits(user.id);
+            expect(limits.withdrawal.used.toDecimal()).to.equal(4500);
+            expect(limits.deposit.remaining.toDecimal()).to.equal(40000);
+            expect(limits.withdrawal.resetsAt.toISOString()).to.equal('2030-01-11T03:00:00.000Z');
+        });
+    });
+
+    describe('getOperations', () => {
+        it('✅ Deve listar as operações do usuário, das mais recentes para as mais antigas, e filtrar por tipo', async () => {
+            const other = await createTestUser({ email: 'outro@email.com' });
+            const deposit = cashOperationService.deposit(user.id, { amount: 100, channel: 'branch' });
+            clock.tick(HOUR);
+            const withdrawal = cashOperationService.withdraw(user.id, { amount: 50, channel: 'external_bank' });
+            cashOperationService.deposit(other.id, { amount: 10, channel: 'branch' });
+
+            expect(cashOperationService.getOperations(user.id).map(item => item.id)).to.deep.equal([withdrawal.id, deposit.id]);
+            expect(cashOperationService.getOperations(user.id, { type: 'deposit' }).map(item => item.id)).to.deep.equal([deposit.id]);
+            expect(() => cashOperationService.getOperation(other.id, deposit.id)).to.throw('Operação não encontrada');
+        });
+    });
+});
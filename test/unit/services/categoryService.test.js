@@ -0,0 +1,107 @@
+// test/unit/services/categoryService.test.js
+const { expect } = require('chai');
+const categoryService = require('../../../src/services/categoryService');
+const transferService = require('../../../src/services/transferService');
+const { MAX_RULES_PER_USER } = require('../../../src/services/categoryService');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+
+describe('🏷️ CategoryService - Categorias e regras', () => {
+    let payer;
+    let store;
+    let landlord;
+
+    const send = (from, to, amount, description) =>
+        transferService.executeTransfer(from.id, { toAccount: to.account, amount, description });
+
+    beforeEach(async () => {
+        clearDatabase();
+        [payer, store, landlord] = await createMultipleTestUsers(3);
+    });
+
+    describe('Regras', () => {
+        it('✅ Deve sugerir a categoria pela descrição, sem diferenciar maiúsculas e acentos', () => {
+            const rule = categoryService.createRule(payer.id, { category: 'Mercado', descriptionContains: 'SUPERMERCADO sao joao' });
+            const transfer = send(payer, store, 80, 'Supermercado São João - semana');
+
+            expect(categoryService.getTransferCategory(payer.id, transfer.id)).to.deep.equal({
+                transferId: transfer.id,
+                category: 'Mercado',
+                tags: [],
+                source: 'rule',
+                ruleId: rule.id
+            });
+        });
+
+        it('✅ Deve exigir todas as condições da regra e usar a primeira que casar', () => {
+            categoryService.createRule(payer.id, { category: 'Aluguel', descriptionContains: 'aluguel', counterparty: landlord.account });
+            categoryService.createRule(payer.id, { category: 'Moradia', counterparty: landlord.account });
+            categoryService.createRule(payer.id, { category: 'Outros', descriptionContains: 'aluguel' });
+
+            const rent = send(payer, landlord, 100, 'Aluguel janeiro');
+            const condo = send(payer, landlord, 50, 'Condomínio');
+            const storeRent = send(payer, store, 20, 'Aluguel de bicicleta');
+
+            expect(categoryService.getTransferCategory(payer.id, rent.id).category).to.equal('Aluguel');
+            expect(categoryService.getTransferCategory(payer.id, condo.id).category).to.equal('Moradia');
+            expect(categoryService.getTransferCategory(payer.id, storeRent.id).category).to.equal('Outros');
+        });
+
+        it('❌ Deve rejeitar regra sem condição, sem categoria ou acima do limite', () => {
+            expect(() => categoryService.createRule(payer.id, { category: 'Mercado' }))
+                .to.throw('Informe o trecho da descrição e/ou a conta da contraparte');
+            expect(() => categoryService.createRule(payer.id, { category: ' ', counterparty: store.account }))
+                .to.throw('Categoria é obrigatória');
+
+            for (let i = 0; i < MAX_RULES_PER_USER; i++) {
+                categoryService.createRule(payer.id, { category: `Categoria ${i}`, descriptionContains: `item ${i}` });
+            }
+            expect(() => categoryService.createRule(payer.id, { category: 'Extra', descriptionContains: 'extra' }))
+                .to.throw(`Limite de ${MAX_RULES_PER_USER} regras atingido`);
+        });
+
+        it('❌ Não deve remover regra de outro usuário', () => {
+            const rule = categoryService.createRule(payer.id, { category: 'Mercado', counterparty: store.account });
+
+            expect(() => categoryService.removeRule(store.id, rule.id)).to.throw('Regra não encontrada');
+            expect(categoryService.removeRule(payer.id, rule.id).message).to.equal('Regra removida com sucesso');
+            expect(categoryService.getRules(payer.id)).to.be.empty;
+        });
+    });
+
+    describe('Categoria da transferência', () => {
+        it('✅ Categoria manual prevalece sobre as regras e pode ser removida', () => {
+            categoryService.createRule(payer.id, { category: 'Mercado', counterparty: store.account });
+            const transfer = send(payer, store, 30, 'Padaria');
+
+            const manual = categoryService.categorizeTransfer(payer.id, transfer.id, { category: 'Alimentação', tags: ['Café', ' café ', 'Manhã'] });
+            expect(manual).to.include({ category: 'Alimentação', source: 'manual', ruleId: null });
+            expect(manual.tags).to.deep.equal(['café', 'manhã']);
+
+            const updated = categoryService.categorizeTransfer(payer.id, transfer.id, { category: 'Lanches' });
+            expect(updated).to.include({ category: 'Lanches', source: 'manual' });
+            expect(updated.tags).to.deep.equal([]);
+
+            expect(categoryService.clearTransferCategory(payer.id, transfer.id)).to.include({ category: 'Mercado', source: 'rule' });
+        });
+
+        it('✅ Remetente e destinatário categorizam de forma independente', () => {
+            const transfer = send(payer, store, 30, 'Padaria');
+
+            categoryService.categorizeTransfer(payer.id, transfer.id, { category: 'Alimentação' });
+
+            expect(categoryService.getTransferCategory(store.id, transfer.id)).to.include({ category: null, source: null });
+            expect(() => categoryService.getTransferCategory(landlord.id, transfer.id))
+                .to.throw('Transferência não encontrada');
+        });
+
+        it('❌ Deve rejeitar tags inválidas', () => {
+            const transfer = send(payer, store, 30, 'Padaria');
+            const tags = Array.from({ length: 11 }, (value, index) => `tag${index}`);
+
+            expect(() => categoryService.categorizeTransfer(payer.id, transfer.id, { category: 'Alimentação', tags }))
+                .to.throw('Máximo de 10 tags por transferência');
+            expect(() => categoryService.categorizeTransfer(payer.id, transfer.id, { category: 'Alimentação', tags: [' '] }))
+                .to.throw('Tags devem ter entre 1 e 30 caracteres');
+        });
+    });
+});
@@ -0,0 +1,153 @@
+// test/unit/services/feeService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../../src/config/environment');
+const Money = require('../../../src/models/Money');
+const feeService = require('../../../src/services/feeService');
+const transferService = require('../../../src/services/transferService');
+const ledgerService = require('../../../src/services/ledgerService');
+const statementService = require('../../../src/services/statementService');
+const { HOUSE_ACCOUNTS } = require('../../../src/services/ledgerService');
+const { store, findUserById, findTransferById } = require('../../../src/database');
+const { createTestUser, createUserWithBalance, clearDatabase } = require('../../helpers/dataHelper');
+const { DAY } = require('../../helpers/clockHelper');
+
+describe('💸 FeeService - Tarifas de transferência', () => {
+    let sender;
+    let recipient;
+    let clock;
+
+    // 10h em São Paulo
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({ now: new Date('2030-01-10T13:00:00.000Z'), toFake: ['Date'] });
+        clearDatabase();
+        sender = await createTestUser();
+        recipient = await createTestUser();
+    });
+
+    afterEach(() => {
+        clock.restore();
+        sinon.restore();
+    });
+
+    // Tabela de tarifas do produto basic (o produto dos usuários de teste)
+    const useSchedule = (transfer) => sinon.replace(config, 'accountProducts', {
+        default: 'basic',
+        catalog: { basic: { name: 'Conta Básica', initialBalance: 1000, fees: { transfer } } }
+    });
+
+    const balance = (user) => findUserById(user.id).balance.toDecimal();
+    const send = (amount, data = {}) => transferService.executeTransfer(sender.id, { toAccount: recipient.account, amount, ...data });
+
+    describe('Cobrança', () => {
+        it('✅ Deve debitar a tarifa em lançamento separado para a receita de tarifas', () => {
+            useSchedule({ type: 'percentage', rate: 0.01, min: 1 });
+
+            const transfer = send(250);
+
+            expect(transfer.fee.toDecimal()).to.equal(2.5);
+            expect(transfer.feeWaiver).to.be.null;
+            expect(balance(sender)).to.equal(747.5);
+            expect(balance(recipient)).to.equal(1250);
+            expect(ledgerService.getBalance(HOUSE_ACCOUNTS.fees).toDecimal()).to.equal(2.5);
+            expect(ledgerService.verifyUserBalance(findUserById(sender.id)).reconciled).to.be.true;
+
+            const { entries } = statementService.getStatement(sender.id, { to: '2030-01-10' });
+            const feeEntry = entries.find(entry => entry.description === 'Tarifa: Transferência');
+            expect(feeEntry).to.include({ transferId: transfer.id, counterparty: recipient.account });
+            expect(feeEntry.amount.toDecimal()).to.equal(-2.5);
+        });
+
+        it('❌ Saldo precisa cobrir o valor mais a tarifa', () => {
+            useSchedule({ type: 'flat', amount: 2 });
+
+            expect(() => send(999)).to.throw('Saldo insuficiente');
+            expect(send(998).fee.toDecimal()).to.equal(2);
+            expect(balance(sender)).to.equal(0);
+        });
+
+        it('✅ Com a tabela padrão as transferências seguem gratuitas', () => {
+            const transfer = send(100);
+
+            expect(transfer.fee.isZero()).to.be.true;
+            expect(balance(sender)).to.equal(900);
+        });
+
+        it('✅ Estornos não cobram tarifa', () => {
+            useSchedule({ type: 'flat', amount: 2 });
+            const transfer = send(100);
+
+            const refund = transferService.refundTransfer(recipient.id, transfer.id);
+
+            expect(refund.fee.isZero()).to.be.true;
+            expect(balance(recipient)).to.equal(1000);
+            expect(balance(sender)).to.equal(998);
+        });
+    });
+
+    describe('Isenções', () => {
+        it('✅ Transferências para favorecidos são isentas quando a tabela permite', () => {
+            useSchedule({ type: 'flat', amount: 2, waivedForFavorites: true });
+            transferService.addFavorite(sender.id, recipient.account);
+
+            const transfer = send(100);
+
+            expect(transfer.fee.isZero()).to.be.true;
+            expect(transfer.feeWaiver).to.equal('favorite');
+            expect(balance(sender)).to.equal(900);
+        });
+
+        it('✅ Franquia mensal isenta as primeiras transferências do mês local', () => {
+            useSchedule({ type: 'flat', amount: 2, freePerMonth: 2 });
+
+            expect(send(10).feeWaiver).to.equal('free_quota');
+            expect(send(10).feeWaiver).to.equal('free_quota');
+            const charged = send(10);
+            expect(charged.feeWaiver).to.be.null;
+            expect(charged.fee.toDecimal()).to.equal(2);
+
+            const find = sinon.spy(store, 'find');
+            const quote = feeService.quote(findUserById(sender.id), recipient, Money.fromDecimal(10));
+            expect(quote.freeQuota).to.include({ limit: 2, used: 2, remaining: 0 });
+            // A franquia usada vem só das transferências enviadas pela conta (índice de fromAccount)
+            expect(find.getCalls().filter(call => call.args[0] === 'transfers').map(call => call.args[1]))
+                .to.deep.equal([{ fromAccount: sender.account }]);
+            find.restore();
+            expect(quote.fullFee.toDecimal()).to.equal(2);
+
+            clock.tick(22 * DAY); // fevereiro
+            expect(send(10).feeWaiver).to.equal('free_quota');
+        });
+    });
+
+    describe('Transferências pendentes e agendadas', () => {
+        it('✅ Pendente de aprovação cobra a tarifa cotada na confirmação', async () => {
+            useSchedule({ type: 'flat', amount: 3 });
+            const rich = await createUserWithBalance(10000);
+
+            const pending = transferService.executeTransfer(rich.id, { toAccount: recipient.account, amount: 6000, requestApproval: true });
+            expect(pending.status).to.equal('pending_approval');
+            expect(pending.fee.toDecimal()).to.equal(3);
+            expect(balance(rich)).to.equal(4000);
+
+            const confirmed = await transferService.confirmTransfer(rich.id, pending.id, 'senha123');
+
+            expect(confirmed.status).to.equal('completed');
+            expect(balance(rich)).to.equal(3997);
+            expect(ledgerService.verifyUserBalance(findUserById(rich.id)).reconciled).to.be.true;
+        });
+
+        it('✅ Agendada cobra a tarifa vigente na execução', () => {
+            const scheduled = send(100, { scheduledFor: '2030-01-11T13:00:00.000Z' });
+            expect(scheduled.fee.isZero()).to.be.true;
+
+            useSchedule({ type: 'flat', amount: 1.5 });
+            clock.tick(DAY);
+            const executed = transferService.executeScheduledTransfer(findTransferById(scheduled.id));
+
+            expect(executed.status).to.equal('completed');
+            expect(executed.fee.toDecimal()).to.equal(1.5);
+            expect(balance(sender)).to.equal(898.5);
+        });
+    });
+});
@@ -0,0 +1,176 @@
+// test/unit/services/fraudService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../../src/config/environment');
+const fraudService = require('../../../src/services/fraudService');
+const transferService = require('../../../src/services/transferService');
+const ledgerService = require('../../../src/services/ledgerService');
+const userService = require('../../../src/services/userService');
+const { store, findUserById, findTransferById, findTransfers } = require('../../../src/database');
+const { createTestUser, createUserWithBalance, clearDatabase } = require('../../helpers/dataHelper');
+const { DAY } = require('../../helpers/clockHelper');
+
+describe('🚨 FraudService - Análise de risco das transferências', () => {
+    let sender;
+    let known;
+    let clock;
+
+    // 14h em São Paulo; o destinatário conhecido tem conta antiga
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({ now: new Date('2030-01-10T17:00:00.000Z'), toFake: ['Date'] });
+        clearDatabase();
+        sinon.replace(config.fraud, 'enabled', true);
+        sender = await createUserWithBalance(10000);
+        known = await createTestUser();
+        clock.tick(2 * DAY);
+    });
+
+    afterEach(() => {
+        clock.restore();
+        sinon.restore();
+    });
+
+    const balance = (user) => findUserById(user.id).balance.toDecimal();
+    const send = (toUser, amount) => transferService.executeTransfer(sender.id, { toAccount: toUser.account, amount });
+
+    // Três envios de R$ 100,00 e um valor 6x maior para uma conta aberta agora: 35 + 30 pontos
+    const holdForReview = async () => {
+        [1, 2, 3].forEach(() => send(known, 100));
+        const stranger = await createTestUser();
+        return { stranger, transfer: send(stranger, 600) };
+    };
+
+    it('✅ Desligada, não avalia nem registra alertas', async () => {
+        sinon.replace(config, 'fraud', { ...config.fraud, enabled: false });
+        const { transfer } = await holdForReview();
+
+        expect(transfer.status).to.equal('completed');
+        expect(fraudService.getAlerts()).to.deep.equal([]);
+    });
+
+    it('✅ Transferências comuns são liberadas', () => {
+        expect(send(known, 100).status).to.equal('completed');
+        expect(fraudService.getAlerts()).to.deep.equal([]);
+    });
+
+    it('✅ Histórico deve buscar só as transferências enviadas pelo remetente', () => {
+        send(known, 100);
+        const find = sinon.spy(store, 'find');
+
+        const history = fraudService.getHistory(sender.account);
+
+        expect(history.map(item => item.toAccount)).to.deep.equal([known.account]);
+        expect(find.getCalls().map(call => call.args)).to.deep.equal([['transfers', { fromAccount: sender.account }]]);
+    });
+
+    describe('Retenção para análise', () => {
+        it('✅ Deve reter o valor e registrar o alerta com o código do motivo', async () => {
+            const { stranger, transfer } = await holdForReview();
+            const [alert] = fraudService.getAlerts();
+
+            expect(transfer.status).to.equal('under_review');
+            expect(balance(sender)).to.equal(9100);
+            expect(balance(stranger)).to.equal(1000);
+            expect(alert).to.include({
+                userId: sender.id,
+                toAccount: stranger.account,
+                score: 65,
+                decision: 'review',
+                reasonCode: 'NEW_RECIPIENT_SPIKE',
+                transferId: transfer.id,
+                status: 'pending_review'
+            });
+            expect(alert.reasons.map(reason => reason.code)).to.deep.equal(['NEW_RECIPIENT_SPIKE', 'NEW_ACCOUNT_RECIPIENT']);
+            // O valor retido consome o limite diário, como uma transferência pendente de aprovação
+            expect(userService.getUserLimits(sender.id).daily.used.toDecimal()).to.equal(900);
+            expect(ledgerService.verifyUserBalance(findUserById(sender.id)).reconciled).to.be.true;
+        });
+
+        it('✅ Administrador aprova: o valor retido segue para o destinatário', async () => {
+            const admin = await createTestUser();
+            const { stranger, transfer } = await holdForReview();
+            const [alert] = fraudService.getAlerts({ status: 'pending_review' });
+
+            const approved = transferService.approveFraudReview(admin.id, alert.id);
+
+            expect(approved).to.include({ status: 'approved', reviewedBy: admin.id });
+            expect(approved.reviewedAt).to.deep.equal(new Date());
+            expect(findTransferById(transfer.id).status).to.equal('completed');
+            expect(balance(stranger)).to.equal(1600);
+            expect(ledgerService.verifyUserBalance(findUserById(stranger.id)).reconciled).to.be.true;
+            expect(() => transferService.approveFraudReview(admin.id, alert.id))
+                .to.throw('Somente alertas pendentes de análise podem ser resolvidos');
+        });
+
+        it('✅ Com requestApproval, a aprovação do administrador ainda exige a senha do remetente', async () => {
+            // R$ 600,00 para não favorecido passa do limite de valor alto: viola regra que admite aprovação
+            sinon.replace(config.transferRules, 'highAmountLimit', 500);
+            const admin = await createTestUser();
+            [1, 2, 3].forEach(() => send(known, 100));
+            const stranger = await createTestUser();
+            const transfer = transferService.executeTransfer(sender.id, { toAccount: stranger.account, amount: 600, requestApproval: true });
+            const [alert] = fraudService.getAlerts();
+
+            expect(transfer).to.include({ status: 'under_review', needsConfirmation: true });
+
+            transferService.approveFraudReview(admin.id, alert.id);
+
+            const pending = findTransferById(transfer.id);
+            expect(pending.status).to.equal('pending_approval');
+            expect(pending.expiresAt.getTime()).to.equal(Date.now() + config.approval.expiryMs);
+            expect(balance(stranger)).to.equal(1000);
+
+            const confirmed = await transferService.confirmTransfer(sender.id, transfer.id, 'senha123');
+            expect(confirmed.status).to.equal('completed');
+            expect(balance(stranger)).to.equal(1600);
+        });
+
+        it('✅ Administrador rejeita: o valor volta ao remetente', async () => {
+            const admin = await createTestUser();
+            const { stranger, transfer } = await holdForReview();
+            const [alert] = fraudService.getAlerts();
+
+            expect(transferService.rejectFraudReview(admin.id, alert.id).status).to.equal('rejected');
+            expect(findTransferById(transfer.id).status).to.equal('rejected');
+            expect(balance(sender)).to.equal(9700);
+            expect(balance(stranger)).to.equal(1000);
+            expect(ledgerService.verifyUserBalance(findUserById(sender.id)).reconciled).to.be.true;
+        });
+
+        it('❌ Cliente não confirma nem cancela a transferência retida', async () => {
+            const { transfer } = await holdForReview();
+
+            expect(() => transferService.cancelPendingTransfer(sender.id, transfer.id))
+                .to.throw('Somente transferências pendentes de aprovação podem ser canceladas');
+        });
+    });
+
+    describe('Bloqueio', () => {
+        it('❌ Deve bloquear sem criar a transferência e registrar o alerta', async () => {
+            // Cinco envios em minutos (40), valor 6x a média (35) para conta recém-aberta (30)
+            [1, 2, 3, 4, 5].forEach(() => send(known, 50));
+            const stranger = await createTestUser();
+
+            try {
+                send(stranger, 300);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('Transferência bloqueada pela análise de risco');
+                expect(error.code).to.equal('FRAUD_BLOCKED');
+            }
+
+            const [alert] = fraudService.getAlerts({ decision: 'block' });
+            expect(alert).to.include({ score: 105, reasonCode: 'VELOCITY', transferId: null, status: 'blocked' });
+            expect(findTransfers(transfer => transfer.toAccount === stranger.account)).to.deep.equal([]);
+            expect(balance(sender)).to.equal(9750);
+            expect(() => transferService.approveFraudReview(sender.id, alert.id))
+                .to.throw('Somente alertas pendentes de análise podem ser resolvidos');
+        });
+    });
+
+    it('❌ Deve rejeitar filtros inválidos', () => {
+        expect(() => fraudService.getAlerts({ decision: 'maybe' })).to.throw('Decisão inválida. Use uma de: allow, review, block');
+        expect(() => fraudService.getAlerts({ status: 'open' }))
+            .to.throw('Status inválido. Use um de: pending_review, approved, rejected, blocked');
+    });
+});
@@ -0,0 +1,80 @@
+// test/unit/services/idempotencyService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const idempotencyService = require('../../../src/services/idempotencyService');
+const { hashPayload } = require('../../../src/services/idempotencyService');
+const config = require('../../../src/config/environment');
+const { clearDatabase } = require('../../helpers/dataHelper');
+
+describe('🔁 IdempotencyService', () => {
+    let clock;
+
+    beforeEach(() => {
+        clearDatabase();
+        clock = sinon.useFakeTimers({ now: new Date('2025-01-10T12:00:00Z'), toFake: ['Date'] });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('✅ Deve executar a operação uma única vez por chave', async () => {
+        const operation = sinon.stub().resolves({ id: 1, amount: 10 });
+
+        const first = await idempotencyService.execute(1, 'teste', 'chave', { amount: 10 }, operation);
+        const retry = await idempotencyService.execute(1, 'teste', 'chave', { amount: 10 }, operation);
+
+        expect(operation.calledOnce).to.be.true;
+        expect(retry).to.deep.equal(first);
+    });
+
+    it('✅ Deve isolar chaves por usuário', async () => {
+        const operation = sinon.stub().resolves({ ok: true });
+
+        await idempotencyService.execute(1, 'teste', 'chave', {}, operation);
+        await idempotencyService.execute(2, 'teste', 'chave', {}, operation);
+
+        expect(operation.calledTwice).to.be.true;
+    });
+
+    it('❌ Deve repetir o erro da primeira execução', async () => {
+        const operation = sinon.stub().rejects(new Error('Saldo insuficiente'));
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            await idempotencyService.execute(1, 'teste', 'chave', {}, operation)
+                .then(() => expect.fail('Should have thrown error'), error => {
+                    expect(error.message).to.equal('Saldo insuficiente');
+                });
+        }
+        expect(operation.calledOnce).to.be.true;
+    });
+
+    it('❌ Deve rejeitar a chave reutilizada com outro payload', async () => {
+        await idempotencyService.execute(1, 'teste', 'chave', { amount: 10 }, async () => ({}));
+
+        expect(() => idempotencyService.begin(1, 'teste', 'chave', { amount: 11 }))
+            .to.throw('Idempotency-Key já utilizada com outra requisição');
+    });
+
+    it('❌ Deve sinalizar chave ainda em processamento', () => {
+        idempotencyService.begin(1, 'teste', 'chave', {});
+
+        expect(() => idempotencyService.begin(1, 'teste', 'chave', {}))
+            .to.throw('ainda está em processamento');
+    });
+
+    it('✅ Deve processar novamente após a janela configurada', async () => {
+        const operation = sinon.stub().resolves({ ok: true });
+
+        await idempotencyService.execute(1, 'teste', 'chave', {}, operation);
+        clock.tick(config.idempotency.windowMs);
+        await idempotencyService.execute(1, 'teste', 'chave', { outro: 'payload' }, operation);
+
+        expect(operation.calledTwice).to.be.true;
+    });
+
+    it('✅ Deve gerar o mesmo hash para payloads equivalentes', () => {
+        expect(hashPayload({ amount: 10, toAccount: '123456', description: null }))
+            .to.equal(hashPayload({ toAccount: '123456', amount: 10 }));
+    });
+});
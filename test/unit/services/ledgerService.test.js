@@ -0,0 +1,106 @@
+// test/unit/services/ledgerService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const ledgerService = require('../../../src/services/ledgerService');
+const transferService = require('../../../src/services/transferService');
+const Money = require('../../../src/models/Money');
+const { store, findUserById, updateUser, getLedgerEntriesByAccount } = require('../../../src/database');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const { HOUSE_ACCOUNTS } = ledgerService;
+
+describe('📒 LedgerService - Partidas dobradas', () => {
+    let sandbox;
+    let sender;
+    let recipient;
+
+    beforeEach(async () => {
+        sandbox = sinon.createSandbox();
+        clearDatabase();
+        [sender, recipient] = await createMultipleTestUsers(2);
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    const allEntries = () => store.find('ledgerEntries');
+
+    const expectBalancedJournals = () => {
+        const journals = {};
+        allEntries().forEach(entry => {
+            journals[entry.journalId] = (journals[entry.journalId] || Money.zero()).add(entry.signedAmount());
+        });
+        Object.values(journals).forEach(total => expect(total.isZero()).to.be.true);
+    };
+
+    it('✅ Deve registrar o saldo inicial contra a conta de saldos iniciais', () => {
+        const entries = getLedgerEntriesByAccount(sender.account);
+
+        expect(entries).to.have.length(1);
+        expect(entries[0]).to.include({ type: 'credit', referenceType: 'opening' });
+        expect(ledgerService.getBalance(HOUSE_ACCOUNTS.openingBalances).toDecimal()).to.equal(-2000);
+        expectBalancedJournals();
+    });
+
+    it('✅ Deve lançar débito e crédito de cada transferência', async () => {
+        await transferService.createTransfer(sender.id, { toAccount: recipient.account, amount: 0.1 });
+        await transferService.createTransfer(sender.id, { toAccount: recipient.account, amount: 0.2 });
+
+        expect(ledgerService.getBalance(sender.account).toDecimal()).to.equal(999.7);
+        expect(ledgerService.getBalance(recipient.account).toDecimal()).to.equal(1000.3);
+        expect(ledgerService.findDiscrepancies()).to.deep.equal([]);
+        expectBalancedJournals();
+    });
+
+    it('❌ Deve rejeitar lançamentos desbalanceados', () => {
+        expect(() => ledgerService.post([
+            { account: sender.account, type: 'debit', amount: Money.fromDecimal(10) },
+            { account: recipient.account, type: 'credit', amount: Money.fromDecimal(9.99) }
+        ], 'Inválido')).to.throw('Lançamento desbalanceado');
+
+        expect(() => ledgerService.post([
+            { account: sender.account, type: 'debit', amount: Money.fromDecimal(10) }
+        ], 'Inválido')).to.throw('ao menos um débito e um crédito');
+    });
+
+    it('✅ Deve ajustar saldo mantendo a conciliação', () => {
+        ledgerService.adjustBalance(sender.id, Money.fromDecimal(-400));
+
+        expect(findUserById(sender.id).balance.toDecimal()).to.equal(600);
+        expect(ledgerService.verifyUserBalance(findUserById(sender.id)).reconciled).to.be.true;
+        expect(ledgerService.getBalance(HOUSE_ACCOUNTS.adjustments).toDecimal()).to.equal(400);
+    });
+
+    it('❌ Deve detectar saldo que diverge dos lançamentos', () => {
+        const user = findUserById(recipient.id);
+        user.updateBalance(Money.fromDecimal(0.01));
+        updateUser(user);
+
+        expect(ledgerService.findDiscrepancies()).to.deep.equal([{
+            userId: recipient.id,
+            account: recipient.account,
+            ledgerBalance: Money.fromDecimal(1000),
+            recordedBalance: Money.fromDecimal(1000.01)
+        }]);
+    });
+
+    it('❌ Deve desfazer a transferência quando o lançamento contábil falha', async () => {
+        sandbox.stub(ledgerService, 'recordTransfer').throws(new Error('Falha simulada'));
+
+        await transferService.createTransfer(sender.id, { toAccount: recipient.account, amount: 100 })
+            .then(() => expect.fail('Should have thrown error'), error => {
+                expect(error.message).to.equal('Falha simulada');
+            });
+
+        expect(findUserById(sender.id).balance.toDecimal()).to.equal(1000);
+        expect(store.find('transfers')).to.have.length(0);
+    });
+
+    it('✅ Deve gerar saldo inicial para usuários sem lançamentos', () => {
+        store.find('ledgerEntries', { account: sender.account })
+            .forEach(entry => store.remove('ledgerEntries', entry.id));
+
+        expect(ledgerService.backfillOpeningBalances()).to.equal(1);
+        expect(ledgerService.findDiscrepancies()).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,169 @@
+// test/unit/services/overdraftService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../../src/config/environment');
+const overdraftService = require('../../../src/services/overdraftService');
+const transferService = require('../../../src/services/transferService');
+const cashOperationService = require('../../../src/services/cashOperationService');
+const ledgerService = require('../../../src/services/ledgerService');
+const userService = require('../../../src/services/userService');
+const statementService = require('../../../src/services/statementService');
+const { HOUSE_ACCOUNTS } = require('../../../src/services/ledgerService');
+const { TransferScheduler } = require('../../../src/services/transferScheduler');
+const { findUserById } = require('../../../src/database');
+const { createTestUser, clearDatabase } = require('../../helpers/dataHelper');
+const { HOUR, DAY } = require('../../helpers/clockHelper');
+
+describe('💳 OverdraftService - Cheque especial', () => {
+    let basic;
+    let premium;
+    let clock;
+
+    // 10h em São Paulo; o ledger e os juros usam o mesmo relógio
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({ now: new Date('2030-01-10T13:00:00.000Z'), toFake: ['Date'] });
+        clearDatabase();
+        basic = await createTestUser();
+        premium = await createTestUser({ product: 'premium' });
+    });
+
+    afterEach(() => {
+        clock.restore();
+        sinon.restore();
+    });
+
+    const balance = (user) => findUserById(user.id).balance.toDecimal();
+
+    describe('Limite', () => {
+        it('✅ Deve usar o limite do produto e expor o crédito disponível no saldo', () => {
+            const overdraft = overdraftService.getOverdraft(premium.id);
+
+            expect(overdraft.limit.toDecimal()).to.equal(2000);
+            expect(overdraft.used.isZero()).to.be.true;
+            expect(overdraft.availableBalance.toDecimal()).to.equal(7000);
+            expect(overdraft.dailyInterestRate).to.equal(config.overdraft.monthlyInterestRate / 30);
+            expect(overdraftService.getOverdraft(basic.id).limit.isZero()).to.be.true;
+
+            const userBalance = userService.getUserBalance(premium.id);
+            expect(userBalance.overdraftLimit.toDecimal()).to.equal(2000);
+            expect(userBalance.availableCredit.toDecimal()).to.equal(2000);
+            expect(userBalance.availableBalance.toDecimal()).to.equal(7000);
+        });
+
+        it('✅ Cliente pode reduzir o limite até zero, sem passar do produto nem do valor em uso', () => {
+            transferService.executeTransfer(premium.id, { toAccount: basic.account, amount: 5300 });
+
+            expect(overdraftService.setLimit(premium.id, 500).limit.toDecimal()).to.equal(500);
+            expect(() => overdraftService.setLimit(premium.id, 2500))
+                .to.throw('Limite do cheque especial deve ser entre R$ 0,00 e R$ 2.000,00');
+            expect(() => overdraftService.setLimit(premium.id, 200))
+                .to.throw('Limite do cheque especial não pode ser menor que o valor em uso (R$ 300,00)');
+            expect(() => overdraftService.setLimit(basic.id, 100))
+                .to.throw('Limite do cheque especial deve ser entre R$ 0,00 e R$ 0,00');
+            expect(overdraftService.setLimit(premium.id, 2000).limit.toDecimal()).to.equal(2000);
+            expect(findUserById(premium.id).overdraftLimit).to.be.null;
+        });
+    });
+
+    describe('Saídas com saldo negativo', () => {
+        it('✅ Transferências podem deixar o saldo negativo até o limite', () => {
+            transferService.executeTransfer(premium.id, { toAccount: basic.account, amount: 4500 });
+            transferService.executeTransfer(premium.id, { toAccount: basic.account, amount: 2000 });
+
+            expect(balance(premium)).to.equal(-1500);
+            expect(overdraftService.getOverdraft(premium.id).availableCredit.toDecimal()).to.equal(500);
+            expect(() => transferService.executeTransfer(premium.id, { toAccount: basic.account, amount: 500.01 }))
+                .to.throw('Saldo insuficiente');
+            expect(ledgerService.verifyUserBalance(findUserById(premium.id)).reconciled).to.be.true;
+        });
+
+        it('❌ Sem cheque especial o saldo não pode ficar negativo', () => {
+            expect(() => transferService.executeTransfer(basic.id, { toAccount: premium.account, amount: 1000.01 }))
+                .to.throw('Saldo insuficiente');
+        });
+
+        it('✅ Saques também usam o cheque especial', () => {
+            overdraftService.setLimit(premium.id, 1000);
+            transferService.executeTransfer(premium.id, { toAccount: basic.account, amount: 4500 });
+
+            cashOperationService.withdraw(premium.id, { amount: 1400, channel: 'external_bank' });
+
+            expect(balance(premium)).to.equal(-900);
+            expect(() => cashOperationService.withdraw(premium.id, { amount: 200, channel: 'branch' }))
+                .to.throw('Saldo insuficiente');
+        });
+    });
+
+    describe('Juros diários', () => {
+        beforeEach(() => {
+            transferService.executeTransfer(premium.id, { toAccount: basic.account, amount: 6500 });
+        });
+
+        it('✅ Deve lançar os juros uma vez por dia local nas contas negativas', () => {
+            const [charge] = overdraftService.accrueInterest();
+
+            // R$ 1.500,00 × 8% / 30 = R$ 4,00
+            expect(charge).to.include({ userId: premium.id, date: '2030-01-10' });
+            expect(charge.balance.toDecimal()).to.equal(-1500);
+            expect(charge.amount.toDecimal()).to.equal(4);
+            expect(balance(premium)).to.equal(-1504);
+            expect(ledgerService.getBalance(HOUSE_ACCOUNTS.interest).toDecimal()).to.equal(4);
+            expect(ledgerService.verifyUserBalance(findUserById(premium.id)).reconciled).to.be.true;
+
+            clock.tick(10 * HOUR); // 20h do mesmo dia
+            expect(overdraftService.accrueInterest()).to.deep.equal([]);
+
+            clock.tick(4 * HOUR); // meia-noite em São Paulo
+            const [next] = overdraftService.accrueInterest();
+            expect(next).to.include({ date: '2030-01-11' });
+            expect(next.amount.toDecimal()).to.equal(4.01);
+            expect(overdraftService.getInterestCharges(premium.id).map(item => item.id)).to.deep.equal([next.id, charge.id]);
+        });
+
+        it('✅ Juros aparecem no extrato e o scheduler os lança a cada ciclo', () => {
+            const scheduler = new TransferScheduler({ clock: { now: () => new Date() } });
+            scheduler.runInterestAccrual();
+            clock.tick(DAY);
+            scheduler.runInterestAccrual();
+
+            const statement = statementService.getStatement(premium.id, { to: '2030-01-11' });
+            const interest = statement.entries.filter(entry => entry.description === 'Juros do cheque especial');
+
+            expect(interest.map(entry => entry.amount.toDecimal())).to.deep.equal([-4, -4.01]);
+            expect(balance(premium)).to.equal(-1508.01);
+        });
+
+        it('✅ Dias sem execução do scheduler são lançados depois, com o saldo do início de cada dia', () => {
+            overdraftService.accrueInterest();
+            clock.tick(DAY + 2 * HOUR); // 12h do dia 11
+            transferService.executeTransfer(basic.id, { toAccount: premium.account, amount: 1000 });
+            clock.tick(2 * DAY - 2 * HOUR); // 10h do dia 13, sem execuções desde o dia 10
+
+            const charges = overdraftService.accrueInterest();
+
+            // Dia 11: -R$ 1.504,00; dia 12: -R$ 504,00; hoje: saldo atual, -R$ 509,35
+            expect(charges.map(charge => charge.date)).to.deep.equal(['2030-01-11', '2030-01-12', '2030-01-13']);
+            expect(charges.map(charge => charge.balance.toDecimal())).to.deep.equal([-1504, -504, -509.35]);
+            expect(charges.map(charge => charge.amount.toDecimal())).to.deep.equal([4.01, 1.34, 1.36]);
+            expect(balance(premium)).to.equal(-510.71);
+            expect(ledgerService.verifyUserBalance(findUserById(premium.id)).reconciled).to.be.true;
+            expect(overdraftService.accrueInterest()).to.deep.equal([]);
+        });
+
+        it('✅ Lançamento retroativo respeita o limite de dias', () => {
+            sinon.replace(config.overdraft, 'catchUpDays', 2);
+            clock.tick(5 * DAY); // dias 10 a 14 sem execução
+
+            const charges = overdraftService.accrueInterest();
+
+            expect(charges.map(charge => charge.date)).to.deep.equal(['2030-01-13', '2030-01-14', '2030-01-15']);
+        });
+
+        it('✅ Contas positivas não pagam juros', () => {
+            transferService.executeTransfer(basic.id, { toAccount: premium.account, amount: 2000 });
+
+            expect(overdraftService.accrueInterest()).to.deep.equal([]);
+            expect(overdraftService.getInterestCharges(premium.id)).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,211 @@
+// test/unit/services/paymentCodeService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const zlib = require('zlib');
+const paymentCodeService = require('../../../src/services/paymentCodeService');
+const transferService = require('../../../src/services/transferService');
+const aliasKeyService = require('../../../src/services/aliasKeyService');
+const { encodeBrCode, decodeBrCode, crc16 } = require('../../../src/utils/brcode');
+const { createQrCode, toPng, toSvg } = require('../../../src/utils/qrcode');
+const { findUserById, findPaymentCodeByTxid } = require('../../../src/database');
+const { createMultipleTestUsers, createUserWithBalance, clearDatabase } = require('../../helpers/dataHelper');
+const { createFakeClock, MINUTE } = require('../../helpers/clockHelper');
+
+describe('🔳 PaymentCodeService - QR Codes de pagamento (BR Code)', () => {
+    let receiver;
+    let payer;
+    let clock;
+
+    beforeEach(async () => {
+        clearDatabase();
+        [receiver, payer] = await createMultipleTestUsers(2);
+        clock = createFakeClock(new Date());
+        sinon.replace(paymentCodeService, 'clock', clock);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const balanceOf = (user) => findUserById(user.id).balance.toDecimal();
+
+    describe('BR Code', () => {
+        it('✅ Deve calcular o CRC16-CCITT do payload', () => {
+            expect(crc16('123456789')).to.equal('29B1');
+            // Exemplo do manual do BR Code
+            expect(crc16('00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***6304'))
+                .to.equal('1D3D');
+        });
+
+        it('✅ Deve codificar e decodificar os campos, sem acentos', () => {
+            const payload = encodeBrCode({
+                key: 'ana@email.com',
+                description: 'Café',
+                amount: paymentCodeService.parseAmount(25.9),
+                name: 'Ana Conceição',
+                city: 'São Paulo'
+            });
+
+            expect(payload).to.match(/^000201010211/);
+            expect(payload).to.include('5802BR').and.include('540525.90').and.include('62070503***6304');
+            expect(decodeBrCode(payload)).to.deep.equal({
+                type: 'static',
+                key: 'ana@email.com',
+                account: null,
+                description: 'Cafe',
+                amount: '25.90',
+                name: 'Ana Conceicao',
+                city: 'Sao Paulo',
+                txid: null
+            });
+        });
+
+        it('❌ Deve rejeitar CRC incorreto e payloads de outra instituição', () => {
+            const payload = encodeBrCode({ account: '123456', name: 'Ana', city: 'SAO PAULO' });
+            const tampered = payload.replace('123456', '654321');
+
+            expect(() => decodeBrCode(tampered)).to.throw('QR Code inválido: CRC não confere');
+            expect(() => decodeBrCode('qualquer coisa')).to.throw('QR Code inválido: formato não reconhecido');
+            expect(() => decodeBrCode('00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***63041D3D'))
+                .to.throw('QR Code não pertence a esta instituição');
+        });
+    });
+
+    describe('Imagem do QR Code', () => {
+        it('✅ Deve escolher a menor versão e desenhar os padrões de localização', () => {
+            const small = createQrCode('hello');
+            const large = createQrCode('x'.repeat(250));
+
+            expect(small).to.include({ version: 1, size: 21 });
+            expect(large).to.include({ version: 11, size: 61 });
+            // Quadrado 7x7 com borda escura nos três cantos
+            [[0, 0], [large.size - 7, 0], [0, large.size - 7]].forEach(([x, y]) => {
+                expect(large.modules[y][x]).to.be.true;
+                expect(large.modules[y + 6][x + 6]).to.be.true;
+                expect(large.modules[y + 1][x + 1]).to.be.false;
+                expect(large.modules[y + 3][x + 3]).to.be.true;
+            });
+            expect(() => createQrCode('x'.repeat(500))).to.throw('Conteúdo muito longo para o QR Code');
+        });
+
+        it('✅ Deve renderizar SVG e PNG com a margem padrão', () => {
+            const qr = createQrCode('hello');
+            const png = toPng(qr, { scale: 2 });
+
+            expect(toSvg(qr)).to.match(/^<svg[^>]+viewBox="0 0 29 29"/);
+            expect(png.subarray(1, 4).toString('ascii')).to.equal('PNG');
+            expect(png.readUInt32BE(16)).to.equal(58);
+
+            // Cada linha tem o byte de filtro; a margem é branca e o canto do localizador, escuro
+            const idatLength = png.readUInt32BE(33);
+            const pixels = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+            expect(pixels).to.have.length(58 * 59);
+            expect(pixels[1]).to.equal(0xff);
+            expect(pixels[59 * 8 + 1 + 8]).to.equal(0);
+        });
+    });
+
+    describe('Geração e leitura', () => {
+        it('✅ QR Code estático aponta para a conta ou para uma chave do usuário', () => {
+            const key = aliasKeyService.createAliasKey(receiver.id, { type: 'email', value: 'loja@email.com' });
+
+            const forAccount = paymentCodeService.createPaymentCode(receiver.id, {});
+            const forKey = paymentCodeService.createPaymentCode(receiver.id, { key: 'LOJA@email.com', amount: 12.5 });
+
+            expect(forAccount).to.include({ type: 'static', txid: null, key: null, amount: null, expiresAt: null });
+            expect(paymentCodeService.decodePaymentCode(forAccount.payload)).to.include({ account: receiver.account, amount: null });
+            expect(forKey.key).to.equal(key.value);
+            expect(paymentCodeService.decodePaymentCode(forKey.payload)).to.deep.include({
+                type: 'static',
+                account: receiver.account,
+                key: 'loja@email.com',
+                recipientName: 'Usuário 1'
+            });
+        });
+
+        it('❌ Não deve gerar QR Code para chave de outro usuário nem dinâmico sem valor', () => {
+            aliasKeyService.createAliasKey(payer.id, { type: 'email', value: 'pagador@email.com' });
+
+            expect(() => paymentCodeService.createPaymentCode(receiver.id, { key: 'pagador@email.com' }))
+                .to.throw('Chave não encontrada');
+            expect(() => paymentCodeService.createPaymentCode(receiver.id, { type: 'dynamic' }))
+                .to.throw('QR Code dinâmico exige valor');
+            expect(() => paymentCodeService.createPaymentCode(receiver.id, { type: 'pix' }))
+                .to.throw('Tipo de QR Code inválido. Use um de: static, dynamic');
+        });
+
+        it('✅ QR Code dinâmico é armazenado com txid e validade', () => {
+            const code = paymentCodeService.createPaymentCode(receiver.id, { type: 'dynamic', amount: 40, description: 'Pedido 7' });
+
+            expect(code.txid).to.match(/^[0-9A-F]{25}$/);
+            expect(code.expiresAt).to.deep.equal(new Date(clock.now().getTime() + 30 * MINUTE));
+            expect(findPaymentCodeByTxid(code.txid)).to.include({ status: 'active', account: receiver.account });
+            expect(paymentCodeService.decodePaymentCode(code.payload).transfer).to.deep.include({
+                qrCode: code.payload,
+                description: 'Pedido 7'
+            });
+        });
+    });
+
+    describe('Pagamento via transferência', () => {
+        it('✅ QR Code estático sem valor é pago com o valor informado, quantas vezes for preciso', () => {
+            const { payload } = paymentCodeService.createPaymentCode(receiver.id, { description: 'Doações' });
+
+            transferService.executeTransfer(payer.id, { qrCode: payload, amount: 10 });
+            const second = transferService.executeTransfer(payer.id, { qrCode: payload, amount: 15 });
+
+            expect(second).to.include({ toAccount: receiver.account, description: 'Doacoes' });
+            expect(balanceOf(receiver)).to.equal(1025);
+            expect(() => transferService.executeTransfer(payer.id, { qrCode: payload }))
+                .to.throw('Valor é obrigatório');
+        });
+
+        it('✅ QR Code dinâmico é pago uma única vez, com o valor definido', () => {
+            const code = paymentCodeService.createPaymentCode(receiver.id, { type: 'dynamic', amount: 40, description: 'Pedido 7' });
+
+            expect(() => transferService.executeTransfer(payer.id, { qrCode: code.payload, amount: 39.99 }))
+                .to.throw('Valor diferente do definido no QR Code');
+            const transfer = transferService.executeTransfer(payer.id, { qrCode: code.payload });
+
+            expect(transfer).to.include({ toAccount: receiver.account, description: 'Pedido 7' });
+            expect(transfer.amount.toDecimal()).to.equal(40);
+            expect(findPaymentCodeByTxid(code.txid)).to.include({ status: 'paid', transferId: transfer.id });
+            expect(() => transferService.executeTransfer(payer.id, { qrCode: code.payload }))
+                .to.throw('QR Code já foi pago');
+            expect(balanceOf(payer)).to.equal(960);
+        });
+
+        it('❌ QR Code dinâmico vencido não pode ser pago nem agendado', () => {
+            const code = paymentCodeService.createPaymentCode(receiver.id, { type: 'dynamic', amount: 40 });
+
+            expect(() => transferService.executeTransfer(payer.id, { qrCode: code.payload, scheduledFor: '2099-01-01T00:00:00Z' }))
+                .to.throw('QR Code dinâmico não pode ser agendado');
+
+            clock.advance(30 * MINUTE);
+            expect(() => transferService.executeTransfer(payer.id, { qrCode: code.payload }))
+                .to.throw('QR Code expirado');
+            expect(findPaymentCodeByTxid(code.txid).status).to.equal('expired');
+            expect(balanceOf(payer)).to.equal(1000);
+        });
+
+        it('✅ Cancelar a transferência pendente de aprovação libera o QR Code dinâmico', async () => {
+            const richPayer = await createUserWithBalance(10000);
+            const code = paymentCodeService.createPaymentCode(receiver.id, { type: 'dynamic', amount: 6000 });
+
+            const pending = transferService.executeTransfer(richPayer.id, { qrCode: code.payload, requestApproval: true });
+            expect(pending.status).to.equal('pending_approval');
+            expect(findPaymentCodeByTxid(code.txid)).to.include({ status: 'paid', transferId: pending.id });
+
+            transferService.cancelPendingTransfer(richPayer.id, pending.id);
+            expect(findPaymentCodeByTxid(code.txid)).to.include({ status: 'active', transferId: null });
+            expect(paymentCodeService.decodePaymentCode(code.payload).amount.toDecimal()).to.equal(6000);
+        });
+
+        it('❌ Não deve aceitar QR Code junto com conta ou chave de destino', () => {
+            const { payload } = paymentCodeService.createPaymentCode(receiver.id, { amount: 5 });
+
+            expect(() => transferService.executeTransfer(payer.id, { qrCode: payload, toAccount: receiver.account, amount: 5 }))
+                .to.throw('QR Code já define o destino; não informe conta ou chave');
+        });
+    });
+});
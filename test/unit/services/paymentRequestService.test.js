@@ -0,0 +1,136 @@
+// test/unit/services/paymentRequestService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const paymentRequestService = require('../../../src/services/paymentRequestService');
+const transferService = require('../../../src/services/transferService');
+const fraudService = require('../../../src/services/fraudService');
+const { findUserById, findPaymentRequestById, findTransferById, getTransfersByUserId } = require('../../../src/database');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const { createFakeClock, HOUR } = require('../../helpers/clockHelper');
+
+describe('🧾 PaymentRequestService - Solicitações de pagamento', () => {
+    let requester;
+    let payer;
+    let clock;
+
+    beforeEach(async () => {
+        clearDatabase();
+        [requester, payer] = await createMultipleTestUsers(2);
+        clock = createFakeClock();
+        sinon.replace(paymentRequestService, 'clock', clock);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const request = (amount = 150) => paymentRequestService.createPaymentRequest(requester.id, {
+        payerAccount: payer.account,
+        amount,
+        description: 'Divisão do jantar'
+    });
+
+    const balanceOf = (user) => findUserById(user.id).balance.toDecimal();
+
+    it('✅ Deve criar a solicitação pendente, visível para o pagador e o solicitante', () => {
+        const created = request();
+
+        expect(created).to.include({ requesterAccount: requester.account, payerAccount: payer.account, status: 'pending' });
+        expect(created.expiresAt).to.deep.equal(new Date(clock.now().getTime() + 72 * HOUR));
+        expect(paymentRequestService.getIncomingPaymentRequests(payer.id).map(item => item.id)).to.deep.equal([created.id]);
+        expect(paymentRequestService.getOutgoingPaymentRequests(requester.id).map(item => item.id)).to.deep.equal([created.id]);
+        expect(paymentRequestService.getIncomingPaymentRequests(requester.id)).to.have.length(0);
+    });
+
+    it('❌ Deve rejeitar pagador inexistente, a própria conta e valores inválidos', () => {
+        expect(() => paymentRequestService.createPaymentRequest(requester.id, { payerAccount: '999999', amount: 10 }))
+            .to.throw('Conta do pagador não encontrada');
+        expect(() => paymentRequestService.createPaymentRequest(requester.id, { payerAccount: requester.account, amount: 10 }))
+            .to.throw('Não é possível solicitar pagamento a si mesmo');
+        expect(() => request(0)).to.throw('Valor deve ser maior que zero');
+    });
+
+    it('✅ Aceitar deve transferir do pagador para o solicitante', () => {
+        const created = request();
+
+        const accepted = paymentRequestService.acceptPaymentRequest(payer.id, created.id);
+
+        expect(accepted.status).to.equal('accepted');
+        expect(accepted.transfer).to.include({ fromAccount: payer.account, toAccount: requester.account, description: 'Divisão do jantar' });
+        expect(findPaymentRequestById(created.id).transferId).to.equal(accepted.transfer.id);
+        expect(balanceOf(payer)).to.equal(850);
+        expect(balanceOf(requester)).to.equal(1150);
+    });
+
+    describe('Transferência retida pela análise de risco', () => {
+        const review = { score: 60, decision: 'review', reasons: [{ code: 'VELOCITY', points: 60, message: '5 transferências nos últimos 10 minutos' }] };
+
+        const acceptHeld = () => {
+            sinon.stub(fraudService, 'assess').returns(review);
+            const created = request();
+            const accepted = paymentRequestService.acceptPaymentRequest(payer.id, created.id);
+            const [alert] = fraudService.getAlerts({ status: 'pending_review' });
+            return { created, accepted, alert };
+        };
+
+        it('✅ Solicitação fica under_review e só é aceita quando o administrador aprova', () => {
+            const { created, accepted, alert } = acceptHeld();
+
+            expect(accepted.status).to.equal('under_review');
+            expect(accepted.transfer.status).to.equal('under_review');
+            expect(() => paymentRequestService.acceptPaymentRequest(payer.id, created.id))
+                .to.throw('Somente solicitações pendentes podem ser aceitas');
+
+            transferService.approveFraudReview(requester.id, alert.id);
+
+            expect(findPaymentRequestById(created.id)).to.include({ status: 'accepted', transferId: accepted.transfer.id });
+            expect(balanceOf(requester)).to.equal(1150);
+        });
+
+        it('✅ Rejeição do administrador devolve a solicitação a pendente', () => {
+            const { created, accepted, alert } = acceptHeld();
+
+            transferService.rejectFraudReview(requester.id, alert.id);
+
+            expect(findTransferById(accepted.transfer.id).status).to.equal('rejected');
+            expect(findPaymentRequestById(created.id)).to.include({ status: 'pending', transferId: null, respondedAt: null });
+            expect(balanceOf(payer)).to.equal(1000);
+        });
+    });
+
+    it('❌ Somente o pagador pode aceitar ou recusar', () => {
+        const created = request();
+
+        expect(() => paymentRequestService.acceptPaymentRequest(requester.id, created.id))
+            .to.throw('Solicitação de pagamento não encontrada');
+        expect(() => paymentRequestService.declinePaymentRequest(requester.id, created.id))
+            .to.throw('Solicitação de pagamento não encontrada');
+    });
+
+    it('❌ Falha na transferência deve manter a solicitação pendente', () => {
+        const created = request(1500);
+
+        expect(() => paymentRequestService.acceptPaymentRequest(payer.id, created.id)).to.throw('Saldo insuficiente');
+        expect(findPaymentRequestById(created.id).status).to.equal('pending');
+        expect(getTransfersByUserId(payer.id)).to.have.length(0);
+    });
+
+    it('✅ Recusar não movimenta saldo e impede respostas seguintes', () => {
+        const created = request();
+
+        expect(paymentRequestService.declinePaymentRequest(payer.id, created.id).status).to.equal('declined');
+        expect(balanceOf(payer)).to.equal(1000);
+        expect(() => paymentRequestService.acceptPaymentRequest(payer.id, created.id))
+            .to.throw('Somente solicitações pendentes podem ser aceitas');
+    });
+
+    it('❌ Solicitação vencida deve expirar e não pode mais ser paga', () => {
+        const created = request();
+        clock.advance(72 * HOUR);
+
+        expect(() => paymentRequestService.acceptPaymentRequest(payer.id, created.id))
+            .to.throw('Solicitação de pagamento expirada');
+        expect(paymentRequestService.getOutgoingPaymentRequests(requester.id)[0].status).to.equal('expired');
+        expect(balanceOf(payer)).to.equal(1000);
+    });
+});
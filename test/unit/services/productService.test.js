@@ -0,0 +1,102 @@
+// test/unit/services/productService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../../src/config/environment');
+const productService = require('../../../src/services/productService');
+const userService = require('../../../src/services/userService');
+const transferService = require('../../../src/services/transferService');
+const { findUserById, updateUser, getLedgerEntriesByAccount } = require('../../../src/database');
+const { createTestUser, createUserWithBalance, clearDatabase } = require('../../helpers/dataHelper');
+
+describe('🏷️ ProductService - Produtos de conta', () => {
+    beforeEach(() => {
+        clearDatabase();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('Catálogo', () => {
+        it('✅ Deve listar os produtos com os limites efetivos', () => {
+            const [basic, premium] = productService.getProducts();
+
+            expect(basic).to.include({ id: 'basic', name: 'Conta Básica', default: true });
+            expect(basic.initialBalance.toDecimal()).to.equal(1000);
+            // Sem ajuste no produto, valem os limites globais
+            expect(basic.limits.highAmountLimit.toDecimal()).to.equal(config.transferRules.highAmountLimit);
+            expect(basic.limits.dailyLimit.toDecimal()).to.equal(config.transferLimits.daily);
+            expect(premium).to.include({ id: 'premium', default: false });
+            expect(premium.limits.highAmountLimit.toDecimal()).to.equal(20000);
+            expect(premium.limits.monthlyLimit.toDecimal()).to.equal(250000);
+            expect(premium.overdraftLimit.toDecimal()).to.equal(2000);
+            expect(premium.fees).to.deep.equal({ transfer: { type: 'flat', amount: 0 } });
+        });
+
+        it('❌ Deve rejeitar produto inexistente', () => {
+            expect(() => productService.getProduct('gold')).to.throw('Produto inválido. Use um de: basic, premium');
+        });
+
+        it('✅ Deve seguir o catálogo e o produto padrão da configuração', () => {
+            sinon.replace(config, 'accountProducts', {
+                default: 'starter',
+                catalog: { starter: { name: 'Conta Inicial', initialBalance: 0 } }
+            });
+
+            expect(productService.getProduct()).to.deep.include({ id: 'starter', initialBalance: 0, overdraftLimit: 0, ruleSettings: {}, fees: {} });
+            expect(productService.getUserProduct({ product: null }).id).to.equal('starter');
+        });
+    });
+
+    describe('Abertura de conta', () => {
+        it('✅ Deve abrir a conta no produto padrão com o saldo inicial dele', async () => {
+            const user = await createTestUser();
+
+            expect(user.product).to.equal('basic');
+            expect(user.balance.toDecimal()).to.equal(1000);
+        });
+
+        it('✅ Deve abrir a conta premium com saldo inicial lançado no ledger', async () => {
+            const user = await createTestUser({ product: 'premium' });
+            const [opening] = getLedgerEntriesByAccount(user.account);
+
+            expect(user.product).to.equal('premium');
+            expect(user.balance.toDecimal()).to.equal(5000);
+            expect(opening.amount.toDecimal()).to.equal(5000);
+        });
+
+        it('❌ Não deve cadastrar com produto inválido', async () => {
+            try {
+                await userService.createUser({ name: 'Ana', email: 'ana@email.com', password: 'senha123', product: 'gold' });
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('Produto inválido. Use um de: basic, premium');
+            }
+        });
+    });
+
+    describe('Limites do produto', () => {
+        it('✅ Limites do produto valem nas transferências e em getUserLimits', async () => {
+            const basic = await createUserWithBalance(30000);
+            const premium = await createUserWithBalance(30000, { product: 'premium' });
+            const recipient = await createTestUser();
+
+            expect(() => transferService.executeTransfer(basic.id, { toAccount: recipient.account, amount: 6000 }))
+                .to.throw('Transferências acima de R$ 5.000,00 só podem ser realizadas para usuários favorecidos');
+            const transfer = transferService.executeTransfer(premium.id, { toAccount: recipient.account, amount: 6000 });
+
+            expect(transfer.status).to.equal('completed');
+            expect(userService.getUserLimits(premium.id).daily.limit.toDecimal()).to.equal(50000);
+            expect(userService.getUserLimits(basic.id).daily.limit.toDecimal()).to.equal(config.transferLimits.daily);
+        });
+
+        it('✅ Ajuste do usuário prevalece sobre o produto', async () => {
+            const premium = await createTestUser({ product: 'premium' });
+            const user = findUserById(premium.id);
+            user.ruleSettings = { dailyLimit: { limit: 800 } };
+            updateUser(user);
+
+            expect(userService.getUserLimits(premium.id).daily.limit.toDecimal()).to.equal(800);
+        });
+    });
+});
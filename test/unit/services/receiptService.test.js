@@ -0,0 +1,84 @@
+// test/unit/services/receiptService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../../src/config/environment');
+const receiptService = require('../../../src/services/receiptService');
+const transferService = require('../../../src/services/transferService');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+
+describe('🧾 ReceiptService - Comprovantes assinados', () => {
+    let sender;
+    let recipient;
+    let transfer;
+
+    beforeEach(async () => {
+        clearDatabase();
+        [sender, recipient] = await createMultipleTestUsers(2);
+        transfer = await transferService.createTransfer(sender.id, {
+            toAccount: recipient.account,
+            amount: 99.9,
+            description: 'Mensalidade'
+        });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    // Simula o comprovante trafegando como JSON (valores decimais e datas ISO)
+    const asJson = (receipt) => JSON.parse(JSON.stringify(receipt));
+
+    it('✅ O código não depende do momento da emissão', () => {
+        const first = receiptService.getReceipt(sender.id, transfer.id);
+        const second = receiptService.getReceipt(recipient.id, transfer.id);
+
+        expect(second.authenticationCode).to.equal(first.authenticationCode);
+        expect(first.executedAt).to.deep.equal(transfer.createdAt);
+    });
+
+    it('✅ Deve conferir o comprovante e informar o status atual da transferência', () => {
+        const receipt = asJson(receiptService.getReceipt(sender.id, transfer.id));
+        transferService.refundTransfer(recipient.id, transfer.id);
+
+        expect(receiptService.verifyReceipt(receipt)).to.deep.equal({
+            valid: true,
+            message: 'Comprovante autêntico',
+            transferId: transfer.id,
+            transferStatus: 'refunded'
+        });
+        expect(receiptService.getReceipt(sender.id, transfer.id).authenticationCode).to.equal(receipt.authenticationCode);
+    });
+
+    it('❌ Qualquer campo assinado alterado deve invalidar o código', () => {
+        const receipt = asJson(receiptService.getReceipt(sender.id, transfer.id));
+        const tampered = [
+            { ...receipt, transferId: receipt.transferId + 1 },
+            { ...receipt, description: 'Outra coisa' },
+            { ...receipt, payer: { ...receipt.payer, name: 'Fulano' } },
+            { ...receipt, executedAt: new Date(Date.parse(receipt.executedAt) + 1000).toISOString() },
+            { ...receipt, amount: 99.91 }
+        ];
+
+        tampered.forEach(data => expect(receiptService.verifyReceipt(data).valid).to.be.false);
+    });
+
+    it('❌ Comprovante assinado com outra chave não deve ser autêntico', () => {
+        const receipt = asJson(receiptService.getReceipt(sender.id, transfer.id));
+        sinon.replace(config, 'receipts', { signingKey: 'outra-chave' });
+
+        expect(receiptService.verifyReceipt(receipt).valid).to.be.false;
+    });
+
+    it('❌ Deve rejeitar comprovantes incompletos', () => {
+        expect(() => receiptService.verifyReceipt({ transferId: 1, amount: 10, authenticationCode: 'X' }))
+            .to.throw('Comprovante inválido: dados incompletos');
+        expect(() => receiptService.verifyReceipt({
+            transferId: 1,
+            payer: { name: 'A', account: '1' },
+            payee: { name: 'B', account: '2' },
+            amount: 10,
+            executedAt: 'ontem',
+            authenticationCode: 'X'
+        })).to.throw('Comprovante inválido: dados incompletos');
+    });
+});
@@ -0,0 +1,166 @@
+// test/unit/services/recurringTransferService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const RecurringTransfer = require('../../../src/models/RecurringTransfer');
+const transferService = require('../../../src/services/transferService');
+const recurringTransferService = require('../../../src/services/recurringTransferService');
+const { TransferScheduler } = require('../../../src/services/transferScheduler');
+const { findUserById, findRecurringTransferById } = require('../../../src/database');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const { createFakeClock, HOUR, DAY } = require('../../helpers/clockHelper');
+
+describe('🔁 RecurringTransferService - Transferências recorrentes', () => {
+    describe('Calendário de execuções', () => {
+        const build = (frequency, startDate, endDate = null, maxOccurrences = null) =>
+            new RecurringTransfer(1, 1, '111111', '222222', 300, 'Aluguel', frequency, startDate, endDate, maxOccurrences);
+
+        it('✅ Deve calcular ciclos diários e semanais', () => {
+            const daily = build('daily', '2030-01-05T09:00:00.000Z');
+            const weekly = build('weekly', '2030-01-05T09:00:00.000Z');
+
+            expect(daily.occurrenceDate(3).toISOString()).to.equal('2030-01-08T09:00:00.000Z');
+            expect(weekly.occurrenceDate(2).toISOString()).to.equal('2030-01-19T09:00:00.000Z');
+        });
+
+        it('✅ Deve manter o dia do mês nas execuções mensais', () => {
+            const monthly = build('monthly', '2030-11-05T09:00:00.000Z');
+
+            expect(monthly.occurrenceDate(1).toISOString()).to.equal('2030-12-05T09:00:00.000Z');
+            expect(monthly.occurrenceDate(2).toISOString()).to.equal('2031-01-05T09:00:00.000Z');
+        });
+
+        it('✅ Ordem no dia 31 deve executar no último dia dos meses mais curtos', () => {
+            const monthly = build('monthly', '2030-01-31T09:00:00.000Z');
+
+            expect(monthly.occurrenceDate(1).toISOString()).to.equal('2030-02-28T09:00:00.000Z');
+            expect(monthly.occurrenceDate(2).toISOString()).to.equal('2030-03-31T09:00:00.000Z');
+        });
+
+        it('✅ Deve concluir ao atingir a quantidade de ocorrências ou a data de término', () => {
+            const byCount = build('daily', '2030-01-05T09:00:00.000Z', null, 2);
+            const byDate = build('weekly', '2030-01-05T09:00:00.000Z', '2030-01-15T00:00:00.000Z');
+
+            byCount.advance();
+            expect(byCount.status).to.equal('active');
+            byCount.advance();
+            expect(byCount.status).to.equal('completed');
+            expect(byCount.nextRunAt).to.be.null;
+
+            byDate.advance();
+            expect(byDate.nextRunAt.toISOString()).to.equal('2030-01-12T09:00:00.000Z');
+            byDate.advance();
+            expect(byDate.status).to.equal('completed');
+        });
+    });
+
+    describe('Execução', () => {
+        let sandbox;
+        let clock;
+        let scheduler;
+        let sender;
+        let recipient;
+
+        beforeEach(async () => {
+            sandbox = sinon.createSandbox();
+            clearDatabase();
+            clock = createFakeClock(new Date('2030-01-01T12:00:00.000Z'));
+            sandbox.replace(transferService, 'clock', clock);
+            sandbox.replace(recurringTransferService, 'clock', clock);
+            scheduler = new TransferScheduler({ clock });
+            [sender, recipient] = await createMultipleTestUsers(2);
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        const createMonthly = (data = {}) => recurringTransferService.createRecurringTransfer(sender.id, {
+            toAccount: recipient.account,
+            amount: 300,
+            description: 'Aluguel',
+            frequency: 'monthly',
+            startDate: '2030-01-05T09:00:00.000Z',
+            ...data
+        });
+
+        it('✅ Deve executar cada ciclo vencido e registrar o histórico', () => {
+            const recurring = createMonthly({ maxOccurrences: 2 });
+
+            clock.set('2030-01-05T09:00:00.000Z');
+            const [first] = scheduler.runDueTransfers();
+            clock.set('2030-02-05T09:00:00.000Z');
+            const [second] = scheduler.runDueTransfers();
+
+            const executions = recurringTransferService.getExecutions(recurring.id);
+            expect([first.status, second.status]).to.deep.equal(['completed', 'completed']);
+            expect(executions.map(transfer => transfer.scheduledFor.toISOString()))
+                .to.deep.equal(['2030-01-05T09:00:00.000Z', '2030-02-05T09:00:00.000Z']);
+            expect(findUserById(sender.id).balance.toDecimal()).to.equal(400);
+            expect(findRecurringTransferById(recurring.id).status).to.equal('completed');
+        });
+
+        it('❌ Deve registrar falha por saldo insuficiente e seguir para o próximo ciclo', () => {
+            const recurring = createMonthly({ amount: 800 });
+
+            clock.set('2030-01-05T09:00:00.000Z');
+            scheduler.runDueTransfers();
+            clock.set('2030-02-05T09:00:00.000Z');
+            const [result] = scheduler.runDueTransfers();
+
+            const stored = findRecurringTransferById(recurring.id);
+            expect(result.status).to.equal('failed');
+            expect(result.failureReason).to.equal('Saldo insuficiente');
+            expect(stored.occurrences).to.equal(2);
+            expect(stored.nextRunAt.toISOString()).to.equal('2030-03-05T09:00:00.000Z');
+            expect(findUserById(sender.id).balance.toDecimal()).to.equal(200);
+        });
+
+        it('✅ Deve executar os ciclos acumulados enquanto o agendador esteve parado', () => {
+            const recurring = createMonthly({ frequency: 'daily', startDate: '2030-01-02T09:00:00.000Z' });
+
+            clock.set('2030-01-04T10:00:00.000Z');
+            const results = scheduler.runDueTransfers();
+
+            expect(results).to.have.length(3);
+            expect(findRecurringTransferById(recurring.id).nextRunAt.toISOString()).to.equal('2030-01-05T09:00:00.000Z');
+        });
+
+        it('✅ Ciclos vencidos durante a pausa não devem ser executados', () => {
+            const recurring = createMonthly({ frequency: 'weekly' });
+
+            recurringTransferService.updateRecurringTransfer(sender.id, recurring.id, { status: 'paused' });
+            clock.set('2030-01-20T12:00:00.000Z');
+            expect(scheduler.runDueTransfers()).to.deep.equal([]);
+
+            const resumed = recurringTransferService.updateRecurringTransfer(sender.id, recurring.id, { status: 'active' });
+
+            expect(resumed.nextRunAt.toISOString()).to.equal('2030-01-26T09:00:00.000Z');
+            expect(scheduler.runDueTransfers()).to.deep.equal([]);
+        });
+
+        it('✅ Ordem cancelada não deve ser executada', () => {
+            const recurring = createMonthly();
+            const cancelled = recurringTransferService.cancelRecurringTransfer(sender.id, recurring.id);
+            clock.advance(10 * DAY);
+
+            expect(cancelled.status).to.equal('cancelled');
+            expect(scheduler.runDueTransfers()).to.deep.equal([]);
+            expect(() => recurringTransferService.cancelRecurringTransfer(sender.id, recurring.id))
+                .to.throw('Somente transferências recorrentes ativas ou pausadas podem ser canceladas');
+        });
+
+        it('❌ Deve validar frequência, datas e destino', () => {
+            expect(() => createMonthly({ frequency: 'yearly' })).to.throw('Frequência deve ser uma de: daily, weekly, monthly');
+            expect(() => createMonthly({ startDate: new Date(clock.now().getTime() - HOUR) })).to.throw('Data de início deve ser futura');
+            expect(() => createMonthly({ endDate: '2030-01-04T00:00:00.000Z' })).to.throw('Data de término deve ser posterior à data de início');
+            expect(() => createMonthly({ toAccount: sender.account })).to.throw('Não é possível transferir para si mesmo');
+        });
+
+        it('❌ Não deve expor ordens de outro usuário', () => {
+            const recurring = createMonthly();
+
+            expect(() => recurringTransferService.getRecurringTransfer(recipient.id, recurring.id))
+                .to.throw('Transferência recorrente não encontrada');
+        });
+    });
+});
@@ -0,0 +1,129 @@
+// test/unit/services/statementService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const statementService = require('../../../src/services/statementService');
+const transferService = require('../../../src/services/transferService');
+const { toCsv, toOfx, toPdf, fileName } = require('../../../src/utils/statementFormats');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const { DAY } = require('../../helpers/clockHelper');
+
+describe('📄 StatementService - Extrato da conta', () => {
+    let clock;
+    let sender;
+    let recipient;
+
+    // 10/01/2030 12h em São Paulo
+    const start = new Date('2030-01-10T15:00:00.000Z');
+
+    const send = (amount, description) => transferService.createTransfer(sender.id, {
+        toAccount: recipient.account,
+        amount,
+        description
+    });
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({ now: start, toFake: ['Date'] });
+        clearDatabase();
+        [sender, recipient] = await createMultipleTestUsers(2);
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    describe('Saldos e período', () => {
+        it('✅ Deve calcular saldo inicial, saldo acumulado e saldo final do período', async () => {
+            await send(100, 'Antes do período');
+            clock.tick(2 * DAY);
+            const rent = await send(300, 'Aluguel');
+            clock.tick(DAY);
+            await transferService.createTransfer(recipient.id, { toAccount: sender.account, amount: 50, description: 'Reembolso' });
+            clock.tick(DAY);
+            await send(10, 'Depois do período');
+
+            const statement = statementService.getStatement(sender.id, { from: '2030-01-11', to: '2030-01-13' });
+
+            expect(statement.from.toISOString()).to.equal('2030-01-11T03:00:00.000Z');
+            expect(statement.to.toISOString()).to.equal('2030-01-14T03:00:00.000Z');
+            expect(statement.openingBalance.toDecimal()).to.equal(900);
+            expect(statement.totalDebits.toDecimal()).to.equal(300);
+            expect(statement.totalCredits.toDecimal()).to.equal(50);
+            expect(statement.closingBalance.toDecimal()).to.equal(650);
+            expect(statement.entries.map(entry => [entry.amount.toDecimal(), entry.balance.toDecimal()]))
+                .to.deep.equal([[-300, 600], [50, 650]]);
+            expect(statement.entries[0]).to.include({ transferId: rent.id, counterparty: recipient.account, type: 'debit' });
+        });
+
+        it('✅ Sem período deve cobrir o mês corrente até agora', async () => {
+            await send(100, 'Mensalidade');
+            clock.tick(60 * 1000);
+
+            const statement = statementService.getStatement(sender.id);
+
+            expect(statement.from.toISOString()).to.equal('2030-01-01T03:00:00.000Z');
+            expect(statement.entries).to.have.length(2);
+            expect(statement.closingBalance.toDecimal()).to.equal(900);
+        });
+
+        it('❌ Deve rejeitar datas inválidas e períodos invertidos', () => {
+            expect(() => statementService.getStatement(sender.id, { from: '2030-13-45x' }))
+                .to.throw('Data inicial inválida; use AAAA-MM-DD ou o formato ISO 8601');
+            expect(() => statementService.getStatement(sender.id, { from: '2030-01-10', to: '2030-01-09' }))
+                .to.throw('Data inicial deve ser anterior à data final');
+        });
+
+        it('❌ Deve rejeitar usuário inexistente', () => {
+            expect(() => statementService.getStatement(999)).to.throw('Usuário não encontrado');
+        });
+    });
+
+    describe('Formatos', () => {
+        let statement;
+
+        beforeEach(async () => {
+            await send(123.45, '=HYPERLINK("x"), "aspas" & <tags>');
+            statement = statementService.getStatement(sender.id, { from: '2030-01-01', to: '2030-01-31' });
+        });
+
+        it('✅ CSV deve escapar aspas e neutralizar fórmulas', () => {
+            const lines = toCsv(statement).trim().split('\r\n');
+
+            expect(lines).to.have.length(5);
+            expect(lines[1]).to.equal('2030-01-01 00:00,Saldo inicial,,,,,0.00');
+            expect(lines[3]).to.include('"\'=HYPERLINK(""x""), ""aspas"" & <tags>"');
+            expect(lines[3]).to.match(/,debit,-123\.45,876\.55$/);
+            expect(lines[4]).to.equal('2030-02-01 00:00,Saldo final,,,,,876.55');
+        });
+
+        it('✅ OFX deve trazer cabeçalho SGML, transações e saldo final', () => {
+            const ofx = toOfx(statement);
+
+            expect(ofx.startsWith('OFXHEADER:100\r\nDATA:OFXSGML\r\nVERSION:102\r\n')).to.be.true;
+            expect(ofx).to.include('<DTSTART>20300101030000[0:GMT]');
+            expect(ofx).to.include('<TRNAMT>-123.45\r\n');
+            expect(ofx).to.include(`<NAME>${recipient.account}\r\n`);
+            expect(ofx).to.include('<MEMO>=HYPERLINK("x"), "aspas" &amp; &lt;tags&gt;\r\n');
+            expect(ofx).to.include('<BALAMT>876.55\r\n');
+        });
+
+        it('✅ PDF deve ter estrutura válida e paginar extratos longos', async () => {
+            for (let i = 0; i < 80; i++) {
+                await transferService.createTransfer(recipient.id, { toAccount: sender.account, amount: 1, description: `Crédito ${i}` });
+            }
+            const long = statementService.getStatement(sender.id, { from: '2030-01-01', to: '2030-01-31' });
+
+            const text = toPdf(long).toString('latin1');
+            const xref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(text)[1]);
+
+            expect(text.startsWith('%PDF-1.4\n')).to.be.true;
+            expect(text.slice(xref, xref + 4)).to.equal('xref');
+            expect(text).to.include('/Count 2');
+            expect(text).to.include('(Página 2 de 2)');
+            expect(text).to.include('Per\xedodo: 2030-01-01 a 2030-01-31');
+        });
+
+        it('✅ Nome do arquivo deve trazer conta e dias do período', () => {
+            expect(fileName(statement, 'pdf')).to.equal(`extrato-${sender.account}-2030-01-01-2030-01-31.pdf`);
+        });
+    });
+});
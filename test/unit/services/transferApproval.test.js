@@ -0,0 +1,130 @@
+// test/unit/services/transferApproval.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const config = require('../../../src/config/environment');
+const transferService = require('../../../src/services/transferService');
+const ledgerService = require('../../../src/services/ledgerService');
+const { HOUSE_ACCOUNTS } = require('../../../src/services/ledgerService');
+const { TransferScheduler } = require('../../../src/services/transferScheduler');
+const { findUserById, findTransferById } = require('../../../src/database');
+const { createTestUser, createUserWithBalance, clearDatabase } = require('../../helpers/dataHelper');
+const { createFakeClock, MINUTE } = require('../../helpers/clockHelper');
+
+describe('✋ TransferService - Aprovação de transferências de alto valor', () => {
+    let sandbox;
+    let clock;
+    let sender;
+    let recipient;
+
+    beforeEach(async () => {
+        sandbox = sinon.createSandbox();
+        clearDatabase();
+        clock = createFakeClock();
+        sandbox.replace(transferService, 'clock', clock);
+        sender = await createUserWithBalance(10000);
+        recipient = await createTestUser();
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    const balanceOf = (user) => findUserById(user.id).balance.toDecimal();
+
+    const requestHighValue = (data = {}) => transferService.createTransfer(sender.id, {
+        toAccount: recipient.account,
+        amount: 6000,
+        requestApproval: true,
+        ...data
+    });
+
+    it('✅ Deve criar como pending_approval e reservar o valor', async () => {
+        const transfer = await requestHighValue();
+
+        expect(transfer.status).to.equal('pending_approval');
+        expect(transfer.expiresAt.getTime()).to.equal(clock.now().getTime() + config.approval.expiryMs);
+        expect(balanceOf(sender)).to.equal(4000);
+        expect(balanceOf(recipient)).to.equal(1000);
+        expect(ledgerService.getBalance(HOUSE_ACCOUNTS.holds).toDecimal()).to.equal(6000);
+    });
+
+    it('✅ Sem requestApproval mantém a rejeição para não favorecidos', async () => {
+        await requestHighValue({ requestApproval: undefined }).then(() => expect.fail('Should have thrown error'), error => {
+            expect(error.message).to.include('favorecidos');
+        });
+    });
+
+    it('✅ Valores dentro do limite são concluídos mesmo com requestApproval', async () => {
+        const transfer = await requestHighValue({ amount: 100 });
+
+        expect(transfer.status).to.equal('completed');
+    });
+
+    it('✅ Confirmação com a senha entrega o valor reservado', async () => {
+        const transfer = await requestHighValue();
+
+        const confirmed = await transferService.confirmTransfer(sender.id, transfer.id, 'senha123');
+
+        expect(confirmed.status).to.equal('completed');
+        expect(balanceOf(sender)).to.equal(4000);
+        expect(balanceOf(recipient)).to.equal(7000);
+        expect(ledgerService.getBalance(HOUSE_ACCOUNTS.holds).isZero()).to.be.true;
+        expect(ledgerService.verifyUserBalance(findUserById(recipient.id)).reconciled).to.be.true;
+    });
+
+    it('❌ Senha incorreta não confirma a transferência', async () => {
+        const transfer = await requestHighValue();
+
+        await transferService.confirmTransfer(sender.id, transfer.id, 'errada').then(() => expect.fail('Should have thrown error'), error => {
+            expect(error.message).to.equal('Senha inválida');
+        });
+        expect(findTransferById(transfer.id).status).to.equal('pending_approval');
+    });
+
+    it('✅ Cancelamento libera a reserva', async () => {
+        const transfer = await requestHighValue();
+
+        const cancelled = transferService.cancelPendingTransfer(sender.id, transfer.id);
+
+        expect(cancelled.status).to.equal('cancelled');
+        expect(balanceOf(sender)).to.equal(10000);
+        expect(ledgerService.verifyUserBalance(findUserById(sender.id)).reconciled).to.be.true;
+    });
+
+    it('✅ Agendador expira aprovações vencidas e libera a reserva', async () => {
+        const transfer = await requestHighValue();
+        clock.advance(config.approval.expiryMs);
+
+        const results = new TransferScheduler({ clock }).runDueTransfers();
+
+        expect(results).to.deep.equal([{ id: transfer.id, status: 'expired', failureReason: null }]);
+        expect(balanceOf(sender)).to.equal(10000);
+    });
+
+    it('❌ Confirmação após o prazo expira a transferência', async () => {
+        const transfer = await requestHighValue();
+        clock.advance(config.approval.expiryMs + MINUTE);
+
+        await transferService.confirmTransfer(sender.id, transfer.id, 'senha123').then(() => expect.fail('Should have thrown error'), error => {
+            expect(error.message).to.equal('Transferência expirada; o valor reservado foi liberado');
+        });
+        expect(findTransferById(transfer.id).status).to.equal('expired');
+        expect(balanceOf(sender)).to.equal(10000);
+        expect(balanceOf(recipient)).to.equal(1000);
+    });
+
+    it('❌ Saldo insuficiente para a reserva', async () => {
+        await requestHighValue({ amount: 10000.01 }).then(() => expect.fail('Should have thrown error'), error => {
+            expect(error.message).to.equal('Saldo insuficiente');
+        });
+    });
+
+    it('✅ Deve filtrar transferências por status', async () => {
+        await requestHighValue();
+        await requestHighValue({ amount: 100 });
+
+        expect(transferService.getTransfersByUserId(sender.id, { status: 'pending_approval' })).to.have.length(1);
+        expect(transferService.getTransfersByUserId(sender.id, { status: 'completed' })).to.have.length(1);
+        expect(() => transferService.getTransfersByUserId(sender.id, { status: 'unknown' })).to.throw('Status inválido');
+    });
+});
@@ -0,0 +1,155 @@
+// test/unit/services/transferBatchService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const transferBatchService = require('../../../src/services/transferBatchService');
+const ledgerService = require('../../../src/services/ledgerService');
+const fraudService = require('../../../src/services/fraudService');
+const { findUserById, findTransferBatchById, getTransfersByUserId } = require('../../../src/database');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+
+describe('📦 TransferBatchService - Transferências em lote', () => {
+    let sender;
+    let first;
+    let second;
+
+    beforeEach(async () => {
+        clearDatabase();
+        [sender, first, second] = await createMultipleTestUsers(3);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const balanceOf = (user) => findUserById(user.id).balance.toDecimal();
+
+    // O segundo item falha por saldo insuficiente depois que o primeiro já debitou 600
+    const payroll = () => [
+        { toAccount: first.account, amount: 600, description: 'Salário' },
+        { toAccount: second.account, amount: 500, description: 'Salário' },
+        { toAccount: '999999', amount: 10 },
+        { toAccount: second.account, amount: 100, description: 'Bônus' }
+    ];
+
+    it('✅ Deve realizar todas as transferências quando nenhuma falha', () => {
+        const batch = transferBatchService.createTransferBatch(sender.id, {
+            transfers: [
+                { toAccount: first.account, amount: 300 },
+                { toAccount: second.account, amount: 200 }
+            ]
+        });
+
+        expect(batch).to.include({ mode: 'all_or_nothing', status: 'completed', totalItems: 2, succeeded: 2, failed: 0 });
+        expect(batch.items.map(item => item.transfer.toAccount)).to.deep.equal([first.account, second.account]);
+        expect(balanceOf(sender)).to.equal(500);
+        expect(ledgerService.verifyUserBalance(findUserById(sender.id)).reconciled).to.be.true;
+    });
+
+    it('❌ all_or_nothing deve desfazer o lote inteiro quando algum item falha', () => {
+        const batch = transferBatchService.createTransferBatch(sender.id, { mode: 'all_or_nothing', transfers: payroll() });
+
+        expect(batch).to.include({ status: 'failed', succeeded: 0, failed: 2 });
+        expect(batch.items).to.deep.equal([
+            { index: 0, status: 'rolled_back' },
+            { index: 1, status: 'failed', error: 'Saldo insuficiente', code: 'INSUFFICIENT_BALANCE' },
+            { index: 2, status: 'failed', error: 'Conta de destino não encontrada', code: 'ACCOUNT_NOT_FOUND' },
+            { index: 3, status: 'rolled_back' }
+        ]);
+        expect(balanceOf(sender)).to.equal(1000);
+        expect(balanceOf(first)).to.equal(1000);
+        expect(getTransfersByUserId(sender.id)).to.have.length(0);
+        expect(ledgerService.verifyUserBalance(findUserById(sender.id)).reconciled).to.be.true;
+    });
+
+    it('✅ best_effort deve manter os itens realizados e reportar as falhas', () => {
+        const batch = transferBatchService.createTransferBatch(sender.id, { mode: 'best_effort', transfers: payroll() });
+
+        expect(batch).to.include({ status: 'partially_completed', succeeded: 2, failed: 2 });
+        expect(batch.items.map(item => item.status)).to.deep.equal(['completed', 'failed', 'failed', 'completed']);
+        expect(batch.items[1].code).to.equal('INSUFFICIENT_BALANCE');
+        expect(batch.items[3].transfer.description).to.equal('Bônus');
+        expect(balanceOf(sender)).to.equal(300);
+        expect(balanceOf(second)).to.equal(1100);
+    });
+
+    it('✅ Deve registrar o lote para consulta posterior', () => {
+        const created = transferBatchService.createTransferBatch(sender.id, { mode: 'best_effort', transfers: payroll() });
+
+        expect(findTransferBatchById(created.id).items).to.have.length(4);
+
+        const batch = transferBatchService.getTransferBatch(sender.id, created.id);
+        expect(batch.id).to.equal(created.id);
+        expect(batch.items[0].transfer.id).to.equal(created.items[0].transferId);
+    });
+
+    it('❌ Lote de outro usuário deve ser tratado como inexistente', () => {
+        const created = transferBatchService.createTransferBatch(sender.id, { transfers: [{ toAccount: first.account, amount: 10 }] });
+
+        expect(() => transferBatchService.getTransferBatch(first.id, created.id)).to.throw('Lote não encontrado');
+        expect(() => transferBatchService.getTransferBatch(sender.id, 999)).to.throw('Lote não encontrado');
+    });
+
+    it('✅ Item retido pela análise de risco volta com o status real, fora dos concluídos', () => {
+        const review = { score: 60, decision: 'review', reasons: [{ code: 'VELOCITY', points: 60, message: '5 transferências nos últimos 10 minutos' }] };
+        sinon.stub(fraudService, 'assess')
+            .onFirstCall().returns({ score: 0, decision: 'allow', reasons: [] })
+            .onSecondCall().returns(review);
+
+        const batch = transferBatchService.createTransferBatch(sender.id, {
+            mode: 'best_effort',
+            transfers: [
+                { toAccount: first.account, amount: 300 },
+                { toAccount: second.account, amount: 200 }
+            ]
+        });
+
+        expect(batch).to.include({ status: 'partially_completed', succeeded: 1, held: 1, failed: 0 });
+        expect(batch.items.map(item => item.status)).to.deep.equal(['completed', 'under_review']);
+        expect(batch.items[1].transfer.status).to.equal('under_review');
+        expect(balanceOf(second)).to.equal(1000);
+    });
+
+    it('❌ Alerta de bloqueio deve sobreviver ao desfazer do lote all_or_nothing', () => {
+        const block = { score: 90, decision: 'block', reasons: [{ code: 'VELOCITY', points: 90, message: '5 transferências nos últimos 10 minutos' }] };
+        sinon.stub(fraudService, 'assess')
+            .onFirstCall().returns({ score: 0, decision: 'allow', reasons: [] })
+            .onSecondCall().returns(block);
+
+        const batch = transferBatchService.createTransferBatch(sender.id, {
+            transfers: [
+                { toAccount: first.account, amount: 300 },
+                { toAccount: second.account, amount: 200 }
+            ]
+        });
+
+        expect(batch.items.map(item => item.status)).to.deep.equal(['rolled_back', 'failed']);
+        expect(batch.items[1].code).to.equal('FRAUD_BLOCKED');
+        expect(balanceOf(sender)).to.equal(1000);
+
+        const alerts = fraudService.getAlerts();
+        expect(alerts).to.have.length(1);
+        expect(alerts[0]).to.include({ userId: sender.id, toAccount: second.account, decision: 'block', status: 'blocked', transferId: null });
+    });
+
+    it('❌ Deve rejeitar itens agendados ou com aprovação por senha', () => {
+        const scheduled = { toAccount: first.account, amount: 1, scheduledFor: new Date(Date.now() + 60000) };
+        const approval = { toAccount: first.account, amount: 1, requestApproval: true };
+
+        expect(() => transferBatchService.createTransferBatch(sender.id, { transfers: [scheduled] }))
+            .to.throw('Itens do lote não aceitam scheduledFor nem requestApproval');
+        expect(() => transferBatchService.createTransferBatch(sender.id, { transfers: [approval] }))
+            .to.throw('Itens do lote não aceitam scheduledFor nem requestApproval');
+        expect(getTransfersByUserId(sender.id)).to.have.length(0);
+    });
+
+    it('❌ Deve rejeitar modo inválido e lotes vazios ou grandes demais', () => {
+        const item = { toAccount: first.account, amount: 1 };
+
+        expect(() => transferBatchService.createTransferBatch(sender.id, { mode: 'parcial', transfers: [item] }))
+            .to.throw('Modo inválido. Use um de: all_or_nothing, best_effort');
+        expect(() => transferBatchService.createTransferBatch(sender.id, { transfers: [] }))
+            .to.throw('Lote deve ter entre 1 e 100 transferências');
+        expect(() => transferBatchService.createTransferBatch(sender.id, { transfers: Array(101).fill(item) }))
+            .to.throw('Lote deve ter entre 1 e 100 transferências');
+    });
+});
@@ -0,0 +1,113 @@
+// test/unit/services/transferHistoryService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const transferService = require('../../../src/services/transferService');
+const transferHistoryService = require('../../../src/services/transferHistoryService');
+const { store } = require('../../../src/database');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+const { createFakeClock, HOUR } = require('../../helpers/clockHelper');
+
+describe('🔎 TransferHistoryService - Filtros, ordenação e paginação', () => {
+    let user;
+    let friend;
+    let other;
+    let clock;
+
+    // Uma transferência por hora a partir de 01/01/2030 12h UTC
+    const history = [
+        ['sent', 'friend', 100, 'Aluguel janeiro'],
+        ['received', 'friend', 50, 'Pizza'],
+        ['sent', 'other', 300, 'Mercado'],
+        ['sent', 'friend', 100, 'Aluguel fevereiro'],
+        ['received', 'other', 20, 'Café']
+    ];
+
+    beforeEach(async () => {
+        clearDatabase();
+        [user, friend, other] = await createMultipleTestUsers(3);
+        clock = createFakeClock(new Date('2030-01-01T12:00:00.000Z'));
+        sinon.replace(transferService, 'clock', clock);
+
+        const accounts = { friend, other };
+        for (const [direction, counterparty, amount, description] of history) {
+            const [from, to] = direction === 'sent' ? [user, accounts[counterparty]] : [accounts[counterparty], user];
+            await transferService.createTransfer(from.id, { toAccount: to.account, amount, description });
+            clock.advance(HOUR);
+        }
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const search = (options) => transferHistoryService.searchTransfers(user.id, options);
+    const descriptions = (result) => result.edges.map(edge => edge.node.description);
+
+    it('✅ Deve ordenar da mais recente para a mais antiga por padrão', () => {
+        const result = search();
+
+        expect(descriptions(result)).to.deep.equal(['Café', 'Aluguel fevereiro', 'Mercado', 'Pizza', 'Aluguel janeiro']);
+        expect(result.pageInfo).to.include({ totalCount: 5, hasNextPage: false, hasPreviousPage: false });
+    });
+
+    it('✅ Deve buscar no store só as transferências da conta', () => {
+        const find = sinon.spy(store, 'find');
+
+        transferHistoryService.searchTransfers(user.id);
+
+        const criteria = find.getCalls().filter(call => call.args[0] === 'transfers').map(call => call.args[1]);
+        expect(criteria).to.deep.equal([{ fromAccount: user.account }, { toAccount: user.account }]);
+    });
+
+    it('✅ Deve filtrar por direção, contraparte e descrição', () => {
+        expect(descriptions(search({ direction: 'received' }))).to.deep.equal(['Café', 'Pizza']);
+        expect(descriptions(search({ counterparty: friend.account, direction: 'sent' })))
+            .to.deep.equal(['Aluguel fevereiro', 'Aluguel janeiro']);
+        expect(descriptions(search({ description: 'ALUGUEL' }))).to.have.length(2);
+    });
+
+    it('✅ Deve filtrar por período e faixa de valor (limites inclusivos)', () => {
+        expect(descriptions(search({ startDate: '2030-01-01T13:00:00.000Z', endDate: '2030-01-01T15:00:00.000Z' })))
+            .to.deep.equal(['Aluguel fevereiro', 'Mercado', 'Pizza']);
+        expect(descriptions(search({ minAmount: '50', maxAmount: 100 })))
+            .to.deep.equal(['Aluguel fevereiro', 'Pizza', 'Aluguel janeiro']);
+    });
+
+    it('✅ Empates de valor devem manter ordem estável pelo id', () => {
+        expect(descriptions(search({ sort: 'amount' }))).to.deep.equal(['Café', 'Pizza', 'Aluguel janeiro', 'Aluguel fevereiro', 'Mercado']);
+        expect(descriptions(search({ sort: '-amount' }))).to.deep.equal(['Mercado', 'Aluguel fevereiro', 'Aluguel janeiro', 'Pizza', 'Café']);
+    });
+
+    it('✅ Deve paginar por cursor sem repetir nem pular itens', () => {
+        const first = search({ sort: 'amount', limit: 2 });
+        const second = search({ sort: 'amount', limit: 2, cursor: first.pageInfo.endCursor });
+        const third = search({ sort: 'amount', limit: '2', cursor: second.pageInfo.endCursor });
+
+        expect(descriptions(first)).to.deep.equal(['Café', 'Pizza']);
+        expect(descriptions(second)).to.deep.equal(['Aluguel janeiro', 'Aluguel fevereiro']);
+        expect(second.pageInfo).to.include({ hasNextPage: true, hasPreviousPage: true });
+        expect(descriptions(third)).to.deep.equal(['Mercado']);
+        expect(third.pageInfo.hasNextPage).to.be.false;
+    });
+
+    it('✅ Novas transferências não devem deslocar as páginas seguintes', async () => {
+        const first = search({ limit: 2 });
+
+        await transferService.createTransfer(user.id, { toAccount: other.account, amount: 1, description: 'Nova' });
+
+        expect(descriptions(search({ limit: 2, cursor: first.pageInfo.endCursor }))).to.deep.equal(['Mercado', 'Pizza']);
+    });
+
+    it('❌ Deve rejeitar filtros, ordenação, limite e cursor inválidos', () => {
+        const first = search({ limit: 1 });
+
+        expect(() => search({ direction: 'both' })).to.throw('Direção inválida. Use um de: sent, received');
+        expect(() => search({ status: 'unknown' })).to.throw('Status inválido');
+        expect(() => search({ startDate: 'ontem' })).to.throw('Data inicial inválida; use o formato ISO 8601');
+        expect(() => search({ minAmount: 'abc' })).to.throw('Valor mínimo inválido');
+        expect(() => search({ sort: 'description' })).to.throw('Ordenação inválida. Use um de: createdAt, -createdAt, amount, -amount');
+        expect(() => search({ limit: 101 })).to.throw('Limite deve ser um número inteiro entre 1 e 100');
+        expect(() => search({ cursor: 'xyz' })).to.throw('Cursor inválido para esta ordenação');
+        expect(() => search({ sort: 'amount', cursor: first.pageInfo.endCursor })).to.throw('Cursor inválido para esta ordenação');
+    });
+});
@@ -0,0 +1,76 @@
+// test/unit/services/transferRefund.test.js
+const { expect } = require('chai');
+const transferService = require('../../../src/services/transferService');
+const ledgerService = require('../../../src/services/ledgerService');
+const { findUserById, findTransferById } = require('../../../src/database');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+
+describe('↩️ TransferService - Estorno de transferências', () => {
+    let sender;
+    let recipient;
+    let original;
+
+    beforeEach(async () => {
+        clearDatabase();
+        [sender, recipient] = await createMultipleTestUsers(2);
+        original = await transferService.createTransfer(sender.id, {
+            toAccount: recipient.account,
+            amount: 200,
+            description: 'Pagamento por engano'
+        });
+    });
+
+    const balanceOf = (user) => findUserById(user.id).balance.toDecimal();
+
+    it('✅ Estorno total devolve o valor e marca a original como refunded', () => {
+        const refund = transferService.refundTransfer(recipient.id, original.id);
+
+        expect(refund).to.include({ fromAccount: recipient.account, toAccount: sender.account, refundOf: original.id });
+        expect(refund.amount.toDecimal()).to.equal(200);
+        expect(findTransferById(original.id).status).to.equal('refunded');
+        expect(balanceOf(sender)).to.equal(1000);
+        expect(balanceOf(recipient)).to.equal(1000);
+        expect(ledgerService.verifyUserBalance(findUserById(recipient.id)).reconciled).to.be.true;
+    });
+
+    it('✅ Estornos parciais acumulam até o valor original', () => {
+        transferService.refundTransfer(recipient.id, original.id, { amount: 50 });
+        expect(findTransferById(original.id).status).to.equal('partially_refunded');
+        expect(findTransferById(original.id).refundedAmount.toDecimal()).to.equal(50);
+
+        const rest = transferService.refundTransfer(recipient.id, original.id);
+
+        expect(rest.amount.toDecimal()).to.equal(150);
+        expect(findTransferById(original.id).status).to.equal('refunded');
+    });
+
+    it('❌ Estorno não pode exceder o valor disponível', () => {
+        transferService.refundTransfer(recipient.id, original.id, { amount: 150 });
+
+        expect(() => transferService.refundTransfer(recipient.id, original.id, { amount: 50.01 }))
+            .to.throw('Valor do estorno excede o valor disponível para estorno');
+        expect(balanceOf(recipient)).to.equal(1050);
+    });
+
+    it('❌ Somente o destinatário pode estornar', () => {
+        expect(() => transferService.refundTransfer(sender.id, original.id))
+            .to.throw('Transferência não encontrada');
+    });
+
+    it('❌ Não deve estornar transferência já estornada nem um estorno', () => {
+        const refund = transferService.refundTransfer(recipient.id, original.id);
+
+        expect(() => transferService.refundTransfer(recipient.id, original.id))
+            .to.throw('Somente transferências concluídas podem ser estornadas');
+        expect(() => transferService.refundTransfer(sender.id, refund.id))
+            .to.throw('Não é possível estornar um estorno');
+    });
+
+    it('❌ Destinatário sem saldo não pode estornar', async () => {
+        await transferService.createTransfer(recipient.id, { toAccount: sender.account, amount: 1100 });
+
+        expect(() => transferService.refundTransfer(recipient.id, original.id))
+            .to.throw('Saldo insuficiente');
+        expect(findTransferById(original.id).status).to.equal('completed');
+    });
+});
@@ -0,0 +1,152 @@
+// test/unit/services/transferScheduler.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const transferService = require('../../../src/services/transferService');
+const fraudService = require('../../../src/services/fraudService');
+const { TransferScheduler } = require('../../../src/services/transferScheduler');
+const { findUserById, findTransferById } = require('../../../src/database');
+const { createMultipleTestUsers, createUserWithBalance, clearDatabase } = require('../../helpers/dataHelper');
+const { createFakeClock, HOUR, DAY } = require('../../helpers/clockHelper');
+
+describe('⏱️ TransferScheduler - Transferências agendadas', () => {
+    let sandbox;
+    let clock;
+    let scheduler;
+    let sender;
+    let recipient;
+
+    beforeEach(async () => {
+        sandbox = sinon.createSandbox();
+        clearDatabase();
+        clock = createFakeClock();
+        sandbox.replace(transferService, 'clock', clock);
+        scheduler = new TransferScheduler({ clock });
+        [sender, recipient] = await createMultipleTestUsers(2);
+    });
+
+    afterEach(() => {
+        scheduler.stop();
+        sandbox.restore();
+    });
+
+    const schedule = (data = {}) => transferService.createTransfer(sender.id, {
+        toAccount: recipient.account,
+        amount: 300,
+        description: 'Aluguel',
+        scheduledFor: new Date(clock.now().getTime() + DAY),
+        ...data
+    });
+
+    it('✅ Deve agendar sem movimentar saldos', async () => {
+        const transfer = await schedule();
+
+        expect(transfer.status).to.equal('scheduled');
+        expect(transfer.scheduledFor.getTime()).to.equal(clock.now().getTime() + DAY);
+        expect(findUserById(sender.id).balance.toDecimal()).to.equal(1000);
+        expect(findUserById(recipient.id).balance.toDecimal()).to.equal(1000);
+    });
+
+    it('❌ Deve rejeitar data de agendamento no passado', async () => {
+        await schedule({ scheduledFor: new Date(clock.now().getTime() - HOUR) })
+            .then(() => expect.fail('Should have thrown error'), error => {
+                expect(error.message).to.equal('Data de agendamento deve ser futura');
+            });
+    });
+
+    it('✅ Não deve executar antes da data agendada', async () => {
+        const transfer = await schedule();
+        clock.advance(DAY - HOUR);
+
+        expect(scheduler.runDueTransfers()).to.deep.equal([]);
+        expect(findTransferById(transfer.id).status).to.equal('scheduled');
+    });
+
+    it('✅ Deve executar a transferência quando a data vence', async () => {
+        const transfer = await schedule();
+        clock.advance(DAY);
+
+        const results = scheduler.runDueTransfers();
+        const executed = findTransferById(transfer.id);
+
+        expect(results).to.deep.equal([{ id: transfer.id, status: 'completed', failureReason: null }]);
+        expect(executed.executedAt.getTime()).to.equal(clock.now().getTime());
+        expect(findUserById(sender.id).balance.toDecimal()).to.equal(700);
+        expect(findUserById(recipient.id).balance.toDecimal()).to.equal(1300);
+        expect(scheduler.runDueTransfers()).to.deep.equal([]);
+    });
+
+    it('❌ Deve marcar como falha quando o saldo não é suficiente na execução', async () => {
+        const transfer = await schedule({ amount: 800 });
+        await transferService.createTransfer(sender.id, { toAccount: recipient.account, amount: 500 });
+        clock.advance(DAY);
+
+        const [result] = scheduler.runDueTransfers();
+
+        expect(result).to.deep.equal({ id: transfer.id, status: 'failed', failureReason: 'Saldo insuficiente' });
+        expect(findUserById(sender.id).balance.toDecimal()).to.equal(500);
+    });
+
+    it('❌ Deve aplicar o limite para não favorecidos na execução', async () => {
+        const richSender = await createUserWithBalance(10000);
+        const transfer = await transferService.createTransfer(richSender.id, {
+            toAccount: recipient.account,
+            amount: 6000,
+            scheduledFor: new Date(clock.now().getTime() + HOUR)
+        });
+        clock.advance(HOUR);
+
+        const [result] = scheduler.runDueTransfers();
+
+        expect(result.id).to.equal(transfer.id);
+        expect(result.status).to.equal('failed');
+        expect(result.failureReason).to.include('favorecidos');
+        expect(findUserById(richSender.id).balance.toDecimal()).to.equal(10000);
+    });
+
+    it('✅ Análise de risco na execução: retém para análise ou bloqueia', async () => {
+        const reasons = [{ code: 'VELOCITY', points: 60, message: '5 transferências nos últimos 10 minutos' }];
+        sandbox.stub(fraudService, 'assess')
+            .onFirstCall().returns({ score: 60, decision: 'review', reasons })
+            .onSecondCall().returns({ score: 90, decision: 'block', reasons });
+        const held = await schedule();
+        const blocked = await schedule({ amount: 200 });
+        clock.advance(DAY);
+
+        expect(scheduler.runDueTransfers()).to.deep.equal([
+            { id: held.id, status: 'under_review', failureReason: null },
+            { id: blocked.id, status: 'failed', failureReason: 'Transferência bloqueada pela análise de risco' }
+        ]);
+        expect(findUserById(sender.id).balance.toDecimal()).to.equal(700);
+        expect(findUserById(recipient.id).balance.toDecimal()).to.equal(1000);
+
+        const alerts = fraudService.getAlerts();
+        expect(alerts.map(alert => [alert.decision, alert.transferId])).to.have.deep.members([['review', held.id], ['block', null]]);
+
+        transferService.approveFraudReview(recipient.id, alerts.find(alert => alert.decision === 'review').id);
+        expect(findTransferById(held.id).status).to.equal('completed');
+        expect(findUserById(recipient.id).balance.toDecimal()).to.equal(1300);
+    });
+
+    it('✅ Transferência cancelada não deve ser executada', async () => {
+        const transfer = await schedule();
+        const cancelled = transferService.cancelScheduledTransfer(sender.id, transfer.id);
+        clock.advance(DAY);
+
+        expect(cancelled.status).to.equal('cancelled');
+        expect(scheduler.runDueTransfers()).to.deep.equal([]);
+        expect(findUserById(sender.id).balance.toDecimal()).to.equal(1000);
+    });
+
+    it('❌ Não deve cancelar transferência já executada nem de outro usuário', async () => {
+        const transfer = await schedule();
+
+        expect(() => transferService.cancelScheduledTransfer(recipient.id, transfer.id))
+            .to.throw('Transferência agendada não encontrada');
+
+        clock.advance(DAY);
+        scheduler.runDueTransfers();
+
+        expect(() => transferService.cancelScheduledTransfer(sender.id, transfer.id))
+            .to.throw('Somente transferências pendentes podem ser canceladas');
+    });
+});
@@ -0,0 +1,101 @@
+// test/unit/services/transferServiceAtomicity.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const transferService = require('../../../src/services/transferService');
+const userService = require('../../../src/services/userService');
+const { store, findUserById, getTransfersByUserId } = require('../../../src/database');
+const { createMultipleTestUsers, clearDatabase } = require('../../helpers/dataHelper');
+
+describe('🧪 TransferService - Atomicidade da transferência', () => {
+    let sandbox;
+    let sender;
+    let recipient;
+
+    beforeEach(async () => {
+        sandbox = sinon.createSandbox();
+        clearDatabase();
+        [sender, recipient] = await createMultipleTestUsers(2);
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    // Stub que executa a implementação original até a chamada `failOnCall`
+    const failOnCall = (object, method, failOn, shouldFail = () => true) => {
+        const original = object[method].bind(object);
+        let calls = 0;
+
+        return sandbox.stub(object, method).callsFake((...args) => {
+            if (shouldFail(...args) && ++calls === failOn) {
+                throw new Error('Falha simulada');
+            }
+            return original(...args);
+        });
+    };
+
+    const transfer = () => transferService.createTransfer(sender.id, {
+        toAccount: recipient.account,
+        amount: 300,
+        description: 'Teste de atomicidade'
+    });
+
+    const expectNoTrace = () => {
+        expect(findUserById(sender.id).balance.toDecimal()).to.equal(1000);
+        expect(findUserById(recipient.id).balance.toDecimal()).to.equal(1000);
+        expect(getTransfersByUserId(sender.id)).to.have.length(0);
+    };
+
+    it('✅ Deve aplicar débito, crédito e registro quando nada falha', async () => {
+        const result = await transfer();
+
+        expect(findUserById(sender.id).balance.toDecimal()).to.equal(700);
+        expect(findUserById(recipient.id).balance.toDecimal()).to.equal(1300);
+        expect(getTransfersByUserId(sender.id).map(item => item.id)).to.deep.equal([result.id]);
+    });
+
+    it('❌ Deve manter os saldos quando o débito falha', async () => {
+        failOnCall(userService, 'updateUserBalance', 1);
+
+        await transfer().then(() => expect.fail('Should have thrown error'), error => {
+            expect(error.message).to.equal('Falha simulada');
+        });
+        expectNoTrace();
+    });
+
+    it('❌ Deve estornar o débito quando o crédito falha', async () => {
+        failOnCall(userService, 'updateUserBalance', 2);
+
+        await transfer().then(() => expect.fail('Should have thrown error'), error => {
+            expect(error.message).to.equal('Falha simulada');
+        });
+        expectNoTrace();
+    });
+
+    it('❌ Deve desfazer débito e crédito quando a geração do id falha', async () => {
+        failOnCall(store, 'nextId', 1, sequence => sequence === 'transfers');
+
+        await transfer().then(() => expect.fail('Should have thrown error'), error => {
+            expect(error.message).to.equal('Falha simulada');
+        });
+        expectNoTrace();
+    });
+
+    it('❌ Deve desfazer débito e crédito quando o registro da transferência falha', async () => {
+        failOnCall(store, 'insert', 1, collection => collection === 'transfers');
+
+        await transfer().then(() => expect.fail('Should have thrown error'), error => {
+            expect(error.message).to.equal('Falha simulada');
+        });
+        expectNoTrace();
+    });
+
+    it('❌ Deve desfazer o débito quando o backend falha ao gravar o destinatário', async () => {
+        failOnCall(store, 'update', 2, collection => collection === 'users');
+
+        await transfer().then(() => expect.fail('Should have thrown error'), error => {
+            expect(error.message).to.equal('Falha simulada');
+        });
+        expectNoTrace();
+    });
+});